@@ -0,0 +1,274 @@
+/**
+ * Instructor Dashboard
+ *
+ * 2D page for the instructor next to the trainee: connects to the instructor
+ * relay as `role=instructor` and shows, for the selected trainee, the
+ * mirrored view, a top-down map (floor, fires, extinguishers, trainee
+ * position and heading), the training step, fire intensities and the
+ * extinguisher in hand. Commands (pause / resume, skip step, ignite a fire,
+ * HUD message) go back through the relay to instructor-link in the scene.
+ *
+ * Message format: core/instructor-protocol.js. Relay URL: same host /relay
+ * with the relay token from ?token=…, or ?relay=ws://host:8091/?token=…
+ * when the relay runs elsewhere.
+ */
+
+(function () {
+  "use strict";
+
+  const P = window.INSTRUCTOR_PROTOCOL;
+  const RETRY_DELAY = 2000;
+
+  const $ = (id) => document.getElementById(id);
+  const ui = {
+    connection: $("connection"),
+    select: $("trainee-select"),
+    view: $("trainee-view"),
+    viewEmpty: $("view-empty"),
+    map: $("map"),
+    stateName: $("state-name"),
+    stateDesc: $("state-desc"),
+    subgoals: $("subgoals"),
+    paused: $("paused-flag"),
+    fires: $("fires"),
+    extinguisher: $("extinguisher"),
+    pauseBtn: $("pause-btn"),
+    skipBtn: $("skip-btn"),
+    hudForm: $("hud-form"),
+    hudText: $("hud-text"),
+  };
+
+  const trainees = new Map(); // id → { id, name, scenario, layout, status, frame }
+  let selected = null;
+  let socket = null;
+
+  // ─── Connection ───────────────────────────────────────────────────
+
+  const params = new URLSearchParams(window.location.search);
+  const url = params.get("relay") || P.relayUrl(window.location);
+
+  function connect() {
+    socket = new WebSocket(`${url}${url.includes("?") ? "&" : "?"}role=instructor`);
+    socket.onopen = () => setConnected(true);
+    socket.onmessage = (e) => onMessage(JSON.parse(e.data));
+    socket.onclose = () => {
+      setConnected(false);
+      setTimeout(connect, RETRY_DELAY);
+    };
+  }
+
+  function setConnected(online) {
+    ui.connection.textContent = online ? "Conectado" : "Desconectado";
+    ui.connection.className = `badge ${online ? "online" : "offline"}`;
+  }
+
+  function sendCommand(name, args) {
+    if (!socket || socket.readyState !== WebSocket.OPEN || !selected) return;
+    socket.send(JSON.stringify(P.command(name, args, selected)));
+  }
+
+  // ─── Messages ─────────────────────────────────────────────────────
+
+  function onMessage(msg) {
+    if (msg.type === "trainees") {
+      updateTrainees(msg.list);
+      return;
+    }
+    const trainee = trainees.get(msg.from);
+    if (!trainee) return;
+    if (msg.type === "hello") Object.assign(trainee, { name: msg.name, scenario: msg.scenario });
+    else if (msg.type === "layout") trainee.layout = msg;
+    else if (msg.type === "status") trainee.status = msg;
+    else if (msg.type === "frame") trainee.frame = msg.image;
+    if (msg.from === selected) render(msg.type);
+  }
+
+  function updateTrainees(list) {
+    const known = new Set(list.map((t) => t.id));
+    Array.from(trainees.keys()).forEach((id) => known.has(id) || trainees.delete(id));
+    list.forEach((t) => {
+      const trainee = trainees.get(t.id) || { id: t.id };
+      trainees.set(t.id, Object.assign(trainee, { name: t.name, scenario: t.scenario }));
+    });
+    if (!trainees.has(selected)) selected = list.length ? list[0].id : null;
+
+    ui.select.innerHTML = "";
+    list.forEach((t) => {
+      const option = document.createElement("option");
+      option.value = t.id;
+      option.textContent = t.scenario ? `${t.name} — ${t.scenario}` : t.name;
+      ui.select.appendChild(option);
+    });
+    if (!list.length) {
+      const option = document.createElement("option");
+      option.textContent = "Nenhum aluno conectado";
+      ui.select.appendChild(option);
+    }
+    ui.select.value = selected || "";
+    ui.select.disabled = !list.length;
+    [ui.pauseBtn, ui.skipBtn, ui.hudText, ui.hudForm.querySelector("button")].forEach(
+      (el) => (el.disabled = !selected),
+    );
+    render();
+  }
+
+  // ─── Rendering ────────────────────────────────────────────────────
+
+  /** Redraws the panels touched by a message type (all when omitted). */
+  function render(type) {
+    const trainee = selected ? trainees.get(selected) : null;
+    if (!type || type === "frame") renderView(trainee);
+    if (!type || type === "status" || type === "layout") renderMap(trainee);
+    if (!type || type === "status" || type === "layout") renderStatus(trainee);
+  }
+
+  function renderView(trainee) {
+    const image = trainee && trainee.frame;
+    ui.view.hidden = !image;
+    ui.viewEmpty.hidden = !!image;
+    if (image) ui.view.src = image;
+  }
+
+  function renderStatus(trainee) {
+    const status = trainee && trainee.status;
+    ui.stateName.textContent = status && status.state ? status.state : "—";
+    ui.stateDesc.textContent = status ? status.desc : "";
+    ui.paused.hidden = !(status && status.paused);
+    ui.pauseBtn.textContent = status && status.paused ? "Retomar" : "Pausar";
+
+    ui.subgoals.innerHTML = "";
+    (status ? status.subgoals : []).forEach((goal) => {
+      const li = document.createElement("li");
+      li.textContent = goal.label || goal.id;
+      if (goal.done) li.classList.add("done");
+      if (goal.active) li.classList.add("active");
+      ui.subgoals.appendChild(li);
+    });
+
+    // Rows are updated in place: rebuilding them at the status rate would eat clicks
+    const fires = status ? status.fires : [];
+    const ids = fires.map((f) => f.id).join(",");
+    if (ui.fires.dataset.ids !== ids) {
+      ui.fires.dataset.ids = ids;
+      ui.fires.innerHTML = "";
+      fires.forEach((fire) => {
+        const li = document.createElement("li");
+        const label = document.createElement("span");
+        label.textContent = `${fire.id} (classe ${fire.fireClass})`;
+        const bar = document.createElement("div");
+        bar.className = "bar";
+        bar.appendChild(document.createElement("span"));
+        const button = document.createElement("button");
+        button.onclick = () => sendCommand("ignite", { target: fire.id });
+        li.append(label, bar, button);
+        ui.fires.appendChild(li);
+      });
+    }
+    fires.forEach((fire, i) => {
+      const li = ui.fires.children[i];
+      const percent = `${Math.round(fire.intensity * 100)}%`;
+      li.querySelector(".bar").title = percent;
+      li.querySelector(".bar span").style.width = percent;
+      li.querySelector("button").textContent = fire.burning ? "Reforçar" : "Acender";
+    });
+
+    const ext = status && status.extinguisher;
+    const rows = !ext
+      ? []
+      : ext.held
+        ? [
+          ["Na mão", ext.name],
+          ["Agente", ext.agent],
+          ["Carga", `${Math.round(ext.charge * 100)}%`],
+          ["Lacre", ext.sealRemoved ? "Removido" : "Intacto"],
+          ["Disparo", ext.spraying ? "Sim" : "Não"],
+        ]
+        : [["Na mão", "Nenhum"]];
+    ui.extinguisher.innerHTML = "";
+    rows.forEach(([term, value]) => {
+      const dt = document.createElement("dt");
+      dt.textContent = term;
+      const dd = document.createElement("dd");
+      dd.textContent = value;
+      ui.extinguisher.append(dt, dd);
+    });
+  }
+
+  function renderMap(trainee) {
+    const canvas = ui.map;
+    const ctx = canvas.getContext("2d");
+    ctx.fillStyle = "#000";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    const layout = trainee && trainee.layout;
+    if (!layout) return;
+
+    const map = P.mapTransform(layout.bounds, canvas.width, canvas.height, 16);
+    const b = layout.bounds;
+    const [x0, y0] = map.toMap(b.minX, b.minZ);
+    const [x1, y1] = map.toMap(b.maxX, b.maxZ);
+    ctx.fillStyle = "#1f2937";
+    ctx.fillRect(x0, y0, x1 - x0, y1 - y0);
+
+    const status = trainee.status;
+    const intensity = {};
+    (status ? status.fires : []).forEach((f) => (intensity[f.id] = f.intensity));
+
+    ctx.font = "11px system-ui, sans-serif";
+    layout.extinguishers.forEach((ext) => {
+      const [x, y] = map.toMap(ext.x, ext.z);
+      ctx.fillStyle = "#ef4444";
+      ctx.fillRect(x - 4, y - 4, 8, 8);
+      ctx.fillStyle = "#9ca3af";
+      ctx.fillText(ext.name, x + 7, y + 4);
+    });
+
+    layout.fires.forEach((fire) => {
+      const [x, y] = map.toMap(fire.x, fire.z);
+      const level = intensity[fire.id] || 0;
+      ctx.beginPath();
+      ctx.arc(x, y, 4 + level * 12, 0, Math.PI * 2);
+      ctx.fillStyle = level > 0 ? `rgba(245, 158, 11, ${0.4 + level * 0.6})` : "#4b5563";
+      ctx.fill();
+    });
+
+    const pose = status && status.pose;
+    if (!pose) return;
+    const [x, y] = map.toMap(pose.x, pose.z);
+    // Heading like rotation.y: 0 looks toward −z (up on the map)
+    const fx = -Math.sin(pose.yaw);
+    const fy = -Math.cos(pose.yaw);
+    ctx.beginPath();
+    ctx.moveTo(x + fx * 12, y + fy * 12);
+    ctx.lineTo(x - fx * 6 + fy * 6, y - fy * 6 - fx * 6);
+    ctx.lineTo(x - fx * 6 - fy * 6, y - fy * 6 + fx * 6);
+    ctx.closePath();
+    ctx.fillStyle = "#22c55e";
+    ctx.fill();
+  }
+
+  // ─── Controls ─────────────────────────────────────────────────────
+
+  ui.select.onchange = () => {
+    selected = ui.select.value;
+    render();
+  };
+
+  ui.pauseBtn.onclick = () => {
+    const trainee = trainees.get(selected);
+    const paused = trainee && trainee.status && trainee.status.paused;
+    sendCommand(paused ? "resume" : "pause");
+  };
+
+  ui.skipBtn.onclick = () => sendCommand("skip");
+
+  ui.hudForm.onsubmit = (e) => {
+    e.preventDefault();
+    const text = ui.hudText.value.trim();
+    if (!text) return;
+    sendCommand("hud", { text });
+    ui.hudText.value = "";
+  };
+
+  render();
+  connect();
+})();
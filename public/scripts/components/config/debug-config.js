@@ -39,6 +39,7 @@ const _CATEGORY_MAP = {
   // Particles
   Fire: "LOG_PARTICLES",
   Foam: "LOG_PARTICLES",
+  Heat: "LOG_PARTICLES",
   // Controls / interaction
   ExtinguisherCtrl: "LOG_CONTROLS",
   MovementController: "LOG_CONTROLS",
@@ -46,9 +47,19 @@ const _CATEGORY_MAP = {
   TrainingState: "LOG_TRAINING",
   TrainingManager: "LOG_TRAINING",
   SceneManager: "LOG_TRAINING",
+  ScenarioLoader: "LOG_TRAINING",
+  Scoring: "LOG_TRAINING",
+  SessionRecorder: "LOG_TRAINING",
+  SessionReplay: "LOG_TRAINING",
+  xAPI: "LOG_TRAINING",
+  SCORM: "LOG_TRAINING",
+  Instructor: "LOG_TRAINING",
+  Network: "LOG_TRAINING",
   // UI
   InteractivePanels: "LOG_CLICK_LISTENER",
   TutorialHUD: "LOG_CLICK_LISTENER",
+  ResultsPanel: "LOG_CLICK_LISTENER",
+  I18n: "LOG_CLICK_LISTENER",
   // Renderer / stats
   VRStats: "LOG_RENDERER",
   // Hand tracking
@@ -0,0 +1,150 @@
+/**
+ * Extinguishing Agents
+ *
+ * Emitter physics, visuals and effectiveness coefficients for each agent
+ * an extinguisher can discharge.
+ *
+ * Loaded via <script> before foam-system.js / fire-system.js.
+ * Exposes window.EXTINGUISHING_AGENTS.
+ *
+ * Per agent:
+ *   emitter       — overrides for foam-system physics (empty = use the schema as-is)
+ *   tint/whiteMix — particle colour (multiplied over the sprite texture)
+ *   sublimates    — gas agents vanish instead of settling on the floor
+ *   effectiveness — suppression-rate multiplier per fire class (read by fire-system)
+ *   mass          — relative weight of one particle when it hits the fuel
+ *   cooling       — how well the agent removes heat (0 = smothers only)
+ *   range         — [min, max] recommended standoff distance in metres
+ *
+ * Usage:
+ *   const co2 = window.EXTINGUISHING_AGENTS.get("co2");
+ *   window.EXTINGUISHING_AGENTS.getEffectiveness("co2", "C"); // 1.2
+ */
+
+(function () {
+  "use strict";
+
+  const AGENTS = {
+    // AFFF foam — the original foam-system tuning
+    foam: {
+      label: "Espuma (AFFF)",
+      emitter: {},
+      tint: 0xffffff,
+      whiteMix: 0.35,
+      sublimates: false,
+      effectiveness: { A: 1.0, B: 1.3, C: 0.0, D: 0.0, K: 0.3 },
+      mass: 0.8,
+      cooling: 0.7,
+      range: [2.0, 5.0],
+    },
+
+    // Solid water stream — long reach, narrow, falls quickly
+    water: {
+      label: "Água",
+      emitter: {
+        speed: 12.0,
+        coneAngle: 2.5,
+        life: 1.6,
+        sizeStart: 0.02,
+        sizeEnd: 0.12,
+        gravity: -9.8,
+        drag: 0.25,
+        opacity: 0.5,
+        turbulence: 0.2,
+        spreadGrowth: 0.2,
+        groundSpread: 1.0,
+        groundDrag: 4.0,
+        groundSizeScale: 2.0,
+      },
+      tint: 0x9fc8ff,
+      whiteMix: 0.1,
+      sublimates: false,
+      effectiveness: { A: 1.2, B: 0.0, C: 0.0, D: 0.0, K: 0.0 },
+      mass: 1.0,
+      cooling: 1.0,
+      range: [3.0, 8.0],
+    },
+
+    // CO2 — short-range expanding gas cloud that sublimates
+    co2: {
+      label: "CO2",
+      emitter: {
+        speed: 9.0,
+        coneAngle: 14,
+        life: 0.9,
+        sizeStart: 0.08,
+        sizeEnd: 1.4,
+        gravity: -0.5,
+        drag: 3.0,
+        opacity: 0.55,
+        turbulence: 2.0,
+        spreadGrowth: 3.0,
+      },
+      tint: 0xf4f8ff,
+      whiteMix: 0.6,
+      sublimates: true,
+      effectiveness: { A: 0.2, B: 0.9, C: 1.2, D: 0.0, K: 0.3 },
+      mass: 0.3,
+      cooling: 0.1,
+      range: [1.0, 2.5],
+    },
+
+    // Dry chemical (ABC powder) — dense cloud, settles as dust
+    dry_chemical: {
+      label: "Pó químico seco",
+      emitter: {
+        speed: 10.0,
+        coneAngle: 10,
+        life: 2.2,
+        sizeStart: 0.06,
+        sizeEnd: 1.1,
+        gravity: -1.5,
+        drag: 1.6,
+        opacity: 0.75,
+        turbulence: 1.4,
+        spreadGrowth: 2.2,
+        groundSpread: 1.2,
+        groundDrag: 8.0,
+        groundSizeScale: 1.3,
+      },
+      tint: 0xfff6dc,
+      whiteMix: 0.25,
+      sublimates: false,
+      effectiveness: { A: 0.9, B: 1.2, C: 1.0, D: 0.0, K: 0.6 },
+      mass: 0.6,
+      cooling: 0.2,
+      range: [2.0, 4.5],
+    },
+  };
+
+  const DEFAULT_AGENT = "foam";
+
+  /**
+   * Returns the agent definition, falling back to foam for unknown ids.
+   * @param {string} agent
+   * @returns {Object}
+   */
+  function get(agent) {
+    return AGENTS[agent] || AGENTS[DEFAULT_AGENT];
+  }
+
+  /**
+   * Suppression-rate multiplier of an agent against a fire class.
+   * @param {string} agent
+   * @param {string} fireClass - resolved class id (see FIRE_CLASSES.resolve)
+   * @returns {number}
+   */
+  function getEffectiveness(agent, fireClass) {
+    const def = AGENTS[agent];
+    if (!def) return 0;
+    const value = def.effectiveness[String(fireClass || "").toUpperCase()];
+    return typeof value === "number" ? value : 0;
+  }
+
+  window.EXTINGUISHING_AGENTS = {
+    DEFAULT_AGENT: DEFAULT_AGENT,
+    ids: Object.keys(AGENTS),
+    get: get,
+    getEffectiveness: getEffectiveness,
+  };
+})();
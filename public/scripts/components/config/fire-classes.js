@@ -0,0 +1,242 @@
+/**
+ * Fire Classes
+ *
+ * Fuel behaviour per fire class (Brazilian/NFPA convention A/B/C/D/K):
+ * particle palettes, how fast the fire spreads, and how each extinguishing
+ * agent performs against it.
+ *
+ * Loaded via <script> before fire-system.js. Exposes window.FIRE_CLASSES.
+ *
+ * Agent outcomes:
+ *   "suppress" — agent knocks the fire down
+ *   "fail"     — agent has no real effect (fire keeps burning)
+ *   "worsen"   — agent spreads or intensifies the fire
+ *   "hazard"   — agent puts the trainee at risk (e.g. electrocution)
+ *
+ * Usage:
+ *   window.FIRE_CLASSES.get("B").palette.fire;         // [[t, 0xRRGGBB], …]
+ *   window.FIRE_CLASSES.getOutcome("C", "water", true); // { result: "hazard", fault: "electrocution" }
+ */
+
+(function () {
+  "use strict";
+
+  /** Default palettes (class A — ordinary combustibles, wood/paper/cloth). */
+  const WOOD_PALETTE = {
+    fire: [
+      [0.0, 0xffffff],
+      [0.3, 0xffff80],
+      [0.6, 0xff8030],
+      [1.0, 0xff3010],
+    ],
+    smoke: [
+      [0.0, 0x444444],
+      [0.5, 0x333333],
+      [1.0, 0x222222],
+    ],
+    ceiling: [
+      [0.0, 0x383838],
+      [0.5, 0x2a2a2a],
+      [1.0, 0x1a1a1a],
+    ],
+    light: 0xff6600,
+  };
+
+  const CLASSES = {
+    A: {
+      label: "Classe A — sólidos combustíveis",
+      palette: WOOD_PALETTE,
+      spreadRate: 0.04, // radius growth (m/s) while the fire is being fed
+      maxSpread: 1.6, // max radius multiplier
+      agents: {
+        water: { result: "suppress" },
+        foam: { result: "suppress" },
+        co2: { result: "fail" },
+        dry_chemical: { result: "suppress" },
+      },
+    },
+    B: {
+      label: "Classe B — líquidos inflamáveis",
+      palette: {
+        fire: [
+          [0.0, 0xfff2c0],
+          [0.3, 0xffc040],
+          [0.6, 0xff6010],
+          [1.0, 0xc02000],
+        ],
+        smoke: [
+          [0.0, 0x1e1e1e],
+          [0.5, 0x141414],
+          [1.0, 0x0a0a0a],
+        ],
+        ceiling: [
+          [0.0, 0x181818],
+          [0.5, 0x101010],
+          [1.0, 0x080808],
+        ],
+        light: 0xff5000,
+      },
+      spreadRate: 0.12,
+      maxSpread: 2.5,
+      agents: {
+        water: { result: "worsen", fault: "splash-spread" },
+        foam: { result: "suppress" },
+        co2: { result: "suppress" },
+        dry_chemical: { result: "suppress" },
+      },
+    },
+    C: {
+      label: "Classe C — equipamentos energizados",
+      palette: {
+        fire: [
+          [0.0, 0xffffff],
+          [0.3, 0xd0e0ff],
+          [0.6, 0xff9050],
+          [1.0, 0xff4020],
+        ],
+        smoke: [
+          [0.0, 0x3a3a44],
+          [0.5, 0x2c2c34],
+          [1.0, 0x1e1e24],
+        ],
+        ceiling: [
+          [0.0, 0x34343c],
+          [0.5, 0x28282e],
+          [1.0, 0x1a1a20],
+        ],
+        light: 0xb0c8ff,
+      },
+      spreadRate: 0.03,
+      maxSpread: 1.3,
+      // Once de-energized, an electrical fire behaves like its fuel (class A)
+      deenergizedAs: "A",
+      agents: {
+        water: { result: "hazard", fault: "electrocution" },
+        foam: { result: "hazard", fault: "electrocution" },
+        co2: { result: "suppress" },
+        dry_chemical: { result: "suppress" },
+      },
+    },
+    D: {
+      label: "Classe D — metais combustíveis",
+      palette: {
+        fire: [
+          [0.0, 0xffffff],
+          [0.3, 0xffffff],
+          [0.6, 0xf0f0ff],
+          [1.0, 0xffd0a0],
+        ],
+        smoke: [
+          [0.0, 0xbbbbbb],
+          [0.5, 0xaaaaaa],
+          [1.0, 0x999999],
+        ],
+        ceiling: [
+          [0.0, 0x9a9a9a],
+          [0.5, 0x8a8a8a],
+          [1.0, 0x7a7a7a],
+        ],
+        light: 0xfff4e0,
+      },
+      spreadRate: 0.01,
+      maxSpread: 1.2,
+      agents: {
+        water: { result: "worsen", fault: "metal-reaction" },
+        foam: { result: "worsen", fault: "metal-reaction" },
+        co2: { result: "worsen", fault: "metal-reaction" },
+        dry_chemical: { result: "fail" },
+      },
+    },
+    K: {
+      label: "Classe K — óleos e gorduras de cozinha",
+      palette: {
+        fire: [
+          [0.0, 0xffffd0],
+          [0.3, 0xffe060],
+          [0.6, 0xff9020],
+          [1.0, 0xe04010],
+        ],
+        smoke: [
+          [0.0, 0x505048],
+          [0.5, 0x3a3a34],
+          [1.0, 0x262622],
+        ],
+        ceiling: [
+          [0.0, 0x403e38],
+          [0.5, 0x302e2a],
+          [1.0, 0x201e1c],
+        ],
+        light: 0xff7a10,
+      },
+      spreadRate: 0.08,
+      maxSpread: 2.0,
+      agents: {
+        water: { result: "worsen", fault: "grease-eruption" },
+        foam: { result: "fail" },
+        co2: { result: "fail" },
+        dry_chemical: { result: "suppress" },
+      },
+    },
+  };
+
+  const DEFAULT_CLASS = "A";
+
+  /**
+   * Returns the class definition, falling back to class A for unknown ids.
+   * @param {string} fireClass - "A" | "B" | "C" | "D" | "K"
+   * @returns {Object}
+   */
+  function get(fireClass) {
+    const key = String(fireClass || "").toUpperCase();
+    return CLASSES[key] || CLASSES[DEFAULT_CLASS];
+  }
+
+  /**
+   * Returns the class id a fire actually behaves as — a de-energized
+   * class C fire burns like its fuel (class A).
+   *
+   * @param {string} fireClass
+   * @param {boolean} [energized=true] - only meaningful for class C
+   * @returns {string}
+   */
+  function resolve(fireClass, energized) {
+    const key = CLASSES[String(fireClass || "").toUpperCase()]
+      ? String(fireClass).toUpperCase()
+      : DEFAULT_CLASS;
+    const def = CLASSES[key];
+    return energized === false && def.deenergizedAs ? def.deenergizedAs : key;
+  }
+
+  /**
+   * Resolves what happens when an agent is applied to a fire.
+   * Unknown agents are treated as "fail".
+   *
+   * @param {string} fireClass
+   * @param {string} agent      - "water" | "foam" | "co2" | "dry_chemical"
+   * @param {boolean} [energized=true] - only meaningful for class C
+   * @returns {{ result: string, fault?: string }}
+   */
+  function getOutcome(fireClass, agent, energized) {
+    const def = CLASSES[resolve(fireClass, energized)];
+    return def.agents[agent] || { result: "fail" };
+  }
+
+  /**
+   * Lists the agents that suppress a given class (used for selection feedback).
+   * @param {string} fireClass
+   * @returns {string[]}
+   */
+  function suitableAgents(fireClass, energized) {
+    const def = CLASSES[resolve(fireClass, energized)];
+    return Object.keys(def.agents).filter((a) => def.agents[a].result === "suppress");
+  }
+
+  window.FIRE_CLASSES = {
+    DEFAULT_CLASS: DEFAULT_CLASS,
+    ids: Object.keys(CLASSES),
+    get: get,
+    resolve: resolve,
+    getOutcome: getOutcome,
+    suitableAgents: suitableAgents,
+  };
+})();
@@ -0,0 +1,238 @@
+/**
+ * Scoring Rubric
+ *
+ * Criteria, weights and thresholds used to turn the metrics collected by
+ * training-score into a certification score, plus the evaluation itself.
+ *
+ * Loaded via <script> before training-score.js. Exposes window.SCORING_RUBRIC.
+ *
+ * Per criterion:
+ *   metric   — key in the metrics object (see training-score.js)
+ *   type     — "boolean": full score when the metric is true
+ *              "max":     full score at or below `target`, 0 at `zero`
+ *              "min":     full score at or above `target`, 0 at `zero`
+ *   weight   — relative weight in the 0–100 total
+ *   passAt   — criterion score (0 → 1) needed to pass it
+ *   critical — failing it fails the run regardless of the total
+ *   optional — left out of the report when its metric is missing (no quiz
+ *              in the scenario) instead of scoring 0
+ *
+ * A missing metric (e.g. no knockdown) scores 0 unless the criterion is optional. Scenarios override any
+ * field per criterion and the pass mark:
+ *   "scoring": { "passScore": 75, "criteria": { "knockdownTime": { "target": 90 } } }
+ *
+ * Usage:
+ *   const report = window.SCORING_RUBRIC.evaluate(metrics, scenario.scoring);
+ *   report.score;    // 0–100
+ *   report.passed;   // total ≥ passScore and no critical criterion failed
+ *   report.reason;   // why it failed (or passed), in pt-BR for LMS / xAPI records
+ *   report.verdict;  // "critical" | "score" | "partial" | "passed" — for localized UI
+ *   report.criteria; // [{ id, label, value, score, weight, passed, reason }]
+ */
+
+(function () {
+  "use strict";
+
+  const PASS_SCORE = 70;
+
+  const CRITERIA = {
+    agentChoice: {
+      label: "Escolha do extintor",
+      metric: "correctAgent",
+      type: "boolean",
+      weight: 20,
+      critical: true,
+    },
+    sealOrder: {
+      label: "Lacre removido antes do disparo",
+      metric: "sealBeforeSpray",
+      type: "boolean",
+      weight: 5,
+    },
+    knockdownTime: {
+      label: "Tempo até a extinção",
+      metric: "knockdownTime",
+      type: "max",
+      target: 60, // s
+      zero: 240,
+      weight: 20,
+      passAt: 0.5,
+      unit: "s",
+    },
+    agentWaste: {
+      label: "Agente desperdiçado",
+      metric: "wasteFraction",
+      type: "max",
+      target: 0.25,
+      zero: 0.8,
+      weight: 10,
+      passAt: 0.5,
+      unit: "%",
+    },
+    technique: {
+      label: "Técnica PASS",
+      metric: "passQuality",
+      type: "min",
+      target: 0.75,
+      zero: 0.25,
+      weight: 20,
+      passAt: 0.5,
+      unit: "%",
+    },
+    distance: {
+      label: "Distância segura",
+      metric: "distanceKept",
+      type: "min",
+      target: 0.8,
+      zero: 0.3,
+      weight: 10,
+      passAt: 0.5,
+      unit: "%",
+    },
+    heatExposure: {
+      label: "Exposição ao calor",
+      metric: "heatDoseFraction",
+      type: "max",
+      target: 0.3,
+      zero: 1.0,
+      weight: 10,
+      passAt: 0.5,
+      critical: true,
+      unit: "%",
+    },
+    reignitions: {
+      label: "Reignições",
+      metric: "reignitions",
+      type: "max",
+      target: 0,
+      zero: 3,
+      weight: 5,
+      passAt: 0.6,
+    },
+    knowledge: {
+      label: "Conhecimento (quiz)",
+      metric: "quizScore",
+      type: "min",
+      target: 0.8,
+      zero: 0.4,
+      weight: 10,
+      passAt: 0.5,
+      optional: true,
+      unit: "%",
+    },
+  };
+
+  /**
+   * Merges scenario overrides into the default criteria.
+   * @param {Object} [overrides] - scenario `scoring` object
+   * @returns {{ passScore: number, criteria: Object }}
+   */
+  function get(overrides) {
+    const cfg = overrides || {};
+    const custom = cfg.criteria || {};
+    const criteria = {};
+    Object.keys(CRITERIA).forEach((id) => {
+      if (custom[id] === false) return; // disabled by the scenario
+      criteria[id] = Object.assign({}, CRITERIA[id], custom[id]);
+    });
+    return {
+      passScore: cfg.passScore !== undefined ? cfg.passScore : PASS_SCORE,
+      criteria: criteria,
+    };
+  }
+
+  /** Linear ramp between `target` (1) and `zero` (0). */
+  function ramp(value, target, zero) {
+    if (target === zero) return value === target ? 1 : 0;
+    const t = (value - zero) / (target - zero);
+    return Math.max(0, Math.min(1, t));
+  }
+
+  function scoreCriterion(def, value) {
+    if (value === undefined || value === null) return 0;
+    if (def.type === "boolean") return value ? 1 : 0;
+    if (def.type === "max") return value <= def.target ? 1 : ramp(value, def.target, def.zero);
+    return value >= def.target ? 1 : ramp(value, def.target, def.zero);
+  }
+
+  function formatValue(def, value) {
+    if (value === undefined || value === null) return "—";
+    if (def.type === "boolean") return value ? "sim" : "não";
+    if (def.unit === "%") return `${Math.round(value * 100)}%`;
+    if (def.unit) return `${Math.round(value)} ${def.unit}`;
+    return String(Math.round(value * 10) / 10);
+  }
+
+  /**
+   * Scores a set of metrics against the rubric.
+   * @param {Object} metrics
+   * @param {Object} [overrides] - scenario `scoring` object
+   * @returns {Object} report
+   */
+  function evaluate(metrics, overrides) {
+    const rubric = get(overrides);
+    let total = 0;
+    let weights = 0;
+    const ids = Object.keys(rubric.criteria).filter((id) => {
+      const def = rubric.criteria[id];
+      const value = metrics[def.metric];
+      return !def.optional || (value !== undefined && value !== null);
+    });
+    const criteria = ids.map((id) => {
+      const def = rubric.criteria[id];
+      const value = metrics[def.metric];
+      const score = scoreCriterion(def, value);
+      const passAt = def.passAt !== undefined ? def.passAt : 1;
+      const passed = score >= passAt;
+      total += score * def.weight;
+      weights += def.weight;
+      return {
+        id: id,
+        label: def.label,
+        value: value,
+        display: formatValue(def, value),
+        score: score,
+        weight: def.weight,
+        critical: !!def.critical,
+        passed: passed,
+      };
+    });
+
+    const score = weights > 0 ? Math.round((total / weights) * 100) : 0;
+    const criticalFails = criteria.filter((c) => c.critical && !c.passed);
+    const failed = criteria.filter((c) => !c.passed);
+    const passed = score >= rubric.passScore && criticalFails.length === 0;
+
+    let reason;
+    let verdict;
+    if (criticalFails.length) {
+      verdict = "critical";
+      reason = `Reprovado: ${criticalFails.map((c) => c.label).join(", ")}`;
+    } else if (!passed) {
+      verdict = "score";
+      reason = `Pontuação ${score} abaixo do mínimo ${rubric.passScore}`;
+    } else if (failed.length) {
+      verdict = "partial";
+      reason = `Aprovado com ressalvas: ${failed.map((c) => c.label).join(", ")}`;
+    } else {
+      verdict = "passed";
+      reason = "Aprovado em todos os critérios";
+    }
+
+    return {
+      score: score,
+      passScore: rubric.passScore,
+      passed: passed,
+      reason: reason,
+      verdict: verdict,
+      criteria: criteria,
+    };
+  }
+
+  window.SCORING_RUBRIC = {
+    PASS_SCORE: PASS_SCORE,
+    ids: Object.keys(CRITERIA),
+    get: get,
+    evaluate: evaluate,
+  };
+})();
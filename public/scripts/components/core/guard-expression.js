@@ -0,0 +1,208 @@
+/**
+ * Guard Expressions
+ *
+ * Tiny, side-effect-free expression language for training-state guards and
+ * context assignments, so procedures can be authored in JSON without
+ * JavaScript (and without eval).
+ *
+ * Loaded via <script> before training-machine.js. Exposes window.GUARD_EXPRESSION.
+ *
+ * Supported:
+ *   literals     42, 1.5, 'co2', "co2", true, false, null, undefined
+ *   variables    extinguisherType, event.agent, attempts (dot paths into scope)
+ *   operators    ! -x   * / %   + -   < <= > >=   === !== == !=   &&   ||
+ *   grouping     ( … )
+ *
+ * Unknown variables evaluate to undefined. Only own properties are read.
+ *
+ * Usage:
+ *   const guard = window.GUARD_EXPRESSION.compile("extinguisherType === 'co2'");
+ *   guard({ extinguisherType: "co2" }); // true
+ *   window.GUARD_EXPRESSION.evaluate("attempts + 1", { attempts: 2 }); // 3
+ */
+
+(function () {
+  "use strict";
+
+  const OPERATORS = [
+    "===", "!==", "==", "!=", "<=", ">=", "&&", "||",
+    "<", ">", "!", "+", "-", "*", "/", "%", "(", ")",
+  ];
+
+  const LITERALS = { true: true, false: false, null: null, undefined: undefined };
+
+  // Binary operator precedence (higher binds tighter)
+  const PRECEDENCE = {
+    "||": 1,
+    "&&": 2,
+    "===": 3, "!==": 3, "==": 3, "!=": 3,
+    "<": 4, "<=": 4, ">": 4, ">=": 4,
+    "+": 5, "-": 5,
+    "*": 6, "/": 6, "%": 6,
+  };
+
+  /**
+   * Splits an expression into tokens.
+   * @param {string} src
+   * @returns {Array<{type: string, value: *}>}
+   */
+  function tokenize(src) {
+    const tokens = [];
+    let i = 0;
+    while (i < src.length) {
+      const ch = src[i];
+      if (/\s/.test(ch)) {
+        i++;
+        continue;
+      }
+      if (/[0-9]/.test(ch) || (ch === "." && /[0-9]/.test(src[i + 1]))) {
+        const m = /^[0-9]*\.?[0-9]+/.exec(src.slice(i));
+        tokens.push({ type: "num", value: parseFloat(m[0]) });
+        i += m[0].length;
+        continue;
+      }
+      if (ch === "'" || ch === '"') {
+        const end = src.indexOf(ch, i + 1);
+        if (end === -1) throw new Error(`Unterminated string at ${i}`);
+        tokens.push({ type: "str", value: src.slice(i + 1, end) });
+        i = end + 1;
+        continue;
+      }
+      if (/[A-Za-z_$]/.test(ch)) {
+        const m = /^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*/.exec(src.slice(i));
+        tokens.push({ type: "id", value: m[0] });
+        i += m[0].length;
+        continue;
+      }
+      const op = OPERATORS.find((o) => src.startsWith(o, i));
+      if (!op) throw new Error(`Unexpected '${ch}' at ${i}`);
+      tokens.push({ type: "op", value: op });
+      i += op.length;
+    }
+    return tokens;
+  }
+
+  /**
+   * Precedence-climbing parser producing a small AST.
+   * @param {Array} tokens
+   * @returns {Object}
+   */
+  function parse(tokens) {
+    let pos = 0;
+    const peek = () => tokens[pos];
+    const isOp = (value) => peek() && peek().type === "op" && peek().value === value;
+
+    function primary() {
+      const tok = tokens[pos++];
+      if (!tok) throw new Error("Unexpected end of expression");
+      if (tok.type === "num" || tok.type === "str") return { type: "lit", value: tok.value };
+      if (tok.type === "id") {
+        if (Object.prototype.hasOwnProperty.call(LITERALS, tok.value)) {
+          return { type: "lit", value: LITERALS[tok.value] };
+        }
+        return { type: "var", path: tok.value.split(".") };
+      }
+      if (tok.value === "(") {
+        const inner = binary(0);
+        if (!isOp(")")) throw new Error("Missing ')'");
+        pos++;
+        return inner;
+      }
+      if (tok.value === "!" || tok.value === "-") {
+        return { type: "unary", op: tok.value, arg: primary() };
+      }
+      throw new Error(`Unexpected '${tok.value}'`);
+    }
+
+    function binary(minPrec) {
+      let left = primary();
+      while (peek() && peek().type === "op" && PRECEDENCE[peek().value] > minPrec) {
+        const op = tokens[pos++].value;
+        const right = binary(PRECEDENCE[op]);
+        left = { type: "bin", op, left, right };
+      }
+      return left;
+    }
+
+    const ast = binary(0);
+    if (pos < tokens.length) throw new Error(`Unexpected '${tokens[pos].value}'`);
+    return ast;
+  }
+
+  function lookup(scope, path) {
+    let value = scope;
+    for (let i = 0; i < path.length; i++) {
+      if (value === null || value === undefined) return undefined;
+      if (!Object.prototype.hasOwnProperty.call(Object(value), path[i])) return undefined;
+      value = value[path[i]];
+    }
+    return value;
+  }
+
+  function run(node, scope) {
+    switch (node.type) {
+      case "lit":
+        return node.value;
+      case "var":
+        return lookup(scope, node.path);
+      case "unary":
+        return node.op === "!" ? !run(node.arg, scope) : -run(node.arg, scope);
+      case "bin": {
+        // Short-circuit operators evaluate the right side lazily
+        if (node.op === "&&") return run(node.left, scope) && run(node.right, scope);
+        if (node.op === "||") return run(node.left, scope) || run(node.right, scope);
+        const a = run(node.left, scope);
+        const b = run(node.right, scope);
+        switch (node.op) {
+          case "===": return a === b;
+          case "!==": return a !== b;
+          // Loose on purpose: guards keep the JS meaning of == / != they are written in
+          case "==": return a == b;
+          case "!=": return a != b;
+          case "<": return a < b;
+          case "<=": return a <= b;
+          case ">": return a > b;
+          case ">=": return a >= b;
+          case "+": return a + b;
+          case "-": return a - b;
+          case "*": return a * b;
+          case "/": return a / b;
+          case "%": return a % b;
+        }
+      }
+    }
+    throw new Error(`Unknown node '${node.type}'`);
+  }
+
+  const cache = {};
+
+  /**
+   * Parses an expression once and returns an evaluator.
+   * Throws on syntax errors.
+   * @param {string} expr
+   * @returns {function(Object): *}
+   */
+  function compile(expr) {
+    const key = String(expr);
+    if (!cache[key]) {
+      const ast = parse(tokenize(key));
+      cache[key] = (scope) => run(ast, scope || {});
+    }
+    return cache[key];
+  }
+
+  /**
+   * Evaluates an expression against a scope object.
+   * @param {string} expr
+   * @param {Object} scope
+   * @returns {*}
+   */
+  function evaluate(expr, scope) {
+    return compile(expr)(scope);
+  }
+
+  window.GUARD_EXPRESSION = {
+    compile: compile,
+    evaluate: evaluate,
+  };
+})();
@@ -0,0 +1,165 @@
+/**
+ * I18n
+ *
+ * UI text by key from locale bundles (public/locales/<locale>.json), with
+ * pt-BR as the fallback for missing keys. Components resolve every string
+ * through `t()` and re-render on `onChange` (the bundles arrive after the
+ * scene is built, and the language picker switches them at runtime).
+ *
+ * Scenario files localize their own text inline: any displayed string may
+ * be an object of locale → text, resolved with `text()`:
+ *   "hud": { "start": { "pt-BR": "Pegue o extintor", "en": "Grab the extinguisher" } }
+ *
+ * Placeholders: "Extintor já está com {name}" + { name: "Ana" }.
+ *
+ * Loaded via <script> before the components. Exposes window.I18N; the
+ * language-picker component picks and loads the locale.
+ *
+ * Usage:
+ *   window.I18N.t("hud.start");
+ *   window.I18N.t("results.score", { score: 82, passScore: 70, outcome: "APROVADO" });
+ *   window.I18N.speechLang(); // "en-US" — speech recognition / TTS
+ */
+
+(function () {
+  "use strict";
+
+  const DEFAULT_LOCALE = "pt-BR";
+  const LOCALES = ["pt-BR", "en", "es"];
+
+  /** BCP 47 tags for the Web Speech API. */
+  const SPEECH_LANGS = { "pt-BR": "pt-BR", en: "en-US", es: "es-ES" };
+
+  const bundles = {};
+  const listeners = [];
+  let current = DEFAULT_LOCALE;
+  let ready = null;
+
+  /**
+   * Supported locale for a requested tag: exact match (case-insensitive),
+   * then by language ("en-GB" → "en", "pt" → "pt-BR").
+   * @param {...(string|string[])} candidates - in order of preference
+   * @returns {string}
+   */
+  function resolveLocale() {
+    const tags = [].concat.apply([], Array.prototype.slice.call(arguments)).filter(Boolean);
+    for (let i = 0; i < tags.length; i++) {
+      const tag = String(tags[i]).toLowerCase();
+      const exact = LOCALES.find((l) => l.toLowerCase() === tag);
+      if (exact) return exact;
+      const lang = tag.split("-")[0];
+      const byLang = LOCALES.find((l) => l.toLowerCase().split("-")[0] === lang);
+      if (byLang) return byLang;
+    }
+    return DEFAULT_LOCALE;
+  }
+
+  /** Value at a dotted key ("panels.intro.title") or undefined. */
+  function lookup(bundle, key) {
+    return key.split(".").reduce((node, part) => (node && typeof node === "object" ? node[part] : undefined), bundle);
+  }
+
+  /** Replaces {name} placeholders; unknown ones are left as they are. */
+  function format(template, params) {
+    if (!params) return template;
+    return template.replace(/\{(\w+)\}/g, (match, name) =>
+      params[name] !== undefined && params[name] !== null ? String(params[name]) : match,
+    );
+  }
+
+  /**
+   * Text for a key in the current locale, else pt-BR, else `fallback`
+   * (the key itself when omitted).
+   */
+  function t(key, params, fallback) {
+    let value = lookup(bundles[current], key);
+    if (typeof value !== "string") value = lookup(bundles[DEFAULT_LOCALE], key);
+    if (typeof value !== "string") value = fallback !== undefined ? fallback : key;
+    return format(value, params);
+  }
+
+  /** Inline scenario text: a string, or { locale: text } picked like resolveLocale. */
+  function text(value, params) {
+    if (value === undefined || value === null) return "";
+    if (typeof value !== "object") return format(String(value), params);
+    const keys = Object.keys(value);
+    const lang = current.split("-")[0];
+    const key =
+      keys.find((k) => k === current) ||
+      keys.find((k) => k.split("-")[0] === lang) ||
+      keys.find((k) => k === DEFAULT_LOCALE) ||
+      keys[0];
+    return key ? format(String(value[key]), params) : "";
+  }
+
+  function addBundle(locale, bundle) {
+    bundles[locale] = bundle;
+  }
+
+  /** Switches the locale (its bundle must be added) and notifies listeners. */
+  function setLocale(locale) {
+    current = resolveLocale(locale);
+    listeners.slice().forEach((fn) => {
+      try {
+        fn(current);
+      } catch (e) {
+        window.debugWarn("I18n", "Listener failed", e);
+      }
+    });
+  }
+
+  /**
+   * Fetches the locale's bundle (and the pt-BR fallback) and switches to it.
+   * @param {string} locale
+   * @param {string} [basePath]
+   * @returns {Promise<string>} the active locale
+   */
+  function load(locale, basePath) {
+    const base = basePath || "/locales/";
+    const target = resolveLocale(locale);
+    const fetchBundle = (l) =>
+      bundles[l]
+        ? Promise.resolve()
+        : fetch(`${base}${l}.json`)
+          .then((res) => {
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            return res.json();
+          })
+          .then((bundle) => addBundle(l, bundle))
+          .catch((e) => window.debugWarn("I18n", `Cannot load '${l}':`, e.message));
+    const loading = Promise.all([fetchBundle(DEFAULT_LOCALE), fetchBundle(target)]).then(() => {
+      setLocale(bundles[target] ? target : DEFAULT_LOCALE);
+      return current;
+    });
+    if (!ready) ready = loading;
+    return loading;
+  }
+
+  /** @returns {function} unsubscribe */
+  function onChange(fn) {
+    listeners.push(fn);
+    return () => {
+      const idx = listeners.indexOf(fn);
+      if (idx !== -1) listeners.splice(idx, 1);
+    };
+  }
+
+  window.I18N = {
+    DEFAULT_LOCALE: DEFAULT_LOCALE,
+    LOCALES: LOCALES,
+    resolveLocale: resolveLocale,
+    lookup: lookup,
+    format: format,
+    t: t,
+    text: text,
+    addBundle: addBundle,
+    setLocale: setLocale,
+    load: load,
+    onChange: onChange,
+    getLocale: () => current,
+    /** Language tag for speech recognition / synthesis (current locale by default). */
+    speechLang: (locale) => SPEECH_LANGS[resolveLocale(locale || current)],
+    /** Resolves once the first locale has loaded (immediately when none was requested). */
+    ready: () => ready || Promise.resolve(current),
+  };
+})();
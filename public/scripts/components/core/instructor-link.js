@@ -0,0 +1,380 @@
+/**
+ * Instructor Link Component
+ *
+ * Connects the trainee's scene to the instructor relay
+ * (tools/instructor-relay.mjs) so an instructor can follow the training on
+ * the 2D dashboard (public/instructor/) and steer it. Message format:
+ * core/instructor-protocol.js.
+ *
+ * Sent to the instructors:
+ *   hello   — on connect (trainee name, scenario)
+ *   layout  — on scenario-loaded: floor bounds (navmesh), fire and extinguisher positions
+ *   status  — `statusRate` times per second: training state and sub-steps, fire
+ *             intensities, extinguisher in hand, trainee position and heading
+ *   frame   — `frameRate` times per second: the trainee's view as a small JPEG
+ *             (rendered from the head pose into an offscreen target;
+ *             frameRate: 0 turns it off)
+ *
+ * Commands from the instructor:
+ *   pause / resume — freezes the simulation (sceneEl.pause / play), HUD notice
+ *   skip           — trainingState.forward()
+ *   ignite         { target } — sets the fuel / fire entity with that id alight
+ *   hud            { text }   — tutorial-hud.show(text)
+ *
+ * The relay is reached on the page's own host at /relay (Vite proxy in dev,
+ * nginx in the container) unless `url` or ?relay=… says otherwise; the
+ * relay's shared secret comes from ?token=… (put it in the ?relay= URL
+ * when that is given). The trainee name comes from `name` or ?trainee=…. When the relay is down the
+ * link retries with backoff and the training runs as usual.
+ *
+ * Events (emitted on the scene):
+ *   instructor-connected / instructor-disconnected
+ *   instructor-command { command, args }
+ */
+
+const INSTRUCTOR_MIRROR_FOV = 70;
+
+AFRAME.registerComponent("instructor-link", {
+  schema: {
+    enabled: { type: "boolean", default: true },
+    url: { type: "string", default: "" }, // default: same host, /relay
+    name: { type: "string", default: "" },
+    statusRate: { type: "number", default: 4 }, // Hz
+    frameRate: { type: "number", default: 2 }, // Hz, 0 = no mirrored view
+    frameWidth: { type: "int", default: 320 },
+    frameQuality: { type: "number", default: 0.6 },
+    retryDelay: { type: "number", default: 2000 },
+    maxRetryDelay: { type: "number", default: 30000 },
+    camera: { type: "selector", default: "#camera" },
+    hud: { type: "selector", default: "#tutorial-hud" },
+  },
+
+  init: function () {
+    this.scene = this.el.sceneEl;
+    this.socket = null;
+    this.connected = false;
+    this._delay = this.data.retryDelay;
+    this._timers = [];
+    this._layout = null;
+    if (!this.data.enabled) return;
+
+    const params = new URLSearchParams(window.location.search);
+    this.url =
+      params.get("relay") || this.data.url || window.INSTRUCTOR_PROTOCOL.relayUrl(window.location);
+    this.name = params.get("trainee") || this.data.name || "Aluno";
+
+    this._onScenarioLoaded = () => {
+      this._layout = this._buildLayout();
+      this._send(this._layout);
+    };
+    this.scene.addEventListener("scenario-loaded", this._onScenarioLoaded);
+
+    this._connect();
+  },
+
+  remove: function () {
+    if (!this.data.enabled) return;
+    this.scene.removeEventListener("scenario-loaded", this._onScenarioLoaded);
+    this._stopTimers();
+    clearTimeout(this._retryTimer);
+    if (this.socket) {
+      this.socket.onclose = null;
+      this.socket.close();
+    }
+    if (this._mirror) this._mirror.target.dispose();
+  },
+
+  // ─── Connection ───────────────────────────────────────────────────
+
+  _connect: function () {
+    let socket;
+    try {
+      socket = new WebSocket(`${this.url}${this.url.includes("?") ? "&" : "?"}role=trainee`);
+    } catch (e) {
+      window.debugWarn("Instructor", "Invalid relay URL:", this.url);
+      return;
+    }
+    this.socket = socket;
+
+    socket.onopen = () => {
+      this.connected = true;
+      this._delay = this.data.retryDelay;
+      window.debugLog("Instructor", "Connected to relay", this.url);
+      this._send(this._hello());
+      if (this._layout) this._send(this._layout);
+      this._startTimers();
+      this.scene.emit("instructor-connected", { url: this.url });
+    };
+    socket.onmessage = (e) => this._onMessage(e.data);
+    socket.onclose = () => {
+      const wasConnected = this.connected;
+      this.connected = false;
+      this.socket = null;
+      this._stopTimers();
+      if (wasConnected) {
+        window.debugWarn("Instructor", "Relay connection lost");
+        this.scene.emit("instructor-disconnected", {});
+      }
+      this._retryTimer = setTimeout(() => this._connect(), this._delay);
+      this._delay = Math.min(this._delay * 2, this.data.maxRetryDelay);
+    };
+  },
+
+  _startTimers: function () {
+    const d = this.data;
+    if (d.statusRate > 0) {
+      this._timers.push(setInterval(() => this._send(this._status()), 1000 / d.statusRate));
+    }
+    if (d.frameRate > 0) {
+      this._timers.push(setInterval(() => this._sendFrame(), 1000 / d.frameRate));
+    }
+  },
+
+  _stopTimers: function () {
+    this._timers.forEach(clearInterval);
+    this._timers = [];
+  },
+
+  _send: function (message) {
+    if (!this.connected) return;
+    // Skip frames rather than queue them behind a slow network
+    if (message.type === "frame" && this.socket.bufferedAmount > 256 * 1024) return;
+    this.socket.send(JSON.stringify(message));
+  },
+
+  // ─── Commands ─────────────────────────────────────────────────────
+
+  _onMessage: function (text) {
+    let msg;
+    try {
+      msg = JSON.parse(text);
+    } catch (e) {
+      return;
+    }
+    const error = window.INSTRUCTOR_PROTOCOL.validateCommand(msg);
+    if (error) {
+      window.debugWarn("Instructor", "Ignored message:", error);
+      return;
+    }
+    window.debugLog("Instructor", "Command:", msg.command, msg.args);
+    this._runCommand(msg.command, msg.args || {});
+    this.scene.emit("instructor-command", { command: msg.command, args: msg.args || {} });
+  },
+
+  _runCommand: function (command, args) {
+    const ts = this._trainingState();
+    switch (command) {
+      case "pause":
+        if (!this.scene.isPlaying) return;
+        this._hud(window.I18N.t("hud.paused"), 3000);
+        this.scene.pause();
+        break;
+      case "resume":
+        if (this.scene.isPlaying) return;
+        this.scene.play();
+        this._hud(window.I18N.t("hud.resumed"), 2000);
+        break;
+      case "skip":
+        if (ts) ts.forward();
+        break;
+      case "ignite":
+        this._ignite(args.target);
+        break;
+      case "hud":
+        this._hud(args.text, 6000);
+        break;
+    }
+    this._send(this._status());
+  },
+
+  _ignite: function (id) {
+    // In a crew session only the host's ignitions stick
+    const net = this.scene.components["network-session"];
+    if (net && net.isFollower()) {
+      net.requestIgnite(id, 0.3);
+      return;
+    }
+    const el = document.getElementById(id);
+    const fuel = el && el.components.fuel;
+    const fire = el && el.components["fire-system"];
+    if (fuel) fuel.ignite(Math.max(fuel.data.igniteIntensity, 0.3), "instructor");
+    else if (fire) fire.reignite(0.3);
+    else window.debugWarn("Instructor", "Nothing to ignite with id", id);
+  },
+
+  _hud: function (text, duration) {
+    const hud = this.data.hud && this.data.hud.components["tutorial-hud"];
+    if (hud) hud.show(text, duration);
+  },
+
+  _trainingState: function () {
+    const stateEl = this.scene.querySelector("[training-state]");
+    return stateEl && stateEl.trainingState;
+  },
+
+  // ─── Messages ─────────────────────────────────────────────────────
+
+  _hello: function () {
+    const loader = this.scene.components["scenario-loader"];
+    const scenario = loader && loader.getScenario();
+    return { type: "hello", name: this.name, scenario: scenario ? scenario.id : null };
+  },
+
+  _fireEls: function () {
+    return Array.from(this.scene.querySelectorAll("[fuel], [fire-system]")).filter((el) => el.id);
+  },
+
+  _buildLayout: function () {
+    const loader = this.scene.components["scenario-loader"];
+    const scenario = loader && loader.getScenario();
+    const box = new THREE.Box3();
+    this.scene.querySelectorAll(".navmesh").forEach((el) => box.expandByObject(el.object3D));
+
+    const pos = new THREE.Vector3();
+    const place = (el) => {
+      el.object3D.getWorldPosition(pos);
+      return { x: pos.x, z: pos.z };
+    };
+    const fires = this._fireEls().map((el) => Object.assign({ id: el.id }, place(el)));
+    const registry = this.scene.systems.extinguisher;
+    const extinguishers = (registry ? registry.getAll() : []).map((unit) =>
+      Object.assign({ name: unit.unitId, agent: unit.data.agent }, place(unit.el)),
+    );
+    // No navmesh: frame whatever there is to show
+    if (box.isEmpty()) {
+      fires.concat(extinguishers).forEach((p) => box.expandByPoint(pos.set(p.x, 0, p.z)));
+    }
+
+    return {
+      type: "layout",
+      scenario: scenario ? scenario.id : null,
+      bounds: box.isEmpty()
+        ? { minX: -5, minZ: -5, maxX: 5, maxZ: 5 }
+        : { minX: box.min.x, minZ: box.min.z, maxX: box.max.x, maxZ: box.max.z },
+      fires,
+      extinguishers,
+    };
+  },
+
+  _status: function () {
+    const ts = this._trainingState();
+    const state = ts ? ts.get() : null;
+
+    const fires = this._fireEls().map((el) => {
+      const fire = el.components["fire-system"];
+      const fuel = el.components.fuel;
+      return {
+        id: el.id,
+        intensity: fire ? Math.round(fire.fireIntensity * 1000) / 1000 : 0,
+        fireClass: fire ? fire.data.fireClass : fuel.data.fireClass,
+        burning: !!fire && fire.fireIntensity > 0,
+      };
+    });
+
+    const ctrlEl = this.scene.querySelector("[extinguisher-controller]");
+    const ctrl = ctrlEl && ctrlEl.components["extinguisher-controller"];
+    const unit = ctrl && ctrl.getActive();
+    const extinguisher = unit
+      ? {
+        held: true,
+        name: unit.unitId,
+        agent: unit.data.agent,
+        charge: Math.round(unit.getFill() * 100) / 100,
+        sealRemoved: unit.sealRemoved,
+        spraying: ctrl.isSpraying,
+      }
+      : { held: false };
+
+    return {
+      type: "status",
+      state,
+      desc: ts && state ? ts.getDesc(state) : "",
+      subgoals: ts ? ts.getSubgoals() : [],
+      paused: !this.scene.isPlaying,
+      fires,
+      extinguisher,
+      pose: this._pose(),
+    };
+  },
+
+  /** Head position on the floor and heading (rad, like rotation.y: 0 = facing −z). */
+  _pose: function () {
+    const camera = this.data.camera && this.data.camera.object3D;
+    if (!camera) return null;
+    const pos = new THREE.Vector3();
+    const dir = new THREE.Vector3();
+    camera.getWorldPosition(pos);
+    camera.getWorldDirection(dir); // entity's +z, the view looks the other way
+    const round = (v) => Math.round(v * 100) / 100;
+    return { x: round(pos.x), z: round(pos.z), yaw: round(Math.atan2(dir.x, dir.z)) };
+  },
+
+  // ─── Mirrored view ────────────────────────────────────────────────
+
+  /**
+   * Renders the scene from the head pose into a small offscreen target and
+   * sends it as JPEG. The WebXR path is switched off for this one render so
+   * it does not go to the headset; output is linear, so it is converted to
+   * sRGB on the way into the canvas.
+   */
+  _sendFrame: function () {
+    const renderer = this.scene.renderer;
+    const headCamera = this.scene.camera;
+    if (!renderer || !headCamera || !this.connected) return;
+
+    const m = this._mirror || (this._mirror = this._createMirror());
+    const { camera, target, pixels, image, ctx, canvas } = m;
+    headCamera.matrixWorld.decompose(camera.position, camera.quaternion, camera.scale);
+
+    const xrEnabled = renderer.xr.enabled;
+    const previousTarget = renderer.getRenderTarget();
+    renderer.xr.enabled = false;
+    renderer.setRenderTarget(target);
+    renderer.render(this.scene.object3D, camera);
+    renderer.readRenderTargetPixels(target, 0, 0, target.width, target.height, pixels);
+    renderer.setRenderTarget(previousTarget);
+    renderer.xr.enabled = xrEnabled;
+
+    // WebGL rows run bottom-up
+    const rowBytes = target.width * 4;
+    for (let y = 0; y < target.height; y++) {
+      const src = (target.height - 1 - y) * rowBytes;
+      const dst = y * rowBytes;
+      for (let i = 0; i < rowBytes; i += 4) {
+        image.data[dst + i] = m.srgb[pixels[src + i]];
+        image.data[dst + i + 1] = m.srgb[pixels[src + i + 1]];
+        image.data[dst + i + 2] = m.srgb[pixels[src + i + 2]];
+        image.data[dst + i + 3] = 255;
+      }
+    }
+    ctx.putImageData(image, 0, 0);
+    this._send({ type: "frame", image: canvas.toDataURL("image/jpeg", this.data.frameQuality) });
+  },
+
+  _createMirror: function () {
+    const width = this.data.frameWidth;
+    const height = Math.round((width * 9) / 16);
+    const camera = new THREE.PerspectiveCamera(INSTRUCTOR_MIRROR_FOV, width / height, 0.05, 200);
+    const target = new THREE.WebGLRenderTarget(width, height);
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext("2d");
+
+    const srgb = new Uint8Array(256);
+    for (let i = 0; i < 256; i++) {
+      const c = i / 255;
+      const s = c <= 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+      srgb[i] = Math.round(s * 255);
+    }
+    return {
+      camera,
+      target,
+      canvas,
+      ctx,
+      srgb,
+      pixels: new Uint8Array(width * height * 4),
+      image: ctx.createImageData(width, height),
+    };
+  },
+});
@@ -0,0 +1,111 @@
+/**
+ * Instructor Protocol
+ *
+ * Messages exchanged through the instructor relay (tools/instructor-relay.mjs)
+ * between the trainee scene (instructor-link) and the instructor dashboard
+ * (public/instructor/). Every message is a JSON object with a `type`:
+ *
+ *   trainee → instructors (the relay adds `from`, the trainee id)
+ *     hello   { name, scenario }
+ *     layout  { scenario, bounds: { minX, minZ, maxX, maxZ }, fires: [{ id, x, z }],
+ *               extinguishers: [{ name, agent, x, z }] }
+ *     status  { state, desc, subgoals, paused, fires: [{ id, intensity, fireClass, burning }],
+ *               extinguisher: { held, name, agent, charge, sealRemoved, spraying },
+ *               pose: { x, z, yaw } }
+ *     frame   { image } — JPEG data URL of the trainee's view
+ *
+ *   instructor → trainee(s)
+ *     command { command, args, to } — `to` omitted: every trainee
+ *
+ *   relay → instructors
+ *     trainees { list: [{ id, name, scenario }] }
+ *
+ * Loaded via <script> by instructor-link.js and by the dashboard.
+ * Exposes window.INSTRUCTOR_PROTOCOL.
+ */
+
+(function () {
+  "use strict";
+
+  const MAX_HUD_TEXT = 200;
+
+  // Command name → required string arguments
+  const COMMANDS = {
+    pause: [],
+    resume: [],
+    skip: [],
+    ignite: ["target"],
+    hud: ["text"],
+  };
+
+  /**
+   * Builds a command message.
+   * @param {string} name - one of COMMANDS
+   * @param {Object} [args]
+   * @param {string} [to] - trainee id (omit for all trainees)
+   */
+  function command(name, args, to) {
+    const msg = { type: "command", command: name, args: args || {} };
+    if (to) msg.to = to;
+    return msg;
+  }
+
+  /**
+   * Checks a received command message.
+   * @returns {string|null} error description, or null when valid
+   */
+  function validateCommand(msg) {
+    if (!msg || msg.type !== "command") return "not a command";
+    const required = COMMANDS[msg.command];
+    if (!required) return `unknown command '${msg.command}'`;
+    const args = msg.args || {};
+    const missing = required.find((key) => typeof args[key] !== "string" || !args[key].trim());
+    if (missing) return `'${msg.command}' needs '${missing}'`;
+    if (msg.command === "hud" && args.text.length > MAX_HUD_TEXT) {
+      return `HUD text longer than ${MAX_HUD_TEXT} characters`;
+    }
+    return null;
+  }
+
+  /**
+   * WebSocket URL of the relay on the page's own host ("/relay" is proxied
+   * by Vite in dev and by nginx in the container). The relay's shared
+   * secret is passed on from the page's ?token=.
+   * @param {{ protocol: string, host: string, search?: string }} location
+   * @param {string} [path="/relay"]
+   */
+  function relayUrl(location, path) {
+    const scheme = location.protocol === "https:" ? "wss:" : "ws:";
+    const token = new URLSearchParams(location.search || "").get("token");
+    const query = token ? `?token=${encodeURIComponent(token)}` : "";
+    return `${scheme}//${location.host}${path || "/relay"}${query}`;
+  }
+
+  /**
+   * Top-down projection of the floor (x right, −z up) into a canvas of
+   * width × height, keeping the aspect ratio and centring the bounds.
+   * @param {{ minX: number, minZ: number, maxX: number, maxZ: number }} bounds
+   * @returns {{ scale: number, toMap: function(number, number): number[] }}
+   */
+  function mapTransform(bounds, width, height, padding) {
+    const pad = padding || 0;
+    const spanX = Math.max(bounds.maxX - bounds.minX, 1);
+    const spanZ = Math.max(bounds.maxZ - bounds.minZ, 1);
+    const scale = Math.min((width - 2 * pad) / spanX, (height - 2 * pad) / spanZ);
+    const offsetX = (width - spanX * scale) / 2;
+    const offsetY = (height - spanZ * scale) / 2;
+    return {
+      scale: scale,
+      toMap: (x, z) => [offsetX + (x - bounds.minX) * scale, offsetY + (z - bounds.minZ) * scale],
+    };
+  }
+
+  window.INSTRUCTOR_PROTOCOL = {
+    COMMANDS: COMMANDS,
+    MAX_HUD_TEXT: MAX_HUD_TEXT,
+    command: command,
+    validateCommand: validateCommand,
+    relayUrl: relayUrl,
+    mapTransform: mapTransform,
+  };
+})();
@@ -0,0 +1,145 @@
+/**
+ * Net Sync
+ *
+ * Shared logic of crew sessions (network-session component): who hosts the
+ * fire simulation, who holds which extinguisher, how pose arrays are
+ * rounded for the wire, each trainee's share of the knockdown, and the
+ * transports that carry the messages.
+ *
+ * Loaded via <script> before network-session.js. Exposes window.NET_SYNC.
+ *
+ * Transport contract — any signalling server can replace the bundled relay
+ * (tools/instructor-relay.mjs) by registering a transport that:
+ *   - delivers { type: "peers", you, list } whenever the room changes,
+ *     `list` in join order (the same order on every peer)
+ *   - delivers the other peers' messages with `from` set to the sender id
+ *   - sends a message to the room (or to `msg.to` only)
+ *
+ *   window.NET_SYNC.registerTransport("my-server", (options) => ({
+ *     send(msg) {…}, close() {…},
+ *   })); // options: { url, room, onOpen, onMessage, onClose }
+ *
+ * Peer messages:
+ *   hello      { name, scenario }
+ *   pose       { head, left, right, nozzle } — world [x, y, z, qx, qy, qz, qw]
+ *   hold       { name, agent, sealRemoved, charge, spraying, flow, technique }
+ *              (name null: empty hands)
+ *   owner      { name, peer } — host's decision on an extinguisher
+ *   fires      { list: [[id, intensity, spread, temperature]], suppression: { peer: amount } }
+ *   fire-event { target, cause, intensity } — ignition on the host
+ *   ignite     { target, intensity } — ignition request sent to the host
+ *   score      { name, score, passed, share }
+ */
+
+(function () {
+  "use strict";
+
+  const POSITION_SCALE = 1000; // mm
+  const ROTATION_SCALE = 10000;
+
+  const round = (value, scale) => Math.round(value * scale) / scale;
+
+  /** The host runs the authoritative fire simulation: first peer to join. */
+  function electHost(list) {
+    return list && list.length ? list[0] : null;
+  }
+
+  /** Rounds a [x, y, z, qx, qy, qz, qw] pose for sending. */
+  function roundPose(pose) {
+    return pose.map((v, i) => round(v, i < 3 ? POSITION_SCALE : ROTATION_SCALE));
+  }
+
+  /**
+   * Extinguisher ownership as kept by the host: the first claim wins, a
+   * unit is free again once its holder releases it or leaves.
+   */
+  function createOwnership() {
+    const owners = {}; // unit name → peer id
+
+    return {
+      /** @returns {string} the unit's owner after the claim */
+      claim: function (name, peer) {
+        if (!owners[name]) owners[name] = peer;
+        return owners[name];
+      },
+      /** @returns {boolean} whether `peer` held the unit */
+      release: function (name, peer) {
+        if (owners[name] !== peer) return false;
+        delete owners[name];
+        return true;
+      },
+      /** Frees every unit of a peer. @returns {string[]} freed unit names */
+      releaseAll: function (peer) {
+        return Object.keys(owners).filter((name) => owners[name] === peer && delete owners[name]);
+      },
+      /** Unit held by a peer (or null). */
+      heldBy: function (peer) {
+        return Object.keys(owners).find((name) => owners[name] === peer) || null;
+      },
+      ownerOf: (name) => owners[name] || null,
+      toJSON: () => Object.assign({}, owners),
+    };
+  }
+
+  /**
+   * Each peer's fraction of the total suppression.
+   * @param {Object} suppression - peer id → fire intensity removed
+   * @returns {Object} peer id → 0…1 (empty when nothing was suppressed)
+   */
+  function shares(suppression) {
+    const ids = Object.keys(suppression || {});
+    const total = ids.reduce((sum, id) => sum + suppression[id], 0);
+    const result = {};
+    if (total > 0) ids.forEach((id) => (result[id] = suppression[id] / total));
+    return result;
+  }
+
+  // ─── Transports ───────────────────────────────────────────────────
+
+  const transports = {};
+
+  function registerTransport(name, factory) {
+    transports[name] = factory;
+  }
+
+  function createTransport(name, options) {
+    const factory = transports[name];
+    if (!factory) throw new Error(`Unknown transport '${name}'`);
+    return factory(options);
+  }
+
+  // Bundled relay: ws(s)://host/relay?role=peer&room=…
+  registerTransport("relay", (options) => {
+    const separator = options.url.includes("?") ? "&" : "?";
+    const socket = new WebSocket(
+      `${options.url}${separator}role=peer&room=${encodeURIComponent(options.room)}`,
+    );
+    socket.onopen = () => options.onOpen();
+    socket.onmessage = (e) => {
+      let msg;
+      try {
+        msg = JSON.parse(e.data);
+      } catch (err) {
+        return;
+      }
+      options.onMessage(msg);
+    };
+    socket.onclose = () => options.onClose();
+    return {
+      send: (msg) => socket.readyState === WebSocket.OPEN && socket.send(JSON.stringify(msg)),
+      close: () => {
+        socket.onclose = null;
+        socket.close();
+      },
+    };
+  });
+
+  window.NET_SYNC = {
+    electHost: electHost,
+    roundPose: roundPose,
+    createOwnership: createOwnership,
+    shares: shares,
+    registerTransport: registerTransport,
+    createTransport: createTransport,
+  };
+})();
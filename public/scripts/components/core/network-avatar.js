@@ -0,0 +1,163 @@
+/**
+ * Network Avatar Component
+ *
+ * Stand-in for a crew member in a crew session (created by
+ * network-session, one per remote peer): head with visor, two hands, name
+ * tag, the extinguisher in hand and a nozzle with its own `foam-system`
+ * (owner = peer id), so the member's spray is seen — and, on the host,
+ * hits the fires — like the local one.
+ *
+ * Poses arrive in world space at the sender's pose rate; the avatar eases
+ * toward the latest one every frame.
+ *
+ * API:
+ *   component.setPose({ head, left, right, nozzle }) — [x, y, z, qx, qy, qz, qw] each
+ *   component.setHold({ name, agent, spraying, flow, technique }) — name null: empty hands
+ *   component.setName(name)
+ *
+ * Usage (created by network-session):
+ *   <a-entity network-avatar="peer: p3; name: Ana; color: #3B82F6"></a-entity>
+ */
+
+const AVATAR_STYLE = {
+  head: { radius: 0.12 },
+  visor: { width: 0.18, height: 0.06, depth: 0.05, color: "#111827" },
+  hand: { width: 0.05, height: 0.04, depth: 0.12 },
+  extinguisher: { radius: 0.07, height: 0.45, color: "#DC2626" },
+  labelOffset: 0.3,
+  smoothing: 12, // 1/s — pose easing rate
+};
+
+AFRAME.registerComponent("network-avatar", {
+  schema: {
+    peer: { type: "string", default: "" },
+    name: { type: "string", default: "" },
+    color: { type: "color", default: "#3B82F6" },
+    gripHand: { type: "string", default: "right" },
+  },
+
+  init: function () {
+    const d = this.data;
+    const s = AVATAR_STYLE;
+    this._targets = {};
+
+    this.parts = {
+      head: this._part(`<a-sphere radius="${s.head.radius}" color="${d.color}"></a-sphere>`),
+      left: this._part(this._handMarkup()),
+      right: this._part(this._handMarkup()),
+      nozzle: this._part(""),
+    };
+    const visor = document.createElement("a-box");
+    visor.setAttribute("width", s.visor.width);
+    visor.setAttribute("height", s.visor.height);
+    visor.setAttribute("depth", s.visor.depth);
+    visor.setAttribute("color", s.visor.color);
+    visor.setAttribute("position", `0 0.02 ${-s.head.radius + 0.01}`);
+    this.parts.head.appendChild(visor);
+
+    this.label = document.createElement("a-text");
+    this.label.setAttribute("value", d.name || d.peer);
+    this.label.setAttribute("align", "center");
+    this.label.setAttribute("width", 1.5);
+    this.label.setAttribute("color", d.color);
+    this.label.setAttribute("side", "double");
+    this.el.appendChild(this.label);
+
+    // Unit in the grip hand, hidden until the member takes one
+    this.extinguisherEl = document.createElement("a-cylinder");
+    this.extinguisherEl.setAttribute("radius", s.extinguisher.radius);
+    this.extinguisherEl.setAttribute("height", s.extinguisher.height);
+    this.extinguisherEl.setAttribute("color", s.extinguisher.color);
+    this.extinguisherEl.setAttribute("position", `0 ${-s.extinguisher.height / 2} 0`);
+    this.extinguisherEl.setAttribute("visible", false);
+    this.parts[d.gripHand === "left" ? "left" : "right"].appendChild(this.extinguisherEl);
+
+    this.parts.nozzle.setAttribute("foam-system", { owner: d.peer });
+
+    this._pos = new THREE.Vector3();
+    this._quat = new THREE.Quaternion();
+    this._camPos = new THREE.Vector3();
+  },
+
+  update: function (oldData) {
+    if (oldData.name !== undefined && oldData.name !== this.data.name) {
+      this.label.setAttribute("value", this.data.name || this.data.peer);
+    }
+  },
+
+  remove: function () {
+    const foam = this.parts.nozzle.components["foam-system"];
+    if (foam) foam.stop();
+  },
+
+  _part: function (html) {
+    const el = document.createElement("a-entity");
+    el.innerHTML = html;
+    el.setAttribute("visible", false); // until the first pose
+    this.el.appendChild(el);
+    return el;
+  },
+
+  _handMarkup: function () {
+    const h = AVATAR_STYLE.hand;
+    return `<a-box width="${h.width}" height="${h.height}" depth="${h.depth}" color="${this.data.color}"></a-box>`;
+  },
+
+  setName: function (name) {
+    this.el.setAttribute("network-avatar", "name", name);
+  },
+
+  setPose: function (pose) {
+    Object.keys(this.parts).forEach((key) => {
+      const p = pose[key];
+      if (!p) return;
+      const part = this.parts[key];
+      const first = !this._targets[key];
+      this._targets[key] = p;
+      if (first) {
+        part.object3D.position.set(p[0], p[1], p[2]);
+        part.object3D.quaternion.set(p[3], p[4], p[5], p[6]);
+        part.setAttribute("visible", true);
+      }
+    });
+  },
+
+  setHold: function (hold) {
+    const foam = this.parts.nozzle.components["foam-system"];
+    const held = hold && hold.name ? hold : null;
+    this.extinguisherEl.setAttribute("visible", !!held);
+    if (!foam) return;
+
+    if (held && held.agent && foam.data.agent !== held.agent) {
+      this.parts.nozzle.setAttribute("foam-system", "agent", held.agent);
+    }
+    foam.techniqueFactor = held && typeof held.technique === "number" ? held.technique : null;
+    if (held && held.spraying) {
+      foam.setFlow(typeof held.flow === "number" ? held.flow : 1);
+      if (!foam.emitting) foam.start();
+    } else if (foam.emitting) {
+      foam.stop();
+    }
+  },
+
+  tick: function (time, delta) {
+    if (!delta) return;
+    const k = 1 - Math.exp(-AVATAR_STYLE.smoothing * (delta / 1000));
+    Object.keys(this._targets).forEach((key) => {
+      const p = this._targets[key];
+      const obj = this.parts[key].object3D;
+      obj.position.lerp(this._pos.set(p[0], p[1], p[2]), k);
+      obj.quaternion.slerp(this._quat.set(p[3], p[4], p[5], p[6]), k);
+    });
+
+    // Name tag above the head, facing the local camera
+    const head = this.parts.head.object3D;
+    const label = this.label.object3D;
+    label.position.copy(head.position).y += AVATAR_STYLE.labelOffset;
+    const camera = this.el.sceneEl.camera;
+    if (camera) {
+      camera.getWorldPosition(this._camPos);
+      label.lookAt(this._camPos.x, label.position.y, this._camPos.z);
+    }
+  },
+});
@@ -0,0 +1,542 @@
+/**
+ * Network Session Component
+ *
+ * Crew training: several headsets in one room attack the same fires.
+ * Each headset keeps its own rig, nozzle, training state and score; this
+ * component syncs what the crew shares through a transport (NET_SYNC —
+ * the bundled relay by default, any signalling server that follows the
+ * transport contract otherwise):
+ *
+ *   avatars       — head, hands and nozzle of every other member (network-avatar)
+ *   extinguishers — who holds which unit; the host settles simultaneous grabs,
+ *                   a unit in someone else's hands cannot be taken
+ *   spray         — agent, flow and PASS factor of each member's nozzle; their
+ *                   avatar sprays the same agent
+ *   fires         — the host (first member in the room) runs the fire
+ *                   simulation, members' sprays included; the others follow
+ *                   its intensities, spread and fuel temperatures
+ *                   (fire system `driven`) and its ignitions
+ *   scores        — each member scores their own run; scores and each
+ *                   member's share of the knockdown are exchanged
+ *
+ * When the host leaves, the next member in join order takes over the
+ * simulation from the last synced state.
+ *
+ * Without a room (schema or ?room=…) the training runs single-trainee.
+ * Member name: `name` or ?trainee=….
+ *
+ * Events (emitted on the scene):
+ *   crew-changed { peers, host, you }
+ *   crew-scores  { scores: [{ id, name, score, passed, share }] }
+ *
+ * Usage (on the scene):
+ *   <a-scene network-session>   then open …/default.html?room=crew-1&trainee=Ana
+ *
+ * API:
+ *   component.isConnected() / component.isHost() / component.isFollower()
+ *   component.getPeers()      — member ids in join order
+ *   component.getShare()      — local member's share of the knockdown (0 → 1, null before any)
+ *   component.getCrewScores() — scores received so far
+ *   component.requestIgnite(target, intensity) — ignition run by the host
+ */
+
+const CREW_COLORS = ["#3B82F6", "#10B981", "#F59E0B", "#EC4899", "#8B5CF6", "#14B8A6"];
+
+AFRAME.registerComponent("network-session", {
+  schema: {
+    room: { type: "string", default: "" },
+    url: { type: "string", default: "" }, // default: same host, /relay
+    transport: { type: "string", default: "relay" },
+    name: { type: "string", default: "" },
+    poseRate: { type: "number", default: 15 }, // Hz
+    holdRate: { type: "number", default: 2 }, // Hz while holding a unit
+    fireRate: { type: "number", default: 10 }, // Hz, host only
+    retryDelay: { type: "number", default: 2000 },
+    maxRetryDelay: { type: "number", default: 30000 },
+    camera: { type: "selector", default: "#camera" },
+    leftHand: { type: "selector", default: "#left-hand-controller" },
+    rightHand: { type: "selector", default: "#right-hand-controller" },
+    nozzle: { type: "selector", default: "#foam-nozzle" },
+    hud: { type: "selector", default: "#tutorial-hud" },
+  },
+
+  init: function () {
+    this.scene = this.el.sceneEl;
+    this.transport = null;
+    this.connected = false;
+    this.id = null;
+    this.host = null;
+    this.peers = [];
+    this.names = {}; // peer id → name
+    this.holds = {}; // peer id → unit name (or null)
+    this.avatars = {}; // peer id → network-avatar element
+    this.crewScores = {}; // peer id → { id, name, score, passed, share }
+    this.ownership = window.NET_SYNC.createOwnership();
+    this._shares = {};
+    this._acc = { pose: 0, hold: 0, fires: 0 };
+    this._delay = this.data.retryDelay;
+
+    const params = new URLSearchParams(window.location.search);
+    this.room = params.get("room") || this.data.room;
+    this.name = params.get("trainee") || this.data.name || "Aluno";
+    this.url =
+      params.get("relay") || this.data.url || window.INSTRUCTOR_PROTOCOL.relayUrl(window.location);
+    const replay = this.scene.components["session-replay"];
+    if (!this.room || (replay && replay.isActive())) return;
+
+    this._pos = new THREE.Vector3();
+    this._quat = new THREE.Quaternion();
+    this._scale = new THREE.Vector3();
+
+    const sendHold = () => this._sendHold();
+    this._handlers = {
+      "extinguisher-grabbed": sendHold,
+      "extinguisher-released": sendHold,
+      "extinguisher-seal-removed": sendHold,
+      "extinguisher-spray-start": sendHold,
+      "extinguisher-spray-stop": sendHold,
+      "fire-ignited": (e) => this._onFireIgnited(e),
+      "training-scored": (e) => this._onScored(e.detail.report),
+      "scenario-loaded": () => {
+        if (this.isHost()) this.scene.systems.fire.resetSuppression();
+        this._send(this._hello());
+      },
+    };
+    Object.keys(this._handlers).forEach((evt) =>
+      this.scene.addEventListener(evt, this._handlers[evt]),
+    );
+
+    this._connect();
+  },
+
+  remove: function () {
+    if (!this._handlers) return;
+    Object.keys(this._handlers).forEach((evt) =>
+      this.scene.removeEventListener(evt, this._handlers[evt]),
+    );
+    clearTimeout(this._retryTimer);
+    if (this.transport) this.transport.close();
+    this._leaveRoom();
+  },
+
+  // ─── Connection ───────────────────────────────────────────────────
+
+  _connect: function () {
+    try {
+      this.transport = window.NET_SYNC.createTransport(this.data.transport, {
+        url: this.url,
+        room: this.room,
+        onOpen: () => {
+          this.connected = true;
+          this._delay = this.data.retryDelay;
+          window.debugLog("Network", "Joined room", this.room, "as", this.name);
+        },
+        onMessage: (msg) => this._onMessage(msg),
+        onClose: () => {
+          if (this.connected) window.debugWarn("Network", "Connection to room lost");
+          this.connected = false;
+          this.transport = null;
+          this._leaveRoom();
+          this._retryTimer = setTimeout(() => this._connect(), this._delay);
+          this._delay = Math.min(this._delay * 2, this.data.maxRetryDelay);
+        },
+      });
+    } catch (e) {
+      window.debugWarn("Network", "Cannot connect:", e.message);
+    }
+  },
+
+  /** Back to single-trainee: avatars gone, units free, own fire simulation. */
+  _leaveRoom: function () {
+    this.peers.forEach((id) => id !== this.id && this._removePeer(id));
+    this.peers = [];
+    this.host = null;
+    this.scene.systems.fire.driven = false;
+  },
+
+  _send: function (msg) {
+    if (this.connected && this.transport) this.transport.send(msg);
+  },
+
+  // ─── Roles ────────────────────────────────────────────────────────
+
+  isConnected: function () {
+    return this.connected && this.id !== null;
+  },
+
+  isHost: function () {
+    return this.isConnected() && this.host === this.id;
+  },
+
+  isFollower: function () {
+    return this.isConnected() && this.host !== null && this.host !== this.id;
+  },
+
+  getPeers: function () {
+    return this.peers.slice();
+  },
+
+  getShare: function () {
+    const shares = this.isHost() ? window.NET_SYNC.shares(this._suppression()) : this._shares;
+    return shares[this.id] !== undefined ? shares[this.id] : null;
+  },
+
+  getCrewScores: function () {
+    return Object.keys(this.crewScores).map((id) => this.crewScores[id]);
+  },
+
+  /** Ignitions on a follower would be overwritten by the host: ask the host. */
+  requestIgnite: function (target, intensity) {
+    if (this.isHost() || !this.isConnected()) return this._ignite(target, intensity, "instructor");
+    this._send({ type: "ignite", to: this.host, target, intensity });
+    return true;
+  },
+
+  // ─── Messages ─────────────────────────────────────────────────────
+
+  _onMessage: function (msg) {
+    const fromHost = msg.from === this.host;
+    switch (msg.type) {
+      case "peers":
+        this._onPeers(msg);
+        break;
+      case "hello":
+        this.names[msg.from] = msg.name;
+        if (this.avatars[msg.from]) this._avatar(msg.from).setName(msg.name);
+        if (msg.scenario && msg.scenario !== this._scenarioId()) {
+          window.debugWarn("Network", msg.name, "is on another scenario:", msg.scenario);
+        }
+        break;
+      // Late messages from a peer that already left would recreate its avatar
+      case "pose":
+        if (this._isPeer(msg.from)) this._avatar(msg.from).setPose(msg);
+        break;
+      case "hold":
+        if (this._isPeer(msg.from)) this._onRemoteHold(msg.from, msg);
+        break;
+      case "owner":
+        if (fromHost) this._onOwner(msg);
+        break;
+      case "fires":
+        if (fromHost && !this.isHost()) this._applyFires(msg);
+        break;
+      case "fire-event":
+        if (fromHost && !this.isHost()) this._applyFireEvent(msg);
+        break;
+      case "ignite":
+        if (this.isHost()) this._ignite(msg.target, msg.intensity, "instructor");
+        break;
+      case "score":
+        this._storeScore(msg.from, msg);
+        break;
+    }
+  },
+
+  _onPeers: function (msg) {
+    const previous = this.peers;
+    this.id = msg.you;
+    this.peers = msg.list.slice();
+    previous.filter((id) => !this.peers.includes(id)).forEach((id) => this._removePeer(id));
+    const joined = this.peers.filter((id) => id !== this.id && !previous.includes(id));
+    joined.forEach((id) => this._avatar(id));
+
+    const host = window.NET_SYNC.electHost(this.peers);
+    if (host !== this.host) {
+      this.host = host;
+      this.scene.systems.fire.driven = host !== this.id;
+      if (host === this.id) this._takeOverOwnership();
+      window.debugLog("Network", host === this.id ? "Hosting the fire simulation" : `Following host ${host}`);
+    }
+
+    // Newcomers need our name and what we hold
+    if (joined.length) {
+      this._send(this._hello());
+      this._sendHold();
+    }
+    this.scene.emit("crew-changed", { peers: this.getPeers(), host: this.host, you: this.id });
+  },
+
+  _removePeer: function (id) {
+    const el = this.avatars[id];
+    if (el && el.parentNode) el.parentNode.removeChild(el);
+    delete this.avatars[id];
+    if (this.holds[id]) this._setUnitHolder(this.holds[id], null);
+    delete this.holds[id];
+    this.ownership.releaseAll(id);
+  },
+
+  /** New host: rebuild ownership from the holds every member has announced. */
+  _takeOverOwnership: function () {
+    this.ownership = window.NET_SYNC.createOwnership();
+    Object.keys(this.holds).forEach((id) => {
+      if (this.holds[id]) this.ownership.claim(this.holds[id], id);
+    });
+  },
+
+  /** Another member of the room, as of the last `peers` list. */
+  _isPeer: function (id) {
+    return !!id && id !== this.id && this.peers.includes(id);
+  },
+
+  _avatar: function (id) {
+    if (!this.avatars[id]) {
+      const el = document.createElement("a-entity");
+      el.setAttribute("network-avatar", {
+        peer: id,
+        name: this.names[id] || id,
+        color: CREW_COLORS[Math.max(0, this.peers.indexOf(id)) % CREW_COLORS.length],
+      });
+      this.scene.appendChild(el);
+      this.avatars[id] = el;
+    }
+    return this.avatars[id].components["network-avatar"] || { setPose() {}, setHold() {}, setName() {} };
+  },
+
+  _hello: function () {
+    return { type: "hello", name: this.name, scenario: this._scenarioId() };
+  },
+
+  _scenarioId: function () {
+    const loader = this.scene.components["scenario-loader"];
+    const scenario = loader && loader.getScenario();
+    return scenario ? scenario.id : null;
+  },
+
+  // ─── Extinguishers ────────────────────────────────────────────────
+
+  _ctrl: function () {
+    const el = this.scene.querySelector("[extinguisher-controller]");
+    return el && el.components["extinguisher-controller"];
+  },
+
+  _sendHold: function () {
+    const ctrl = this._ctrl();
+    const unit = ctrl && ctrl.getActive();
+    const nozzle = this.data.nozzle && this.data.nozzle.components["foam-system"];
+    const evalEl = this.scene.querySelector("[technique-evaluator]");
+    const evaluator = evalEl && evalEl.components["technique-evaluator"];
+    const msg = { type: "hold", name: unit ? unit.unitId : null };
+    if (unit) {
+      Object.assign(msg, {
+        agent: unit.data.agent,
+        sealRemoved: unit.sealRemoved,
+        charge: Math.round(unit.charge * 1000) / 1000,
+        spraying: ctrl.isSpraying,
+        flow: nozzle ? Math.round(nozzle.flow * 100) / 100 : 1,
+        technique: evaluator ? Math.round(evaluator.getTechniqueFactor() * 100) / 100 : null,
+      });
+    }
+
+    const previous = this.holds[this.id];
+    this.holds[this.id] = msg.name;
+    if (this.isHost() && previous !== msg.name) {
+      if (previous && this.ownership.release(previous, this.id)) {
+        this._send({ type: "owner", name: previous, peer: null });
+      }
+      if (msg.name) this._send({ type: "owner", name: msg.name, peer: this.ownership.claim(msg.name, this.id) });
+    }
+    this._send(msg);
+  },
+
+  _onRemoteHold: function (from, msg) {
+    const previous = this.holds[from];
+    this.holds[from] = msg.name;
+    this._avatar(from).setHold(msg);
+
+    if (previous && previous !== msg.name) {
+      this._setUnitHolder(previous, null);
+      if (this.isHost() && this.ownership.release(previous, from)) {
+        this._send({ type: "owner", name: previous, peer: null });
+      }
+    }
+    if (!msg.name) return;
+
+    const registry = this.scene.systems.extinguisher;
+    const unit = registry && registry.get(msg.name);
+    // heldBy can name the peer during a simultaneous grab: ask the local controller
+    const ctrl = this._ctrl();
+    if (unit && (!ctrl || ctrl.getActive() !== unit)) {
+      unit.charge = msg.charge;
+      if (msg.sealRemoved && !unit.sealRemoved) {
+        unit.sealRemoved = true;
+        if (unit.sealEl) unit.sealEl.setAttribute("visible", false);
+      }
+    }
+    let owner = from;
+    if (this.isHost() && previous !== msg.name) {
+      owner = this.ownership.claim(msg.name, from);
+      this._send({ type: "owner", name: msg.name, peer: owner });
+    }
+    this._setUnitHolder(msg.name, owner);
+  },
+
+  /** Host's decision: whoever lost a simultaneous grab puts the unit back. */
+  _onOwner: function (msg) {
+    const ctrl = this._ctrl();
+    const mine = ctrl && ctrl.getActive();
+    if (msg.peer && msg.peer !== this.id && mine && mine.unitId === msg.name) {
+      ctrl.release();
+      const hud = this.data.hud && this.data.hud.components["tutorial-hud"];
+      const name = this.names[msg.peer] || msg.peer;
+      if (hud) hud.show(window.I18N.t("hud.unitTaken", { name }), 3000);
+    }
+    this._setUnitHolder(msg.name, msg.peer === this.id ? null : msg.peer);
+  },
+
+  /** Marks a rack unit as in a member's hands (hidden, not grabbable) or free. */
+  _setUnitHolder: function (name, peer) {
+    const registry = this.scene.systems.extinguisher;
+    const unit = registry && registry.get(name);
+    const ctrl = this._ctrl();
+    if (!unit || (ctrl && ctrl.getActive() === unit)) return;
+    unit.heldBy = peer || null;
+    unit.el.setAttribute("visible", !peer);
+  },
+
+  // ─── Fires ────────────────────────────────────────────────────────
+
+  _fireEls: function () {
+    return Array.from(this.scene.querySelectorAll("[fuel], [fire-system]")).filter((el) => el.id);
+  },
+
+  /** Host's per-owner suppression, the local trainee under its peer id. */
+  _suppression: function () {
+    const suppression = this.scene.systems.fire.getSuppression();
+    if (suppression[""] !== undefined) {
+      suppression[this.id] = (suppression[this.id] || 0) + suppression[""];
+      delete suppression[""];
+    }
+    return suppression;
+  },
+
+  _sendFires: function () {
+    const round = (v, scale) => Math.round(v * scale) / scale;
+    const list = this._fireEls().map((el) => {
+      const fire = el.components["fire-system"];
+      const fuel = el.components.fuel;
+      return [
+        el.id,
+        fire ? round(fire.fireIntensity, 1000) : 0,
+        fire ? round(fire.spread, 1000) : 1,
+        fuel ? round(fuel.temperature, 10) : null,
+      ];
+    });
+    this._send({ type: "fires", list, suppression: this._suppression() });
+  },
+
+  _applyFires: function (msg) {
+    msg.list.forEach(([id, intensity, spread, temperature]) => {
+      const el = document.getElementById(id);
+      if (!el) return;
+      const fuel = el.components.fuel;
+      // Joined after a spread ignition: light the prop here too
+      if (!el.components["fire-system"] && fuel && intensity > 0) fuel.ignite(intensity, "sync");
+      const fire = el.components["fire-system"];
+      if (fire) {
+        fire.fireIntensity = intensity;
+        fire.spread = spread;
+      }
+      if (fuel && temperature !== null) fuel.temperature = temperature;
+    });
+    this._shares = window.NET_SYNC.shares(msg.suppression);
+  },
+
+  /** Host: every ignition (spread, re-flash, instructor) is replayed by the crew. */
+  _onFireIgnited: function (e) {
+    if (!this.isHost() || e.detail.cause === "sync" || !e.target.id) return;
+    const fire = e.target.components["fire-system"];
+    this._send({
+      type: "fire-event",
+      target: e.target.id,
+      cause: e.detail.cause,
+      intensity: fire ? fire.fireIntensity : 0.3,
+    });
+  },
+
+  _applyFireEvent: function (msg) {
+    const el = document.getElementById(msg.target);
+    if (!el) return;
+    const fuel = el.components.fuel;
+    const fire = el.components["fire-system"];
+    if (fuel) {
+      fuel.ignite(msg.intensity, msg.cause);
+    } else if (fire) {
+      fire.reignite(msg.intensity);
+      el.emit("fire-ignited", { cause: msg.cause, fireClass: fire.data.fireClass });
+    }
+  },
+
+  _ignite: function (target, intensity, cause) {
+    const el = document.getElementById(target);
+    const fuel = el && el.components.fuel;
+    const fire = el && el.components["fire-system"];
+    if (fuel) fuel.ignite(intensity, cause);
+    else if (fire) fire.reignite(intensity);
+    return !!(fuel || fire);
+  },
+
+  // ─── Scores ───────────────────────────────────────────────────────
+
+  _onScored: function (report) {
+    const msg = {
+      type: "score",
+      name: this.name,
+      score: report.score,
+      passed: report.passed,
+      share: this.getShare(),
+    };
+    this._storeScore(this.id, msg);
+    this._send(msg);
+  },
+
+  _storeScore: function (id, msg) {
+    if (!id) return;
+    this.crewScores[id] = { id, name: msg.name, score: msg.score, passed: msg.passed, share: msg.share };
+    window.debugLog("Network", `${msg.name}: ${msg.score}`, msg.passed ? "(aprovado)" : "(reprovado)");
+    this.scene.emit("crew-scores", { scores: this.getCrewScores() });
+  },
+
+  // ─── Streaming ────────────────────────────────────────────────────
+
+  tick: function (time, delta) {
+    if (!this.isConnected() || !delta) return;
+    const d = this.data;
+    const acc = this._acc;
+    acc.pose += delta;
+    acc.hold += delta;
+    acc.fires += delta;
+
+    if (d.poseRate > 0 && acc.pose >= 1000 / d.poseRate) {
+      acc.pose = 0;
+      this._sendPose();
+    }
+    if (d.holdRate > 0 && acc.hold >= 1000 / d.holdRate) {
+      acc.hold = 0;
+      if (this.holds[this.id]) this._sendHold(); // charge and PASS factor drift while spraying
+    }
+    if (d.fireRate > 0 && acc.fires >= 1000 / d.fireRate) {
+      acc.fires = 0;
+      if (this.isHost() && this.peers.length > 1) this._sendFires();
+    }
+  },
+
+  _sendPose: function () {
+    const d = this.data;
+    const camera = d.camera && (d.camera.getObject3D("camera") || d.camera.object3D);
+    this._send({
+      type: "pose",
+      head: this._worldPose(camera),
+      left: this._worldPose(d.leftHand && d.leftHand.object3D),
+      right: this._worldPose(d.rightHand && d.rightHand.object3D),
+      nozzle: this._worldPose(d.nozzle && d.nozzle.object3D),
+    });
+  },
+
+  _worldPose: function (object3D) {
+    if (!object3D) return null;
+    object3D.matrixWorld.decompose(this._pos, this._quat, this._scale);
+    const p = this._pos;
+    const q = this._quat;
+    return window.NET_SYNC.roundPose([p.x, p.y, p.z, q.x, q.y, q.z, q.w]);
+  },
+});
@@ -42,12 +42,15 @@ AFRAME.registerComponent("quest-optimizer", {
     }
 
     // Wait for all models to load, then fix culling + freeze statics
-    scene.addEventListener("loaded", () => {
+    const optimizeContent = () => {
       this._downgradePhysicalMaterials();
       this._fixCulling();
       this._freezeStaticMatrices();
       this._setupShadowCasters();
-    });
+    };
+    scene.addEventListener("loaded", optimizeContent);
+    // Scenario content is built after the scene has loaded
+    scene.addEventListener("scenario-loaded", optimizeContent);
   },
 
   /* ═══════════════════════════════════════════════════
@@ -230,8 +233,12 @@ AFRAME.registerComponent("quest-optimizer", {
       "navmesh",
     ];
 
-    staticIds.forEach((id) => {
-      const el = document.getElementById(id);
+    // Plus scenario props flagged `"static": true` (scenario-loader)
+    const staticEls = staticIds
+      .map((id) => document.getElementById(id))
+      .concat(Array.from(document.querySelectorAll("[data-static]")));
+
+    staticEls.forEach((el) => {
       if (!el) return;
       el.object3D.traverse((obj) => {
         obj.matrixAutoUpdate = false;
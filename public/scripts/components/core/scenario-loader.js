@@ -0,0 +1,425 @@
+/**
+ * Scenario Loader Component
+ *
+ * Builds the drill from a scenario JSON file instead of hard-coded scene
+ * markup: environment props, fires (fire-system + fuel), available
+ * extinguishers, the training-state procedure, HUD messages and scoring
+ * rules. default.html only keeps the shared shell (rig, hands, lights, UI).
+ *
+ * Files live in /scenarios/:
+ *   index.json       { "default": "warehouse", "scenarios": [{ id, title, description }] }
+ *   <id>.json        one scenario (format below)
+ *
+ * The scenario is chosen by `?scenario=<id>`. Without the parameter and with
+ * more than one entry in the catalogue, whenReady() resolves null and
+ * training-manager shows a selection panel, then calls load(id).
+ *
+ * Scenario format:
+ *   {
+ *     "id": "kitchen-grease",
+ *     "title": "…", "description": "…",
+ *     "intro": { "title": "…", "subtitle": "…", "description": "…" },  // intro panel text
+ *     "player": { "position": "2 0 -24", "rotation": "0 180 0" },
+ *     "environment": {
+ *       "smokeLayer": { "ceilingHeight": 5.5 },                     // smoke-layer overrides
+ *       "props": [{ "id": "navmesh", "primitive": "a-plane", "class": "navmesh",
+ *                   "position": "…", "static": true, "attributes": { "width": 17 } }]
+ *     },
+ *     "fires": [{
+ *       "id": "fryer", "model": "#model-table", "position": "…",
+ *       "fireClass": "K", "ignited": true,
+ *       "fire": { "radius": 0.4 },              // fire-system properties
+ *       "fuel": { "ignitionTemp": 320 }         // fuel properties
+ *     }],
+ *     "extinguishers": [{ "type": "powder", "position": "…", "rotation": "…" }],
+ *     "training": { "initial": "intro", "states": { … }, "bindings": [ … ] },
+ *     "hud": { "start": "…", "states": { "sizeup": "…", "suppress.alarm": "…" } },
+ *     "scoring": { "passScore": 70, "criteria": { "knockdownTime": { "target": 45 } } },
+ *     "panels": { "ppe": { "title": "…", "checklist": [ … ], "buttons": [ … ] } }
+ *   }
+ *
+ *   model — "#asset" / URL on the entity itself, or
+ *           { "src", "id", "burnEffect": true, "attributes": {} } as a child
+ *   fires — `ignited: false` props only get `fuel` and catch fire by spread;
+ *           `fire` then becomes the fuel's ignition overrides
+ *   extinguishers — types from EXTINGUISHER_TYPES (hand models live in the
+ *           rig), `extinguisher` overrides capacity, label…; further units
+ *           of a type get "-2", "-3"… on their ids and registry name, and a
+ *           copy of the hand model (own seal, gauge and hose anchor)
+ *   training — training-state config; omitted = default procedure
+ *   panels — interactive-panels definitions (panel-definition.js), registered
+ *           while the scenario is loaded; shown by a training `panel` action
+ *   scoring — rubric overrides read by training-score
+ *           ({ passScore, correctAgents, criteria }, see config/scoring-rubric.js)
+ *   text — intro, hud and state `desc` strings (and catalogue titles) may be
+ *           { "pt-BR": "…", "en": "…", "es": "…" } objects, shown in the
+ *           trainee's language (i18n.js)
+ *
+ * Events (emitted on the scene):
+ *   scenario-loaded { id, scenario } — entities built and models loaded
+ *   scenario-error  { id, error }
+ *
+ * API:
+ *   component.whenReady()     — Promise<scenario|null> for the startup choice
+ *   component.load(id)        — Promise<scenario>; replaces the current one
+ *   component.getCatalogue()  — Promise<catalogue>
+ *   component.getScenario()   — loaded scenario object (or null)
+ *   component.getHudMessage(key) — hud.start / hud.states[state]
+ */
+
+const EXTINGUISHER_TYPES = {
+  powder: {
+    id: "extinguisher-world",
+    model: "#model-extintor-full",
+    collider: "extinguisher-collider",
+    extinguisher: {
+      name: "powder",
+      label: "Pó químico ABC",
+      agent: "dry_chemical",
+      capacity: 6,
+      dischargeTime: 15,
+      hand: "#extinguisher-hand",
+      seal: "#extintor-hand-seal",
+      hoseAnchor: "#hose-anchor",
+    },
+  },
+  co2: {
+    id: "extinguisher-world-co2",
+    model: "#model-extintor-full-co2",
+    collider: "extinguisher-collider-co2",
+    extinguisher: {
+      name: "co2",
+      label: "CO2",
+      agent: "co2",
+      capacity: 6,
+      dischargeTime: 12,
+      nominalPressure: 58,
+      hand: "#extinguisher-hand-co2",
+      hoseAnchor: "#hose-anchor-co2",
+    },
+  },
+};
+
+AFRAME.registerComponent("scenario-loader", {
+  schema: {
+    basePath: { type: "string", default: "/scenarios/" },
+    param: { type: "string", default: "scenario" },
+    root: { type: "selector", default: "#scenario-root" },
+    // Offer a selection panel when no scenario is given in the URL
+    selectPanel: { type: "boolean", default: true },
+    modelTimeout: { type: "number", default: 10000 }, // ms to wait for models
+  },
+
+  init: function () {
+    this.scene = this.el.sceneEl;
+    this.scenario = null;
+    this.trainingEl = null;
+    this._catalogue = null;
+    this._panelIds = [];
+    this._handClones = []; // hand models copied for further units of a type
+
+    this._onStateEnter = (e) => {
+      const key = e.detail.path || e.detail.state;
+      const message = this.getHudMessage(key);
+      if (message) this._hud(message);
+    };
+    this.scene.addEventListener("training-state-enter", this._onStateEnter);
+    this.scene.addEventListener("training-substate-enter", this._onStateEnter);
+
+    const requested = new URLSearchParams(window.location.search).get(this.data.param);
+    this._ready = this.getCatalogue().then((catalogue) => {
+      const entries = catalogue.scenarios || [];
+      const fallback = catalogue.default || (entries[0] && entries[0].id);
+      if (!requested && this.data.selectPanel && entries.length > 1) return null;
+      const id = requested || fallback;
+      return this.load(id).catch(() => {
+        if (!fallback || id === fallback) return null;
+        window.debugWarn("ScenarioLoader", `Falling back to '${fallback}'`);
+        return this.load(fallback).catch(() => null);
+      });
+    });
+  },
+
+  remove: function () {
+    this.scene.removeEventListener("training-state-enter", this._onStateEnter);
+    this.scene.removeEventListener("training-substate-enter", this._onStateEnter);
+    this.unload();
+  },
+
+  // ─── API ──────────────────────────────────────────────────────────
+
+  whenReady: function () {
+    return this._ready;
+  },
+
+  getCatalogue: function () {
+    if (!this._catalogue) {
+      this._catalogue = this._fetchJSON("index").catch((err) => {
+        window.debugWarn("ScenarioLoader", "Catalogue unavailable:", err.message);
+        return { scenarios: [] };
+      });
+    }
+    return this._catalogue;
+  },
+
+  getScenario: function () {
+    return this.scenario;
+  },
+
+  getHudMessage: function (key) {
+    const hud = (this.scenario && this.scenario.hud) || {};
+    if (key === "start") return window.I18N.text(hud.start);
+    return window.I18N.text(hud.states && hud.states[key]);
+  },
+
+  /**
+   * Fetches and builds a scenario, replacing the loaded one.
+   * @param {string} id
+   * @returns {Promise<Object>}
+   */
+  load: function (id) {
+    window.debugLog("ScenarioLoader", "Loading:", id);
+    return this._fetchJSON(id)
+      .then((scenario) => {
+        scenario.id = scenario.id || id;
+        this.unload();
+        this.scenario = scenario;
+        return this._build(scenario);
+      })
+      .then(() => {
+        window.debugLog("ScenarioLoader", "Loaded:", this.scenario.id);
+        this.scene.emit("scenario-loaded", { id: this.scenario.id, scenario: this.scenario });
+        return this.scenario;
+      })
+      .catch((err) => {
+        window.debugWarn("ScenarioLoader", `Failed to load '${id}':`, err.message);
+        this.scene.emit("scenario-error", { id, error: err.message });
+        throw err;
+      });
+  },
+
+  /** Removes the entities built for the current scenario. */
+  unload: function () {
+    const root = this.data.root;
+    if (root) {
+      while (root.firstChild) root.removeChild(root.firstChild);
+    }
+    if (this.trainingEl && this.trainingEl.parentNode) {
+      this.trainingEl.parentNode.removeChild(this.trainingEl);
+    }
+    this.trainingEl = null;
+    this._handClones.forEach((el) => el.parentNode && el.parentNode.removeChild(el));
+    this._handClones = [];
+    const panels = this._panels();
+    if (panels) this._panelIds.forEach((id) => panels.unregisterPanel(id));
+    this._panelIds = [];
+    this.scenario = null;
+  },
+
+  // ─── Build ────────────────────────────────────────────────────────
+
+  _fetchJSON: function (name) {
+    return fetch(`${this.data.basePath}${encodeURIComponent(name)}.json`).then((res) => {
+      if (!res.ok) throw new Error(`HTTP ${res.status} for scenario '${name}'`);
+      return res.json();
+    });
+  },
+
+  _build: function (scenario) {
+    const root = this.data.root;
+    if (!root) return Promise.reject(new Error("scenario root not found"));
+    const env = scenario.environment || {};
+    const models = [];
+
+    this._placePlayer(scenario.player);
+    if (env.smokeLayer && this.scene.hasAttribute("smoke-layer")) {
+      this.scene.setAttribute("smoke-layer", env.smokeLayer);
+    }
+
+    (env.props || []).forEach((def) => root.appendChild(this._createEntity(def, models)));
+    (scenario.fires || []).forEach((def) => root.appendChild(this._createFire(def, models)));
+    const perType = {};
+    (scenario.extinguishers || []).forEach((def) => {
+      perType[def.type] = (perType[def.type] || 0) + 1;
+      const el = this._createExtinguisher(def, models, perType[def.type]);
+      if (el) root.appendChild(el);
+    });
+
+    // Before training-state, whose entry actions may show one
+    const panels = this._panels();
+    if (panels && scenario.panels) {
+      panels.registerPanels(scenario.panels);
+      this._panelIds = Object.keys(scenario.panels);
+    }
+
+    // Created last so training-bindings sees the scenario's config
+    const ts = document.createElement("a-entity");
+    ts.id = "training-state";
+    if (scenario.training) {
+      ts.setAttribute("training-state", { config: JSON.stringify(scenario.training) });
+    } else {
+      ts.setAttribute("training-state", "");
+    }
+    ts.setAttribute("training-bindings", "");
+    this.scene.appendChild(ts);
+    this.trainingEl = ts;
+
+    this._refreshNavmesh();
+    return this._waitForModels(models);
+  },
+
+  _placePlayer: function (player) {
+    const rig = document.querySelector("#rig");
+    if (!rig || !player) return;
+    if (player.position) rig.setAttribute("position", player.position);
+    if (player.rotation) rig.setAttribute("rotation", player.rotation);
+  },
+
+  /**
+   * Generic entity: { id, primitive, model, position, rotation, scale,
+   * class, static, attributes }.
+   */
+  _createEntity: function (def, models) {
+    const el = document.createElement(def.primitive || "a-entity");
+    if (def.id) el.id = def.id;
+    if (def.class) el.className = def.class;
+    if (def.static) el.setAttribute("data-static", "");
+    ["position", "rotation", "scale"].forEach((key) => {
+      if (def[key] !== undefined) el.setAttribute(key, def[key]);
+    });
+    const attrs = def.attributes || {};
+    Object.keys(attrs).forEach((key) => el.setAttribute(key, attrs[key]));
+
+    if (typeof def.model === "string") {
+      this._setModel(el, def.model, models);
+    } else if (def.model) {
+      const child = this._createEntity(def.model, models);
+      this._setModel(child, def.model.src, models);
+      if (def.model.burnEffect) child.setAttribute("burn-effect", "");
+      el.appendChild(child);
+    }
+    return el;
+  },
+
+  _setModel: function (el, src, models) {
+    if (!src) return;
+    el.setAttribute("gltf-model", src.charAt(0) === "#" ? src : `url(${src})`);
+    models.push(el);
+  },
+
+  _createFire: function (def, models) {
+    const el = this._createEntity(def, models);
+    const fireClass = def.fireClass || "A";
+    const fire = Object.assign({}, def.fire, { fireClass });
+    const fuel = Object.assign({}, def.fuel, { fireClass });
+
+    if (def.ignited !== false) {
+      el.setAttribute("fire-system", fire);
+    } else {
+      // fuel attaches fire-system on ignition; nested values use commas
+      // and vectors ({ x, y, z }) are written "x y z"
+      delete fire.fireClass;
+      fuel.fire = Object.keys(fire)
+        .map((key) => `${key}: ${AFRAME.utils.coordinates.stringify(fire[key])}`)
+        .join(", ");
+    }
+    if (def.fuel !== false) el.setAttribute("fuel", fuel);
+    return el;
+  },
+
+  /** `n` — 1 for the first unit of its type, 2 for the second… */
+  _createExtinguisher: function (def, models, n) {
+    const type = EXTINGUISHER_TYPES[def.type];
+    if (!type) {
+      window.debugWarn("ScenarioLoader", "Unknown extinguisher type:", def.type);
+      return null;
+    }
+    // The first unit keeps the page's ids, so recorded names stay valid
+    const suffix = n > 1 ? `-${n}` : "";
+    const unit = Object.assign({}, type.extinguisher, { name: type.extinguisher.name + suffix });
+    if (suffix) Object.assign(unit, this._cloneHand(type, suffix));
+    const colliderId = type.collider + suffix;
+    const el = this._createEntity(
+      {
+        id: def.id || type.id + suffix,
+        position: def.position,
+        rotation: def.rotation || "0 -90 0",
+        scale: def.scale || "1.6 1.6 1.6",
+      },
+      models,
+    );
+    el.setAttribute(
+      "extinguisher",
+      Object.assign(unit, def.extinguisher, { collider: `#${colliderId}` }),
+    );
+
+    // Invisible grab collider (larger than model for easy targeting)
+    const collider = document.createElement("a-box");
+    collider.id = colliderId;
+    collider.className = "interactable";
+    collider.setAttribute("width", "0.3");
+    collider.setAttribute("height", "0.5");
+    collider.setAttribute("depth", "0.1");
+    collider.setAttribute("position", "0 0.2 0.03");
+    collider.setAttribute("material", "transparent: false; opacity: 0");
+    el.appendChild(collider);
+
+    // Visible model
+    el.appendChild(this._createEntity({ model: type.model }, models));
+    return el;
+  },
+
+  /**
+   * Copies a type's hand model next to it for a further unit of that type;
+   * ids inside get `suffix`. Returns the unit's hand / seal / hoseAnchor
+   * selectors. Removed again on unload.
+   */
+  _cloneHand: function (type, suffix) {
+    const selectors = {};
+    const hand = document.querySelector(type.extinguisher.hand);
+    if (!hand) return selectors;
+    const clone = hand.cloneNode(true);
+    // Gauges are built per unit on its own hand model
+    clone.querySelectorAll(".extinguisher-gauge").forEach((gauge) => gauge.parentNode.removeChild(gauge));
+    [clone].concat(Array.from(clone.querySelectorAll("[id]"))).forEach((node) => {
+      node.id += suffix;
+    });
+    hand.parentNode.appendChild(clone);
+    this._handClones.push(clone);
+    ["hand", "seal", "hoseAnchor"].forEach((key) => {
+      if (type.extinguisher[key]) selectors[key] = type.extinguisher[key] + suffix;
+    });
+    return selectors;
+  },
+
+  /** The rig's navmesh constraint collects its meshes on update. */
+  _refreshNavmesh: function () {
+    const rig = document.querySelector("#rig");
+    const constraint = rig && rig.components["simple-navmesh-constraint"];
+    if (constraint) constraint.update();
+  },
+
+  /** Resolves once every model has loaded (or failed, or timed out). */
+  _waitForModels: function (models) {
+    const pending = models.map(
+      (el) =>
+        new Promise((resolve) => {
+          el.addEventListener("model-loaded", resolve, { once: true });
+          el.addEventListener("model-error", resolve, { once: true });
+        }),
+    );
+    const timeout = new Promise((resolve) => setTimeout(resolve, this.data.modelTimeout));
+    return Promise.race([Promise.all(pending), timeout]);
+  },
+
+  _panels: function () {
+    const panelEl = document.querySelector("[interactive-panels]");
+    return (panelEl && panelEl.components["interactive-panels"]) || null;
+  },
+
+  _hud: function (message) {
+    const hudEl = document.querySelector("[tutorial-hud]");
+    const hud = hudEl && hudEl.components["tutorial-hud"];
+    if (hud) hud.show(message, 5000);
+  },
+});
@@ -1,56 +1,311 @@
 /**
  * Scene Manager Component
  *
- * Lightweight event router for high-level scene transitions.
- * Listens for scene-level events and coordinates responses.
+ * Routes between training modules inside one headset session. Each module
+ * is a scenario from the scenario-loader catalogue (/scenarios/index.json);
+ * its environment subtree lives under #scenario-root, while the rig,
+ * controllers, hand models and UI stay alive across modules.
  *
- * Currently handled events:
- *   - training-start  → enables movement
- *   - reset-to-welcome → disables movement, resets state machine
- *   - training-complete → emits completion event
+ * goToModule(id):
+ *   1. fades the view out (camera overlay, animated in tick — works in XR)
+ *   2. puts the extinguisher back, locks movement
+ *   3. unloads the current module and disposes its GPU resources
+ *      (GLB geometry/materials/textures, lights; fire/foam particles and
+ *      fire lights are released by their components' remove())
+ *   4. resets smoke layer and heat exposure, puts the rig back at its start
+ *      pose (the scenario's `player` overrides it), loads the new scenario
+ *   5. fades back in — training-manager then shows the module intro
  *
- * NOTE: The actual training flow is orchestrated by training-manager.js.
- *       This component is reserved for future multi-scene / multi-module routing.
+ * restart() runs the same for the current module: fires, extinguishers
+ * (charge, seals), burn marks, training state and score are rebuilt.
+ *
+ * Also handled:
+ *   - training-start     → enables movement
+ *   - reset-to-welcome   → disables movement, resets state machine
+ *   - training-complete  → marks the session complete
+ *
+ * Events (emitted on the scene):
+ *   module-change-start { from, to }
+ *   module-loaded       { id, scenario }
+ *   module-error        { id, error }
+ *
+ * Usage:
+ *   <a-scene scenario-loader scene-manager="fadeDuration: 600">
+ *
+ *   const sm = sceneEl.components["scene-manager"];
+ *   sm.getModules().then((modules) => …);   // [{ id, title, description }]
+ *   sm.goToModule("kitchen-grease");
+ *   sm.getNextModule();                      // id after the current one
+ *   sm.restart();                            // current module from scratch
  */
 
 AFRAME.registerComponent("scene-manager", {
   schema: {
     autoStart: { type: "boolean", default: false },
+    fadeDuration: { type: "number", default: 600 }, // ms per fade (out and in)
+    fadeColor: { type: "color", default: "#000000" },
+    camera: { type: "selector", default: "#camera" },
+    // Keep ?scenario= in sync so a page reload returns to the same module
+    updateUrl: { type: "boolean", default: true },
   },
 
   init: function () {
     this.currentScene = "welcome";
+    this.currentModule = null;
+    this._transition = null; // pending goToModule promise
+    this._fade = null; // { from, to, elapsed, resolve }
+    this._fadeOpacity = 0;
+    this._rigStart = this._rigPose();
+    this._buildFadeOverlay();
     this._attachListeners();
     window.debugLog("SceneManager", "Initialized — scene:", this.currentScene);
   },
 
+  remove: function () {
+    if (this.fadeOverlay) {
+      this.fadeOverlay.parent.remove(this.fadeOverlay);
+      this.fadeOverlay.geometry.dispose();
+      this.fadeOverlay.material.dispose();
+    }
+  },
+
   _attachListeners: function () {
     const scene = this.el.sceneEl;
 
     scene.addEventListener("training-start", (e) => {
       this.currentScene = "training";
       window.debugLog("SceneManager", "→ training (mode:", e.detail && e.detail.mode, ")");
-
-      const rig = document.querySelector("#rig");
-      if (rig && rig.components["movement-controller"]) {
-        rig.components["movement-controller"].setEnabled(true);
-      }
+      this._setMovement(true);
     });
 
     scene.addEventListener("reset-to-welcome", () => {
       this.currentScene = "welcome";
       window.debugLog("SceneManager", "→ welcome");
-
-      const rig = document.querySelector("#rig");
-      if (rig && rig.components["movement-controller"]) {
-        rig.components["movement-controller"].setEnabled(false);
-      }
+      this._setMovement(false);
     });
 
     scene.addEventListener("training-complete", () => {
       this.currentScene = "complete";
       window.debugLog("SceneManager", "→ complete");
     });
+
+    // Initial scenario (URL / selection panel) is loaded directly by the loader
+    scene.addEventListener("scenario-loaded", (e) => {
+      this.currentModule = e.detail.id;
+      this._syncUrl(e.detail.id);
+    });
+  },
+
+  // ─── Modules ──────────────────────────────────────────────────────
+
+  /** Module catalogue: [{ id, title, description }]. */
+  getModules: function () {
+    const loader = this._loader();
+    if (!loader) return Promise.resolve([]);
+    return loader.getCatalogue().then((catalogue) => (catalogue.scenarios || []).slice());
+  },
+
+  getCurrentModule: function () {
+    return this.currentModule;
+  },
+
+  /** Id of the module after the current one in the catalogue (wraps around). */
+  getNextModule: function () {
+    return this.getModules().then((modules) => {
+      if (!modules.length) return null;
+      const idx = modules.findIndex((m) => m.id === this.currentModule);
+      return modules[(idx + 1) % modules.length].id;
+    });
+  },
+
+  /**
+   * Swaps the environment for another module with a fade.
+   * Calls made during a transition wait for it and then run.
+   *
+   * @param {string} id - scenario id from the catalogue
+   * @returns {Promise<Object>} the loaded scenario
+   */
+  goToModule: function (id) {
+    const loader = this._loader();
+    if (!loader) return Promise.reject(new Error("scenario-loader not found"));
+    if (this._transition) {
+      return this._transition.catch(() => {}).then(() => this.goToModule(id));
+    }
+
+    const scene = this.el.sceneEl;
+    const from = this.currentModule;
+    window.debugLog("SceneManager", `Module ${from} → ${id}`);
+    scene.emit("module-change-start", { from, to: id });
+
+    this._transition = this._fadeTo(1)
+      .then(() => {
+        this._teardown(loader);
+        return loader.load(id);
+      })
+      .then((scenario) => {
+        this.currentScene = "welcome";
+        scene.emit("module-loaded", { id, scenario });
+        return this._fadeTo(0).then(() => scenario);
+      })
+      .catch((err) => {
+        window.debugWarn("SceneManager", `Module '${id}' failed:`, err.message);
+        scene.emit("module-error", { id, error: err.message });
+        return this._fadeTo(0).then(() => {
+          throw err;
+        });
+      })
+      .finally(() => {
+        this._transition = null;
+      });
+    return this._transition;
+  },
+
+  /**
+   * Reloads the current module from scratch.
+   * @returns {Promise<Object>} the reloaded scenario
+   */
+  restart: function () {
+    if (!this.currentModule) return Promise.reject(new Error("no module loaded"));
+    return this.goToModule(this.currentModule);
+  },
+
+  /** Leaves the rig in a neutral state and frees the current module. */
+  _teardown: function (loader) {
+    const scene = this.el.sceneEl;
+    this._setMovement(false);
+
+    const ctrlEl = scene.querySelector("[extinguisher-controller]");
+    const ctrl = ctrlEl && ctrlEl.components["extinguisher-controller"];
+    if (ctrl) ctrl.reset();
+    this._resetRig();
+
+    const panelsEl = scene.querySelector("[interactive-panels]");
+    if (panelsEl) panelsEl.components["interactive-panels"].clearPanel();
+
+    // Grab the subtree before the entities go; dispose once detached
+    const root = loader.data.root;
+    const subtree = root ? Array.from(root.children).map((el) => el.object3D) : [];
+    loader.unload();
+    subtree.forEach((obj) => this._dispose(obj));
+
+    if (scene.components["smoke-layer"]) scene.components["smoke-layer"].reset();
+    const camera = this.data.camera;
+    if (camera && camera.components["heat-exposure"]) camera.components["heat-exposure"].reset();
+  },
+
+  /** Frees geometry, materials, textures and shadow maps under `object3D`. */
+  _dispose: function (object3D) {
+    object3D.traverse((obj) => {
+      if (obj.geometry) obj.geometry.dispose();
+      if (obj.material) {
+        (Array.isArray(obj.material) ? obj.material : [obj.material]).forEach((mat) => {
+          Object.keys(mat).forEach((key) => {
+            if (mat[key] && mat[key].isTexture) mat[key].dispose();
+          });
+          mat.dispose();
+        });
+      }
+      if (obj.isLight && obj.dispose) obj.dispose();
+    });
+  },
+
+  /** Position / rotation of #rig as authored in the page. */
+  _rigPose: function () {
+    const rig = document.querySelector("#rig");
+    if (!rig) return null;
+    return {
+      position: Object.assign({}, rig.getAttribute("position")),
+      rotation: Object.assign({}, rig.getAttribute("rotation")),
+    };
+  },
+
+  /** Rig back to its start pose, head turn cleared (desktop look-controls). */
+  _resetRig: function () {
+    const rig = document.querySelector("#rig");
+    if (rig && this._rigStart) {
+      rig.setAttribute("position", this._rigStart.position);
+      rig.setAttribute("rotation", this._rigStart.rotation);
+    }
+    const look = this.data.camera && this.data.camera.components["look-controls"];
+    if (look && look.pitchObject && look.yawObject) {
+      look.pitchObject.rotation.x = 0;
+      look.yawObject.rotation.y = 0;
+    }
+  },
+
+  // ─── Fade ─────────────────────────────────────────────────────────
+
+  /** Full-view quad in front of the camera, above every other overlay. */
+  _buildFadeOverlay: function () {
+    const cam = this.data.camera;
+    if (!cam) return;
+    const material = new THREE.MeshBasicMaterial({
+      color: this.data.fadeColor,
+      transparent: true,
+      opacity: 0,
+      depthTest: false,
+      depthWrite: false,
+    });
+    const mesh = new THREE.Mesh(new THREE.PlaneGeometry(1.2, 1.2), material);
+    mesh.position.set(0, 0, -0.2);
+    mesh.renderOrder = 1000;
+    mesh.frustumCulled = false;
+    mesh.visible = false;
+    cam.object3D.add(mesh);
+    this.fadeOverlay = mesh;
+  },
+
+  /** Animates the overlay to `opacity` (0 clear → 1 opaque). */
+  _fadeTo: function (opacity) {
+    if (this._fade) this._fade.resolve();
+    if (!this.fadeOverlay || this.data.fadeDuration <= 0) {
+      this._setFade(opacity);
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => {
+      this._fade = { from: this._fadeOpacity, to: opacity, elapsed: 0, resolve };
+    });
+  },
+
+  _setFade: function (opacity) {
+    this._fadeOpacity = opacity;
+    if (!this.fadeOverlay) return;
+    this.fadeOverlay.material.opacity = opacity;
+    this.fadeOverlay.visible = opacity > 0.001;
+  },
+
+  tick: function (time, delta) {
+    const fade = this._fade;
+    if (!fade) return;
+    // Clamp: the first frame after a heavy load can be very long
+    fade.elapsed += Math.min(delta || 0, 50);
+    const t = Math.min(1, fade.elapsed / this.data.fadeDuration);
+    this._setFade(fade.from + (fade.to - fade.from) * t);
+    if (t >= 1) {
+      this._fade = null;
+      fade.resolve();
+    }
+  },
+
+  // ─── Helpers ──────────────────────────────────────────────────────
+
+  _loader: function () {
+    return this.el.sceneEl.components["scenario-loader"] || null;
+  },
+
+  _setMovement: function (enabled) {
+    const rig = document.querySelector("#rig");
+    if (rig && rig.components["movement-controller"]) {
+      rig.components["movement-controller"].setEnabled(enabled);
+    }
+  },
+
+  _syncUrl: function (id) {
+    if (!this.data.updateUrl || !window.history || !window.history.replaceState) return;
+    const loader = this._loader();
+    const url = new URL(window.location.href);
+    url.searchParams.set(loader ? loader.data.param : "scenario", id);
+    window.history.replaceState(null, "", url.toString());
   },
 
   getCurrentScene: function () {
@@ -0,0 +1,97 @@
+/**
+ * SCORM Adapter Component
+ *
+ * Reports the training to a SCORM 1.2 / 2004 LMS through SCORM_RUNTIME
+ * (core/scorm-runtime.js): status, score and session time from
+ * training-score and training-state. The current state is stored as the
+ * bookmark. Outside an LMS (no API in the parent frames) it does nothing.
+ *
+ *   training-start          → session clock starts
+ *   training-state-enter    → bookmark (location), commit
+ *   training-scored         → score 0–100, passed / failed
+ *   doneState entered       → completed + session time, commit
+ *   page hidden / unloaded  → session time, finish (suspend if unfinished)
+ *
+ * Events (emitted on the scene):
+ *   scorm-connected { version }
+ *
+ * Usage (on the scene):
+ *   <a-scene scorm-adapter="version: auto; doneState: done">
+ */
+
+AFRAME.registerComponent("scorm-adapter", {
+  schema: {
+    enabled: { type: "boolean", default: true },
+    version: { type: "string", default: "auto", oneOf: ["auto", "1.2", "2004"] },
+    doneState: { type: "string", default: "done" },
+  },
+
+  init: function () {
+    this.scene = this.el.sceneEl;
+    this.lms = null;
+    this._startTime = null;
+    this._passed = undefined;
+    this._completed = false;
+    if (!this.data.enabled) return;
+
+    this.lms = window.SCORM_RUNTIME.connect(window, this.data.version);
+    if (!this.lms || !this.lms.start()) {
+      this.lms = null;
+      window.debugLog("SCORM", "No LMS API — running standalone");
+      return;
+    }
+    window.debugLog("SCORM", "Connected to SCORM", this.lms.version, "LMS");
+    this.scene.emit("scorm-connected", { version: this.lms.version });
+
+    this._handlers = {
+      "training-start": () => {
+        this._startTime = performance.now();
+      },
+      "training-state-enter": (e) => this._onState(e.detail.state),
+      "training-scored": (e) => {
+        const report = e.detail.report;
+        this._passed = report.passed;
+        this.lms.setScore(report.score, 0, 100);
+        this.lms.setStatus({ completed: this._completed, passed: this._passed });
+        this.lms.commit();
+      },
+    };
+    Object.keys(this._handlers).forEach((evt) =>
+      this.scene.addEventListener(evt, this._handlers[evt]),
+    );
+
+    this._onHide = () => this._finish();
+    window.addEventListener("pagehide", this._onHide);
+    window.addEventListener("beforeunload", this._onHide);
+  },
+
+  remove: function () {
+    if (!this.lms) return;
+    Object.keys(this._handlers).forEach((evt) =>
+      this.scene.removeEventListener(evt, this._handlers[evt]),
+    );
+    window.removeEventListener("pagehide", this._onHide);
+    window.removeEventListener("beforeunload", this._onHide);
+    this._finish();
+  },
+
+  _onState: function (state) {
+    this.lms.setLocation(state);
+    if (state === this.data.doneState && this._startTime !== null) {
+      this._completed = true;
+      // training-score (declared earlier on the scene) has scored by now
+      this.lms.setStatus({ completed: true, passed: this._passed });
+      this.lms.setSessionTime(performance.now() - this._startTime);
+    }
+    this.lms.commit();
+  },
+
+  _finish: function () {
+    if (!this.lms || !this.lms.isActive()) return;
+    if (this._startTime !== null && !this._completed) {
+      this.lms.setSessionTime(performance.now() - this._startTime);
+    }
+    this.lms.finish(!this._completed);
+    window.debugLog("SCORM", "Session finished", this._completed ? "(completed)" : "(suspended)");
+  },
+});
@@ -0,0 +1,200 @@
+/**
+ * SCORM Runtime
+ *
+ * Finds the LMS API of a SCORM 1.2 (`API`) or SCORM 2004 (`API_1484_11`)
+ * player in the parent frames / opener chain and wraps both behind one
+ * interface, so scorm-adapter does not care which version it runs under.
+ *
+ * Loaded via <script> before scorm-adapter.js. Exposes window.SCORM_RUNTIME.
+ *
+ * Data model mapping:
+ *                  SCORM 1.2                      SCORM 2004
+ *   status         cmi.core.lesson_status         cmi.completion_status + cmi.success_status
+ *   score          cmi.core.score.raw/min/max     cmi.score.raw/min/max/scaled
+ *   session time   cmi.core.session_time          cmi.session_time
+ *                  (HHHH:MM:SS.SS)                (ISO 8601 duration)
+ *   bookmark       cmi.core.lesson_location       cmi.location
+ *
+ * Usage:
+ *   const lms = window.SCORM_RUNTIME.connect(window); // null when standalone
+ *   if (lms && lms.start()) {
+ *     lms.setScore(82, 0, 100);
+ *     lms.setStatus({ completed: true, passed: true });
+ *     lms.setSessionTime(95000);
+ *     lms.commit();
+ *     lms.finish();
+ *   }
+ */
+
+(function () {
+  "use strict";
+
+  // Frame levels searched per window (ADL reference values)
+  const MAX_DEPTH = { "1.2": 7, 2004: 500 };
+
+  /** LMS API object in `win` or its parents: { api, version } or null. */
+  function searchParents(win, version) {
+    const name = version === "2004" ? "API_1484_11" : "API";
+    let current = win;
+    for (let depth = 0; current && depth <= MAX_DEPTH[version]; depth++) {
+      try {
+        if (current[name]) return { api: current[name], version: version };
+      } catch (e) {
+        return null; // cross-origin frame: no LMS reachable above this point
+      }
+      if (!current.parent || current.parent === current) break;
+      current = current.parent;
+    }
+    return null;
+  }
+
+  /**
+   * Looks for the LMS API from `win` upwards, then from its opener.
+   * SCORM 2004 wins when both are present.
+   * @param {Window} win
+   * @param {string} [prefer] - "1.2" | "2004" to search one version only
+   * @returns {{ api: Object, version: string }|null}
+   */
+  function findAPI(win, prefer) {
+    const versions = prefer === "1.2" || prefer === "2004" ? [prefer] : ["2004", "1.2"];
+    for (let i = 0; i < versions.length; i++) {
+      const found =
+        searchParents(win, versions[i]) ||
+        (win.opener ? searchParents(win.opener, versions[i]) : null);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  const pad = (n, width) => String(n).padStart(width, "0");
+
+  /** ms → SCORM 1.2 CMITimespan "HHHH:MM:SS.SS". */
+  function formatTime12(ms) {
+    const cs = Math.max(0, Math.round(ms / 10));
+    const h = Math.floor(cs / 360000);
+    const m = Math.floor((cs % 360000) / 6000);
+    const s = (cs % 6000) / 100;
+    return `${pad(h, 4)}:${pad(m, 2)}:${s.toFixed(2).padStart(5, "0")}`;
+  }
+
+  /** ms → SCORM 2004 timeinterval "PT1H2M3.45S". */
+  function formatTime2004(ms) {
+    const cs = Math.max(0, Math.round(ms / 10));
+    const h = Math.floor(cs / 360000);
+    const m = Math.floor((cs % 360000) / 6000);
+    const s = (cs % 6000) / 100;
+    return "PT" + (h ? h + "H" : "") + (m ? m + "M" : "") + s + "S";
+  }
+
+  // Version-specific calls and element names
+  const DIALECTS = {
+    "1.2": {
+      init: "LMSInitialize",
+      finish: "LMSFinish",
+      get: "LMSGetValue",
+      set: "LMSSetValue",
+      commit: "LMSCommit",
+      error: "LMSGetLastError",
+      location: "cmi.core.lesson_location",
+      sessionTime: "cmi.core.session_time",
+      exit: "cmi.core.exit",
+      formatTime: formatTime12,
+      score: (raw, min, max) => ({
+        "cmi.core.score.raw": raw,
+        "cmi.core.score.min": min,
+        "cmi.core.score.max": max,
+      }),
+      // One status field: passed/failed once scored, else completed/incomplete
+      status: (s) => {
+        const value =
+          s.passed === true ? "passed"
+            : s.passed === false ? "failed"
+              : s.completed ? "completed" : "incomplete";
+        return { "cmi.core.lesson_status": value };
+      },
+      isNew: (api) => api.LMSGetValue("cmi.core.lesson_status") === "not attempted",
+    },
+    2004: {
+      init: "Initialize",
+      finish: "Terminate",
+      get: "GetValue",
+      set: "SetValue",
+      commit: "Commit",
+      error: "GetLastError",
+      location: "cmi.location",
+      sessionTime: "cmi.session_time",
+      exit: "cmi.exit",
+      formatTime: formatTime2004,
+      score: (raw, min, max) => ({
+        "cmi.score.raw": raw,
+        "cmi.score.min": min,
+        "cmi.score.max": max,
+        "cmi.score.scaled": max > min ? (raw - min) / (max - min) : 0,
+      }),
+      status: (s) => {
+        const values = { "cmi.completion_status": s.completed ? "completed" : "incomplete" };
+        if (s.passed !== undefined) values["cmi.success_status"] = s.passed ? "passed" : "failed";
+        return values;
+      },
+      isNew: (api) => api.GetValue("cmi.completion_status") === "not attempted",
+    },
+  };
+
+  /**
+   * Connects to the LMS API reachable from `win`.
+   * @param {Window} win
+   * @param {string} [prefer] - "1.2" | "2004"
+   * @returns {Object|null} wrapper, or null when running standalone
+   */
+  function connect(win, prefer) {
+    const found = findAPI(win, prefer);
+    if (!found) return null;
+    const api = found.api;
+    const d = DIALECTS[found.version];
+    let active = false;
+
+    const call = (method, ...args) => {
+      try {
+        return String(api[method](...args)) === "true";
+      } catch (e) {
+        return false;
+      }
+    };
+    const setAll = (values) =>
+      Object.keys(values).every((key) => call(d.set, key, String(values[key])));
+
+    return {
+      version: found.version,
+      isActive: () => active,
+      /** Opens the session; a first attempt is marked incomplete. */
+      start: function () {
+        if (active) return true;
+        active = call(d.init, "");
+        if (active && d.isNew(api)) setAll(d.status({ completed: false }));
+        return active;
+      },
+      setStatus: (status) => active && setAll(d.status(status)),
+      setScore: (raw, min, max) => active && setAll(d.score(raw, min, max)),
+      setSessionTime: (ms) => active && setAll({ [d.sessionTime]: d.formatTime(ms) }),
+      setLocation: (location) => active && setAll({ [d.location]: location }),
+      getLocation: () => (active ? String(api[d.get](d.location) || "") : ""),
+      commit: () => active && call(d.commit, ""),
+      /** Ends the session; `suspend` keeps it resumable when unfinished. */
+      finish: function (suspend) {
+        if (!active) return false;
+        setAll({ [d.exit]: suspend ? "suspend" : found.version === "2004" ? "normal" : "" });
+        call(d.commit, "");
+        active = !call(d.finish, "");
+        return !active;
+      },
+      getLastError: () => (active ? String(api[d.error]()) : "0"),
+    };
+  }
+
+  window.SCORM_RUNTIME = {
+    findAPI: findAPI,
+    connect: connect,
+    formatTime12: formatTime12,
+    formatTime2004: formatTime2004,
+  };
+})();
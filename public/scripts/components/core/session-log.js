@@ -0,0 +1,256 @@
+/**
+ * Session Log
+ *
+ * Format of the run recordings written by session-recorder and played back
+ * by session-replay, with the JSON/binary codecs and frame interpolation.
+ *
+ * Loaded via <script> before session-recorder.js. Exposes window.SESSION_LOG.
+ *
+ * Log object:
+ *   {
+ *     version: 1,
+ *     scenario: "warehouse",       // scenario id (null without a loader)
+ *     startedAt: "2026-…Z",        // ISO time of the first frame
+ *     rate: 20,                    // samples per second
+ *     fires: ["oil-barrels", …],   // ids of the fire/fuel entities sampled
+ *     frames: [[t, …pose, …fires], …],
+ *     events: [[t, type, detail], …]
+ *   }
+ *
+ * Frame layout (flat numbers, t in ms from the start, poses in rig space):
+ *   t | rig x y z ry | head x y z qx qy qz qw | left (7) | right (7) | per fire: intensity spread
+ *
+ * Positions are rounded to mm, angles and quaternions to 1e-4, fire values
+ * to 1e-3. The binary form stores the same frames as Float32:
+ *   "FSR1" | uint32 header length | header JSON (UTF-8, padded to 4) |
+ *   uint32 frame count | Float32 frames
+ *
+ * Usage:
+ *   const frame = window.SESSION_LOG.sample(log, 1250);  // interpolated
+ *   frame.head;  // [x, y, z, qx, qy, qz, qw]
+ *   frame.fires; // { "oil-barrels": [intensity, spread] }
+ *   window.SESSION_LOG.eventsBetween(log, 1000, 1250);
+ */
+
+(function () {
+  "use strict";
+
+  const VERSION = 1;
+  const MAGIC = "FSR1";
+
+  // Pose channels after t, in frame order
+  const CHANNELS = [
+    { name: "rig", size: 4 },
+    { name: "head", size: 7 },
+    { name: "left", size: 7 },
+    { name: "right", size: 7 },
+  ];
+  const POSE_SIZE = CHANNELS.reduce((sum, c) => sum + c.size, 0);
+
+  // Division by a power of ten keeps the JSON short (no 0.30000000000000004)
+  const round = (value, scale) => Math.round(value * scale) / scale;
+
+  /**
+   * New empty log.
+   * @param {Object} info - { scenario, rate, fires }
+   */
+  function create(info) {
+    return {
+      version: VERSION,
+      scenario: info.scenario || null,
+      startedAt: new Date().toISOString(),
+      rate: info.rate,
+      fires: (info.fires || []).slice(),
+      frames: [],
+      events: [],
+    };
+  }
+
+  /** Numbers per frame for a log with `fireCount` fires. */
+  function frameSize(fireCount) {
+    return 1 + POSE_SIZE + fireCount * 2;
+  }
+
+  /**
+   * Quantised frame from raw values.
+   * @param {number} t
+   * @param {Object} pose - { rig: [4], head: [7], left: [7], right: [7] }
+   * @param {Array<Array<number>>} fires - [intensity, spread] per log fire
+   * @returns {Array<number>}
+   */
+  function packFrame(t, pose, fires) {
+    const frame = [Math.round(t)];
+    CHANNELS.forEach((channel) => {
+      const values = pose[channel.name];
+      for (let i = 0; i < channel.size; i++) {
+        // Positions (first three of every channel) to mm, the rest to 1e-4
+        frame.push(round(values[i], i < 3 ? 1000 : 10000));
+      }
+    });
+    fires.forEach((f) => frame.push(round(f[0], 1000), round(f[1], 1000)));
+    return frame;
+  }
+
+  /** Frame array → { t, rig, head, left, right, fires }. */
+  function unpackFrame(log, frame) {
+    const out = { t: frame[0], fires: {} };
+    let offset = 1;
+    CHANNELS.forEach((channel) => {
+      out[channel.name] = frame.slice(offset, offset + channel.size);
+      offset += channel.size;
+    });
+    log.fires.forEach((id, i) => {
+      out.fires[id] = [frame[offset + i * 2], frame[offset + i * 2 + 1]];
+    });
+    return out;
+  }
+
+  /** Index of the last frame at or before `t` (0 before the first one). */
+  function findFrame(log, t) {
+    const frames = log.frames;
+    let lo = 0;
+    let hi = frames.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (frames[mid][0] <= t) lo = mid;
+      else hi = mid - 1;
+    }
+    return lo;
+  }
+
+  /**
+   * Interpolated frame at time `t` (ms). Positions and fire values are
+   * blended linearly, rig yaw along the shortest arc, quaternions by nlerp.
+   * @returns {Object|null} { t, rig, head, left, right, fires }
+   */
+  function sample(log, t) {
+    if (!log.frames.length) return null;
+    const i = findFrame(log, t);
+    const a = log.frames[i];
+    const b = log.frames[Math.min(i + 1, log.frames.length - 1)];
+    const span = b[0] - a[0];
+    const k = span > 0 ? Math.max(0, Math.min(1, (t - a[0]) / span)) : 0;
+    const mixed = a.map((v, j) => v + (b[j] - v) * k);
+    mixed[0] = t;
+
+    // Rig yaw (after x y z)
+    let dYaw = b[4] - a[4];
+    if (dYaw > Math.PI) dYaw -= 2 * Math.PI;
+    if (dYaw < -Math.PI) dYaw += 2 * Math.PI;
+    mixed[4] = a[4] + dYaw * k;
+
+    // Quaternions: nlerp on the same hemisphere
+    let offset = 1 + CHANNELS[0].size;
+    for (let c = 1; c < CHANNELS.length; c++) {
+      const q = offset + 3;
+      const dot = a[q] * b[q] + a[q + 1] * b[q + 1] + a[q + 2] * b[q + 2] + a[q + 3] * b[q + 3];
+      const sign = dot < 0 ? -1 : 1;
+      let len = 0;
+      for (let j = 0; j < 4; j++) {
+        mixed[q + j] = a[q + j] + (b[q + j] * sign - a[q + j]) * k;
+        len += mixed[q + j] * mixed[q + j];
+      }
+      len = Math.sqrt(len) || 1;
+      for (let j = 0; j < 4; j++) mixed[q + j] /= len;
+      offset += CHANNELS[c].size;
+    }
+    return unpackFrame(log, mixed);
+  }
+
+  /** Events with from < t ≤ to, in order. */
+  function eventsBetween(log, from, to) {
+    return log.events.filter((e) => e[0] > from && e[0] <= to);
+  }
+
+  /** Length of the recording in ms. */
+  function duration(log) {
+    const last = log.frames[log.frames.length - 1];
+    const lastEvent = log.events[log.events.length - 1];
+    return Math.max(last ? last[0] : 0, lastEvent ? lastEvent[0] : 0);
+  }
+
+  // ─── Codecs ───────────────────────────────────────────────────────
+
+  function toJSON(log) {
+    return JSON.stringify(log);
+  }
+
+  /** Log → ArrayBuffer (see the layout above). */
+  function encodeBinary(log) {
+    const header = Object.assign({}, log, { frames: undefined });
+    const headerBytes = new TextEncoder().encode(JSON.stringify(header));
+    const padded = Math.ceil(headerBytes.length / 4) * 4;
+    const size = frameSize(log.fires.length);
+    const buffer = new ArrayBuffer(8 + padded + 4 + log.frames.length * size * 4);
+    const view = new DataView(buffer);
+
+    for (let i = 0; i < 4; i++) view.setUint8(i, MAGIC.charCodeAt(i));
+    view.setUint32(4, headerBytes.length, true);
+    new Uint8Array(buffer, 8, headerBytes.length).set(headerBytes);
+    view.setUint32(8 + padded, log.frames.length, true);
+
+    const data = new Float32Array(buffer, 12 + padded);
+    log.frames.forEach((frame, f) => data.set(frame, f * size));
+    return buffer;
+  }
+
+  /** ArrayBuffer → log. Float32 values are re-rounded to the JSON precision. */
+  function decodeBinary(buffer) {
+    const view = new DataView(buffer);
+    const headerLength = view.getUint32(4, true);
+    const padded = Math.ceil(headerLength / 4) * 4;
+    const header = JSON.parse(
+      new TextDecoder().decode(new Uint8Array(buffer, 8, headerLength)),
+    );
+    const count = view.getUint32(8 + padded, true);
+    const size = frameSize(header.fires.length);
+    const data = new Float32Array(buffer, 12 + padded, count * size);
+
+    header.frames = [];
+    for (let f = 0; f < count; f++) {
+      const frame = Array.from(data.subarray(f * size, (f + 1) * size));
+      header.frames.push(frame.map((v, i) => (i === 0 ? Math.round(v) : round(v, 10000))));
+    }
+    return header;
+  }
+
+  function isBinary(buffer) {
+    if (buffer.byteLength < 4) return false;
+    const bytes = new Uint8Array(buffer, 0, 4);
+    return String.fromCharCode.apply(null, bytes) === MAGIC;
+  }
+
+  /**
+   * Log from a JSON string, an ArrayBuffer (binary or JSON text) or an object.
+   * @throws {Error} when the data is not a session log
+   */
+  function parse(data) {
+    let log = data;
+    if (data instanceof ArrayBuffer) {
+      log = isBinary(data) ? decodeBinary(data) : new TextDecoder().decode(data);
+    }
+    if (typeof log === "string") log = JSON.parse(log);
+    if (!log || log.version !== VERSION || !Array.isArray(log.frames)) {
+      throw new Error("Not a session log (version " + VERSION + ")");
+    }
+    log.events = log.events || [];
+    log.fires = log.fires || [];
+    return log;
+  }
+
+  window.SESSION_LOG = {
+    VERSION: VERSION,
+    CHANNELS: CHANNELS,
+    create: create,
+    frameSize: frameSize,
+    packFrame: packFrame,
+    sample: sample,
+    findFrame: findFrame,
+    eventsBetween: eventsBetween,
+    duration: duration,
+    toJSON: toJSON,
+    encodeBinary: encodeBinary,
+    decodeBinary: decodeBinary,
+    parse: parse,
+  };
+})();
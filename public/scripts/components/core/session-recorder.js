@@ -0,0 +1,252 @@
+/**
+ * Session Recorder Component
+ *
+ * Records each training run into a compact log (core/session-log.js):
+ * head and controller poses, rig position, fire intensities and spread
+ * sampled at `rate` Hz, plus the events that matter for a debrief —
+ * controller buttons, training state changes, extinguisher actions
+ * (grab, seal, spray on/off), ignitions, panels and quiz answers, and the
+ * final score.
+ *
+ * Recording starts on `training-start` (autoStart) and stops shortly after
+ * the procedure enters `doneState`, on a module change, on a return to the
+ * welcome screen or after `maxDuration` seconds. Nothing is recorded while
+ * session-replay is playing.
+ *
+ * Events (emitted on the scene):
+ *   session-recording-start { scenario }
+ *   session-recorded        { log } — the finished log
+ *
+ * Usage (on the scene):
+ *   <a-scene session-recorder="rate: 20; format: binary; autoDownload: true">
+ *
+ * API:
+ *   component.start() / component.stop() — manual control; stop() returns the log
+ *   component.isRecording()
+ *   component.getLog()          — last finished log (null before the first one)
+ *   component.download([log])   — saves a log as .session.json or .session.bin
+ */
+
+// Scene events kept in the log; the picker trims the detail to what a replay needs
+const RECORDED_EVENTS = {
+  "training-state-enter": (d) => ({ state: d.state }),
+  "training-substate-enter": (d) => ({ path: d.path }),
+  "extinguisher-grabbed": (d) => ({ name: d.name, agent: d.agent }),
+  "extinguisher-released": (d) => ({ name: d.name }),
+  "extinguisher-seal-removed": (d) => ({ name: d.name }),
+  "extinguisher-spray-start": (d) => ({ name: d.name, agent: d.agent }),
+  "extinguisher-spray-stop": (d) => ({ name: d.name }),
+  "extinguisher-empty": (d) => ({ name: d.name }),
+  "fire-ignited": (d, e) => ({ target: e.target.id, cause: d.cause }),
+  "all-fires-extinguished": () => ({}),
+  "training-scored": (d) => ({ score: d.report.score, passed: d.report.passed }),
+  "panel-shown": (d) => ({ panel: d.panel }),
+  "panel-hidden": (d) => ({ panel: d.panel }),
+  "quiz-answered": (d) => ({ quiz: d.quiz, question: d.question, option: d.option, correct: d.correct }),
+};
+
+// Controller button events, logged as "button" { hand, name }
+const RECORDED_BUTTONS = [
+  "triggerdown", "triggerup", "gripdown", "gripup",
+  "abuttondown", "bbuttondown", "xbuttondown", "ybuttondown",
+];
+
+AFRAME.registerComponent("session-recorder", {
+  schema: {
+    enabled: { type: "boolean", default: true },
+    rate: { type: "number", default: 20 }, // samples per second
+    autoStart: { type: "boolean", default: true },
+    doneState: { type: "string", default: "done" },
+    maxDuration: { type: "number", default: 1800 }, // s
+    format: { type: "string", default: "json", oneOf: ["json", "binary"] },
+    autoDownload: { type: "boolean", default: false },
+    rig: { type: "selector", default: "#rig" },
+    camera: { type: "selector", default: "#camera" },
+    leftHand: { type: "selector", default: "#left-hand-controller" },
+    rightHand: { type: "selector", default: "#right-hand-controller" },
+  },
+
+  init: function () {
+    this.scene = this.el.sceneEl;
+    this.recording = null; // log being written
+    this.lastLog = null;
+    this._fireEls = [];
+    this._elapsed = 0;
+    this._acc = 0;
+    this._stopPending = false;
+
+    // Reusable math objects
+    this._rigInv = new THREE.Matrix4();
+    this._rel = new THREE.Matrix4();
+    this._pos = new THREE.Vector3();
+    this._quat = new THREE.Quaternion();
+    this._scale = new THREE.Vector3();
+
+    this._sceneHandlers = {
+      "training-start": () => {
+        if (this.data.autoStart) this.start();
+      },
+      "training-state-enter": (e) => {
+        if (this.recording && e.detail.state === this.data.doneState) this._stopPending = true;
+      },
+      "module-change-start": () => this.stop(),
+      "reset-to-welcome": () => this.stop(),
+    };
+    Object.keys(RECORDED_EVENTS).forEach((type) => {
+      const handler = this._sceneHandlers[type];
+      this._sceneHandlers[type] = (e) => {
+        if (handler) handler(e);
+        this._logEvent(type, RECORDED_EVENTS[type](e.detail || {}, e));
+      };
+    });
+    Object.keys(this._sceneHandlers).forEach((evt) =>
+      this.scene.addEventListener(evt, this._sceneHandlers[evt]),
+    );
+
+    this._buttonHandlers = [];
+    [["left", this.data.leftHand], ["right", this.data.rightHand]].forEach(([hand, el]) => {
+      if (!el) return;
+      RECORDED_BUTTONS.forEach((name) => {
+        const handler = () => this._logEvent("button", { hand, name });
+        el.addEventListener(name, handler);
+        this._buttonHandlers.push({ el, name, handler });
+      });
+    });
+  },
+
+  remove: function () {
+    Object.keys(this._sceneHandlers).forEach((evt) =>
+      this.scene.removeEventListener(evt, this._sceneHandlers[evt]),
+    );
+    this._buttonHandlers.forEach((b) => b.el.removeEventListener(b.name, b.handler));
+  },
+
+  // ─── Control ──────────────────────────────────────────────────────
+
+  start: function () {
+    if (!this.data.enabled) return;
+    const replay = this.scene.components["session-replay"];
+    if (replay && replay.isPlaying()) return;
+    if (this.recording) this.stop();
+
+    const loader = this.scene.components["scenario-loader"];
+    const scenario = loader && loader.getScenario();
+    this._fireEls = Array.from(this.scene.querySelectorAll("[fuel], [fire-system]")).filter(
+      (el) => el.id,
+    );
+    this.recording = window.SESSION_LOG.create({
+      scenario: scenario ? scenario.id : null,
+      rate: this.data.rate,
+      fires: this._fireEls.map((el) => el.id),
+    });
+    this._elapsed = 0;
+    this._acc = 0;
+    this._stopPending = false;
+    this._sample();
+
+    window.debugLog("SessionRecorder", "Recording", this.recording.scenario, "at", this.data.rate, "Hz");
+    this.scene.emit("session-recording-start", { scenario: this.recording.scenario });
+  },
+
+  /** Ends the recording; returns the finished log (null if none was running). */
+  stop: function () {
+    const log = this.recording;
+    if (!log) return null;
+    this._sample();
+    this.recording = null;
+    this.lastLog = log;
+
+    window.debugLog(
+      "SessionRecorder",
+      `Stopped — ${log.frames.length} frames, ${log.events.length} events,`,
+      (window.SESSION_LOG.duration(log) / 1000).toFixed(1),
+      "s",
+    );
+    this.scene.emit("session-recorded", { log });
+    if (this.data.autoDownload) this.download(log);
+    return log;
+  },
+
+  isRecording: function () {
+    return !!this.recording;
+  },
+
+  getLog: function () {
+    return this.lastLog;
+  },
+
+  /**
+   * Saves a log through a download link.
+   * @param {Object} [log]    - defaults to the last finished log
+   * @param {string} [format] - "json" | "binary" (defaults to the schema)
+   */
+  download: function (log, format) {
+    log = log || this.lastLog;
+    if (!log) return;
+    const binary = (format || this.data.format) === "binary";
+    const blob = binary
+      ? new Blob([window.SESSION_LOG.encodeBinary(log)], { type: "application/octet-stream" })
+      : new Blob([window.SESSION_LOG.toJSON(log)], { type: "application/json" });
+    const stamp = log.startedAt.replace(/[:.]/g, "-");
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = `session-${log.scenario || "run"}-${stamp}.session.${binary ? "bin" : "json"}`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  },
+
+  // ─── Sampling ─────────────────────────────────────────────────────
+
+  tick: function (time, delta) {
+    if (!this.recording || !delta) return;
+    // Let the final state's own events (score) land in the log first
+    if (this._stopPending) {
+      this.stop();
+      return;
+    }
+    this._elapsed += delta;
+    this._acc += delta;
+    const interval = 1000 / this.data.rate;
+    if (this._acc >= interval) {
+      this._acc %= interval;
+      this._sample();
+    }
+    if (this._elapsed >= this.data.maxDuration * 1000) this.stop();
+  },
+
+  _sample: function () {
+    const d = this.data;
+    const rig = d.rig && d.rig.object3D;
+    if (!rig) return;
+    const camera = d.camera && (d.camera.getObject3D("camera") || d.camera.object3D);
+    const pose = {
+      rig: [rig.position.x, rig.position.y, rig.position.z, rig.rotation.y],
+      head: this._rigPose(camera),
+      left: this._rigPose(d.leftHand && d.leftHand.object3D),
+      right: this._rigPose(d.rightHand && d.rightHand.object3D),
+    };
+    const fires = this._fireEls.map((el) => {
+      const fire = el.components["fire-system"];
+      return fire ? [fire.fireIntensity, fire.spread] : [0, 1];
+    });
+    this.recording.frames.push(window.SESSION_LOG.packFrame(this._elapsed, pose, fires));
+  },
+
+  /** Pose relative to the rig: [x, y, z, qx, qy, qz, qw]. */
+  _rigPose: function (object3D) {
+    if (!object3D) return [0, 0, 0, 0, 0, 0, 1];
+    this._rigInv.copy(this.data.rig.object3D.matrixWorld).invert();
+    this._rel.multiplyMatrices(this._rigInv, object3D.matrixWorld);
+    this._rel.decompose(this._pos, this._quat, this._scale);
+    const p = this._pos;
+    const q = this._quat;
+    return [p.x, p.y, p.z, q.x, q.y, q.z, q.w];
+  },
+
+  _logEvent: function (type, detail) {
+    if (!this.recording) return;
+    this.recording.events.push([Math.round(this._elapsed), type, detail]);
+  },
+});
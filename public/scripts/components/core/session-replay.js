@@ -0,0 +1,353 @@
+/**
+ * Session Replay Component
+ *
+ * Plays a session-recorder log back in the browser: loads the recorded
+ * scenario, then drives the rig, head and controllers from the sampled
+ * poses, sets fire intensity and spread (fire system in `driven` mode —
+ * no growth, hits or fuel heating of its own) and re-runs the recorded
+ * actions: extinguisher grab / seal / spray through extinguisher-controller
+ * (hose and agent particles follow) and training state changes (HUD and
+ * panels, which close again where the trainee closed them).
+ *
+ * Meant for review on a desktop browser: look-controls, movement and
+ * training-bindings are switched off while playing (and back on when it
+ * ends), the held unit's charge is not drained, and simple hand markers stand in for the
+ * controller models (lit while trigger or grip is held). In a headset the
+ * live head pose takes over the view.
+ *
+ * Sources:
+ *   ?replay=/recordings/run.session.json — fetched once the scene loads
+ *   drop a .session.json / .session.bin file on the page (dropFiles)
+ *   component.play(log)
+ *
+ * Events (emitted on the scene):
+ *   replay-start { scenario, duration }
+ *   replay-end   { completed }
+ *   replay-error { error }
+ *
+ * API:
+ *   component.play(log) → Promise — log object, JSON string or ArrayBuffer
+ *   component.pause() / component.resume() / component.stop()
+ *   component.isPlaying() / component.isActive() — active: requested by URL or played
+ */
+
+const REPLAY_HAND_STYLE = {
+  size: { x: 0.04, y: 0.03, z: 0.12 },
+  color: "#E5E7EB",
+  pressedColor: "#F59E0B",
+};
+
+AFRAME.registerComponent("session-replay", {
+  schema: {
+    param: { type: "string", default: "replay" }, // URL parameter with the log URL
+    speed: { type: "number", default: 1 },
+    loop: { type: "boolean", default: false },
+    dropFiles: { type: "boolean", default: true },
+    rig: { type: "selector", default: "#rig" },
+    camera: { type: "selector", default: "#camera" },
+    leftHand: { type: "selector", default: "#left-hand-controller" },
+    rightHand: { type: "selector", default: "#right-hand-controller" },
+  },
+
+  init: function () {
+    this.scene = this.el.sceneEl;
+    this.log = null;
+    this.playing = false;
+    this.paused = false;
+    this.time = 0;
+    this._markers = {}; // hand → { mesh, pressed: Set }
+
+    const params = new URLSearchParams(window.location.search);
+    this.requestedUrl = params.get(this.data.param);
+    if (this.requestedUrl) {
+      this.scene.addEventListener("loaded", () => this._fetch(this.requestedUrl));
+    }
+
+    this._onDragOver = (e) => e.preventDefault();
+    this._onDrop = (e) => {
+      e.preventDefault();
+      const file = e.dataTransfer.files[0];
+      if (file) file.arrayBuffer().then((buffer) => this.play(buffer));
+    };
+    if (this.data.dropFiles) {
+      window.addEventListener("dragover", this._onDragOver);
+      window.addEventListener("drop", this._onDrop);
+    }
+  },
+
+  remove: function () {
+    window.removeEventListener("dragover", this._onDragOver);
+    window.removeEventListener("drop", this._onDrop);
+    this.stop();
+  },
+
+  _fetch: function (url) {
+    window.debugLog("SessionReplay", "Fetching", url);
+    fetch(url)
+      .then((res) => {
+        if (!res.ok) throw new Error(`HTTP ${res.status} for ${url}`);
+        return res.arrayBuffer();
+      })
+      .then((buffer) => this.play(buffer))
+      .catch((err) => this._fail(err));
+  },
+
+  // ─── Control ──────────────────────────────────────────────────────
+
+  /**
+   * Loads the log's scenario and starts playing it.
+   * @param {Object|string|ArrayBuffer} data
+   * @returns {Promise}
+   */
+  play: function (data) {
+    let log;
+    try {
+      log = window.SESSION_LOG.parse(data);
+    } catch (err) {
+      this._fail(err);
+      return Promise.reject(err);
+    }
+    if (this.playing) this.stop();
+    const recorder = this.scene.components["session-recorder"];
+    if (recorder && recorder.isRecording()) recorder.stop();
+
+    this.log = log;
+    return this._loadScenario(log.scenario)
+      .then(() => {
+        this._enterReplayMode();
+        this.time = 0;
+        this._cursor = -1;
+        this.playing = true;
+        this.paused = false;
+        this._played = true;
+        const duration = window.SESSION_LOG.duration(log);
+        window.debugLog("SessionReplay", `Playing ${log.scenario} (${(duration / 1000).toFixed(1)} s)`);
+        this.scene.emit("replay-start", { scenario: log.scenario, duration });
+      })
+      .catch((err) => this._fail(err));
+  },
+
+  pause: function () {
+    this.paused = true;
+  },
+
+  resume: function () {
+    this.paused = false;
+  },
+
+  stop: function (completed) {
+    if (!this.playing) return;
+    this.playing = false;
+    this._exitReplayMode();
+    this.scene.emit("replay-end", { completed: !!completed });
+  },
+
+  isPlaying: function () {
+    return this.playing;
+  },
+
+  isActive: function () {
+    return !!this.requestedUrl || !!this.log;
+  },
+
+  /**
+   * A fresh copy of the recorded scenario: the one already built if nothing
+   * has happened in it yet, otherwise a reload through scene-manager.
+   */
+  _loadScenario: function (id) {
+    const loader = this.scene.components["scenario-loader"];
+    if (!loader || !id) return Promise.resolve();
+    const manager = this.scene.components["scene-manager"];
+    return loader.whenReady().then((current) => {
+      const pristine =
+        current &&
+        current.id === id &&
+        !this._played &&
+        (!manager || manager.getCurrentScene() === "welcome");
+      if (pristine) return current;
+      return manager ? manager.goToModule(id) : loader.load(id);
+    });
+  },
+
+  _fail: function (err) {
+    window.debugWarn("SessionReplay", "Replay failed:", err.message);
+    this.scene.emit("replay-error", { error: err.message });
+  },
+
+  // ─── Replay mode ──────────────────────────────────────────────────
+
+  _enterReplayMode: function () {
+    const d = this.data;
+    this.scene.systems.fire.driven = true;
+
+    if (d.rig && d.rig.components["movement-controller"]) {
+      d.rig.components["movement-controller"].setEnabled(false);
+    }
+    if (d.camera && d.camera.components["look-controls"]) {
+      d.camera.setAttribute("look-controls", "enabled", false);
+    }
+    const panelsEl = this.scene.querySelector("[interactive-panels]");
+    if (panelsEl) panelsEl.components["interactive-panels"].clearPanel();
+
+    // Recorded state changes are replayed directly, not re-derived from events
+    const stateEl = this.scene.querySelector("[training-bindings]");
+    if (stateEl) stateEl.setAttribute("training-bindings", "enabled", false);
+
+    this._addMarker("left", d.leftHand);
+    this._addMarker("right", d.rightHand);
+  },
+
+  _exitReplayMode: function () {
+    const d = this.data;
+    this.scene.systems.fire.driven = false;
+    if (d.rig && d.rig.components["movement-controller"]) {
+      d.rig.components["movement-controller"].setEnabled(true);
+    }
+    if (d.camera && d.camera.components["look-controls"]) {
+      d.camera.setAttribute("look-controls", "enabled", true);
+    }
+    // Live training reacts to scene events again
+    const stateEl = this.scene.querySelector("[training-bindings]");
+    if (stateEl) stateEl.setAttribute("training-bindings", "enabled", true);
+    const ctrl = this._controller();
+    if (ctrl) ctrl.setSpraying(false);
+
+    Object.keys(this._markers).forEach((hand) => {
+      const mesh = this._markers[hand].mesh;
+      mesh.parent.remove(mesh);
+      mesh.geometry.dispose();
+      mesh.material.dispose();
+    });
+    this._markers = {};
+  },
+
+  _addMarker: function (hand, el) {
+    if (!el) return;
+    const s = REPLAY_HAND_STYLE.size;
+    const mesh = new THREE.Mesh(
+      new THREE.BoxGeometry(s.x, s.y, s.z),
+      new THREE.MeshBasicMaterial({ color: REPLAY_HAND_STYLE.color }),
+    );
+    el.object3D.add(mesh);
+    this._markers[hand] = { mesh, pressed: new Set() };
+  },
+
+  // ─── Playback ─────────────────────────────────────────────────────
+
+  tick: function (time, delta) {
+    if (!this.playing || this.paused || !delta) return;
+    const log = this.log;
+    const end = window.SESSION_LOG.duration(log);
+    const prev = this._cursor;
+    // Clamp like the particle systems: a long frame must not skip the log ahead
+    this.time = Math.min(end, this.time + Math.min(delta, 100) * this.data.speed);
+    this._cursor = this.time;
+
+    window.SESSION_LOG.eventsBetween(log, prev, this.time).forEach((e) =>
+      this._replayEvent(e[1], e[2]),
+    );
+    const frame = window.SESSION_LOG.sample(log, this.time);
+    if (frame) this._applyFrame(frame);
+
+    if (this.time >= end) {
+      if (this.data.loop) {
+        this.play(log);
+      } else {
+        window.debugLog("SessionReplay", "Finished");
+        this.stop(true);
+      }
+    }
+  },
+
+  _applyFrame: function (frame) {
+    const d = this.data;
+    if (d.rig) {
+      d.rig.object3D.position.set(frame.rig[0], frame.rig[1], frame.rig[2]);
+      d.rig.object3D.rotation.y = frame.rig[3];
+    }
+    this._setPose(d.camera, frame.head);
+    this._setPose(d.leftHand, frame.left);
+    this._setPose(d.rightHand, frame.right);
+
+    Object.keys(frame.fires).forEach((id) => {
+      const el = document.getElementById(id);
+      if (!el) return;
+      const [intensity, spread] = frame.fires[id];
+      const fire = el.components["fire-system"];
+      if (fire) {
+        fire.fireIntensity = Math.max(0, intensity);
+        fire.spread = spread;
+      } else if (intensity > 0 && el.components.fuel) {
+        el.components.fuel.ignite(intensity, "replay");
+      }
+    });
+  },
+
+  _setPose: function (el, pose) {
+    if (!el) return;
+    el.object3D.position.set(pose[0], pose[1], pose[2]);
+    el.object3D.quaternion.set(pose[3], pose[4], pose[5], pose[6]);
+  },
+
+  _replayEvent: function (type, detail) {
+    const ctrl = this._controller();
+    const stateEl = this.scene.querySelector("[training-state]");
+    const ts = stateEl && stateEl.trainingState;
+
+    switch (type) {
+      case "training-state-enter":
+        if (ts && !ts.matches(detail.state)) ts.goTo(detail.state);
+        break;
+      case "training-substate-enter":
+        if (ts && !ts.matches(detail.path)) ts.goTo(detail.path);
+        break;
+      case "extinguisher-grabbed":
+        if (ctrl) ctrl.grab(detail.name);
+        break;
+      case "extinguisher-released":
+        if (ctrl) ctrl.release();
+        break;
+      case "extinguisher-seal-removed":
+        if (ctrl) ctrl.removeSeal();
+        break;
+      case "extinguisher-spray-start":
+        if (ctrl) ctrl.setSpraying(true);
+        break;
+      case "extinguisher-spray-stop":
+        if (ctrl) ctrl.setSpraying(false);
+        break;
+      case "button":
+        this._pressButton(detail.hand, detail.name);
+        break;
+      case "panel-hidden": {
+        // Panels opened by state entry actions close when the trainee closed them
+        const panels = this._panels();
+        if (panels && panels.active && panels.active.id === detail.panel) panels.close();
+        break;
+      }
+    }
+  },
+
+  /** Lights the hand marker while its trigger or grip is held. */
+  _pressButton: function (hand, name) {
+    const marker = this._markers[hand];
+    if (!marker) return;
+    const match = /^(trigger|grip)(down|up)$/.exec(name);
+    if (!match) return;
+    if (match[2] === "down") marker.pressed.add(match[1]);
+    else marker.pressed.delete(match[1]);
+    marker.mesh.material.color.set(
+      marker.pressed.size ? REPLAY_HAND_STYLE.pressedColor : REPLAY_HAND_STYLE.color,
+    );
+  },
+
+  _panels: function () {
+    const el = this.scene.querySelector("[interactive-panels]");
+    return el ? el.components["interactive-panels"] : null;
+  },
+
+  _controller: function () {
+    const el = this.scene.querySelector("[extinguisher-controller]");
+    return el ? el.components["extinguisher-controller"] : null;
+  },
+});
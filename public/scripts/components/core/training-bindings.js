@@ -0,0 +1,108 @@
+// Declarative scene event → training-state transition bindings
+//
+// Companion of `training-state` (same entity). Each binding listens on the
+// scene for an event and calls trainingState.next(event, detail):
+//
+//   [
+//     { "on": "extinguisher-grabbed", "event": "proceed" },
+//     { "on": "extinguisher-grabbed", "event": "wrong_agent", "filter": { "agent": "water" } },
+//     { "on": "fire-ignited", "event": "reflash", "cond": "event.cause === 'reflash'" },
+//     { "on": "all-fires-safe", "event": "done", "state": "overhaul" }
+//   ]
+//
+//   filter — detail fields that must match exactly
+//   cond   — GUARD_EXPRESSION over the context plus `event` (the detail)
+//   state  — only while in this state (string or array; dotted sub-state paths allowed)
+//
+// Bindings come from the `bindings` property (JSON), else from a `bindings`
+// key in the training-state config, else the defaults below, which run the
+// default flow end to end.
+AFRAME.registerComponent('training-bindings', {
+  dependencies: ['training-state'],
+
+  schema: {
+    enabled: { type: 'boolean', default: true },
+    bindings: { type: 'string', default: '' },
+  },
+
+  init() {
+    this._handlers = [];
+  },
+
+  update() {
+    this._unbind();
+    if (!this.data.enabled) return;
+    this.bindings = this._loadBindings();
+    this._bind();
+  },
+
+  remove() {
+    this._unbind();
+  },
+
+  _loadBindings() {
+    if (this.data.bindings) {
+      try {
+        return JSON.parse(this.data.bindings);
+      } catch (e) {
+        window.debugWarn('TrainingState', 'Invalid bindings, using the default ones:', e.message);
+      }
+    }
+    const ts = this.el.components['training-state'];
+    if (ts && ts.config && Array.isArray(ts.config.bindings)) return ts.config.bindings;
+    return [
+      { on: 'training-start', event: 'start' },
+      { on: 'extinguisher-grabbed', event: 'proceed' },
+      { on: 'extinguisher-seal-removed', event: 'ready' },
+      { on: 'all-fires-extinguished', event: 'fire_out' },
+      { on: 'fire-ignited', event: 'reflash', cond: "event.cause === 'reflash'" },
+      { on: 'all-fires-safe', event: 'done' },
+    ];
+  },
+
+  _bind() {
+    const scene = this.el.sceneEl;
+    this.bindings.forEach((binding) => {
+      if (!binding.on || !binding.event) return;
+      const handler = (e) => this._fire(binding, e.detail || {});
+      scene.addEventListener(binding.on, handler);
+      this._handlers.push({ eventName: binding.on, handler });
+    });
+  },
+
+  _unbind() {
+    const scene = this.el.sceneEl;
+    this._handlers.forEach(({ eventName, handler }) => scene.removeEventListener(eventName, handler));
+    this._handlers = [];
+  },
+
+  _fire(binding, detail) {
+    const ts = this.el.trainingState;
+    if (!ts) return;
+    if (binding.state) {
+      const states = Array.isArray(binding.state) ? binding.state : [binding.state];
+      if (!states.some((state) => ts.matches(state))) return;
+    }
+    if (binding.filter && !this._matches(detail, binding.filter)) return;
+    if (binding.cond && !this._guard(binding.cond, ts, detail)) return;
+
+    const advanced = ts.next(binding.event, detail);
+    if (advanced && window.DEBUG_CONFIG && window.DEBUG_CONFIG.LOG_TRAINING) {
+      window.debugLog('TrainingState', `Binding ${binding.on} → ${binding.event} (${ts.get()})`);
+    }
+  },
+
+  _matches(detail, filter) {
+    return Object.keys(filter).every((key) => detail[key] === filter[key]);
+  },
+
+  _guard(cond, ts, detail) {
+    try {
+      const scope = Object.assign(ts.getContext(), { event: detail, state: ts.get() });
+      return !!window.GUARD_EXPRESSION.evaluate(cond, scope);
+    } catch (e) {
+      window.debugWarn('TrainingState', `Invalid binding cond "${cond}":`, e.message);
+      return false;
+    }
+  },
+});
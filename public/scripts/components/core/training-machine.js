@@ -0,0 +1,521 @@
+/**
+ * Training Machine
+ *
+ * The statechart behind the training-state component: states, nested and
+ * parallel regions, guarded transitions, entry / exit / assign actions,
+ * `after` timeouts and the context. Free of A-Frame and the DOM so the
+ * procedure logic runs (and is tested) in Node; the component feeds it
+ * scene time and scene events and turns its hooks into scene effects.
+ * The procedure format is documented in training-state.js.
+ *
+ * Loaded via <script> after guard-expression.js and before
+ * training-state.js. Exposes window.TRAINING_MACHINE.
+ *
+ * Hooks (all optional):
+ *   emit(name, detail)      — training-state-enter, training-substate-enter,
+ *                             training-substate-done, training-context,
+ *                             training-timeout and `emit` actions
+ *   action(action, payload) — any other action ({ hud }, { panel })
+ *   describe(node)          — state description (default: `desc` if a string)
+ *   log(...args) / warn(...args)
+ *
+ * Usage:
+ *   const machine = window.TRAINING_MACHINE.create(
+ *     { initial: "intro", states: { intro: { on: { start: "done" } }, done: {} } },
+ *     { emit: (name, detail) => el.emit(name, detail) });
+ *   machine.start();
+ *   machine.next("start");   // true
+ *   machine.get();           // "done"
+ *   machine.tick(16);        // scene time for `after` timeouts
+ */
+
+(function () {
+  "use strict";
+
+  const noop = () => {};
+
+  const METHODS = {
+    /** Enters the initial state (nothing to enter without states). */
+    start() {
+      if (!this.initial) {
+        this._hooks.warn("No states to start");
+        return;
+      }
+      this._enter(this.initial);
+    },
+
+    // ─── Public API (also exposed as el.trainingState) ──────────────
+
+    /** Advance via named event; `payload` is `event` in guards. */
+    next(eventName, payload) {
+      return this._advance(eventName, payload);
+    },
+
+    /** Go to the next top-level state in sequence (ignores event names). */
+    forward() {
+      const idx = this.stateKeys.indexOf(this.current);
+      if (idx < this.stateKeys.length - 1) {
+        this._enter(this.stateKeys[idx + 1]);
+        return true;
+      }
+      this._hooks.warn(`Already at last state: '${this.current}'`);
+      return false;
+    },
+
+    /** Go to the previous top-level state in sequence. */
+    back() {
+      const idx = this.stateKeys.indexOf(this.current);
+      if (idx > 0) {
+        this._enter(this.stateKeys[idx - 1]);
+        return true;
+      }
+      this._hooks.warn(`Already at first state: '${this.current}'`);
+      return false;
+    },
+
+    /** Jump directly to a named state or dotted sub-state path. */
+    goTo(state) {
+      if (!state || !this._node(state)) {
+        this._hooks.warn(`State not found: '${state}'`);
+        return false;
+      }
+      const parts = state.split(".");
+      this._enter(parts[0], null, null, parts.slice(1));
+      return true;
+    },
+
+    /** Back to the initial state and context (no exit actions). */
+    reset() {
+      this.context = JSON.parse(JSON.stringify(this._initialContext));
+      if (this.states[this.initial]) {
+        this.current = null;
+        this.activeChild = {};
+        this._timers = [];
+        this._enter(this.initial);
+      }
+    },
+
+    /** Scene time (ms) spent in the current configuration; fires due `after` timeouts. */
+    tick(delta) {
+      if (!this._timers.length || !delta) return;
+      this._time += delta;
+      // Copy: a timeout transition replaces entries of the list
+      this._timers.slice().forEach((timer) => {
+        if (timer.fired || this._time - timer.at < timer.delay) return;
+        if (this._timers.indexOf(timer) === -1) return; // exited meanwhile
+        timer.fired = true;
+        this._hooks.emit("training-timeout", { state: timer.path, after: timer.delay });
+        const transition = this._select(timer.transitions, { after: timer.delay });
+        if (transition) this._take(timer.path, transition, { after: timer.delay });
+      });
+    },
+
+    get() {
+      return this.current;
+    },
+
+    getIndex() {
+      return this.stateKeys.indexOf(this.current);
+    },
+
+    getAll() {
+      return this.stateKeys.slice();
+    },
+
+    /** Description of a top-level name or dotted path (the current state by default). */
+    getDesc(state) {
+      const node = this._node(state || this.current);
+      return node ? this._hooks.describe(node) : "";
+    },
+
+    isLast() {
+      return this.stateKeys.indexOf(this.current) === this.stateKeys.length - 1;
+    },
+
+    isFirst() {
+      return this.stateKeys.indexOf(this.current) === 0;
+    },
+
+    /** Active leaf state paths (several when inside parallel regions). */
+    getActive() {
+      return this._leaves();
+    },
+
+    /** Whether a state path is active ('suppress', 'suppress.alarm.raised'). */
+    matches(path) {
+      return this._isActive(path);
+    },
+
+    getContext() {
+      return Object.assign({}, this.context);
+    },
+
+    /** Writes a context value, or an object of values. */
+    setContext(key, value) {
+      if (key && typeof key === "object") {
+        Object.keys(key).forEach((k) => this._setContext(k, key[k]));
+      } else {
+        this._setContext(key, value);
+      }
+    },
+
+    /** A scene event named in `contextEvents` happened: write its values. */
+    contextEvent(eventName, detail) {
+      const writes = this.contextEvents[eventName];
+      if (!writes) return;
+      Object.keys(writes).forEach((key) => {
+        try {
+          this._setContext(key, this._value(writes[key], detail));
+        } catch (err) {
+          this._hooks.warn(`contextEvents '${eventName}.${key}' failed:`, err.message);
+        }
+      });
+    },
+
+    // ─── Transitions ────────────────────────────────────────────────
+
+    /** Switches the top-level state (exiting the whole active tree). */
+    _enter(state, actions, payload, rest) {
+      const prevState = this.current;
+      if (prevState !== null && this.states[prevState]) {
+        this._exitNode(prevState, payload);
+      }
+      this._runActions(actions, payload);
+
+      this.current = state;
+      this._hooks.log(
+        `State transition: ${prevState} → ${state} (${this.stateKeys.indexOf(state) + 1}/${this.stateKeys.length})`,
+      );
+      this._activate(state, payload, rest, prevState === null ? state : prevState);
+    },
+
+    _advance(eventName, payload) {
+      const taken = [];
+      let blocked = false;
+      this._leaves().forEach((leaf) => {
+        for (let path = leaf; path !== null; path = this._parent(path)) {
+          // Another region already bubbled up to this ancestor
+          if (taken.some((t) => t.source === path)) return;
+          const node = this._node(path);
+          const transitions = this._normalize(node && node.on && node.on[eventName]);
+          if (!transitions.length) continue;
+          const transition = this._select(transitions, payload);
+          if (!transition) {
+            blocked = true;
+            continue;
+          }
+          taken.push({ source: path, transition });
+          return;
+        }
+      });
+
+      if (!taken.length) {
+        if (blocked) this._hooks.warn(`Guard blocked '${eventName}' in '${this.current}'`);
+        else this._hooks.warn(`No transition from '${this.current}' on event '${eventName}'`);
+        return false;
+      }
+      let advanced = false;
+      taken.forEach(({ source, transition }) => {
+        // An earlier transition may have exited this source
+        if (this._isActive(source) && this._take(source, transition, payload)) advanced = true;
+      });
+      return advanced;
+    },
+
+    /** "target" | { target, cond, actions } | [ … ] → [{ target, cond, actions }] */
+    _normalize(def) {
+      if (!def) return [];
+      const list = Array.isArray(def) ? def : [def];
+      return list.map((t) => (typeof t === "string" ? { target: t } : t));
+    },
+
+    /** First transition whose guard passes (unguarded ones always pass). */
+    _select(transitions, payload) {
+      return transitions.find((t) => !t.cond || this._guard(t.cond, payload)) || null;
+    },
+
+    _guard(cond, payload) {
+      try {
+        return !!window.GUARD_EXPRESSION.evaluate(cond, this._scope(payload));
+      } catch (e) {
+        this._hooks.warn(`Invalid guard "${cond}":`, e.message);
+        return false;
+      }
+    },
+
+    /**
+     * Takes a transition declared on `source`: exits up to the common ancestor
+     * of source and target, runs the transition actions, enters the target.
+     */
+    _take(source, transition, payload) {
+      if (!transition.target) {
+        // Internal transition: actions only, states (and their timers) unchanged
+        this._runActions(transition.actions, payload);
+        return true;
+      }
+      const target = this._resolveTarget(source, transition.target);
+      if (!target) {
+        this._hooks.warn(`State not found: '${transition.target}'`);
+        return false;
+      }
+
+      const from = source.split(".");
+      const to = target.split(".");
+      let depth = 0;
+      while (depth < from.length - 1 && depth < to.length - 1 && from[depth] === to[depth]) depth++;
+      if (depth === 0) {
+        this._enter(to[0], transition.actions, payload, to.slice(1));
+        return true;
+      }
+
+      // Transition inside `domain`: swap the child (or region) holding the source
+      const domain = to.slice(0, depth).join(".");
+      const domainNode = this._node(domain);
+      const leaving = domainNode.type === "parallel" ? from[depth] : this.activeChild[domain];
+      if (leaving) this._exitNode(`${domain}.${leaving}`, payload);
+      this._runActions(transition.actions, payload);
+      if (domainNode.type !== "parallel") this.activeChild[domain] = to[depth];
+      this._activate(`${domain}.${to[depth]}`, payload, to.slice(depth + 1));
+      return true;
+    },
+
+    /** Dotted targets are absolute; plain names are siblings searched outwards, then top level. */
+    _resolveTarget(source, target) {
+      if (target.indexOf(".") !== -1) return this._node(target) ? target : null;
+      for (let path = this._parent(source); path !== null; path = this._parent(path)) {
+        const node = this._node(path);
+        if (node && node.states && node.states[target]) return `${path}.${target}`;
+      }
+      return this.states[target] ? target : null;
+    },
+
+    _startTimers(path) {
+      const node = this._node(path);
+      const after = (node && node.after) || {};
+      const entries = Array.isArray(after)
+        ? after.map((a) => ({ delay: a.delay, transitions: this._normalize(a) }))
+        : Object.keys(after).map((delay) => ({ delay: Number(delay), transitions: this._normalize(after[delay]) }));
+      entries
+        .filter((t) => t.delay >= 0)
+        .sort((a, b) => a.delay - b.delay)
+        .forEach((t) => this._timers.push(Object.assign(t, { path, at: this._time, fired: false })));
+    },
+
+    // ─── Hierarchy ──────────────────────────────────────────────────
+
+    /** State definition for a top-level name or dotted path. */
+    _node(path) {
+      if (!path) return null;
+      const parts = path.split(".");
+      let node = this.states[parts[0]];
+      for (let i = 1; node && i < parts.length; i++) {
+        node = node.states && node.states[parts[i]];
+      }
+      return node || null;
+    },
+
+    _parent(path) {
+      const idx = path.lastIndexOf(".");
+      return idx === -1 ? null : path.slice(0, idx);
+    },
+
+    /** Active leaf paths below `path` (the current state by default). */
+    _leaves(path) {
+      const root = path || this.current;
+      const node = this._node(root);
+      if (!node) return [];
+      if (node.states && node.type === "parallel") {
+        return Object.keys(node.states).reduce((all, r) => all.concat(this._leaves(`${root}.${r}`)), []);
+      }
+      const child = this.activeChild[root];
+      return child ? this._leaves(`${root}.${child}`) : [root];
+    },
+
+    _isActive(path) {
+      return this._leaves().some((leaf) => leaf === path || leaf.indexOf(`${path}.`) === 0);
+    },
+
+    /**
+     * Enters `path` and its default (or `rest`-targeted) descendants: the
+     * whole configuration is settled first, then enter events are emitted and
+     * entry actions run — they may emit events that trigger the next transition.
+     */
+    _activate(path, payload, rest, prevTop) {
+      const entered = [];
+      this._enterNode(path, rest, entered);
+
+      entered.forEach((p) => {
+        const parent = this._parent(p);
+        if (parent === null) {
+          this._hooks.emit("training-state-enter", { state: p, prev: prevTop, index: this.stateKeys.indexOf(p) });
+        } else {
+          this._hooks.emit("training-substate-enter", { path: p, state: p.slice(parent.length + 1), parent });
+        }
+      });
+      entered.forEach((p) => this._runActions(this._node(p).entry, payload));
+      entered.forEach((p) => {
+        if (this._node(p).type === "final" && this._isActive(p)) this._checkDone(this._parent(p), payload);
+      });
+    },
+
+    _enterNode(path, rest, entered) {
+      const node = this._node(path);
+      entered.push(path);
+      this._startTimers(path);
+      if (!node.states) return;
+
+      const keys = Object.keys(node.states);
+      const next = rest && rest.length ? rest[0] : null;
+      const nextRest = (key) => (key === next ? rest.slice(1) : null);
+      if (node.type === "parallel") {
+        keys.forEach((region) => this._enterNode(`${path}.${region}`, nextRest(region), entered));
+        return;
+      }
+      const child = next && node.states[next] ? next : node.states[node.initial] ? node.initial : keys[0];
+      this.activeChild[path] = child;
+      this._enterNode(`${path}.${child}`, nextRest(child), entered);
+    },
+
+    /** Exits `path` and its active descendants (deepest first), running exit actions. */
+    _exitNode(path, payload) {
+      const node = this._node(path);
+      if (!node) return;
+      if (node.states) {
+        if (node.type === "parallel") {
+          Object.keys(node.states).forEach((region) => this._exitNode(`${path}.${region}`, payload));
+        } else if (this.activeChild[path]) {
+          this._exitNode(`${path}.${this.activeChild[path]}`, payload);
+        }
+        delete this.activeChild[path];
+      }
+      this._timers = this._timers.filter((t) => t.path !== path);
+      this._runActions(node.exit, payload);
+    },
+
+    /** A final child was entered: complete its parent (and a parallel grandparent). */
+    _checkDone(path, payload) {
+      if (path === null || !this._isDone(path)) return;
+      this._hooks.emit("training-substate-done", { path });
+      const node = this._node(path);
+      const transition = this._select(this._normalize(node.onDone), payload);
+      if (transition) {
+        this._take(path, transition, payload);
+        return;
+      }
+      const parent = this._parent(path);
+      if (parent !== null && this._node(parent).type === "parallel") this._checkDone(parent, payload);
+    },
+
+    _isDone(path) {
+      const node = this._node(path);
+      if (!node) return false;
+      if (node.type === "final") return true;
+      if (!node.states) return false;
+      if (node.type === "parallel") {
+        return Object.keys(node.states).every((region) => this._isDone(`${path}.${region}`));
+      }
+      const child = this.activeChild[path];
+      return !!child && node.states[child].type === "final";
+    },
+
+    /**
+     * Sub-goals of the current state for progress UI: the regions of the first
+     * parallel state on the active path, else the sub-steps of the current state.
+     * @returns {{ id: string, label: string, done: boolean, active: boolean }[]}
+     */
+    getSubgoals() {
+      const describe = this._hooks.describe;
+      for (let path = this.current; path; ) {
+        const node = this._node(path);
+        if (!node || !node.states) break;
+        if (node.type === "parallel") {
+          return Object.keys(node.states).map((region) => {
+            const id = `${path}.${region}`;
+            return { id, label: describe(node.states[region]) || region, done: this._isDone(id), active: true };
+          });
+        }
+        const child = this.activeChild[path];
+        path = child ? `${path}.${child}` : null;
+      }
+
+      const top = this._node(this.current);
+      if (!top || !top.states) return [];
+      const keys = Object.keys(top.states).filter((k) => top.states[k].type !== "final");
+      const activeIdx = keys.indexOf(this.activeChild[this.current]);
+      const complete = this._isDone(this.current);
+      return keys.map((key, i) => ({
+        id: `${this.current}.${key}`,
+        label: describe(top.states[key]) || key,
+        done: complete || (activeIdx !== -1 && i < activeIdx),
+        active: i === activeIdx,
+      }));
+    },
+
+    // ─── Actions & context ──────────────────────────────────────────
+
+    _runActions(actions, payload) {
+      if (!actions) return;
+      (Array.isArray(actions) ? actions : [actions]).forEach((action) => {
+        try {
+          if (action.assign) {
+            Object.keys(action.assign).forEach((key) => {
+              this._setContext(key, this._value(action.assign[key], payload));
+            });
+          }
+          if (action.emit) this._hooks.emit(action.emit, action.detail || {});
+          if (action.hud || action.panel) this._hooks.action(action, payload);
+        } catch (e) {
+          this._hooks.warn("Action failed:", action, e.message);
+        }
+      });
+    },
+
+    /** Strings are expressions over the context; other values are taken as is. */
+    _value(value, payload) {
+      return typeof value === "string" ? window.GUARD_EXPRESSION.evaluate(value, this._scope(payload)) : value;
+    },
+
+    _scope(payload) {
+      return Object.assign({}, this.context, { event: payload || {}, state: this.current });
+    },
+
+    _setContext(key, value) {
+      this.context[key] = value;
+      this._hooks.emit("training-context", { key, value, context: Object.assign({}, this.context) });
+    },
+  };
+
+  /**
+   * @param {{ initial?: string, context?: Object, contextEvents?: Object, states: Object }} config
+   * @param {Object} [options] - hooks (see above) and `initial`, the fallback
+   *   initial state when the config names none
+   */
+  function create(config, options) {
+    const opts = options || {};
+    const machine = Object.create(METHODS);
+    machine.config = config;
+    machine.states = config.states || {};
+    machine.stateKeys = Object.keys(machine.states);
+    machine.initial =
+      [config.initial, opts.initial].find((s) => s && machine.states[s]) || machine.stateKeys[0];
+    machine.contextEvents = config.contextEvents || {};
+    machine._initialContext = config.context || {};
+    machine.context = JSON.parse(JSON.stringify(machine._initialContext));
+    machine.current = null; // active top-level state
+    machine.activeChild = {}; // compound state path → active child name
+    machine._timers = [];
+    machine._time = 0; // scene time accumulated by tick (ms)
+    machine._hooks = {
+      emit: opts.emit || noop,
+      action: opts.action || noop,
+      describe: opts.describe || ((node) => (typeof node.desc === "string" ? node.desc : "")),
+      log: opts.log || noop,
+      warn: opts.warn || noop,
+    };
+    return machine;
+  }
+
+  window.TRAINING_MACHINE = {
+    create: create,
+  };
+})();
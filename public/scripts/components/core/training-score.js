@@ -0,0 +1,216 @@
+/**
+ * Training Score Component
+ *
+ * Collects the metrics of a run from scene events and components, and
+ * scores them against the rubric (config/scoring-rubric.js, with the
+ * scenario's `scoring` overrides) when the procedure reaches its final state.
+ *
+ * Metrics:
+ *   correctAgent     — first unit grabbed suits every burning fire class
+ *                      (FIRE_CLASSES.suitableAgents, or scoring.correctAgents)
+ *   agentChanges     — grabs after the first one
+ *   sealBeforeSpray  — seal pulled before the first squeeze
+ *   knockdownTime    — s from training-start to all fires extinguished
+ *   agentUsed        — kg discharged
+ *   wasteFraction    — share of the discharge with no agent reaching a fire
+ *   passQuality      — spray-time averaged PASS score (technique-evaluator)
+ *   distanceKept     — spray-time averaged standoff score
+ *   heatDoseFraction — heat dose / dose limit (heat-exposure, cleared on
+ *                      training-start)
+ *   reignitions      — re-flashes after knockdown
+ *   quizScore        — share of quiz questions answered right (interactive-
+ *                      panels `quiz-completed`, from training-start on;
+ *                      null without a quiz)
+ *
+ * Events (emitted on the scene):
+ *   training-scored { report, metrics } — see SCORING_RUBRIC.evaluate
+ *
+ * Usage (on the scene):
+ *   <a-scene training-score="doneState: done">
+ *
+ * API:
+ *   component.getMetrics() — snapshot of the current metrics
+ *   component.getReport()  — last report (null before the end)
+ *   component.score()      — scores now (also called on entering doneState)
+ *   component.reset()      — clears metrics (training restart / module change)
+ */
+
+AFRAME.registerComponent("training-score", {
+  schema: {
+    enabled: { type: "boolean", default: true },
+    doneState: { type: "string", default: "done" },
+    camera: { type: "selector", default: "#camera" },
+    minHitRate: { type: "number", default: 2 }, // hits/s below which discharge is wasted
+  },
+
+  init: function () {
+    this.scene = this.el.sceneEl;
+    this.report = null;
+    this.reset();
+
+    this._handlers = {
+      "training-start": () => {
+        this.reset();
+        // Heat taken before the run (intro, selection panels) is not scored
+        const heat = this._heat();
+        if (heat) heat.reset();
+        this.running = true;
+      },
+      "extinguisher-grabbed": (e) => this._onGrab(e.detail),
+      "extinguisher-spray-start": (e) => {
+        if (this.metrics.sealBeforeSpray === null) {
+          this.metrics.sealBeforeSpray = !!e.detail.sealRemoved;
+        }
+      },
+      "all-fires-extinguished": () => {
+        if (this.metrics.knockdownTime === null && this.running) {
+          this.metrics.knockdownTime = this._elapsed / 1000;
+        }
+      },
+      "quiz-completed": (e) => {
+        this._quizCorrect += e.detail.correct;
+        this._quizTotal += e.detail.total;
+      },
+      "fire-ignited": (e) => {
+        if (e.detail && e.detail.cause === "reflash") this.metrics.reignitions++;
+      },
+      "training-state-enter": (e) => {
+        if (e.detail.state === this.data.doneState && this.running) this.score();
+      },
+      "scenario-loaded": () => this.reset(),
+    };
+    Object.keys(this._handlers).forEach((evt) =>
+      this.scene.addEventListener(evt, this._handlers[evt]),
+    );
+  },
+
+  remove: function () {
+    Object.keys(this._handlers).forEach((evt) =>
+      this.scene.removeEventListener(evt, this._handlers[evt]),
+    );
+  },
+
+  reset: function () {
+    this.running = false;
+    this.report = null;
+    this._elapsed = 0;
+    this._discharged = 0;
+    this._wasted = 0;
+    this._lastCharge = null; // { unit, charge } of the unit in hand
+    this._quizCorrect = 0;
+    this._quizTotal = 0;
+    this.metrics = {
+      correctAgent: null,
+      firstAgent: null,
+      agentChanges: 0,
+      sealBeforeSpray: null,
+      knockdownTime: null,
+      agentUsed: 0,
+      wasteFraction: null,
+      passQuality: null,
+      distanceKept: null,
+      heatDoseFraction: 0,
+      reignitions: 0,
+    };
+    const evalEl = this.scene.querySelector("[technique-evaluator]");
+    const evaluator = evalEl && evalEl.components["technique-evaluator"];
+    if (evaluator) evaluator.resetSummary();
+  },
+
+  tick: function (time, delta) {
+    if (!this.data.enabled || !this.running || !delta) return;
+    this._elapsed += delta;
+    this._trackDischarge();
+  },
+
+  /** Agent discharged this frame, split by whether any reached a fire. */
+  _trackDischarge: function () {
+    const ctrlEl = this.scene.querySelector("[extinguisher-controller]");
+    const ctrl = ctrlEl && ctrlEl.components["extinguisher-controller"];
+    const unit = ctrl && ctrl.getActive();
+    if (!unit) {
+      this._lastCharge = null;
+      return;
+    }
+    if (this._lastCharge && this._lastCharge.unit === unit) {
+      const used = Math.max(0, this._lastCharge.charge - unit.charge);
+      if (used > 0) {
+        this._discharged += used;
+        // Own nozzle only — a crew member's spray does not count for this trainee
+        const fireSys = this.scene.systems.fire;
+        const nozzle = ctrl.foamEntity && ctrl.foamEntity.components["foam-system"];
+        if (!fireSys || fireSys.getHitsPerSecond(nozzle) < this.data.minHitRate) this._wasted += used;
+      }
+    }
+    this._lastCharge = { unit, charge: unit.charge };
+  },
+
+  _onGrab: function (detail) {
+    const m = this.metrics;
+    if (m.firstAgent !== null) {
+      m.agentChanges++;
+      return;
+    }
+    m.firstAgent = detail.agent;
+    m.correctAgent = this._suitableAgents().indexOf(detail.agent) !== -1;
+    window.debugLog("Scoring", "First agent:", detail.agent, "correct:", m.correctAgent);
+  },
+
+  /** Agents that suppress every burning fire (or the scenario's list). */
+  _suitableAgents: function () {
+    const scoring = this._scenarioScoring();
+    if (scoring && Array.isArray(scoring.correctAgents)) return scoring.correctAgents;
+    const fireSys = this.scene.systems.fire;
+    const fires = fireSys ? fireSys.getFires().filter((f) => f.fireIntensity > 0) : [];
+    if (!fires.length) return window.EXTINGUISHING_AGENTS.ids;
+    return fires
+      .map((f) => window.FIRE_CLASSES.suitableAgents(f.data.fireClass, f.data.energized))
+      .reduce((common, list) => common.filter((a) => list.indexOf(a) !== -1));
+  },
+
+  _scenarioScoring: function () {
+    const loader = this.scene.components["scenario-loader"];
+    const scenario = loader && loader.getScenario();
+    return (scenario && scenario.scoring) || null;
+  },
+
+  _heat: function () {
+    return (this.data.camera && this.data.camera.components["heat-exposure"]) || null;
+  },
+
+  getMetrics: function () {
+    const m = Object.assign({}, this.metrics);
+    m.agentUsed = this._discharged;
+    m.wasteFraction = this._discharged > 0 ? this._wasted / this._discharged : null;
+    m.quizScore = this._quizTotal > 0 ? this._quizCorrect / this._quizTotal : null;
+
+    const evalEl = this.scene.querySelector("[technique-evaluator]");
+    const evaluator = evalEl && evalEl.components["technique-evaluator"];
+    if (evaluator) {
+      const summary = evaluator.getSummary();
+      if (summary.sprayTime > 0) {
+        m.passQuality = summary.overall;
+        m.distanceKept = summary.distance;
+      }
+    }
+
+    const heat = this._heat();
+    if (heat && heat.data.doseLimit > 0) {
+      m.heatDoseFraction = heat.getDose() / heat.data.doseLimit;
+    }
+    return m;
+  },
+
+  getReport: function () {
+    return this.report;
+  },
+
+  score: function () {
+    const metrics = this.getMetrics();
+    this.report = window.SCORING_RUBRIC.evaluate(metrics, this._scenarioScoring());
+    this.running = false;
+    window.debugLog("Scoring", `Score ${this.report.score} —`, this.report.reason);
+    this.scene.emit("training-scored", { report: this.report, metrics });
+    return this.report;
+  },
+});
@@ -1,140 +1,224 @@
-// Generic finite-state machine for training flows
+// Generic finite-state machine for training flows (statechart-style)
+//
+// `config` is a JSON string: either a flat map of states, or
+//   { "initial": "intro", "context": { … }, "contextEvents": { … }, "states": { … } }
+//
+// A state:
+//   "suppress": {
+//     "desc": "Aplicar agente até extinção",
+//     "on": {
+//       "fire_out": [
+//         { "target": "overhaul", "cond": "extinguisherType === 'co2'" },
+//         { "target": "fail", "actions": [{ "hud": "Agente incorreto" }] }
+//       ]
+//     },
+//     "after": { "30000": "fail" },
+//     "entry": [{ "assign": { "attempts": "attempts + 1" } }],
+//     "exit": [{ "emit": "suppress-finished" }]
+//   }
+//
+// Nested and parallel states: a state with `states` is compound (one active
+// child, `initial` or the first key); with `"type": "parallel"` every child is
+// an active region. A `"type": "final"` child completes its parent, and a
+// parallel state completes when all its regions do — `onDone` is then taken:
+//   "suppress": {
+//     "type": "parallel",
+//     "onDone": "overhaul",
+//     "states": {
+//       "alarm": { "desc": "Alarme acionado", "states": {
+//         "pending": { "on": { "alarm_raised": "raised" } }, "raised": { "type": "final" } } },
+//       "exit": { … }, "partner": { … }
+//     }
+//   }
+// Events are offered to the active leaves first and bubble up to their
+// ancestors; each region handles an event independently. Targets without a
+// dot are siblings (searched outwards, then top level); dotted targets are
+// absolute paths ("suppress.alarm.raised").
+// Progress (getIndex/isLast/forward/back) counts top-level states only;
+// getSubgoals() lists the regions / sub-steps of the current state for the HUD.
+//
+// Transitions: "target" | { target, cond, actions } | [ … ] — the first one whose
+// guard passes is taken; without a target only its actions run.
+// Guards (`cond`) and assigned strings are GUARD_EXPRESSION expressions
+// (guard-expression.js) over the context, plus `event` (the payload) and `state`.
+// Actions: { assign: { key: expr } }, { emit: "event-name", detail: {} },
+//          { hud: "message", duration: 4000 }, { panel: "panel-id" } (shows an
+//          interactive-panels panel, e.g. one from the scenario's `panels`)
+// Text (`desc`, `hud`) is a string or a { "pt-BR": …, "en": … } object picked
+// by the current locale (i18n.js); `descKey` names a bundle key instead.
+// `after` timeouts count scene time spent in the state, so they pause with the scene.
+// `contextEvents` lets scene events write into the context:
+//   { "extinguisher-grabbed": { "extinguisherType": "event.agent" } }
+// Any component can also emit `training-context-set` with { key: value, … }.
+//
+// The machine itself (transitions, hierarchy, timers, context) is
+// TRAINING_MACHINE (training-machine.js); this component feeds it scene time
+// and scene events and shows its HUD / panel actions.
+//
+// Events (on this entity, bubbling): training-ready, training-state-enter
+// { state, prev, index }, training-substate-enter { path, state, parent },
+// training-substate-done { path }, training-context { key, value, context },
+// training-timeout { state, after }
 AFRAME.registerComponent('training-state', {
   schema: {
-    // Name of initial state
+    // Name of initial state (a config `initial` takes precedence)
     initial: { type: 'string', default: 'intro' },
     // Optional JSON string defining states and transitions
     config: { type: 'string', default: '' },
   },
 
   init() {
-    this.states = this._loadConfig(this.data.config);
-    this.stateKeys = Object.keys(this.states);
-    this.current = this.states[this.data.initial] ? this.data.initial : this.stateKeys[0];
-    if (window.DEBUG_CONFIG && window.DEBUG_CONFIG.LOG_TRAINING) {
-      window.debugLog('Training', 'Initialized with states:', this.stateKeys);
-    }
-    this._enter(this.current);
+    const cfg = this._loadConfig(this.data.config);
+    this.config = cfg; // also read by training-bindings
+    const machine = window.TRAINING_MACHINE.create(cfg, {
+      initial: this.data.initial,
+      emit: (name, detail) => this.el.emit(name, detail),
+      action: (action) => this._runAction(action),
+      describe: (node) => this._desc(node),
+      log: (...args) => this._log(...args),
+      warn: (...args) => this._warn(...args),
+    });
+    this.machine = machine;
+    this._bindContextEvents(cfg.contextEvents || {});
+    this._log('Initialized with states:', machine.getAll());
+    machine.start();
 
     // Expose API
-    this.el.emit('training-ready', { state: this.current });
+    this.el.emit('training-ready', { state: machine.get() });
     this.el.trainingState = {
-      /** Advance via named event (e.g. 'start', 'proceed') */
-      next: (event) => this._advance(event),
+      /** Advance via named event (e.g. 'start', 'proceed'); payload is `event` in guards */
+      next: (event, payload) => machine.next(event, payload),
       /** Go to the next state in sequence (index-based, ignores event names) */
-      forward: () => this._forward(),
+      forward: () => machine.forward(),
       /** Go to the previous state in sequence */
-      back: () => this._back(),
-      /** Jump directly to a named state */
-      goTo: (state) => this._goTo(state),
-      /** Reset to initial state */
-      reset: () => this._reset(),
-      /** Get current state name */
-      get: () => this.current,
+      back: () => machine.back(),
+      /** Jump directly to a named state (or a dotted sub-state path) */
+      goTo: (state) => machine.goTo(state),
+      /** Reset to initial state and context */
+      reset: () => machine.reset(),
+      /** Get current (top-level) state name */
+      get: () => machine.get(),
       /** Get current state index */
-      getIndex: () => this.stateKeys.indexOf(this.current),
+      getIndex: () => machine.getIndex(),
       /** Get array of all state names */
-      getAll: () => [...this.stateKeys],
-      /** Get state description */
-      getDesc: (state) => {
-        const s = state || this.current;
-        return this.states[s] ? this.states[s].desc || '' : '';
-      },
+      getAll: () => machine.getAll(),
+      /** Get state description (top-level name or dotted path) */
+      getDesc: (state) => machine.getDesc(state),
       /** Check if current state is the last one */
-      isLast: () => this.stateKeys.indexOf(this.current) === this.stateKeys.length - 1,
+      isLast: () => machine.isLast(),
       /** Check if current state is the first one */
-      isFirst: () => this.stateKeys.indexOf(this.current) === 0,
+      isFirst: () => machine.isFirst(),
+      /** Active leaf state paths (several when inside parallel regions) */
+      getActive: () => machine.getActive(),
+      /** Whether a state path is active ('suppress', 'suppress.alarm.raised') */
+      matches: (path) => machine.matches(path),
+      /** Regions / sub-steps of the current state: [{ id, label, done, active }] */
+      getSubgoals: () => machine.getSubgoals(),
+      /** Copy of the context object */
+      getContext: () => machine.getContext(),
+      /** Write a context value (or an object of values) */
+      setContext: (key, value) => machine.setContext(key, value),
     };
   },
 
   remove() {
-    // cleanup
+    this._unbindContextEvents();
+  },
+
+  /** `after` timeouts count scene time, so they pause with the scene. */
+  tick(time, delta) {
+    this.machine.tick(delta);
   },
 
   _loadConfig(configStr) {
-    if (!configStr) {
-      return {
-        intro: { on: { start: 'sizeup' }, desc: 'Apresentação / briefing' },
-        sizeup: { on: { proceed: 'approach' }, desc: 'Avaliar cena / EPIs / rota' },
-        approach: { on: { ready: 'suppress' }, desc: 'Aproximação segura com extintor/mangueira' },
-        suppress: { on: { fire_out: 'overhaul' }, desc: 'Aplicar agente até extinção' },
-        overhaul: { on: { done: 'done' }, desc: 'Rescaldo e checagem' },
-        done: { desc: 'Treinamento concluído' },
-      };
-    }
+    if (!configStr) return this._defaultConfig();
     try {
-      return JSON.parse(configStr);
+      const cfg = JSON.parse(configStr);
+      // Flat map of states (original format) or a full procedure object
+      return cfg.states && typeof cfg.states === 'object' ? cfg : { states: cfg };
     } catch (e) {
-      console.warn('[training-state] invalid config, using default', e);
-      return {};
+      this._warn('Invalid config, using the default procedure:', e.message);
+      return this._defaultConfig();
     }
   },
 
-  _enter(state) {
-    const prevState = this.current;
-    this.current = state;
-    if (window.DEBUG_CONFIG && window.DEBUG_CONFIG.LOG_TRAINING) {
-      window.debugLog('Training', `State transition: ${prevState} → ${state} (${this.stateKeys.indexOf(state) + 1}/${this.stateKeys.length})`);
-    }
-    this.el.emit('training-state-enter', { state, prev: prevState, index: this.stateKeys.indexOf(state) });
+  _defaultConfig() {
+    return {
+      context: { extinguisherType: null },
+      contextEvents: { 'extinguisher-grabbed': { extinguisherType: 'event.agent' } },
+      states: {
+        intro: { on: { start: 'sizeup' }, desc: 'Apresentação / briefing', descKey: 'states.intro' },
+        sizeup: { on: { proceed: 'approach' }, desc: 'Avaliar cena / EPIs / rota', descKey: 'states.sizeup' },
+        approach: {
+          on: { ready: 'suppress' },
+          desc: 'Aproximação segura com extintor/mangueira',
+          descKey: 'states.approach',
+        },
+        suppress: { on: { fire_out: 'overhaul' }, desc: 'Aplicar agente até extinção', descKey: 'states.suppress' },
+        // A re-flash during overhaul sends the trainee back to suppression
+        overhaul: {
+          on: { done: 'done', reflash: 'suppress' },
+          desc: 'Rescaldo e checagem',
+          descKey: 'states.overhaul',
+        },
+        done: { desc: 'Treinamento concluído', descKey: 'states.done' },
+      },
+    };
   },
 
-  /** Advance via named event (event-driven transitions) */
-  _advance(eventName) {
-    const state = this.states[this.current] || {};
-    const target = state.on && state.on[eventName];
-    if (!target || !this.states[target]) {
-      if (window.DEBUG_CONFIG && window.DEBUG_CONFIG.LOG_TRAINING) {
-        window.debugWarn('Training', `No transition from '${this.current}' on event '${eventName}'`);
-      }
-      return false;
+  /** Scene side of the machine's actions: { hud } and { panel }. */
+  _runAction(action) {
+    if (action.hud) {
+      const hudEl = document.querySelector('[tutorial-hud]');
+      const hud = hudEl && hudEl.components['tutorial-hud'];
+      if (hud) hud.show(window.I18N.text(action.hud), action.duration || 4000);
+    }
+    if (action.panel) {
+      const panelEl = document.querySelector('[interactive-panels]');
+      const panels = panelEl && panelEl.components['interactive-panels'];
+      if (panels) panels.showPanel(action.panel);
     }
-    this._enter(target);
-    return true;
   },
 
-  /** Move to next state by index (sequential) */
-  _forward() {
-    const idx = this.stateKeys.indexOf(this.current);
-    if (idx < this.stateKeys.length - 1) {
-      this._enter(this.stateKeys[idx + 1]);
-      return true;
-    }
-    if (window.DEBUG_CONFIG && window.DEBUG_CONFIG.LOG_TRAINING) {
-      window.debugWarn('Training', `Already at last state: '${this.current}'`);
-    }
-    return false;
+  /**
+   * State description in the current locale: `descKey` from the bundles,
+   * else `desc` (a string or a { locale: text } object).
+   */
+  _desc(node) {
+    if (node.descKey) return window.I18N.t(node.descKey, null, node.desc || '');
+    return window.I18N.text(node.desc);
   },
 
-  /** Move to previous state by index (sequential) */
-  _back() {
-    const idx = this.stateKeys.indexOf(this.current);
-    if (idx > 0) {
-      this._enter(this.stateKeys[idx - 1]);
-      return true;
-    }
-    if (window.DEBUG_CONFIG && window.DEBUG_CONFIG.LOG_TRAINING) {
-      window.debugWarn('Training', `Already at first state: '${this.current}'`);
-    }
-    return false;
+  _bindContextEvents(map) {
+    const scene = this.el.sceneEl;
+    this._contextHandlers = Object.keys(map).map((eventName) => {
+      const handler = (e) => this.machine.contextEvent(eventName, e.detail);
+      scene.addEventListener(eventName, handler);
+      return { eventName, handler };
+    });
+
+    this._onContextSet = (e) => this.machine.setContext(e.detail || {});
+    scene.addEventListener('training-context-set', this._onContextSet);
+  },
+
+  _unbindContextEvents() {
+    const scene = this.el.sceneEl;
+    (this._contextHandlers || []).forEach(({ eventName, handler }) => {
+      scene.removeEventListener(eventName, handler);
+    });
+    this._contextHandlers = [];
+    if (this._onContextSet) scene.removeEventListener('training-context-set', this._onContextSet);
   },
 
-  /** Jump directly to a named state */
-  _goTo(state) {
-    if (!this.states[state]) {
-      if (window.DEBUG_CONFIG && window.DEBUG_CONFIG.LOG_TRAINING) {
-        window.debugWarn('Training', `State not found: '${state}'`);
-      }
-      return false;
+  _log(...args) {
+    if (window.DEBUG_CONFIG && window.DEBUG_CONFIG.LOG_TRAINING) {
+      window.debugLog('TrainingState', ...args);
     }
-    this._enter(state);
-    return true;
   },
 
-  _reset() {
-    const initial = this.data.initial;
-    if (this.states[initial]) {
-      this._enter(initial);
+  _warn(...args) {
+    if (window.DEBUG_CONFIG && window.DEBUG_CONFIG.LOG_TRAINING) {
+      window.debugWarn('TrainingState', ...args);
     }
   },
 });
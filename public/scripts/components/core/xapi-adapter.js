@@ -0,0 +1,345 @@
+/**
+ * xAPI Adapter Component
+ *
+ * Sends training events to a learning record store (LRS) as xAPI statements
+ * (core/xapi-statements.js): training started, state entered, extinguisher
+ * selected, quiz question answered, fires extinguished, scored and completed.
+ * A run ends at its final state or when the module changes (restart, next
+ * scenario); events after that wait for the next training-start.
+ *
+ * Statements are queued in IndexedDB before anything is sent, then POSTed
+ * in batches to `<endpoint>statements`. A failed request (offline, 5xx,
+ * 408/429) is retried with exponential backoff and again when the browser
+ * comes back online, so runs done without a connection reach the LRS later.
+ * A batch rejected as invalid (other 4xx) is dropped and reported.
+ *
+ * Configuration — schema, overridden by LMS launch parameters (xAPI launch
+ * convention): ?endpoint=…&auth=…&actor={"mbox":…}&registration=…&activity_id=…
+ * Without an endpoint nothing is recorded.
+ *
+ * Events (emitted on the scene):
+ *   xapi-sent  { count, pending }
+ *   xapi-error { status, error, dropped }
+ *
+ * Usage (on the scene; `npm run lrs:stub` serves /xapi/ in dev):
+ *   <a-scene xapi-adapter="endpoint: /xapi/; actorName: Trainee; actorMbox: mailto:trainee@example.com">
+ *
+ * API:
+ *   component.flush()      — sends the queue now
+ *   component.getPending() — Promise<number> statements waiting
+ */
+
+const XAPI_DB_STORE = "statements";
+
+/**
+ * Statement queue in IndexedDB; falls back to memory when IndexedDB is
+ * unavailable (private browsing, old WebViews).
+ * @param {string} dbName
+ * @returns {Promise<Object>} { add(stmt), peek(n), remove(keys), count() }
+ */
+function openStatementQueue(dbName) {
+  const memory = () => {
+    const items = [];
+    let next = 1;
+    return Promise.resolve({
+      add: (value) => Promise.resolve(items.push({ key: next++, value })),
+      peek: (n) => Promise.resolve(items.slice(0, n)),
+      remove: (keys) => {
+        keys.forEach((key) => {
+          const idx = items.findIndex((item) => item.key === key);
+          if (idx !== -1) items.splice(idx, 1);
+        });
+        return Promise.resolve();
+      },
+      count: () => Promise.resolve(items.length),
+    });
+  };
+  if (typeof indexedDB === "undefined") return memory();
+
+  const request = (req) =>
+    new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+
+  return new Promise((resolve, reject) => {
+    const open = indexedDB.open(dbName, 1);
+    open.onupgradeneeded = () => {
+      open.result.createObjectStore(XAPI_DB_STORE, { autoIncrement: true });
+    };
+    open.onsuccess = () => resolve(open.result);
+    open.onerror = () => reject(open.error);
+  })
+    .then((db) => {
+      const store = (mode) => db.transaction(XAPI_DB_STORE, mode).objectStore(XAPI_DB_STORE);
+      return {
+        add: (value) => request(store("readwrite").add(value)),
+        peek: (n) =>
+          new Promise((resolve, reject) => {
+            const items = [];
+            const cursor = store("readonly").openCursor();
+            cursor.onsuccess = () => {
+              const c = cursor.result;
+              if (!c || items.length >= n) {
+                resolve(items);
+                return;
+              }
+              items.push({ key: c.key, value: c.value });
+              c.continue();
+            };
+            cursor.onerror = () => reject(cursor.error);
+          }),
+        remove: (keys) => {
+          const s = store("readwrite");
+          return Promise.all(keys.map((key) => request(s.delete(key))));
+        },
+        count: () => request(store("readonly").count()),
+      };
+    })
+    .catch((err) => {
+      window.debugWarn("xAPI", "IndexedDB unavailable, queueing in memory:", err && err.message);
+      return memory();
+    });
+}
+
+AFRAME.registerComponent("xapi-adapter", {
+  schema: {
+    endpoint: { type: "string", default: "" }, // LRS base URL, e.g. https://lrs.example.com/xapi/
+    auth: { type: "string", default: "" }, // Authorization header ("Basic …")
+    actorName: { type: "string", default: "Trainee" },
+    actorMbox: { type: "string", default: "" }, // mailto:…
+    activityBase: { type: "string", default: "urn:firefighting-vr" },
+    doneState: { type: "string", default: "done" },
+    batchSize: { type: "int", default: 10 },
+    retryDelay: { type: "number", default: 5000 }, // ms, doubled per failure
+    maxRetryDelay: { type: "number", default: 300000 },
+    dbName: { type: "string", default: "firefighting-xapi" },
+  },
+
+  init: function () {
+    this.scene = this.el.sceneEl;
+    this.config = this._resolveConfig();
+    this.queue = null;
+    this._sending = false;
+    this._retryTimer = null;
+    this._delay = this.data.retryDelay;
+    this._startTime = null;
+    this._lastScore = null;
+
+    if (!this.config.endpoint) {
+      window.debugLog("xAPI", "No LRS endpoint — statements disabled");
+      return;
+    }
+
+    this._ready = openStatementQueue(this.data.dbName).then((queue) => {
+      this.queue = queue;
+      this.flush();
+    });
+
+    this._handlers = {
+      "training-start": () => {
+        this._startTime = performance.now();
+        this._lastScore = null;
+        // Each run is a registration unless the LMS launched one
+        this.config.registration = this.config.launchRegistration || window.XAPI_STATEMENTS.uuid();
+        this._record("started");
+      },
+      "training-state-enter": (e) => {
+        if (this._startTime === null) return;
+        const state = e.detail.state;
+        this._record("state", { state });
+        // training-score (declared earlier on the scene) has scored by now
+        if (state === this.data.doneState) {
+          this._record("completed", {
+            elapsed: this._elapsed(),
+            passed: this._lastScore ? this._lastScore.passed : undefined,
+          });
+          this._startTime = null;
+        }
+      },
+      "extinguisher-grabbed": (e) => {
+        if (this._startTime === null) return;
+        this._record("selected", { name: e.detail.name, agent: e.detail.agent });
+      },
+      "quiz-answered": (e) => {
+        if (this._startTime === null) return;
+        const d = e.detail;
+        this._record("answered", { quiz: d.quiz, question: d.question, option: d.option, correct: d.correct });
+      },
+      "all-fires-extinguished": () => {
+        if (this._startTime === null) return;
+        this._record("extinguished", { elapsed: this._elapsed() });
+      },
+      // Restart / module switch abandons the run: nothing more under its registration
+      "module-change-start": () => {
+        this._startTime = null;
+      },
+      "training-scored": (e) => {
+        const report = e.detail.report;
+        this._lastScore = { score: report.score, passed: report.passed };
+        this._record("scored", this._lastScore);
+      },
+    };
+    Object.keys(this._handlers).forEach((evt) =>
+      this.scene.addEventListener(evt, this._handlers[evt]),
+    );
+
+    this._onOnline = () => this.flush();
+    window.addEventListener("online", this._onOnline);
+  },
+
+  remove: function () {
+    if (this._handlers) {
+      Object.keys(this._handlers).forEach((evt) =>
+        this.scene.removeEventListener(evt, this._handlers[evt]),
+      );
+    }
+    if (this._onOnline) window.removeEventListener("online", this._onOnline);
+    clearTimeout(this._retryTimer);
+  },
+
+  /** Schema values with the LMS launch parameters on top. */
+  _resolveConfig: function () {
+    const d = this.data;
+    const params = new URLSearchParams(window.location.search);
+    let actor = { objectType: "Agent", name: d.actorName };
+    if (d.actorMbox) actor.mbox = d.actorMbox;
+    else actor.account = { homePage: window.location.origin, name: d.actorName };
+
+    const launchActor = params.get("actor");
+    if (launchActor) {
+      try {
+        actor = JSON.parse(launchActor);
+      } catch (e) {
+        window.debugWarn("xAPI", "Invalid launch actor, using schema actor");
+      }
+    }
+
+    let endpoint = params.get("endpoint") || d.endpoint;
+    if (endpoint && !endpoint.endsWith("/")) endpoint += "/";
+    return {
+      endpoint: endpoint,
+      auth: params.get("auth") || d.auth,
+      actor: actor,
+      activityBase: params.get("activity_id") || d.activityBase,
+      launchRegistration: params.get("registration") || null,
+      registration: params.get("registration") || null,
+    };
+  },
+
+  _elapsed: function () {
+    return this._startTime === null ? 0 : performance.now() - this._startTime;
+  },
+
+  _record: function (kind, data) {
+    const loader = this.scene.components["scenario-loader"];
+    const scenario = loader && loader.getScenario();
+    const statement = window.XAPI_STATEMENTS.build(kind, data, {
+      actor: this.config.actor,
+      activityBase: this.config.activityBase,
+      registration: this.config.registration,
+      scenario: scenario ? { id: scenario.id, title: scenario.title } : null,
+    });
+    window.debugLog("xAPI", "Queued", kind, statement.verb.id);
+    this._ready
+      .then(() => this.queue.add(statement))
+      .then(() => this.flush())
+      .catch((err) => {
+        window.debugWarn("xAPI", `Could not queue '${kind}':`, err && err.message);
+        this._scheduleRetry();
+      });
+  },
+
+  // ─── Delivery ─────────────────────────────────────────────────────
+
+  /** Sends queued statements batch by batch until the queue is empty or a request fails. */
+  flush: function () {
+    if (!this.queue || this._sending) return;
+    clearTimeout(this._retryTimer);
+    this._retryTimer = null;
+    this._sending = true;
+
+    this.queue
+      .peek(this.data.batchSize)
+      .then((items) => {
+        if (!items.length) return null;
+        const statements = items.map((item) => item.value);
+        return this._post(statements).then((outcome) => {
+          if (outcome === "retry") return outcome;
+          return this.queue.remove(items.map((item) => item.key)).then(() => outcome);
+        }).then((outcome) => ({ outcome, count: items.length }));
+      })
+      .then((batch) => {
+        this._sending = false;
+        if (!batch) return;
+        if (batch.outcome === "retry") {
+          this._scheduleRetry();
+          return;
+        }
+        this._delay = this.data.retryDelay;
+        this.queue.count().then((pending) => {
+          if (batch.outcome === "sent") this.scene.emit("xapi-sent", { count: batch.count, pending });
+          if (pending) this.flush();
+        });
+      })
+      .catch((err) => {
+        this._sending = false;
+        window.debugWarn("xAPI", "Queue error:", err && err.message);
+        this._scheduleRetry();
+      });
+  },
+
+  /**
+   * POSTs one batch.
+   * @returns {Promise<string>} "sent" | "dropped" | "retry"
+   */
+  _post: function (statements) {
+    const headers = {
+      "Content-Type": "application/json",
+      "X-Experience-API-Version": window.XAPI_STATEMENTS.VERSION,
+    };
+    if (this.config.auth) headers.Authorization = this.config.auth;
+
+    return fetch(`${this.config.endpoint}statements`, {
+      method: "POST",
+      headers: headers,
+      body: JSON.stringify(statements),
+    }).then(
+      (res) => {
+        // 409: statement ids already stored (an earlier attempt got through)
+        if (res.ok || res.status === 409) {
+          window.debugLog("xAPI", `Sent ${statements.length} statement(s)`);
+          return "sent";
+        }
+        const retryable = res.status >= 500 || res.status === 408 || res.status === 429;
+        window.debugWarn("xAPI", `LRS answered ${res.status}`, retryable ? "— will retry" : "— batch dropped");
+        this.scene.emit("xapi-error", {
+          status: res.status,
+          error: res.statusText,
+          dropped: retryable ? 0 : statements.length,
+        });
+        return retryable ? "retry" : "dropped";
+      },
+      (err) => {
+        window.debugWarn("xAPI", "LRS unreachable — will retry:", err.message);
+        this.scene.emit("xapi-error", { status: 0, error: err.message, dropped: 0 });
+        return "retry";
+      },
+    );
+  },
+
+  _scheduleRetry: function () {
+    if (this._retryTimer) return;
+    const delay = this._delay;
+    this._delay = Math.min(this._delay * 2, this.data.maxRetryDelay);
+    this._retryTimer = setTimeout(() => {
+      this._retryTimer = null;
+      this.flush();
+    }, delay);
+  },
+
+  getPending: function () {
+    if (!this._ready) return Promise.resolve(0);
+    return this._ready.then(() => this.queue.count());
+  },
+});
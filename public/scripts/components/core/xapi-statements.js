@@ -0,0 +1,192 @@
+/**
+ * xAPI Statements
+ *
+ * Vocabulary and builders turning training events into xAPI 1.0.3
+ * statements for a learning record store (sent by xapi-adapter).
+ *
+ * Loaded via <script> before xapi-adapter.js. Exposes window.XAPI_STATEMENTS.
+ *
+ * Statements (ADL verbs):
+ *   started      → initialized  scenario
+ *   state        → progressed   scenario/states/<state>
+ *   selected     → interacted   extinguishers/<name>     (response: agent)
+ *   answered     → answered     scenario/quiz/<quiz>/<question> (response: option, success)
+ *   extinguished → completed    scenario/objectives/fire-out
+ *   scored       → scored       scenario                 (score, success)
+ *   completed    → completed    scenario                 (success, duration)
+ *
+ * Every statement gets a UUID up front, so a batch re-sent after a failed
+ * request is stored once by the LRS.
+ *
+ * Usage:
+ *   const session = { actor, activityBase, registration, scenario: { id, title } };
+ *   const stmt = window.XAPI_STATEMENTS.build("scored", { score: 82, passed: true }, session);
+ */
+
+(function () {
+  "use strict";
+
+  const VERSION = "1.0.3";
+  const PLATFORM = "Firefighting VR";
+  const LANGUAGE = "pt-BR";
+
+  const ADL = "http://adlnet.gov/expapi/verbs/";
+  const VERBS = {
+    initialized: { id: ADL + "initialized", display: { "pt-BR": "iniciou", "en-US": "initialized" } },
+    progressed: { id: ADL + "progressed", display: { "pt-BR": "avançou", "en-US": "progressed" } },
+    interacted: { id: ADL + "interacted", display: { "pt-BR": "interagiu", "en-US": "interacted" } },
+    completed: { id: ADL + "completed", display: { "pt-BR": "concluiu", "en-US": "completed" } },
+    scored: { id: ADL + "scored", display: { "pt-BR": "pontuou", "en-US": "scored" } },
+    answered: { id: ADL + "answered", display: { "pt-BR": "respondeu", "en-US": "answered" } },
+  };
+
+  const ACTIVITY_TYPES = {
+    simulation: "http://adlnet.gov/expapi/activities/simulation",
+    objective: "http://adlnet.gov/expapi/activities/objective",
+    interaction: "http://adlnet.gov/expapi/activities/interaction",
+    question: "http://adlnet.gov/expapi/activities/cmi.interaction",
+  };
+
+  /** RFC 4122 v4 id (crypto.randomUUID where available). */
+  function uuid() {
+    if (typeof crypto !== "undefined" && crypto.randomUUID) return crypto.randomUUID();
+    return "xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx".replace(/[xy]/g, (c) => {
+      const r = (Math.random() * 16) | 0;
+      return (c === "x" ? r : (r & 0x3) | 0x8).toString(16);
+    });
+  }
+
+  /** Milliseconds → ISO 8601 duration ("PT1M5.25S"). */
+  function duration(ms) {
+    const total = Math.max(0, Math.round(ms / 10) / 100);
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = Math.round((total % 60) * 100) / 100;
+    return "PT" + (h ? h + "H" : "") + (m ? m + "M" : "") + s + "S";
+  }
+
+  function activity(id, name, type) {
+    return {
+      objectType: "Activity",
+      id: id,
+      definition: { name: { [LANGUAGE]: name }, type: type },
+    };
+  }
+
+  function scenarioActivity(session) {
+    const scenario = session.scenario || { id: "training", title: "Treinamento" };
+    return activity(
+      `${session.activityBase}/scenarios/${scenario.id}`,
+      scenario.title || scenario.id,
+      ACTIVITY_TYPES.simulation,
+    );
+  }
+
+  // kind → { verb, object(data, session), result(data) }
+  const KINDS = {
+    started: {
+      verb: "initialized",
+      object: (data, session) => scenarioActivity(session),
+    },
+    state: {
+      verb: "progressed",
+      object: (data, session) =>
+        activity(
+          `${scenarioActivity(session).id}/states/${data.state}`,
+          data.label || data.state,
+          ACTIVITY_TYPES.objective,
+        ),
+    },
+    selected: {
+      verb: "interacted",
+      object: (data, session) =>
+        activity(
+          `${session.activityBase}/extinguishers/${data.name}`,
+          data.label || data.name,
+          ACTIVITY_TYPES.interaction,
+        ),
+      result: (data) => ({ response: data.agent }),
+    },
+    answered: {
+      verb: "answered",
+      object: (data, session) => {
+        const question = activity(
+          `${scenarioActivity(session).id}/quiz/${data.quiz}/${data.question}`,
+          data.label || data.question,
+          ACTIVITY_TYPES.question,
+        );
+        question.definition.interactionType = "choice";
+        return question;
+      },
+      result: (data) => ({ response: data.option, success: !!data.correct }),
+    },
+    extinguished: {
+      verb: "completed",
+      object: (data, session) =>
+        activity(
+          `${scenarioActivity(session).id}/objectives/fire-out`,
+          "Fogo extinto",
+          ACTIVITY_TYPES.objective,
+        ),
+      result: (data) => ({ success: true, duration: duration(data.elapsed) }),
+    },
+    scored: {
+      verb: "scored",
+      object: (data, session) => scenarioActivity(session),
+      result: (data) => ({
+        score: { scaled: data.score / 100, raw: data.score, min: 0, max: 100 },
+        success: !!data.passed,
+      }),
+    },
+    completed: {
+      verb: "completed",
+      object: (data, session) => scenarioActivity(session),
+      result: (data) => {
+        const result = { completion: true, duration: duration(data.elapsed) };
+        if (data.passed !== undefined) result.success = !!data.passed;
+        return result;
+      },
+    },
+  };
+
+  /**
+   * Builds one statement.
+   * @param {string} kind    - key of KINDS
+   * @param {Object} data    - event data for the kind
+   * @param {Object} session - { actor, activityBase, registration, scenario }
+   * @returns {Object} xAPI statement
+   */
+  function build(kind, data, session) {
+    const def = KINDS[kind];
+    if (!def) throw new Error(`Unknown statement kind: ${kind}`);
+    const object = def.object(data || {}, session);
+    const context = {
+      platform: PLATFORM,
+      language: LANGUAGE,
+    };
+    if (session.registration) context.registration = session.registration;
+    if (object.id !== scenarioActivity(session).id) {
+      context.contextActivities = { parent: [{ id: scenarioActivity(session).id }] };
+    }
+
+    const statement = {
+      id: uuid(),
+      actor: session.actor,
+      verb: VERBS[def.verb],
+      object: object,
+      context: context,
+      timestamp: new Date().toISOString(),
+    };
+    if (def.result) statement.result = def.result(data || {});
+    return statement;
+  }
+
+  window.XAPI_STATEMENTS = {
+    VERSION: VERSION,
+    VERBS: VERBS,
+    kinds: Object.keys(KINDS),
+    uuid: uuid,
+    duration: duration,
+    build: build,
+  };
+})();
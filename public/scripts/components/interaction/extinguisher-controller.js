@@ -4,18 +4,37 @@
  * Realistic fire extinguisher interaction using snap-to-hand technique:
  *
  * SETUP (in scene):
- *   - World extinguisher: visible model at a fixed position with invisible grab collider
- *   - Hidden hand extinguisher: pre-attached to dominant hand, invisible until grabbed
- *   - Hose anchor (#hose-anchor): child of body model, marks where the hose exits the body
+ *   - One `extinguisher` component per unit (see extinguisher.js) on its world entity:
+ *     visible model at a fixed position with invisible grab collider
+ *   - Hidden hand model per unit: pre-attached to dominant hand, invisible until grabbed
+ *   - Hose anchor per unit: child of the hand body model, marks where the hose exits
  *   - Hose: single TubeGeometry spline from anchor → other hand (1 draw call)
- *   - Foam nozzle: child of other-hand controller, yaw-only (forward)
+ *   - Foam nozzle: child of other-hand controller, yaw-only (forward); its
+ *     foam-system agent is switched to the agent of the unit in hand
  *
  * FLOW:
- *   1. Aim raycaster at extinguisher collider
+ *   1. Aim raycaster at an extinguisher collider
  *   2. Grip once → snap to hand (toggle — no need to hold)
  *   3. A/X removes safety seal
- *   4. Trigger to spray foam from hose tip
- *   5. Release is disabled after grab (training mode)
+ *   4. Trigger to spray the unit's agent from hose tip
+ *   5. Grip on another unit → swap; grip on the held unit's empty rack → put it back
+ *      (allowSwap: false restores the original "no release" training mode)
+ *
+ * Every grab is recorded in `selectionHistory` and announced with
+ * `extinguisher-grabbed` { name, agent, previous } for scoring. A unit held
+ * by another crew member (`heldBy`, network-session) cannot be taken.
+ *
+ * CHARGE:
+ *   Each unit has a finite charge (capacity / dischargeTime on `extinguisher`).
+ *   While spraying, flow follows the unit's pressure and scales the
+ *   foam-system rate/speed. An exhausted unit stops spraying and emits
+ *   `extinguisher-empty` { name, agent } on the scene.
+ *
+ * Spray on/off is announced as `extinguisher-spray-start` { name, agent, sealRemoved }
+ * and `extinguisher-spray-stop` { name, agent } (PASS evaluation, telemetry).
+ *
+ * grab(name) / release() / removeSeal() / setSpraying(on) run the same
+ * actions without buttons (session replay).
  */
 
 AFRAME.registerComponent("extinguisher-controller", {
@@ -30,20 +49,20 @@ AFRAME.registerComponent("extinguisher-controller", {
     hoseTipLength: { type: "number", default: 0.005 },
     hoseTipDir: { type: "vec3", default: { x: 0, y: 0, z: -1 } },
     requireSeal: { type: "boolean", default: false },
+    allowSwap: { type: "boolean", default: true },
   },
 
   init: function () {
     // ── State ──
     this.isHeld = false;
-    this.sealRemoved = false;
     this.isSpraying = false;
+    this.active = null; // `extinguisher` component currently in hand
+    this.selectionHistory = []; // [{ name, agent, time }] — every grab, in order
+    this._sealTimer = null; // pending end of the seal pull animation
 
     // ── DOM references (resolved after scene load) ──
-    this.worldExtinguisher = null;
-    this.handExtinguisher = null;
-    this.sealEntity = null;
+    this.registry = null; // sceneEl.systems.extinguisher
     this.foamEntity = null;
-    this.hoseAnchor = null; // <a-entity id="hose-anchor"> inside the body
 
     // ── Hose Three.js objects ──
     this.hoseEntity = null;   // A-Frame wrapper <a-entity>
@@ -106,22 +125,12 @@ AFRAME.registerComponent("extinguisher-controller", {
   // ─── References ───────────────────────────────────────────────────
 
   _resolveReferences: function () {
-    this.worldExtinguisher = document.querySelector("#extinguisher-world");
-    this.handExtinguisher = document.querySelector("#extinguisher-hand");
-    this.sealEntity = document.querySelector("#extintor-hand-seal");
+    this.registry = this.el.sceneEl.systems.extinguisher;
     this.foamEntity = document.querySelector("#foam-nozzle");
-    this.hoseAnchor = document.querySelector("#hose-anchor");
-
-    if (this.handExtinguisher) {
-      this.handExtinguisher.setAttribute("visible", false);
-    }
-
-    const collider = document.querySelector("#extinguisher-collider");
-    if (collider) collider.classList.add("interactable");
 
     this._log(
-      "References resolved, hoseAnchor:",
-      this.hoseAnchor ? "found" : "MISSING",
+      "References resolved, extinguishers:",
+      this.registry.getAll().map((u) => u.unitId).join(", ") || "NONE",
     );
   },
 
@@ -162,42 +171,70 @@ AFRAME.registerComponent("extinguisher-controller", {
 
   // ─── Event Handlers ──────────────────────────────────────────────
 
-  /** Toggle grip: first press grabs, second press releases. */
+  /**
+   * Grip on a unit: grabs it, swaps to it if another one is held, or puts
+   * the held one back when aiming at its own (now empty) rack collider.
+   */
   _onGripDown: function () {
-    if (!this.data.enabled) return;
+    if (!this.data.enabled || !this._gripCtrl) return;
 
-    if (this.isHeld) {
+    const unit = this._getAimedUnit();
+    if (!unit) {
+      this._log("Grip pressed but not aiming at extinguisher");
+      return;
+    }
+    if (unit.heldBy) {
+      this._log("Unit in another trainee's hands:", unit.unitId, unit.heldBy);
+      this._haptic(this.data.gripHand, 0.1, 40);
+      return;
+    }
+
+    if (!this.isHeld) {
+      this._grab(unit);
+      return;
+    }
+
+    if (!this.data.allowSwap) {
       this._log("Grip pressed while held — release disabled");
       return;
     }
 
-    // Check raycaster aim
-    if (!this._gripCtrl) return;
+    if (unit === this.active) {
+      this._release();
+    } else {
+      this._swap(unit);
+    }
+  },
 
+  /**
+   * Returns the registered extinguisher under the grip-hand raycaster.
+   * Hidden rack entities still intersect, which is how a held unit is put back.
+   */
+  _getAimedUnit: function () {
     const raycaster = this._gripCtrl.components.raycaster;
-    if (raycaster) {
-      const hitsCollider = raycaster.intersections.some(
-        (i) =>
-          i.object.el &&
-          (i.object.el.id === "extinguisher-collider" ||
-            i.object.el.closest("#extinguisher-world")),
-      );
-      if (!hitsCollider) {
-        this._log("Grip pressed but not aiming at extinguisher");
-        return;
-      }
+    if (!raycaster) {
+      return this.isHeld ? null : this.registry.getAll()[0] || null;
     }
-
-    this._grab();
+    for (let i = 0; i < raycaster.intersections.length; i++) {
+      const unit = this.registry.findByElement(raycaster.intersections[i].object.el);
+      if (unit) return unit;
+    }
+    return null;
   },
 
   _onTriggerDown: function () {
-    this._log("TriggerDown — isHeld:", this.isHeld, "sealRemoved:", this.sealRemoved, "enabled:", this.data.enabled);
+    const sealRemoved = !!this.active && this.active.sealRemoved;
+    this._log("TriggerDown — isHeld:", this.isHeld, "sealRemoved:", sealRemoved, "enabled:", this.data.enabled);
     if (!this.isHeld || !this.data.enabled) return;
-    if (this.data.requireSeal && !this.sealRemoved) {
+    if (this.data.requireSeal && !sealRemoved) {
       this._log("Cannot spray — seal not removed yet! Press A or X first.");
       return;
     }
+    if (this.active.isEmpty()) {
+      this._log("Cannot spray — extinguisher is empty:", this.active.unitId);
+      this._haptic(this.data.gripHand, 0.1, 40);
+      return;
+    }
     this._startSpray();
   },
 
@@ -207,59 +244,127 @@ AFRAME.registerComponent("extinguisher-controller", {
   },
 
   _onSealButton: function () {
-    this._log("SealButton — isHeld:", this.isHeld, "sealRemoved:", this.sealRemoved);
-    if (!this.isHeld || !this.data.enabled || this.sealRemoved) return;
+    const sealRemoved = !!this.active && this.active.sealRemoved;
+    this._log("SealButton — isHeld:", this.isHeld, "sealRemoved:", sealRemoved);
+    if (!this.isHeld || !this.data.enabled || sealRemoved || this.active.sealRemoving) return;
     this._removeSeal();
   },
 
   // ─── Core Actions ─────────────────────────────────────────────────
 
-  _grab: function () {
+  /**
+   * @param {Object} unit       - `extinguisher` component to take
+   * @param {Object} [previous] - unit that was put back to take this one
+   */
+  _grab: function (unit, previous) {
     this.isHeld = true;
-    if (this.worldExtinguisher) this.worldExtinguisher.setAttribute("visible", false);
-    if (this.handExtinguisher) this.handExtinguisher.setAttribute("visible", true);
+    this.active = unit;
+    unit.el.setAttribute("visible", false);
+    if (unit.handEl) unit.handEl.setAttribute("visible", true);
     if (this.hoseEntity) this.hoseEntity.setAttribute("visible", true);
+    if (this.foamEntity) {
+      this.foamEntity.setAttribute("foam-system", "agent", unit.data.agent);
+    }
+
+    this.selectionHistory.push({
+      name: unit.unitId,
+      agent: unit.data.agent,
+      time: performance.now(),
+    });
 
     this._haptic(this.data.gripHand, 0.4, 100);
-    this._log("Grabbed (toggle ON)");
-    this.el.sceneEl.emit("extinguisher-grabbed");
+    this._log("Grabbed (toggle ON):", unit.unitId, "agent:", unit.data.agent);
+    this.el.sceneEl.emit("extinguisher-grabbed", {
+      name: unit.unitId,
+      agent: unit.data.agent,
+      previous: previous ? previous.unitId : null,
+    });
   },
 
   _release: function () {
-    this.isHeld = false;
+    const unit = this.active;
+    if (!unit) return;
     if (this.isSpraying) this._stopSpray();
-    if (this.worldExtinguisher) this.worldExtinguisher.setAttribute("visible", true);
-    if (this.handExtinguisher) this.handExtinguisher.setAttribute("visible", false);
+    if (this._sealTimer) this._cancelSeal(unit);
+    this.isHeld = false;
+    this.active = null;
+    unit.el.setAttribute("visible", true);
+    if (unit.handEl) unit.handEl.setAttribute("visible", false);
     if (this.hoseEntity) this.hoseEntity.setAttribute("visible", false);
 
     this._haptic(this.data.gripHand, 0.2, 50);
-    this._log("Released (toggle OFF)");
-    this.el.sceneEl.emit("extinguisher-released");
+    this._log("Released (toggle OFF):", unit.unitId);
+    this.el.sceneEl.emit("extinguisher-released", {
+      name: unit.unitId,
+      agent: unit.data.agent,
+    });
+  },
+
+  /** Put the held unit back on its rack and take another one. */
+  _swap: function (unit) {
+    const previous = this.active;
+    this._release();
+    this._grab(unit, previous);
   },
 
   _removeSeal: function () {
-    if (!this.sealEntity) return;
-    this.sealEntity.setAttribute("animation__fadeout", {
+    const unit = this.active;
+    const finish = () => {
+      unit.sealRemoving = false;
+      unit.sealRemoved = true;
+      this.el.sceneEl.emit("extinguisher-seal-removed", {
+        name: unit.unitId,
+        agent: unit.data.agent,
+      });
+      this._haptic(this.data.gripHand, 0.6, 150);
+      this._log("Seal removed:", unit.unitId);
+    };
+
+    // Units without a seal model are pulled immediately (still announced for scoring)
+    if (!unit.sealEl) {
+      finish();
+      return;
+    }
+    // A second press during the animation must not pull (and announce) it twice
+    unit.sealRemoving = true;
+    unit.sealEl.setAttribute("animation__fadeout", {
       property: "scale",
       from: "1 1 1",
       to: "0.01 0.01 0.01",
       dur: 300,
       easing: "easeInQuad",
     });
-    setTimeout(() => {
-      this.sealEntity.setAttribute("visible", false);
-      this.sealRemoved = true;
-      this.el.sceneEl.emit("extinguisher-seal-removed");
-      this._haptic(this.data.gripHand, 0.6, 150);
-      this._log("Seal removed");
+    this._sealTimer = setTimeout(() => {
+      this._sealTimer = null;
+      unit.sealEl.setAttribute("visible", false);
+      finish();
     }, 300);
   },
 
+  /** Released mid-pull: the seal stays on, back at full size. */
+  _cancelSeal: function (unit) {
+    clearTimeout(this._sealTimer);
+    this._sealTimer = null;
+    unit.sealRemoving = false;
+    if (unit.sealEl) {
+      unit.sealEl.removeAttribute("animation__fadeout");
+      unit.sealEl.setAttribute("scale", "1 1 1");
+    }
+    this._log("Seal pull cancelled:", unit.unitId);
+  },
+
   _startSpray: function () {
-    this.isSpraying = true;
+    // Without a nozzle nothing comes out: no discharge, no spray-stop later
     if (this.foamEntity && this.foamEntity.components["foam-system"]) {
+      this.isSpraying = true;
+      this.foamEntity.components["foam-system"].setFlow(this.active.getPressureRatio());
       this.foamEntity.components["foam-system"].start();
       this._log("Spraying started — foam-system.start() called");
+      this.el.sceneEl.emit("extinguisher-spray-start", {
+        name: this.active.unitId,
+        agent: this.active.data.agent,
+        sealRemoved: this.active.sealRemoved,
+      });
     } else {
       console.warn("[ExtinguisherCtrl] Foam entity or component not found!",
         "foamEntity:", !!this.foamEntity,
@@ -273,6 +378,28 @@ AFRAME.registerComponent("extinguisher-controller", {
       this.foamEntity.components["foam-system"].stop();
     }
     this._log("Spraying stopped");
+    this.el.sceneEl.emit("extinguisher-spray-stop", {
+      name: this.active.unitId,
+      agent: this.active.data.agent,
+    });
+  },
+
+  /** Drain the held unit while spraying; stop and announce when it runs dry. */
+  _updateDischarge: function (dt) {
+    const unit = this.active;
+    const flow = unit.discharge(dt);
+    const foam = this.foamEntity && this.foamEntity.components["foam-system"];
+    if (foam) foam.setFlow(flow);
+
+    if (unit.isEmpty()) {
+      this._stopSpray();
+      this._haptic(this.data.gripHand, 0.3, 200);
+      this._log("Extinguisher empty:", unit.unitId);
+      this.el.sceneEl.emit("extinguisher-empty", {
+        name: unit.unitId,
+        agent: unit.data.agent,
+      });
+    }
   },
 
   // ─── Hose (Spline TubeGeometry — single draw call) ────────────────
@@ -317,14 +444,19 @@ AFRAME.registerComponent("extinguisher-controller", {
 
   // ─── Tick ─────────────────────────────────────────────────────────
 
-  tick: function () {
+  tick: function (time, delta) {
     if (!this.data.enabled || !this.isHeld) return;
 
-    // 1. Hose start: world position of the anchor entity on the body
-    if (this.hoseAnchor) {
-      this.hoseAnchor.object3D.updateMatrixWorld(true);
-      this.hoseAnchor.object3D.getWorldPosition(this._anchorWorld);
-      this.hoseAnchor.object3D.getWorldQuaternion(this._anchorQuat);
+    // 0. Charge: drain while spraying (clamped like the particle systems).
+    // Not during a session replay — the recorded spray must not run dry early.
+    if (this.isSpraying && !this._replaying()) this._updateDischarge(Math.min(delta / 1000, 0.05));
+
+    // 1. Hose start: world position of the held unit's anchor on its body
+    const hoseAnchor = this.active.hoseAnchorEl;
+    if (hoseAnchor) {
+      hoseAnchor.object3D.updateMatrixWorld(true);
+      hoseAnchor.object3D.getWorldPosition(this._anchorWorld);
+      hoseAnchor.object3D.getWorldQuaternion(this._anchorQuat);
       // Exit direction: configurable local direction rotated to world space
       const d = this.data.hoseExitDir;
       this._exitDir.set(d.x, d.y, d.z).normalize();
@@ -416,6 +548,12 @@ AFRAME.registerComponent("extinguisher-controller", {
 
   // ─── Utilities ────────────────────────────────────────────────────
 
+  /** Session replay playing: it scripts the spray, the charge is not ours to drain. */
+  _replaying: function () {
+    const replay = this.el.sceneEl.components["session-replay"];
+    return !!replay && replay.isPlaying();
+  },
+
   _haptic: function (hand, intensity, duration) {
     const ctrl = document.querySelector(`#${hand}-hand-controller`);
     if (!ctrl) return;
@@ -434,6 +572,51 @@ AFRAME.registerComponent("extinguisher-controller", {
     }
   },
 
+  /** Returns the `extinguisher` component in hand, or null. */
+  getActive: function () {
+    return this.active;
+  },
+
+  /** Returns every grab so far: [{ name, agent, time }]. */
+  getSelectionHistory: function () {
+    return this.selectionHistory.slice();
+  },
+
+  // ─── Scripted control (session replay) ────────────────────────────
+
+  /**
+   * Takes a unit by registry name without aiming or buttons; swaps if
+   * another one is held.
+   * @param {string} name
+   * @returns {boolean} whether the unit exists
+   */
+  grab: function (name) {
+    const unit = this.registry && this.registry.get(name);
+    if (!unit) return false;
+    if (!this.isHeld) this._grab(unit);
+    else if (unit !== this.active) this._swap(unit);
+    return true;
+  },
+
+  release: function () {
+    this._release();
+  },
+
+  removeSeal: function () {
+    if (this.isHeld && !this.active.sealRemoved && !this.active.sealRemoving) this._removeSeal();
+  },
+
+  setSpraying: function (spraying) {
+    if (spraying && this.isHeld && !this.isSpraying) this._startSpray();
+    else if (!spraying && this.isSpraying) this._stopSpray();
+  },
+
+  /** Puts the held unit back and clears the grab history (module change). */
+  reset: function () {
+    if (this.isHeld) this._release();
+    this.selectionHistory = [];
+  },
+
   setEnabled: function (enabled) {
     this.data.enabled = enabled;
     if (!enabled && this.isHeld) this._release();
@@ -441,6 +624,7 @@ AFRAME.registerComponent("extinguisher-controller", {
   },
 
   remove: function () {
+    clearTimeout(this._sealTimer);
     if (this._gripCtrl) {
       this._gripCtrl.removeEventListener("gripdown", this._onGripDown);
     }
@@ -448,10 +632,12 @@ AFRAME.registerComponent("extinguisher-controller", {
     if (this._rightCtrl) {
       this._rightCtrl.removeEventListener("triggerdown", this._onTriggerDown);
       this._rightCtrl.removeEventListener("triggerup", this._onTriggerUp);
+      this._rightCtrl.removeEventListener("abuttondown", this._onSealButton);
     }
     if (this._leftCtrl) {
       this._leftCtrl.removeEventListener("triggerdown", this._onTriggerDown);
       this._leftCtrl.removeEventListener("triggerup", this._onTriggerUp);
+      this._leftCtrl.removeEventListener("xbuttondown", this._onSealButton);
     }
 
     if (this._hoseMesh) {
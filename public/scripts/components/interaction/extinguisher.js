@@ -0,0 +1,222 @@
+/**
+ * Extinguisher Component + System
+ *
+ * Declares a grabbable extinguisher on its world (rack) entity. The matching
+ * `extinguisher` system keeps a registry of every unit in the scene so
+ * extinguisher-controller can pick any of them up and swap between them.
+ *
+ * Each unit carries its own hand model, seal, hose anchor and agent:
+ *
+ *   <a-entity id="extinguisher-world-co2"
+ *     extinguisher="name: co2; agent: co2; label: CO2 6 kg;
+ *                   hand: #extinguisher-hand-co2; hoseAnchor: #hose-anchor-co2;
+ *                   collider: #extinguisher-collider-co2">
+ *
+ * Per-unit state (read/written by extinguisher-controller):
+ *   component.unitId      — registry name (defaults to the entity id)
+ *   component.sealRemoved — safety seal already pulled
+ *   component.charge      — agent left (kg)
+ *   component.heldBy      — crew member holding it (network-session), or null
+ *
+ * Charge model (stored-pressure unit):
+ *   pressure ratio = sqrt(fill), flow = pressure ratio. Integrating
+ *   d(fill)/dt = -flow / (dischargeTime / 2) empties a full unit in exactly
+ *   `dischargeTime` seconds of continuous discharge, with flow tailing off
+ *   as pressure drops. A pressure gauge is built on the hand model.
+ *
+ * System API:
+ *   sceneEl.systems.extinguisher.getAll()          — registered components
+ *   sceneEl.systems.extinguisher.get(name)         — lookup by name
+ *   sceneEl.systems.extinguisher.findByElement(el) — unit owning a hit element
+ */
+
+AFRAME.registerSystem("extinguisher", {
+  init: function () {
+    this.units = [];
+  },
+
+  register: function (unit) {
+    if (this.units.indexOf(unit) === -1) this.units.push(unit);
+  },
+
+  unregister: function (unit) {
+    const idx = this.units.indexOf(unit);
+    if (idx !== -1) this.units.splice(idx, 1);
+  },
+
+  getAll: function () {
+    return this.units.slice();
+  },
+
+  get: function (name) {
+    return this.units.find((u) => u.unitId === name) || null;
+  },
+
+  /** Returns the unit whose world entity contains `el` (e.g. a raycaster hit). */
+  findByElement: function (el) {
+    if (!el) return null;
+    return this.units.find((u) => u.el === el || u.el.contains(el)) || null;
+  },
+});
+
+AFRAME.registerComponent("extinguisher", {
+  schema: {
+    name: { type: "string", default: "" },
+    label: { type: "string", default: "" },
+    agent: { type: "string", default: "dry_chemical" },
+    hand: { type: "selector" },
+    seal: { type: "selector" },
+    hoseAnchor: { type: "selector" },
+    collider: { type: "selector" },
+    // Charge
+    capacity: { type: "number", default: 6 }, // kg of agent
+    dischargeTime: { type: "number", default: 15 }, // s of continuous discharge
+    nominalPressure: { type: "number", default: 14 }, // bar when full
+    // Pressure gauge on the hand model (local to `hand`)
+    gaugePosition: { type: "vec3", default: { x: 0.04, y: 0.3, z: 0.05 } },
+    gaugeRotation: { type: "vec3", default: { x: -50, y: 0, z: 0 } },
+    gaugeRadius: { type: "number", default: 0.028 },
+  },
+
+  init: function () {
+    // Not `this.name` — A-Frame reserves that for the component name
+    this.unitId = this.data.name || this.el.id;
+    this.sealRemoved = false;
+    this.sealRemoving = false; // pull animation running (extinguisher-controller)
+    this.charge = this.data.capacity;
+    this.heldBy = null;
+    this._needleAngle = null;
+
+    this.handEl = this.data.hand;
+    this.sealEl = this.data.seal;
+    this.hoseAnchorEl = this.data.hoseAnchor;
+    this.colliderEl = this.data.collider;
+
+    if (this.handEl) this.handEl.setAttribute("visible", false);
+    if (this.colliderEl) this.colliderEl.classList.add("interactable");
+    // Hand models live in the rig and outlive the unit (module changes)
+    if (this.sealEl) {
+      this.sealEl.removeAttribute("animation__fadeout");
+      this.sealEl.setAttribute("scale", "1 1 1");
+      this.sealEl.setAttribute("visible", true);
+    }
+    if (this.handEl) this._buildGauge();
+
+    this.system.register(this);
+  },
+
+  // ─── Charge ───────────────────────────────────────────────────────
+
+  /** Fraction of agent left (0 → 1). */
+  getFill: function () {
+    return this.data.capacity > 0 ? this.charge / this.data.capacity : 0;
+  },
+
+  /** Pressure ratio (0 → 1) — falls faster than the fill near the end. */
+  getPressureRatio: function () {
+    return Math.sqrt(Math.max(0, this.getFill()));
+  },
+
+  /** Gauge reading in bar. */
+  getPressure: function () {
+    return this.getPressureRatio() * this.data.nominalPressure;
+  },
+
+  isEmpty: function () {
+    return this.charge <= 0;
+  },
+
+  /**
+   * Discharges agent for one frame.
+   * @param {number} dt - seconds
+   * @returns {number} Flow factor (0 → 1) to apply to the emitter
+   */
+  discharge: function (dt) {
+    if (this.isEmpty()) return 0;
+    const flow = this.getPressureRatio();
+    const fillLoss = (flow * dt) / (this.data.dischargeTime * 0.5);
+    this.charge = Math.max(0, this.charge - fillLoss * this.data.capacity);
+    this._updateGauge();
+    return flow;
+  },
+
+  /** Restores a full charge (e.g. training restart). */
+  refill: function () {
+    this.charge = this.data.capacity;
+    this._updateGauge();
+  },
+
+  // ─── Pressure gauge ───────────────────────────────────────────────
+
+  /**
+   * Dial with a red (recharge) and green (operable) zone and a needle.
+   * Needle sweeps 270° — empty at the lower left, full at the lower right.
+   */
+  _buildGauge: function () {
+    const r = this.data.gaugeRadius;
+    const p = this.data.gaugePosition;
+    const rot = this.data.gaugeRotation;
+
+    const gauge = document.createElement("a-entity");
+    gauge.classList.add("extinguisher-gauge");
+    gauge.setAttribute("position", `${p.x} ${p.y} ${p.z}`);
+    gauge.setAttribute("rotation", `${rot.x} ${rot.y} ${rot.z}`);
+
+    const face = document.createElement("a-circle");
+    face.setAttribute("radius", r);
+    face.setAttribute("material", "shader: flat; color: #F5F5F0; side: double");
+    gauge.appendChild(face);
+
+    // Zones: ring segments measured CCW from +X (degrees)
+    const zone = (color, start, length) => {
+      const ring = document.createElement("a-ring");
+      ring.setAttribute("radius-inner", r * 0.72);
+      ring.setAttribute("radius-outer", r * 0.92);
+      ring.setAttribute("theta-start", start);
+      ring.setAttribute("theta-length", length);
+      ring.setAttribute("material", `shader: flat; color: ${color}; side: double`);
+      ring.setAttribute("position", "0 0 0.0005");
+      gauge.appendChild(ring);
+    };
+    zone("#D62828", 225 - 270 * 0.25, 270 * 0.25); // 0–25 % → recharge
+    zone("#2A9D3F", -45, 270 * 0.75); // 25–100 % → operable
+
+    const needle = document.createElement("a-entity");
+    needle.setAttribute("position", "0 0 0.001");
+    const bar = document.createElement("a-plane");
+    bar.setAttribute("width", r * 0.85);
+    bar.setAttribute("height", r * 0.08);
+    bar.setAttribute("position", `${r * 0.425} 0 0`);
+    bar.setAttribute("material", "shader: flat; color: #111111; side: double");
+    needle.appendChild(bar);
+    gauge.appendChild(needle);
+
+    const hub = document.createElement("a-circle");
+    hub.setAttribute("radius", r * 0.1);
+    hub.setAttribute("position", "0 0 0.0015");
+    hub.setAttribute("material", "shader: flat; color: #111111; side: double");
+    gauge.appendChild(hub);
+
+    this.handEl.appendChild(gauge);
+    this.gaugeEl = gauge;
+    this._needleEl = needle;
+    this._updateGauge();
+  },
+
+  _updateGauge: function () {
+    if (!this._needleEl) return;
+    const angle = 225 - 270 * this.getPressureRatio();
+    // Skip sub-degree changes — setAttribute is not free
+    if (this._needleAngle !== null && Math.abs(angle - this._needleAngle) < 0.5) return;
+    this._needleAngle = angle;
+    this._needleEl.setAttribute("rotation", `0 0 ${angle.toFixed(1)}`);
+  },
+
+  remove: function () {
+    this.system.unregister(this);
+    if (this.gaugeEl && this.gaugeEl.parentNode) {
+      this.gaugeEl.parentNode.removeChild(this.gaugeEl);
+    }
+    if (this.handEl) this.handEl.setAttribute("visible", false);
+  },
+});
@@ -0,0 +1,202 @@
+/**
+ * Heat Exposure Component
+ *
+ * Samples the radiant heat field of the `fire` system at the trainee's head
+ * and turns it into feedback and a measurable dose:
+ *
+ *   - Screen-edge heat vignette (orange/red glow, stronger with flux)
+ *   - Controller haptic pulses above `hapticFlux`
+ *   - Thermal dose accumulator: ∫ q^(4/3) dt (thermal dose units, TDU),
+ *     counted only above `safeFlux`
+ *
+ * Exceeding `doseLimit` emits `trainee-injured` on the scene once:
+ *   { dose, flux, peakFlux, position: {x, y, z} }
+ *
+ * Reference values: ~1 kW/m² is bright sunlight, ~2.5 kW/m² becomes
+ * painful within about a minute, ~80 TDU is the onset of first-degree burns.
+ *
+ * Usage (on the camera):
+ *   <a-entity id="camera" camera heat-exposure="doseLimit: 80"></a-entity>
+ *
+ * API:
+ *   component.getFlux()     — current heat flux (kW/m²)
+ *   component.getDose()     — accumulated dose (TDU)
+ *   component.getPeakFlux() — highest flux sampled
+ *   component.isInjured()
+ *   component.reset()       — clear dose and injury (training restart)
+ */
+
+const HEAT_VIGNETTE_VS = `
+varying vec2 vUv;
+void main() {
+  vUv = uv;
+  gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+}`;
+
+const HEAT_VIGNETTE_FS = `
+uniform float strength;
+uniform float time;
+varying vec2 vUv;
+void main() {
+  float r = length(vUv - 0.5) * 2.0;
+  float edge = smoothstep(0.45, 1.0, r);
+  float shimmer = 0.85 + 0.15 * sin(time * 6.0 + r * 12.0);
+  vec3 color = mix(vec3(1.0, 0.55, 0.1), vec3(0.8, 0.05, 0.0), edge);
+  gl_FragColor = vec4(color, edge * strength * shimmer);
+}`;
+
+AFRAME.registerComponent("heat-exposure", {
+  schema: {
+    enabled: { type: "boolean", default: true },
+    sampleInterval: { type: "number", default: 100 }, // ms
+    safeFlux: { type: "number", default: 1.0 }, // kW/m² — no dose below this
+    vignetteFlux: { type: "number", default: 5.0 }, // kW/m² at full vignette
+    hapticFlux: { type: "number", default: 2.5 }, // kW/m² — haptics from here up
+    hapticInterval: { type: "number", default: 600 }, // ms between pulses
+    hands: { type: "array", default: ["left", "right"] },
+    doseLimit: { type: "number", default: 80 }, // TDU
+  },
+
+  init: function () {
+    this.flux = 0;
+    this.dose = 0;
+    this.peakFlux = 0;
+    this.injured = false;
+    this._sampleAcc = 0;
+    this._hapticAcc = 0;
+    this._vignetteStrength = 0;
+    this._headPos = new THREE.Vector3();
+    this._buildVignette();
+  },
+
+  remove: function () {
+    if (this.vignette) {
+      this.el.removeObject3D("heat-vignette");
+      this.vignette.geometry.dispose();
+      this.vignette.material.dispose();
+    }
+  },
+
+  /** Full-view quad just in front of the camera, drawn last and unlit. */
+  _buildVignette: function () {
+    const material = new THREE.ShaderMaterial({
+      uniforms: { strength: { value: 0 }, time: { value: 0 } },
+      vertexShader: HEAT_VIGNETTE_VS,
+      fragmentShader: HEAT_VIGNETTE_FS,
+      transparent: true,
+      depthTest: false,
+      depthWrite: false,
+    });
+    const mesh = new THREE.Mesh(new THREE.PlaneGeometry(1.2, 1.2), material);
+    mesh.position.set(0, 0, -0.3);
+    mesh.renderOrder = 1000;
+    mesh.frustumCulled = false;
+    mesh.visible = false;
+    this.el.setObject3D("heat-vignette", mesh);
+    this.vignette = mesh;
+  },
+
+  tick: function (time, delta) {
+    if (!this.data.enabled || !delta) return;
+    const fireSys = this.el.sceneEl.systems.fire;
+    if (!fireSys) return;
+
+    this._sampleAcc += delta;
+    if (this._sampleAcc >= this.data.sampleInterval) {
+      const dt = this._sampleAcc / 1000;
+      this._sampleAcc = 0;
+      this.el.object3D.getWorldPosition(this._headPos);
+      this.flux = fireSys.getHeatFlux(this._headPos);
+      this.peakFlux = Math.max(this.peakFlux, this.flux);
+      this._accumulateDose(dt);
+    }
+
+    this._updateVignette(time, delta);
+    this._updateHaptics(delta);
+  },
+
+  _accumulateDose: function (dt) {
+    if (this.flux <= this.data.safeFlux) return;
+    this.dose += Math.pow(this.flux, 4 / 3) * dt;
+
+    if (!this.injured && this.dose >= this.data.doseLimit) {
+      this.injured = true;
+      const p = this._headPos;
+      this.el.sceneEl.emit("trainee-injured", {
+        dose: this.dose,
+        flux: this.flux,
+        peakFlux: this.peakFlux,
+        position: { x: p.x, y: p.y, z: p.z },
+      });
+      if (window.DEBUG_CONFIG && window.DEBUG_CONFIG.LOG_PARTICLES) {
+        window.debugLog("Heat", "Trainee injured — dose", this.dose.toFixed(1), "TDU");
+      }
+    }
+  },
+
+  /** Vignette eases toward the target so sampling steps do not flicker. */
+  _updateVignette: function (time, delta) {
+    const d = this.data;
+    const target = THREE.MathUtils.clamp(
+      (this.flux - d.safeFlux) / (d.vignetteFlux - d.safeFlux),
+      0,
+      1,
+    );
+    const k = Math.min(1, delta / 300);
+    this._vignetteStrength += (target - this._vignetteStrength) * k;
+
+    const uniforms = this.vignette.material.uniforms;
+    uniforms.strength.value = this._vignetteStrength * 0.85;
+    uniforms.time.value = time / 1000;
+    this.vignette.visible = this._vignetteStrength > 0.01;
+  },
+
+  _updateHaptics: function (delta) {
+    if (this.flux < this.data.hapticFlux) {
+      this._hapticAcc = this.data.hapticInterval; // pulse right away next time
+      return;
+    }
+    this._hapticAcc += delta;
+    if (this._hapticAcc < this.data.hapticInterval) return;
+    this._hapticAcc = 0;
+
+    const strength = Math.min(1, this.flux / this.data.vignetteFlux) * 0.5;
+    this.data.hands.forEach((hand) => this._haptic(hand, strength, 80));
+  },
+
+  _haptic: function (hand, intensity, duration) {
+    const ctrl = document.querySelector(`#${hand}-hand-controller`);
+    if (!ctrl) return;
+    const gp =
+      ctrl.components["tracked-controls"] &&
+      ctrl.components["tracked-controls"].controller &&
+      ctrl.components["tracked-controls"].controller.gamepad;
+    if (gp && gp.hapticActuators && gp.hapticActuators[0]) {
+      gp.hapticActuators[0].pulse(intensity, duration);
+    }
+  },
+
+  // ─── API ──────────────────────────────────────────────────────────
+
+  getFlux: function () {
+    return this.flux;
+  },
+
+  getDose: function () {
+    return this.dose;
+  },
+
+  getPeakFlux: function () {
+    return this.peakFlux;
+  },
+
+  isInjured: function () {
+    return this.injured;
+  },
+
+  reset: function () {
+    this.dose = 0;
+    this.peakFlux = 0;
+    this.injured = false;
+  },
+});
@@ -0,0 +1,303 @@
+/**
+ * Technique Evaluator Component — PASS
+ *
+ * Scores the trainee's extinguisher technique live while spraying:
+ *
+ *   Pull    — safety seal pulled before the first squeeze (per unit)
+ *   Aim     — share of the stream arriving at the fuel base rather than
+ *             through the flames above it
+ *   Squeeze — discharge held in sustained bursts instead of short stabs
+ *   Sweep   — side-to-side nozzle motion centred on the fire
+ *   Distance — standoff inside the agent's recommended range
+ *             (config/extinguishing-agents.js → range)
+ *
+ * Sub-scores are 0 → 1. While spraying, a `pass-score` event is emitted on
+ * the scene every `emitInterval` ms:
+ *   { pull, aim, squeeze, sweep, distance, overall, fire, hitsPerSecond }
+ * hitsPerSecond is the agent particle rate entering the target's fuel volume.
+ *
+ * The fire system multiplies suppression by getTechniqueFactor(), so
+ * good technique knocks the fire down faster than spraying at the flames.
+ *
+ * Usage (scene-level entity):
+ *   <a-entity technique-evaluator="nozzle: #foam-nozzle"></a-entity>
+ *
+ * API:
+ *   component.getScores()          — latest sub-scores
+ *   component.getSummary()         — spray-time averaged sub-scores for the session
+ *   component.resetSummary()       — start a new session (training restart)
+ *   component.getTechniqueFactor() — 0.5 (poor) → 1.5 (textbook) suppression multiplier
+ */
+
+const PASS_WEIGHTS = { aim: 0.4, sweep: 0.3, distance: 0.2, squeeze: 0.1 };
+
+AFRAME.registerComponent("technique-evaluator", {
+  schema: {
+    enabled: { type: "boolean", default: true },
+    nozzle: { type: "selector", default: "#foam-nozzle" },
+    camera: { type: "selector", default: "#camera" },
+    sampleInterval: { type: "number", default: 100 }, // ms between samples
+    emitInterval: { type: "number", default: 500 }, // ms between pass-score events
+    baseHeight: { type: "number", default: 0.5 }, // m above the fuel base that counts as "base"
+    aimMargin: { type: "number", default: 1.0 }, // m around the fire radius considered "at the fire"
+    minBurst: { type: "number", default: 1.0 }, // s — shorter squeezes count as stabs
+    sweepMinAmplitude: { type: "number", default: 8 }, // degrees between reversals
+    sweepWindow: { type: "number", default: 3 }, // s — reversals counted in this window
+    sweepCenterTolerance: { type: "number", default: 20 }, // degrees off the fire direction
+  },
+
+  init: function () {
+    this.scores = { pull: 1, aim: 0, squeeze: 1, sweep: 0, distance: 0, overall: 0 };
+    this.isSpraying = false;
+    this.target = null; // fire-system component being attacked
+
+    // Session accumulators (weighted by spray time)
+    this._summaryTime = 0;
+    this._summary = { pull: 0, aim: 0, squeeze: 0, sweep: 0, distance: 0, overall: 0 };
+
+    // Squeeze tracking
+    this._burstStart = 0;
+    this._sprayTotal = 0;
+    this._sustainedTotal = 0;
+
+    // Sweep tracking
+    this._lastRel = null;
+    this._sweepDir = 0;
+    this._sweepAnchor = 0;
+    this._reversals = []; // timestamps (ms)
+    this._relHistory = []; // recent relative yaw samples for centring
+
+    this._sampleAcc = 0;
+    this._emitAcc = 0;
+
+    // Reusable math objects
+    this._firePos = new THREE.Vector3();
+    this._camPos = new THREE.Vector3();
+    this._nozzlePos = new THREE.Vector3();
+    this._nozzleQuat = new THREE.Quaternion();
+    this._forward = new THREE.Vector3();
+
+    this._onSprayStart = this._onSprayStart.bind(this);
+    this._onSprayStop = this._onSprayStop.bind(this);
+    this.el.sceneEl.addEventListener("extinguisher-spray-start", this._onSprayStart);
+    this.el.sceneEl.addEventListener("extinguisher-spray-stop", this._onSprayStop);
+  },
+
+  remove: function () {
+    this.el.sceneEl.removeEventListener("extinguisher-spray-start", this._onSprayStart);
+    this.el.sceneEl.removeEventListener("extinguisher-spray-stop", this._onSprayStop);
+  },
+
+  // ─── Events ───────────────────────────────────────────────────────
+
+  _onSprayStart: function (e) {
+    this.isSpraying = true;
+    this.agent = e.detail.agent;
+    this._burstStart = performance.now();
+    // Pull: squeezing with the seal still in place is a technique fault
+    this.scores.pull = e.detail.sealRemoved ? 1 : 0;
+    this._lastRel = null;
+    this._sweepDir = 0;
+  },
+
+  _onSprayStop: function () {
+    if (!this.isSpraying) return;
+    this.isSpraying = false;
+    const burst = (performance.now() - this._burstStart) / 1000;
+    this._sprayTotal += burst;
+    if (burst >= this.data.minBurst) this._sustainedTotal += burst;
+    this.scores.squeeze = this._sprayTotal > 0 ? this._sustainedTotal / this._sprayTotal : 1;
+  },
+
+  // ─── Tick ─────────────────────────────────────────────────────────
+
+  tick: function (time, delta) {
+    if (!this.data.enabled || !this.isSpraying || !delta) return;
+
+    this._sampleAcc += delta;
+    if (this._sampleAcc < this.data.sampleInterval) return;
+    const dt = this._sampleAcc / 1000;
+    this._sampleAcc = 0;
+
+    this.target = this._findTarget();
+    if (!this.target) return;
+    this.target.el.object3D.getWorldPosition(this._firePos);
+
+    const nozzle = this.data.nozzle && this.data.nozzle.components["foam-system"];
+    this.scores.hitsPerSecond = this.target.getHitsPerSecond(nozzle);
+    this._sampleAim();
+    this._sampleSweep(time);
+    this._sampleDistance();
+    this._sampleSqueeze();
+    this._updateOverall();
+    this._accumulate(dt);
+
+    this._emitAcc += dt * 1000;
+    if (this._emitAcc >= this.data.emitInterval) {
+      this._emitAcc = 0;
+      this.el.sceneEl.emit("pass-score", Object.assign({ fire: this.target.el.id }, this.scores));
+    }
+  },
+
+  /** Nearest fire that is still burning. */
+  _findTarget: function () {
+    const cam = this.data.camera;
+    if (!cam) return null;
+    cam.object3D.getWorldPosition(this._camPos);
+    return this.el.sceneEl.systems.fire.getNearest(this._camPos);
+  },
+
+  /**
+   * Aim: among airborne particles arriving over the fire footprint,
+   * the share that is low (at the base) rather than up in the flames.
+   */
+  _sampleAim: function () {
+    const foam = this.data.nozzle && this.data.nozzle.components["foam-system"];
+    if (!foam) return;
+
+    const fire = this.target;
+    const reach = fire.data.radius * fire.spread + this.data.aimMargin;
+    const reachSq = reach * reach;
+    const baseTop = this._firePos.y + this.data.baseHeight;
+
+    let atFire = 0;
+    let atBase = 0;
+    for (let i = 0; i < foam.particles.length; i++) {
+      const p = foam.particles[i];
+      if (!p.active || p.grounded) continue;
+      const dx = p.pos.x - this._firePos.x;
+      const dz = p.pos.z - this._firePos.z;
+      if (dx * dx + dz * dz > reachSq) continue;
+      atFire++;
+      if (p.pos.y <= baseTop) atBase++;
+    }
+    if (atFire === 0) {
+      // Nothing reaching the fire at all — aim decays
+      this.scores.aim *= 0.9;
+      return;
+    }
+    const sample = atBase / atFire;
+    this.scores.aim += (sample - this.scores.aim) * 0.2; // EMA
+  },
+
+  /**
+   * Sweep: counts direction reversals of the nozzle yaw (relative to the
+   * fire direction) that exceed the minimum amplitude, within a time window.
+   */
+  _sampleSweep: function (time) {
+    const nozzle = this.data.nozzle;
+    if (!nozzle) return;
+    nozzle.object3D.getWorldPosition(this._nozzlePos);
+    nozzle.object3D.getWorldQuaternion(this._nozzleQuat);
+    this._forward.set(0, 0, -1).applyQuaternion(this._nozzleQuat);
+
+    const yawNozzle = Math.atan2(this._forward.x, -this._forward.z);
+    const yawFire = Math.atan2(
+      this._firePos.x - this._nozzlePos.x,
+      -(this._firePos.z - this._nozzlePos.z),
+    );
+    let rel = THREE.MathUtils.radToDeg(yawNozzle - yawFire);
+    rel = ((((rel + 180) % 360) + 360) % 360) - 180; // wrap to [-180, 180)
+
+    if (this._lastRel !== null) {
+      const d = rel - this._lastRel;
+      if (Math.abs(d) > 0.2) {
+        const dir = Math.sign(d);
+        if (this._sweepDir !== 0 && dir !== this._sweepDir) {
+          if (Math.abs(this._lastRel - this._sweepAnchor) >= this.data.sweepMinAmplitude) {
+            this._reversals.push(time);
+          }
+          this._sweepAnchor = this._lastRel;
+        } else if (this._sweepDir === 0) {
+          this._sweepAnchor = this._lastRel;
+        }
+        this._sweepDir = dir;
+      }
+    }
+    this._lastRel = rel;
+
+    const windowMs = this.data.sweepWindow * 1000;
+    while (this._reversals.length && time - this._reversals[0] > windowMs) {
+      this._reversals.shift();
+    }
+    this._relHistory.push(rel);
+    if (this._relHistory.length > windowMs / this.data.sampleInterval) {
+      this._relHistory.shift();
+    }
+
+    // Two reversals per window = one full back-and-forth pass
+    const motion = Math.min(1, this._reversals.length / 2);
+    const mean = this._relHistory.reduce((a, b) => a + b, 0) / this._relHistory.length;
+    const offCenter = Math.max(0, Math.abs(mean) - this.data.sweepCenterTolerance);
+    const centring = Math.max(0, 1 - offCenter / this.data.sweepCenterTolerance);
+    this.scores.sweep = motion * centring;
+  },
+
+  /** Distance: 1 inside the agent's range, linear fall-off over 1 m outside. */
+  _sampleDistance: function () {
+    const range = window.EXTINGUISHING_AGENTS.get(this.agent).range;
+    const dx = this._camPos.x - this._firePos.x;
+    const dz = this._camPos.z - this._firePos.z;
+    const d = Math.sqrt(dx * dx + dz * dz);
+    let outside = 0;
+    if (d < range[0]) outside = range[0] - d;
+    else if (d > range[1]) outside = d - range[1];
+    this.scores.distance = Math.max(0, 1 - outside);
+    this.scores.distanceMeters = d;
+  },
+
+  /** Squeeze: current burst counts as sustained once it passes minBurst. */
+  _sampleSqueeze: function () {
+    const burst = (performance.now() - this._burstStart) / 1000;
+    const total = this._sprayTotal + burst;
+    const sustained = this._sustainedTotal + (burst >= this.data.minBurst ? burst : 0);
+    this.scores.squeeze = total > 0 ? sustained / total : 1;
+  },
+
+  _updateOverall: function () {
+    const s = this.scores;
+    s.overall =
+      s.aim * PASS_WEIGHTS.aim +
+      s.sweep * PASS_WEIGHTS.sweep +
+      s.distance * PASS_WEIGHTS.distance +
+      s.squeeze * PASS_WEIGHTS.squeeze;
+  },
+
+  _accumulate: function (dt) {
+    this._summaryTime += dt;
+    Object.keys(this._summary).forEach((k) => {
+      this._summary[k] += this.scores[k] * dt;
+    });
+  },
+
+  // ─── API ──────────────────────────────────────────────────────────
+
+  getScores: function () {
+    return Object.assign({}, this.scores);
+  },
+
+  getSummary: function () {
+    const out = {};
+    Object.keys(this._summary).forEach((k) => {
+      out[k] = this._summaryTime > 0 ? this._summary[k] / this._summaryTime : 0;
+    });
+    out.sprayTime = this._summaryTime;
+    return out;
+  },
+
+  resetSummary: function () {
+    this._summaryTime = 0;
+    Object.keys(this._summary).forEach((k) => (this._summary[k] = 0));
+    this._sprayTotal = 0;
+    this._sustainedTotal = 0;
+  },
+
+  /**
+   * Suppression multiplier for fire-system: 0.5 with no technique,
+   * 1.0 at an average score, 1.5 with textbook PASS.
+   */
+  getTechniqueFactor: function () {
+    if (!this.data.enabled) return 1;
+    return 0.5 + this.scores.overall;
+  },
+});
@@ -1,5 +1,9 @@
 // Based on Bobby Roe's Simple Particle Effects
 // Adapted for A-Frame with ceiling smoke spread
+// Fuel behaviour per fire class comes from config/fire-classes.js (window.FIRE_CLASSES)
+// Agent effectiveness comes from config/extinguishing-agents.js (window.EXTINGUISHING_AGENTS)
+// Ignition, fuel consumption and re-flash come from an optional `fuel` component (fuel.js)
+// Ceiling smoke fills the scene's `smoke-layer` (smoke-layer.js) when present
 
 const _VS = `
 precision mediump float;
@@ -61,6 +65,232 @@ function getLinearSpline(lerp) {
   return { addPoint, getValueAt };
 }
 
+/**
+ * Fire System — scene-wide registry of fires and agent emitters
+ *
+ * Every `fire-system` component and every agent emitter (`foam-system`)
+ * registers here. Once per frame the system hit-tests each fire against
+ * each nozzle and applies the agent, so several fires and several nozzles
+ * work without per-fire DOM lookups.
+ *
+ * A particle scores one hit when it enters a fire's fuel volume (box or
+ * cylinder, see the fire-system schema), weighted by its agent's `mass`.
+ * Agent is applied on frames with hits only; its strength scales with the
+ * smoothed weighted hit rate, reaching full rate at `fullHitRate` weighted
+ * hits per second.
+ *
+ * With `driven` set (session replay, crew member following the host)
+ * intensities and spread are written from outside: growth and fuel heating
+ * are skipped and hits are only counted, not applied.
+ *
+ * Intensity removed by each emitter is summed per emitter `owner` (crew
+ * sessions: who knocked down how much; "" is the local trainee).
+ *
+ * Events (emitted on the scene):
+ *   all-fires-extinguished { count } — last burning fire knocked down
+ *   all-fires-safe         { count } — every fire out and its fuel cooled
+ *
+ * API (sceneEl.systems.fire):
+ *   getFires()          — registered fire-system components
+ *   getEmitters()       — registered emitter components
+ *   getTotalIntensity() — sum of fireIntensity over all fires
+ *   allExtinguished()   — no fire is burning
+ *   allSafe()           — no fire is burning and no fuel can re-flash
+ *   getNearest(pos)     — nearest burning fire to a world position
+ *   getHitsPerSecond(emitter) — agent particle hits per second over all fires
+ *                         (of one emitter when given)
+ *   getSuppression()    — { owner: intensity removed } since resetSuppression()
+ *   getHeatFlux(pos)    — radiant heat flux (kW/m²) at a world position
+ */
+AFRAME.registerSystem("fire", {
+  init() {
+    this.fires = [];
+    this.emitters = [];
+    this.fullHitRate = 40; // Weighted hits/s for full-rate suppression
+    this.minHitRate = 2; // Weighted hits/s below which the agent has no effect
+    this.radiantFraction = 0.3; // Share of the heat release radiated (point-source model)
+    this.minHeatDistance = 0.5; // m — flux is capped inside the flames
+    this.driven = false; // Intensities set externally (session replay, crew member)
+    this.suppression = {}; // emitter owner → fire intensity removed
+    this._anyBurning = false;
+    this._allSafe = true;
+    this._firePos = new THREE.Vector3();
+  },
+
+  registerFire(fire) {
+    if (this.fires.indexOf(fire) === -1) this.fires.push(fire);
+  },
+
+  unregisterFire(fire) {
+    const idx = this.fires.indexOf(fire);
+    if (idx !== -1) this.fires.splice(idx, 1);
+  },
+
+  registerEmitter(emitter) {
+    if (this.emitters.indexOf(emitter) === -1) this.emitters.push(emitter);
+  },
+
+  unregisterEmitter(emitter) {
+    const idx = this.emitters.indexOf(emitter);
+    if (idx !== -1) this.emitters.splice(idx, 1);
+    this.fires.forEach((f) => f.hits.delete(emitter));
+  },
+
+  getFires() {
+    return this.fires.slice();
+  },
+
+  getEmitters() {
+    return this.emitters.slice();
+  },
+
+  getTotalIntensity() {
+    return this.fires.reduce((sum, f) => sum + f.fireIntensity, 0);
+  },
+
+  getHitsPerSecond(emitter) {
+    return this.fires.reduce((sum, f) => sum + f.getHitsPerSecond(emitter), 0);
+  },
+
+  getSuppression() {
+    return Object.assign({}, this.suppression);
+  },
+
+  resetSuppression() {
+    this.suppression = {};
+  },
+
+  /**
+   * Radiant heat flux at a world position, summed over burning fires:
+   * q = χr · Q · intensity · spread² / (4π d²)
+   *
+   * @param {THREE.Vector3} pos
+   * @param {Object} [exclude] - fire-system component to leave out (own fire)
+   * @returns {number} kW/m²
+   */
+  getHeatFlux(pos, exclude) {
+    let flux = 0;
+    for (let i = 0; i < this.fires.length; i++) {
+      const fire = this.fires[i];
+      if (fire === exclude || fire.fireIntensity <= 0) continue;
+      const d = Math.max(
+        this.minHeatDistance,
+        fire.el.object3D.getWorldPosition(this._firePos).distanceTo(pos),
+      );
+      const power = fire.data.heatRelease * fire.fireIntensity * fire.spread * fire.spread;
+      flux += (this.radiantFraction * power) / (4 * Math.PI * d * d);
+    }
+    return flux;
+  },
+
+  allExtinguished() {
+    return this.fires.every((f) => f.fireIntensity <= 0);
+  },
+
+  allSafe() {
+    return this.fires.every((f) => {
+      const fuel = f.el.components.fuel;
+      return f.fireIntensity <= 0 && (!fuel || fuel.isSafe());
+    });
+  },
+
+  /**
+   * Nearest burning fire to a world position.
+   * @param {THREE.Vector3} pos
+   * @returns {Object|null} fire-system component
+   */
+  getNearest(pos) {
+    let best = null;
+    let bestDist = Infinity;
+    for (let i = 0; i < this.fires.length; i++) {
+      const fire = this.fires[i];
+      if (fire.fireIntensity <= 0) continue;
+      const d = fire.el.object3D.getWorldPosition(this._firePos).distanceToSquared(pos);
+      if (d < bestDist) {
+        bestDist = d;
+        best = fire;
+      }
+    }
+    return best;
+  },
+
+  tick(time, delta) {
+    if (!delta) return;
+    const dt = Math.min(delta / 1000, 0.05);
+
+    for (let f = 0; f < this.fires.length; f++) {
+      const fire = this.fires[f];
+      fire.updateVolume();
+      fire.agentContact = false;
+
+      for (let e = 0; e < this.emitters.length; e++) {
+        const emitter = this.emitters[e];
+
+        // Particles still in flight after the trigger is released keep landing
+        let count = 0;
+        const particles = emitter.particles;
+        for (let i = 0; i < particles.length; i++) {
+          const p = particles[i];
+          if (!p.active || p.hitFire === fire) continue;
+          if (fire.containsPoint(p.pos)) {
+            p.hitFire = fire; // one hit per particle per fire
+            count++;
+          }
+        }
+
+        const rates = fire.recordHits(emitter, count, count * emitter.agentDef.mass, dt);
+        // The smoothed rate lingers after the spray stops: it sets the share only
+        if (!this.driven && count > 0 && rates.weighted >= this.minHitRate) {
+          const share = Math.min(1, rates.weighted / this.fullHitRate);
+          const before = fire.fireIntensity;
+          const owner = emitter.data.owner;
+          fire.applyAgent(emitter.data.agent, dt * share, this._getTechniqueFactor(emitter), owner);
+          if (fire.fireIntensity < before) {
+            this.suppression[owner] = (this.suppression[owner] || 0) + before - fire.fireIntensity;
+          }
+        }
+      }
+
+      // Agent stopped reaching the fire — next contact may raise a new fault
+      if (!fire.agentContact) fire._faultsEmitted = {};
+    }
+
+    this._updateAggregate();
+  },
+
+  _updateAggregate() {
+    const burning = !this.allExtinguished();
+    // An empty registry (module unloaded mid-run) is not a knockdown
+    if (this._anyBurning && !burning && this.fires.length) {
+      this.sceneEl.emit("all-fires-extinguished", { count: this.fires.length });
+      if (window.DEBUG_CONFIG && window.DEBUG_CONFIG.LOG_PARTICLES) {
+        window.debugLog("Fire", "All fires extinguished");
+      }
+    }
+    this._anyBurning = burning;
+
+    const safe = this.allSafe();
+    if (safe && !this._allSafe && this.fires.length) {
+      this.sceneEl.emit("all-fires-safe", { count: this.fires.length });
+    }
+    this._allSafe = safe;
+  },
+
+  /**
+   * PASS technique multiplier: the emitter's own factor when set (crew
+   * member's nozzle), else the scene's technique-evaluator (1 if absent).
+   * The lookup is cached — the evaluator lives for the whole session.
+   */
+  _getTechniqueFactor(emitter) {
+    if (emitter && emitter.techniqueFactor !== null) return emitter.techniqueFactor;
+    if (this._technique === undefined) {
+      const el = document.querySelector("[technique-evaluator]");
+      this._technique = el ? el.components["technique-evaluator"] : null;
+    }
+    return this._technique ? this._technique.getTechniqueFactor() : 1;
+  },
+});
+
 AFRAME.registerComponent("fire-system", {
   schema: {
     fireRate: { type: "number", default: 75.0 },
@@ -77,6 +307,20 @@ AFRAME.registerComponent("fire-system", {
     ceilingWidth: { type: "number", default: 10 },
     ceilingDepth: { type: "number", default: 8 },
     enableCeiling: { type: "boolean", default: true },
+    // Fire class (A/B/C/D/K) — drives palette, spread speed and agent outcomes
+    fireClass: { type: "string", default: "A" },
+    // Class C only: energized equipment (false once power is cut)
+    energized: { type: "boolean", default: true },
+    // Starting intensity (spread ignitions start small and grow)
+    intensity: { type: "number", default: 1.0 },
+    // Fuel volume hit by agent particles, in the entity's orientation (metres,
+    // unaffected by scale). box: width height depth; cylinder: diameter height
+    // diameter. volumeOffset is the centre of its base. Width/depth grow with spread.
+    volume: { type: "string", default: "cylinder", oneOf: ["box", "cylinder"] },
+    volumeSize: { type: "vec3", default: { x: 1.0, y: 0.8, z: 1.0 } },
+    volumeOffset: { type: "vec3", default: { x: 0, y: 0, z: 0 } },
+    // Heat release rate at full intensity (kW) — drives the radiant heat field
+    heatRelease: { type: "number", default: 300 },
   },
 
   init() {
@@ -85,9 +329,22 @@ AFRAME.registerComponent("fire-system", {
     }
     this.clock = new THREE.Clock();
     this.systems = [];
-    this.fireIntensity = 1.0; // 1.0 = full fire, 0.0 = extinguished
+    this.fireIntensity = this.data.intensity; // 1.0 = full fire, 0.0 = extinguished
     this.suppressionRate = 0.12; // Slightly faster suppression to keep pace
-    this.recoveryRate = 0.02; // Slow recovery if foam stops (optional)
+    this.recoveryRate = 0.02; // Unattended growth per second while fuel remains
+    this.growthSpreadFactor = 0.25; // Unattended spread as a share of the class spread rate
+    this.worsenRate = 0.25; // Intensity gain per second when the wrong agent feeds the fire
+    this.spread = 1.0; // Emitter radius multiplier — grows when the fire spreads
+    this.classDef = window.FIRE_CLASSES.get(this.data.fireClass);
+    this._faultsEmitted = {}; // agent → true, one fault event per spray episode
+    this.agentContact = false; // agent reached the fire this frame (set by the fire system)
+    this._prevIntensity = this.fireIntensity;
+    this.hits = new Map(); // emitter → { count, weighted } smoothed hits per second
+    this.hitSmoothing = 0.5; // s — time constant of the hit-rate average
+    this._volumePos = new THREE.Vector3();
+    this._volumeInvQuat = new THREE.Quaternion();
+    this._volumeLocal = new THREE.Vector3();
+    const palette = this.classDef.palette;
 
     // Fire system with dynamic intensity
     this.fireSystem = this._createParticleSystem({
@@ -97,12 +354,7 @@ AFRAME.registerComponent("fire-system", {
       maxLife: this.data.maxLife,
       maxSize: this.data.maxSize,
       velocity: new THREE.Vector3(0, 2.0, 0),
-      colors: [
-        [0.0, new THREE.Color(0xffffff)],
-        [0.3, new THREE.Color(0xffff80)],
-        [0.6, new THREE.Color(0xff8030)],
-        [1.0, new THREE.Color(0xff3010)],
-      ],
+      colors: this._toColorPoints(palette.fire),
       suppressedColors: [
         [0.0, new THREE.Color(0xaaaaaa)],
         [0.3, new THREE.Color(0x888888)],
@@ -122,11 +374,7 @@ AFRAME.registerComponent("fire-system", {
       maxLife: this.data.smokeMaxLife,
       maxSize: this.data.smokeMaxSize,
       velocity: new THREE.Vector3(0, 1.2, 0),
-      colors: [
-        [0.0, new THREE.Color(0x444444)],
-        [0.5, new THREE.Color(0x333333)],
-        [1.0, new THREE.Color(0x222222)],
-      ],
+      colors: this._toColorPoints(palette.smoke),
       suppressedColors: [
         [0.0, new THREE.Color(0x999999)],
         [0.5, new THREE.Color(0x888888)],
@@ -152,11 +400,7 @@ AFRAME.registerComponent("fire-system", {
         maxLife: 5.0,
         maxSize: this.data.smokeMaxSize * 1.3,
         velocity: new THREE.Vector3(0, 0.3, 0),
-        colors: [
-          [0.0, new THREE.Color(0x383838)],
-          [0.5, new THREE.Color(0x2a2a2a)],
-          [1.0, new THREE.Color(0x1a1a1a)],
-        ],
+        colors: this._toColorPoints(palette.ceiling),
         suppressedColors: [
           [0.0, new THREE.Color(0x888888)],
           [0.5, new THREE.Color(0x777777)],
@@ -176,7 +420,7 @@ AFRAME.registerComponent("fire-system", {
     }
 
     // Fire light — reduced distance and decay for Quest perf
-    const light = new THREE.PointLight(0xff6600, 2.5, 4, 2);
+    const light = new THREE.PointLight(palette.light, 2.5, 4, 2);
     light.position.set(0, 0.8, 0);
     this.el.sceneEl.object3D.add(light);
     this.fireLight = light;
@@ -187,6 +431,57 @@ AFRAME.registerComponent("fire-system", {
     this._tmpPosition = new THREE.Vector3();
     this._tmpVelocity = new THREE.Vector3();
     this._tmpDrag = new THREE.Vector3();
+
+    this.el.sceneEl.systems.fire.registerFire(this);
+  },
+
+  update(oldData) {
+    if (!oldData || !this.fireSystem) return;
+    if (
+      oldData.fireClass !== this.data.fireClass ||
+      oldData.energized !== this.data.energized
+    ) {
+      this._applyClass();
+    }
+  },
+
+  /**
+   * Re-reads the fire class definition and swaps palettes in place.
+   * Particles already alive pick up the new colours on their next update.
+   */
+  _applyClass() {
+    this.classDef = window.FIRE_CLASSES.get(this.data.fireClass);
+    const palette = this.classDef.palette;
+    this.fireSystem.colorSpline = this._makeColorSpline(
+      this._toColorPoints(palette.fire),
+    );
+    this.smokeSystem.colorSpline = this._makeColorSpline(
+      this._toColorPoints(palette.smoke),
+    );
+    if (this.ceilingSystem) {
+      this.ceilingSystem.colorSpline = this._makeColorSpline(
+        this._toColorPoints(palette.ceiling),
+      );
+    }
+    this.fireLight.color.setHex(palette.light);
+    this._faultsEmitted = {};
+    if (window.DEBUG_CONFIG && window.DEBUG_CONFIG.LOG_PARTICLES) {
+      window.debugLog("Fire", "Fire class:", this.data.fireClass);
+    }
+  },
+
+  /** Converts [[t, 0xRRGGBB], …] palette entries into [[t, THREE.Color], …]. */
+  _toColorPoints(hexPoints) {
+    return hexPoints.map(([t, hex]) => [t, new THREE.Color(hex)]);
+  },
+
+  _makeColorSpline(colors) {
+    const spline = getLinearSpline((t, a, b) => {
+      const c = a.clone();
+      return c.lerp(b, t);
+    });
+    colors.forEach(([t, c]) => spline.addPoint(t, c));
+    return spline;
   },
 
   _createParticleSystem(config) {
@@ -264,22 +559,12 @@ AFRAME.registerComponent("fire-system", {
       alphaSpline.addPoint(1.0, 0.0);
     }
 
-    const colorSpline = getLinearSpline((t, a, b) => {
-      const c = a.clone();
-      return c.lerp(b, t);
-    });
-    colors.forEach(([t, c]) => colorSpline.addPoint(t, c));
+    const colorSpline = this._makeColorSpline(colors);
 
     // Suppressed color spline (gray when being extinguished)
     let suppressedColorSpline = null;
     if (suppressedColors) {
-      suppressedColorSpline = getLinearSpline((t, a, b) => {
-        const c = a.clone();
-        return c.lerp(b, t);
-      });
-      suppressedColors.forEach(([t, c]) =>
-        suppressedColorSpline.addPoint(t, c),
-      );
+      suppressedColorSpline = this._makeColorSpline(suppressedColors);
     }
 
     const sizeSpline = getLinearSpline((t, a, b) => a + t * (b - a));
@@ -315,8 +600,12 @@ AFRAME.registerComponent("fire-system", {
   tick(time, delta) {
     const dt = Math.min(delta / 1000, 0.05);
 
-    // Check for foam particles nearby and suppress fire
-    this._checkFoamSuppression(dt);
+    // Agent hits are applied by the fire system; here the fire only grows
+    if (!this.el.sceneEl.systems.fire.driven) this._updateGrowth(dt);
+    if (this._prevIntensity > 0 && this.fireIntensity <= 0) {
+      this.el.emit("fire-knocked-down", { fireClass: this.data.fireClass });
+    }
+    this._prevIntensity = this.fireIntensity;
 
     // Update each system with current fire intensity
     this.systems.forEach((sys) => {
@@ -325,6 +614,9 @@ AFRAME.registerComponent("fire-system", {
       this._updateGeometry(sys);
     });
 
+    // Light follows the emitter (spread fires ignite away from the origin)
+    this.el.object3D.getWorldPosition(this.fireLight.position).y += 0.8;
+
     // Light flicker (scaled by intensity)
     const t = time / 1000;
     const base = 2.5 * this.fireIntensity;
@@ -335,38 +627,135 @@ AFRAME.registerComponent("fire-system", {
     this.fireLight.intensity = base * flicker;
   },
 
-  _checkFoamSuppression(dt) {
-    // Find foam nozzle in scene
-    const foamNozzle = document.querySelector("#foam-nozzle");
-    if (!foamNozzle || !foamNozzle.components["foam-system"]) return;
+  // ─── Fuel volume hits (driven by the fire system) ───
 
-    const foamComp = foamNozzle.components["foam-system"];
-    if (!foamComp.emitting) return;
+  /** Caches the volume's world transform for this frame's hit tests. */
+  updateVolume() {
+    this.el.object3D.getWorldPosition(this._volumePos);
+    this.el.object3D.getWorldQuaternion(this._volumeInvQuat).invert();
+  },
 
-    const firePos = this.el.object3D.getWorldPosition(this._emitterPos);
+  /**
+   * Whether a world-space point lies inside the fuel volume.
+   * Call updateVolume() first in the frame.
+   * @param {THREE.Vector3} worldPos
+   * @returns {boolean}
+   */
+  containsPoint(worldPos) {
+    const local = this._volumeLocal
+      .copy(worldPos)
+      .sub(this._volumePos)
+      .applyQuaternion(this._volumeInvQuat);
+    const size = this.data.volumeSize;
+    const offset = this.data.volumeOffset;
+    const y = local.y - offset.y;
+    if (y < 0 || y > size.y) return false;
+
+    const x = (local.x - offset.x) / (size.x * 0.5 * this.spread);
+    const z = (local.z - offset.z) / (size.z * 0.5 * this.spread);
+    if (this.data.volume === "box") return Math.abs(x) <= 1 && Math.abs(z) <= 1;
+    return x * x + z * z <= 1;
+  },
 
-    // Check if any foam particles are near the fire
-    const foamParticles = foamComp.particles;
-    let foamHitCount = 0;
-    const hitRadius = 2.5; // Detection radius
-    const hitRadiusSq = hitRadius * hitRadius; // avoid sqrt
+  /**
+   * Folds one frame of hits from an emitter into its smoothed rates.
+   * @param {Object} emitter  - foam-system component
+   * @param {number} count    - particles that entered the volume this frame
+   * @param {number} weighted - count × agent particle mass
+   * @param {number} dt       - seconds
+   * @returns {{ count: number, weighted: number }} hits per second
+   */
+  recordHits(emitter, count, weighted, dt) {
+    let rates = this.hits.get(emitter);
+    if (!rates) {
+      rates = { count: 0, weighted: 0 };
+      this.hits.set(emitter, rates);
+    }
+    const k = Math.min(1, dt / this.hitSmoothing);
+    rates.count += (count / dt - rates.count) * k;
+    rates.weighted += (weighted / dt - rates.weighted) * k;
+    return rates;
+  },
 
-    for (let i = 0; i < foamParticles.length; i++) {
-      const fp = foamParticles[i];
-      if (!fp.active) continue;
+  /**
+   * Agent particles entering the fuel volume per second, over all emitters
+   * (or from one emitter).
+   */
+  getHitsPerSecond(emitter) {
+    if (emitter) {
+      const rates = this.hits.get(emitter);
+      return rates ? rates.count : 0;
+    }
+    let total = 0;
+    this.hits.forEach((rates) => {
+      total += rates.count;
+    });
+    return total;
+  },
 
-      const dist = fp.pos.distanceToSquared(firePos);
-      if (dist < hitRadiusSq) {
-        foamHitCount++;
-      }
+  /**
+   * Unattended fire: grows back toward full intensity and, once fully
+   * developed, slowly widens. A `fuel` component that has run out makes
+   * the fire burn out instead.
+   */
+  _updateGrowth(dt) {
+    if (this.agentContact || this.fireIntensity <= 0) return;
+    const fuel = this.el.components.fuel;
+    if (fuel && fuel.fuelLeft <= 0) {
+      this.fireIntensity = Math.max(0, this.fireIntensity - this.recoveryRate * dt);
+      return;
+    }
+    this.fireIntensity = Math.min(1.0, this.fireIntensity + this.recoveryRate * dt);
+    if (this.fireIntensity >= 1.0) {
+      this.spread = Math.min(
+        this.classDef.maxSpread,
+        this.spread + this.classDef.spreadRate * this.growthSpreadFactor * dt,
+      );
     }
+  },
 
-    // Suppress fire based on foam contact
-    if (foamHitCount > 5) {
+  /**
+   * Relights a knocked-down fire (re-flash from hot fuel).
+   * @param {number} intensity - starting intensity (0 → 1)
+   */
+  reignite(intensity) {
+    this.fireIntensity = Math.max(this.fireIntensity, intensity);
+    this._faultsEmitted = {};
+  },
+
+  /**
+   * Applies an extinguishing agent to this fire for one frame.
+   * The outcome depends on the fire class (see config/fire-classes.js).
+   *
+   * @param {string} agent  - "water" | "foam" | "co2" | "dry_chemical"
+   * @param {number} dt     - Frame time in seconds
+   * @param {number} [technique=1] - PASS technique multiplier on suppression
+   * @param {string} [owner=""]    - crew member spraying, reported with faults
+   * @returns {string} Outcome: "suppress" | "fail" | "worsen" | "hazard"
+   */
+  applyAgent(agent, dt, technique = 1, owner = "") {
+    const outcome = window.FIRE_CLASSES.getOutcome(
+      this.data.fireClass,
+      agent,
+      this.data.energized,
+    );
+    this.agentContact = true;
+
+    // Any agent that does not feed the fire takes heat out of the fuel
+    const fuel = this.el.components.fuel;
+    if (fuel && outcome.result !== "worsen") {
+      fuel.applyCooling(window.EXTINGUISHING_AGENTS.get(agent).cooling, dt);
+    }
+
+    if (outcome.result === "suppress") {
+      const effectiveness = window.EXTINGUISHING_AGENTS.getEffectiveness(
+        agent,
+        window.FIRE_CLASSES.resolve(this.data.fireClass, this.data.energized),
+      );
       const prevIntensity = this.fireIntensity;
       this.fireIntensity = Math.max(
         0,
-        this.fireIntensity - this.suppressionRate * dt,
+        this.fireIntensity - this.suppressionRate * effectiveness * technique * dt,
       );
       if (
         window.DEBUG_CONFIG &&
@@ -380,10 +769,33 @@ AFRAME.registerComponent("fire-system", {
           this.fireIntensity.toFixed(2),
         );
       }
-    } else {
-      // Optional: slight recovery if no foam (commented out for now)
-      // this.fireIntensity = Math.min(1.0, this.fireIntensity + this.recoveryRate * dt);
+    } else if (outcome.result === "worsen" && this.fireIntensity > 0) {
+      // Wrong agent feeds the fire: intensity climbs and the flames spread
+      this.fireIntensity = Math.min(
+        1.0,
+        this.fireIntensity + this.worsenRate * dt,
+      );
+      this.spread = Math.min(
+        this.classDef.maxSpread,
+        this.spread + this.classDef.spreadRate * dt,
+      );
     }
+
+    if (outcome.fault && !this._faultsEmitted[agent]) {
+      this._faultsEmitted[agent] = true;
+      this.el.emit("fire-agent-fault", {
+        fireClass: this.data.fireClass,
+        agent,
+        result: outcome.result,
+        fault: outcome.fault,
+        owner,
+      });
+      if (window.DEBUG_CONFIG && window.DEBUG_CONFIG.LOG_PARTICLES) {
+        window.debugLog("Fire", "Agent fault:", agent, "→", outcome.fault);
+      }
+    }
+
+    return outcome.result;
   },
 
   _addParticles(sys, timeElapsed) {
@@ -414,10 +826,12 @@ AFRAME.registerComponent("fire-system", {
 
       let position, vel;
       if (sys.isCeiling) {
-        // Spawn at ceiling level in spread area
+        // Spawn inside the smoke layer (just under the ceiling without one)
+        const layerBottom = this._smokeLayerBottom();
+        const top = this.data.ceilingHeight - 0.1;
         position = new THREE.Vector3(
           emitterPos.x + (Math.random() - 0.5) * this.data.ceilingWidth,
-          this.data.ceilingHeight - 0.1,
+          layerBottom + Math.random() * Math.max(0, top - layerBottom),
           emitterPos.z + (Math.random() - 0.5) * this.data.ceilingDepth,
         );
         vel = new THREE.Vector3(
@@ -426,10 +840,11 @@ AFRAME.registerComponent("fire-system", {
           (Math.random() - 0.5) * 0.8,
         );
       } else {
+        const radius = sys.radius * this.spread;
         position = new THREE.Vector3(
-          (Math.random() * 2 - 1) * sys.radius,
-          (Math.random() * 2 - 1) * sys.radius * 0.3,
-          (Math.random() * 2 - 1) * sys.radius,
+          (Math.random() * 2 - 1) * radius,
+          (Math.random() * 2 - 1) * radius * 0.3,
+          (Math.random() * 2 - 1) * radius,
         ).add(emitterPos);
         vel = this._tmpVelocity.copy(sys.velocity);
         vel.x += (Math.random() - 0.5) * 0.5;
@@ -497,8 +912,8 @@ AFRAME.registerComponent("fire-system", {
           p.velocity.z *= -0.5;
         }
 
-        // Keep near ceiling
-        if (p.position.y < this.data.ceilingHeight - 0.3) {
+        // Keep inside the smoke layer
+        if (p.position.y < this._smokeLayerBottom()) {
           p.velocity.y += 0.1 * timeElapsed;
         }
       } else {
@@ -530,6 +945,13 @@ AFRAME.registerComponent("fire-system", {
     }
   },
 
+  /** World Y of the smoke layer interface (ceiling band when there is no layer). */
+  _smokeLayerBottom() {
+    const layer = this.el.sceneEl.components["smoke-layer"];
+    const band = this.data.ceilingHeight - 0.3;
+    return layer ? Math.min(band, layer.getInterfaceHeight()) : band;
+  },
+
   _updateGeometry(sys) {
     const posArr = sys.geometry.attributes.position.array;
     const sizeArr = sys.geometry.attributes.size.array;
@@ -564,11 +986,15 @@ AFRAME.registerComponent("fire-system", {
       if (sys.points) {
         this.el.sceneEl.object3D.remove(sys.points);
         sys.geometry.dispose();
+        // ShaderMaterial.dispose() leaves uniform textures alone
+        const texture = sys.points.material.uniforms.diffuseTexture.value;
+        if (texture) texture.dispose();
         sys.points.material.dispose();
       }
     });
     if (this.fireLight) {
       this.el.sceneEl.object3D.remove(this.fireLight);
     }
+    this.el.sceneEl.systems.fire.unregisterFire(this);
   },
 });
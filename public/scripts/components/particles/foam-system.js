@@ -17,14 +17,33 @@
  *   - "Real-Time Particle Systems" (Latta, GDC 2004)
  *   - Unreal Niagara / Unity VFX Graph cone emitter patterns
  *
+ * Agents (config/extinguishing-agents.js):
+ *   agent: foam | water | co2 | dry_chemical
+ *   Each agent overrides the emitter physics and tint; "foam" uses the schema
+ *   values as authored. Gas agents (CO2) sublimate instead of settling.
+ *
  * API:
  *   component.start()  — begin emitting particles
  *   component.stop()   — stop emitting (existing particles finish)
+ *   component.params   — effective emitter physics (schema + agent overrides)
+ *   component.setFlow(f) — 0 → 1 discharge flow; scales rate and exit speed
+ *                          (driven by the extinguisher pressure)
+ *   component.techniqueFactor — PASS multiplier for this nozzle's hits; null
+ *                          uses the scene's technique-evaluator (a crew
+ *                          member's nozzle carries the factor they report)
+ *
+ * `owner` names the trainee the spray belongs to in a crew session (empty:
+ * the local trainee); the fire system keeps the suppression per owner.
+ *
+ * Registers itself as an agent emitter with the `fire` system, which
+ * hit-tests its particles against every fire once per frame.
  */
 
 AFRAME.registerComponent("foam-system", {
   schema: {
     autoStart:    { type: "boolean", default: false },
+    agent:        { type: "string",  default: "foam" },    // extinguishing agent id
+    owner:        { type: "string",  default: "" },        // crew member id ("" = local trainee)
     rate:         { type: "number",  default: 300 },
     maxParticles: { type: "int",     default: 1500 },
     speed:        { type: "number",  default: 8.0 },
@@ -49,6 +68,8 @@ AFRAME.registerComponent("foam-system", {
 
   init() {
     this.emitting = this.data.autoStart;
+    this.flow = 1.0; // discharge flow factor (extinguisher pressure)
+    this.techniqueFactor = null; // null: scene's technique-evaluator
     const cap = this.data.maxParticles;
 
     /* ── Particle pool ── */
@@ -64,6 +85,7 @@ AFRAME.registerComponent("foam-system", {
       spin: 0,
       grounded: false,   // has collided with floor
       groundTime: 0,     // seconds spent on ground
+      hitFire: null,     // last fire whose fuel volume this particle hit
     }));
     this.activeCount = 0;
     this._spawnAcc = 0;
@@ -93,6 +115,30 @@ AFRAME.registerComponent("foam-system", {
     this._right      = new THREE.Vector3();
     this._localUp    = new THREE.Vector3();
     this._up         = new THREE.Vector3();
+
+    // Fire hit-testing is done centrally by the fire system (fire-system.js)
+    const fireSys = this.el.sceneEl.systems.fire;
+    if (fireSys) fireSys.registerEmitter(this);
+  },
+
+  update(oldData) {
+    // Any schema change (agent or physics) rebuilds the effective parameters
+    this._applyAgent();
+    if (oldData && oldData.agent && oldData.agent !== this.data.agent) {
+      window.debugLog("Foam", "Agent:", oldData.agent, "→", this.data.agent);
+    }
+  },
+
+  /**
+   * Merges the agent's emitter overrides over the schema values and
+   * updates the shader tint. Particles already in flight keep their motion.
+   */
+  _applyAgent() {
+    this.agentDef = window.EXTINGUISHING_AGENTS.get(this.data.agent);
+    this.params = Object.assign({}, this.data, this.agentDef.emitter);
+    const uniforms = this.points.material.uniforms;
+    uniforms.tint.value.setHex(this.agentDef.tint);
+    uniforms.whiteMix.value = this.agentDef.whiteMix;
   },
 
   remove() {
@@ -101,11 +147,17 @@ AFRAME.registerComponent("foam-system", {
       this.points.material.dispose();
       this.geometry.dispose();
     }
+    const fireSys = this.el.sceneEl.systems.fire;
+    if (fireSys) fireSys.unregisterEmitter(this);
   },
 
   start() { this.emitting = true;  },
   stop()  { this.emitting = false; },
 
+  setFlow(flow) {
+    this.flow = Math.max(0, Math.min(1, flow));
+  },
+
   tick(time, delta) {
     const dt = Math.min(delta / 1000, 0.05); // clamp for tab-away
     if (this.emitting) this._spawn(dt);
@@ -122,7 +174,7 @@ AFRAME.registerComponent("foam-system", {
      Spawn — cone emitter at nozzle origin
      ═══════════════════════════════════════════════════ */
   _spawn(dt) {
-    this._spawnAcc += this.data.rate * dt;
+    this._spawnAcc += this.data.rate * this.flow * dt;
     const count = Math.floor(this._spawnAcc);
     if (!count) return;
     this._spawnAcc -= count;
@@ -141,7 +193,10 @@ AFRAME.registerComponent("foam-system", {
     this._right.crossVectors(this._tmpForward, this._up).normalize();
     this._localUp.crossVectors(this._right, this._tmpForward).normalize();
 
-    const coneRad = (this.data.coneAngle * Math.PI) / 180;
+    const params = this.params;
+    const coneRad = (params.coneAngle * Math.PI) / 180;
+    // Low pressure → weaker jet that drops short of the target
+    const speedFactor = 0.3 + 0.7 * this.flow;
 
     for (let i = 0; i < count; i++) {
       const slot = this._getSlot();
@@ -165,16 +220,17 @@ AFRAME.registerComponent("foam-system", {
         .addScaledVector(this._right,   sinT * Math.cos(phi))
         .addScaledVector(this._localUp, sinT * Math.sin(phi))
         .normalize()
-        .multiplyScalar(this.data.speed * (0.9 + Math.random() * 0.2));
+        .multiplyScalar(params.speed * speedFactor * (0.9 + Math.random() * 0.2));
 
-      slot.life      = this.data.life * (0.85 + Math.random() * 0.3);
+      slot.life      = params.life * (0.85 + Math.random() * 0.3);
       slot.maxLife   = slot.life;
-      slot.sizeStart = this.data.sizeStart * (0.8 + Math.random() * 0.4);
-      slot.sizeEnd   = this.data.sizeEnd   * (0.8 + Math.random() * 0.4);
+      slot.sizeStart = params.sizeStart * (0.8 + Math.random() * 0.4);
+      slot.sizeEnd   = params.sizeEnd   * (0.8 + Math.random() * 0.4);
       slot.angle     = Math.random() * Math.PI * 2;
       slot.spin      = (Math.random() - 0.5) * 2.0; // rad/s
       slot.grounded  = false;
       slot.groundTime = 0;
+      slot.hitFire = null;
       slot.active    = true;
       this.activeCount++;
     }
@@ -185,7 +241,8 @@ AFRAME.registerComponent("foam-system", {
      ═══════════════════════════════════════════════════ */
   _simulate(dt) {
     const { gravity: g, drag, floorY, groundSpread, groundDrag,
-            groundBounce, turbulence, spreadGrowth } = this.data;
+            groundBounce, turbulence, spreadGrowth } = this.params;
+    const sublimates = this.agentDef.sublimates;
 
     for (let i = 0; i < this.particles.length; i++) {
       const p = this.particles[i];
@@ -245,6 +302,12 @@ AFRAME.registerComponent("foam-system", {
            Convert downward momentum into horizontal spread.
            Based on inelastic collision model with tangential restitution. */
         if (p.pos.y <= floorY) {
+          // Gas agents disperse on contact instead of pooling
+          if (sublimates) {
+            p.active = false;
+            this.activeCount--;
+            continue;
+          }
           p.pos.y = floorY + 0.005;
           p.grounded = true;
 
@@ -274,7 +337,9 @@ AFRAME.registerComponent("foam-system", {
     const sizeArr  = this.geometry.attributes.size.array;
     const alphaArr = this.geometry.attributes.alpha.array;
     const angleArr = this.geometry.attributes.angle.array;
-    const { opacity: baseOpacity, groundSizeScale } = this.data;
+    const { opacity: baseOpacity, groundSizeScale } = this.params;
+    // Gas clouds fade out earlier as they sublimate
+    const fadeStart = this.agentDef.sublimates ? 0.35 : 0.6;
 
     let drawCount = 0;
     for (let i = 0; i < this.particles.length; i++) {
@@ -313,8 +378,8 @@ AFRAME.registerComponent("foam-system", {
         const remaining = p.life / p.maxLife;
         alpha *= Math.min(1, remaining * 2.5);          // soft fade
         alpha *= 0.85;                                  // slightly transparent on ground
-      } else if (age > 0.6) {
-        alpha *= 1 - (age - 0.6) / 0.4;                // airborne fade-out
+      } else if (age > fadeStart) {
+        alpha *= 1 - (age - fadeStart) / (1 - fadeStart); // airborne fade-out
       }
       alphaArr[idx] = Math.max(0, Math.min(1, alpha));
 
@@ -355,6 +420,9 @@ AFRAME.registerComponent("foam-system", {
       pointMultiplier: {
         value: window.innerHeight / (2.0 * Math.tan((30.0 * Math.PI) / 180.0)),
       },
+      // Agent colour — set by _applyAgent()
+      tint:     { value: new THREE.Color(0xffffff) },
+      whiteMix: { value: 0.35 },
     };
 
     return new THREE.ShaderMaterial({
@@ -378,6 +446,8 @@ AFRAME.registerComponent("foam-system", {
       fragmentShader: `
         precision mediump float;
         uniform sampler2D diffuseTexture;
+        uniform vec3 tint;
+        uniform float whiteMix;
         varying float vAlpha;
         varying float vAngle;
         void main() {
@@ -399,8 +469,8 @@ AFRAME.registerComponent("foam-system", {
           float a = tex.a * vAlpha * radialFade;
           // Use alpha multiply instead of discard (discard breaks Adreno early-Z)
 
-          // Bright white foam with slight tint from texture
-          vec3 color = mix(tex.rgb, vec3(1.0), 0.35);
+          // Agent colour over the texture (foam: bright white, slight texture tint)
+          vec3 color = mix(tex.rgb, vec3(1.0), whiteMix) * tint;
           gl_FragColor = vec4(color, a);
         }
       `,
@@ -0,0 +1,163 @@
+/**
+ * Fuel Component — ignition, spread and re-ignition
+ *
+ * Gives a prop (pallet, barrels, table…) a temperature, an ignition
+ * temperature and a fuel load. Burning fires nearby heat it by radiation;
+ * once it reaches its ignition temperature it catches fire (a `fire-system`
+ * is attached with the prop's fire class).
+ *
+ * A fire that has been knocked down but whose fuel is still above the
+ * ignition temperature re-flashes after `reflashDelay` ms without agent
+ * contact — the reason the overhaul step exists. Agents cool the fuel
+ * according to their `cooling` coefficient (config/extinguishing-agents.js).
+ *
+ * Events (emitted on the entity, bubble to the scene):
+ *   fire-ignited { cause: "spread" | "reflash" | "instructor" | "replay" | "sync", fireClass }
+ *   fire-cooled  { temperature } — out and below ignition: no re-flash risk
+ *
+ * Usage:
+ *   <a-entity gltf-model="#model-table"
+ *     fuel="fireClass: A; ignitionTemp: 300; fuelLoad: 600;
+ *           fire: radius: 0.6, enableCeiling: false"></a-entity>
+ *
+ *   `fire` holds fire-system properties separated by commas (a `;` would
+ *   end the fuel property).
+ *
+ * API:
+ *   component.temperature — current fuel temperature (°C)
+ *   component.fuelLeft    — seconds of full-intensity burning left
+ *   component.applyCooling(cooling, dt) — called by fire-system per agent contact
+ *   component.isSafe()    — not burning and below ignition temperature
+ *   component.ignite(intensity, cause) — sets the prop alight (or re-flashes it)
+ */
+
+AFRAME.registerComponent("fuel", {
+  schema: {
+    fireClass: { type: "string", default: "A" },
+    ignitionTemp: { type: "number", default: 300 }, // °C
+    fuelLoad: { type: "number", default: 600 }, // s of full-intensity burning
+    ambientTemp: { type: "number", default: 25 }, // °C
+    flameTemp: { type: "number", default: 250 }, // °C above ignition at full intensity
+    heatUpRate: { type: "number", default: 0.05 }, // 1/s — thermal lag toward flame temperature
+    lossRate: { type: "number", default: 0.02 }, // 1/s — natural cooling toward ambient
+    heatGain: { type: "number", default: 20 }, // °C/s per kW/m² of radiant heat received
+    coolingPower: { type: "number", default: 80 }, // °C/s removed by an agent with cooling 1.0
+    reflashDelay: { type: "number", default: 10000 }, // ms without agent before re-flash
+    reflashIntensity: { type: "number", default: 0.35 },
+    igniteIntensity: { type: "number", default: 0.2 }, // starting intensity after spread
+    fire: { type: "string", default: "" }, // fire-system overrides (comma-separated) on ignition
+    updateInterval: { type: "number", default: 250 }, // ms between heat updates
+  },
+
+  init: function () {
+    this.temperature = this.data.ambientTemp;
+    this.fuelLeft = this.data.fuelLoad;
+    this._lastAgentContact = 0;
+    this._cooledEmitted = false;
+    this._acc = 0;
+    this._myPos = new THREE.Vector3();
+    this._primed = false;
+  },
+
+  tick: function (time, delta) {
+    this._acc += delta || 0;
+    if (this._acc < this.data.updateInterval) return;
+    const dt = Math.min(this._acc / 1000, 1);
+    this._acc = 0;
+
+    // Session replay sets fire intensities itself
+    if (this.el.sceneEl.systems.fire.driven) return;
+
+    const d = this.data;
+    const fire = this.el.components["fire-system"];
+    const burning = !!fire && fire.fireIntensity > 0;
+
+    // A prop authored already burning starts at flame temperature
+    // (checked here — fire-system may initialise after this component)
+    if (!this._primed) {
+      this._primed = true;
+      if (burning) this.temperature = this._flameTarget(fire.fireIntensity);
+    }
+
+    // 1. Own combustion: temperature follows the flame, fuel is consumed
+    if (burning) {
+      const target = this._flameTarget(fire.fireIntensity);
+      this.temperature += (target - this.temperature) * d.heatUpRate * dt;
+      this.fuelLeft = Math.max(0, this.fuelLeft - fire.fireIntensity * dt);
+    }
+
+    // 2. Radiant heat from other burning fires (heat field of the fire system)
+    this.el.object3D.getWorldPosition(this._myPos);
+    const flux = this.el.sceneEl.systems.fire.getHeatFlux(this._myPos, fire);
+    const incoming = d.heatGain * flux;
+
+    // 3. Balance: radiant gain vs. natural loss to ambient
+    this.temperature += (incoming - d.lossRate * (this.temperature - d.ambientTemp)) * dt;
+
+    if (!this.fuelLeft) return;
+
+    // 4. Ignition / re-flash
+    if (this.temperature >= d.ignitionTemp && !burning) {
+      if (!fire) {
+        this.ignite(d.igniteIntensity, "spread");
+      } else if (time - this._lastAgentContact >= d.reflashDelay) {
+        this.ignite(d.reflashIntensity, "reflash");
+      }
+    }
+
+    // 5. Out and cool — no more re-flash risk
+    if (!burning && this.temperature < d.ignitionTemp) {
+      if (!this._cooledEmitted && fire) {
+        this._cooledEmitted = true;
+        this.el.emit("fire-cooled", { temperature: this.temperature });
+      }
+    } else {
+      this._cooledEmitted = false;
+    }
+  },
+
+  /**
+   * Removes heat while an agent reaches this fuel.
+   * @param {number} cooling - agent cooling coefficient (0 → 1)
+   * @param {number} dt      - seconds
+   */
+  applyCooling: function (cooling, dt) {
+    this._lastAgentContact = this.el.sceneEl.time;
+    this.temperature = Math.max(
+      this.data.ambientTemp,
+      this.temperature - this.data.coolingPower * cooling * dt,
+    );
+  },
+
+  isSafe: function () {
+    const fire = this.el.components["fire-system"];
+    return (!fire || fire.fireIntensity <= 0) && this.temperature < this.data.ignitionTemp;
+  },
+
+  /**
+   * Sets the prop alight, or relights its knocked-down fire.
+   * @param {number} intensity - starting intensity (0 → 1)
+   * @param {string} cause     - reported in `fire-ignited`
+   */
+  ignite: function (intensity, cause) {
+    const fire = this.el.components["fire-system"];
+    if (fire) {
+      fire.reignite(intensity);
+    } else {
+      const overrides = this.data.fire ? `; ${this.data.fire.replace(/,/g, ";")}` : "";
+      this.el.setAttribute(
+        "fire-system",
+        `fireClass: ${this.data.fireClass}; intensity: ${intensity}${overrides}`,
+      );
+    }
+    this._cooledEmitted = false;
+    if (window.DEBUG_CONFIG && window.DEBUG_CONFIG.LOG_PARTICLES) {
+      window.debugLog("Fire", `Ignited (${cause}):`, this.el.id, this.temperature.toFixed(0), "°C");
+    }
+    this.el.emit("fire-ignited", { cause, fireClass: this.data.fireClass });
+  },
+
+  _flameTarget: function (intensity) {
+    return this.data.ignitionTemp + this.data.flameTemp * intensity;
+  },
+});
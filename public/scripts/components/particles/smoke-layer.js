@@ -0,0 +1,183 @@
+/**
+ * Smoke Layer Component — descending hot smoke layer
+ *
+ * Models the hot smoke layer that collects under the ceiling and banks down
+ * as the fires keep burning. The layer depth grows with the total fire
+ * intensity (sceneEl.systems.fire) and clears slowly through venting once
+ * the fires are out.
+ *
+ * Visibility is driven by the trainee's real head height (camera world
+ * position — the XR pose in headset, so crouching works):
+ *   - scene fog thickens from light haze to dense smoke as the head
+ *     rises into the layer
+ *   - an obscuration overlay greys the view out inside the layer
+ * fire-system spawns its ceiling smoke between the interface and the ceiling.
+ *
+ * Events (emitted on the scene):
+ *   smoke-layer-enter { headHeight, interfaceHeight } — head entered the layer
+ *   smoke-layer-exit  { headHeight, interfaceHeight } — head back below it
+ *
+ * Usage (on the scene, next to `fog`):
+ *   <a-scene fog="type: exponential; color: #b0c8dc; density: 0.012"
+ *            smoke-layer="ceilingHeight: 5.5; minInterface: 0.9">
+ *
+ * API:
+ *   component.getInterfaceHeight() — world Y of the smoke/clear-air boundary
+ *   component.getDepth()           — layer depth below the ceiling (m)
+ *   component.getObscuration()     — 0 (clear) → 1 (no visibility)
+ *   component.isHeadInSmoke()
+ *   component.reset()              — clear the room (training restart)
+ */
+
+AFRAME.registerComponent("smoke-layer", {
+  schema: {
+    enabled: { type: "boolean", default: true },
+    camera: { type: "selector", default: "#camera" },
+    ceilingHeight: { type: "number", default: 5.5 }, // world Y
+    minInterface: { type: "number", default: 0.9 }, // lowest the interface can drop (world Y)
+    fillRate: { type: "number", default: 0.03 }, // m/s of depth per unit of total fire intensity
+    ventRate: { type: "number", default: 0.005 }, // m/s of depth cleared by venting
+    color: { type: "color", default: "#2a2a2a" },
+    hazeDensity: { type: "number", default: 0.03 }, // extra fog below a fully banked-down layer
+    layerDensity: { type: "number", default: 0.35 }, // fog density with the head deep in smoke
+    obscurationDepth: { type: "number", default: 0.6 }, // m into the layer for full effect
+    maxObscuration: { type: "number", default: 0.9 },
+  },
+
+  init: function () {
+    this.depth = 0;
+    this.obscuration = 0;
+    this.headInSmoke = false;
+    this._headPos = new THREE.Vector3();
+    this._smokeColor = new THREE.Color(this.data.color);
+    this._baseFog = null; // { density, color } captured from the scene fog
+    this._buildOverlay();
+  },
+
+  update: function () {
+    this._smokeColor.set(this.data.color);
+  },
+
+  remove: function () {
+    if (this.overlay) {
+      this.overlay.parent.remove(this.overlay);
+      this.overlay.geometry.dispose();
+      this.overlay.material.dispose();
+    }
+    this._restoreFog();
+  },
+
+  /** Grey full-view quad in front of the camera. */
+  _buildOverlay: function () {
+    const cam = this.data.camera;
+    if (!cam) return;
+    const material = new THREE.MeshBasicMaterial({
+      color: this.data.color,
+      transparent: true,
+      opacity: 0,
+      depthTest: false,
+      depthWrite: false,
+    });
+    const mesh = new THREE.Mesh(new THREE.PlaneGeometry(1.2, 1.2), material);
+    mesh.position.set(0, 0, -0.25);
+    mesh.renderOrder = 999;
+    mesh.frustumCulled = false;
+    mesh.visible = false;
+    cam.object3D.add(mesh);
+    this.overlay = mesh;
+  },
+
+  tick: function (time, delta) {
+    if (!this.data.enabled || !delta) return;
+    const dt = Math.min(delta / 1000, 0.1);
+    const d = this.data;
+
+    // 1. Layer depth: fed by the fires, cleared by venting
+    const fireSys = this.el.systems.fire;
+    const production = fireSys ? fireSys.getTotalIntensity() * d.fillRate : 0;
+    const maxDepth = d.ceilingHeight - d.minInterface;
+    this.depth = THREE.MathUtils.clamp(
+      this.depth + (production - d.ventRate) * dt,
+      0,
+      maxDepth,
+    );
+
+    // 2. Head position relative to the interface
+    const cam = d.camera;
+    if (!cam) return;
+    cam.object3D.getWorldPosition(this._headPos);
+    const interfaceY = this.getInterfaceHeight();
+    const inside = this.depth > 0 ? (this._headPos.y - interfaceY) / d.obscurationDepth : 0;
+    const penetration = THREE.MathUtils.clamp(inside, 0, 1);
+    this.obscuration = penetration * d.maxObscuration;
+
+    const inSmoke = this.depth > 0 && this._headPos.y > interfaceY;
+    if (inSmoke !== this.headInSmoke) {
+      this.headInSmoke = inSmoke;
+      this.el.emit(inSmoke ? "smoke-layer-enter" : "smoke-layer-exit", {
+        headHeight: this._headPos.y,
+        interfaceHeight: interfaceY,
+      });
+    }
+
+    this._updateFog(penetration, maxDepth > 0 ? this.depth / maxDepth : 0);
+    this._updateOverlay();
+  },
+
+  /**
+   * Three.js fog is global, so it follows the head: light haze that grows
+   * with the layer depth below the interface, dense smoke inside it.
+   */
+  _updateFog: function (penetration, depthFraction) {
+    const fog = this.el.object3D.fog;
+    if (!fog || fog.density === undefined) return;
+    if (!this._baseFog) {
+      this._baseFog = { density: fog.density, color: fog.color.clone() };
+    }
+    const base = this._baseFog;
+    const haze = base.density + this.data.hazeDensity * depthFraction;
+    fog.density = haze + (this.data.layerDensity - haze) * penetration;
+    fog.color
+      .copy(base.color)
+      .lerp(this._smokeColor, Math.max(penetration, depthFraction * 0.5));
+  },
+
+  _restoreFog: function () {
+    const fog = this.el.object3D.fog;
+    if (!fog || !this._baseFog) return;
+    fog.density = this._baseFog.density;
+    fog.color.copy(this._baseFog.color);
+  },
+
+  _updateOverlay: function () {
+    if (!this.overlay) return;
+    this.overlay.material.opacity = this.obscuration;
+    this.overlay.visible = this.obscuration > 0.01;
+  },
+
+  // ─── API ──────────────────────────────────────────────────────────
+
+  getInterfaceHeight: function () {
+    return this.data.ceilingHeight - this.depth;
+  },
+
+  getDepth: function () {
+    return this.depth;
+  },
+
+  getObscuration: function () {
+    return this.obscuration;
+  },
+
+  isHeadInSmoke: function () {
+    return this.headInSmoke;
+  },
+
+  reset: function () {
+    this.depth = 0;
+    this.obscuration = 0;
+    this.headInSmoke = false;
+    this._restoreFog();
+    this._updateOverlay();
+  },
+});
@@ -4,6 +4,11 @@
  * Run with: npm test
  */
 
+// Browser-global modules (window.X) can be loaded in Node with a bare window
+global.window = global.window || {};
+const path = require("path");
+const loadScript = (rel) => require(path.join(__dirname, "../..", rel));
+
 const assert = {
   equal: (actual, expected, msg) => {
     if (actual !== expected)
@@ -122,11 +127,919 @@ const testTrainingManager = () => {
   console.log("\nTraining Manager: ALL TESTS PASSED ✓\n");
 };
 
+const testFireClasses = () => {
+  console.log("\n=== Fire Classes Tests ===\n");
+  loadScript("config/fire-classes.js");
+  const fc = window.FIRE_CLASSES;
+
+  // Test 1: All five classes are defined
+  assert.equal(fc.ids.join(","), "A,B,C,D,K", "Classes A/B/C/D/K are defined");
+
+  // Test 2: Unknown class falls back to A
+  assert.equal(fc.get("Z"), fc.get("A"), "Unknown class falls back to A");
+  assert.equal(fc.get("b"), fc.get("B"), "Class lookup is case-insensitive");
+
+  // Test 3: Outcome table
+  assert.equal(fc.getOutcome("A", "water").result, "suppress", "Water suppresses class A");
+  assert.equal(fc.getOutcome("B", "water").result, "worsen", "Water worsens class B");
+  assert.equal(
+    fc.getOutcome("C", "water").fault,
+    "electrocution",
+    "Water on energized class C is an electrocution fault",
+  );
+  assert.equal(
+    fc.getOutcome("C", "water", false).result,
+    "suppress",
+    "De-energized class C behaves like class A",
+  );
+  assert.equal(fc.getOutcome("A", "sand").result, "fail", "Unknown agent fails");
+
+  // Test 4: Suitable agents
+  assert.true(fc.suitableAgents("C").indexOf("co2") !== -1, "CO2 is suitable for class C");
+  assert.true(fc.suitableAgents("K").indexOf("water") === -1, "Water is not suitable for class K");
+
+  console.log("\nFire Classes: ALL TESTS PASSED ✓\n");
+};
+
+const testExtinguishingAgents = () => {
+  console.log("\n=== Extinguishing Agents Tests ===\n");
+  loadScript("config/extinguishing-agents.js");
+  const agents = window.EXTINGUISHING_AGENTS;
+
+  // Test 1: Agent catalogue
+  ["foam", "water", "co2", "dry_chemical"].forEach((id) =>
+    assert.true(agents.ids.indexOf(id) !== -1, `Agent ${id} exists`),
+  );
+  assert.equal(agents.get("halon"), agents.get("foam"), "Unknown agent falls back to foam");
+
+  // Test 2: Foam keeps the schema physics, other agents override them
+  assert.equal(Object.keys(agents.get("foam").emitter).length, 0, "Foam uses schema physics");
+  assert.true(agents.get("co2").sublimates, "CO2 sublimates");
+  assert.true(
+    agents.get("co2").emitter.life < agents.get("water").emitter.life,
+    "CO2 has shorter reach than water",
+  );
+
+  // Test 3: Effectiveness coefficients
+  assert.true(agents.getEffectiveness("co2", "C") > 0, "CO2 is effective on class C");
+  assert.equal(agents.getEffectiveness("water", "B"), 0, "Water has no effectiveness on class B");
+  assert.equal(agents.getEffectiveness("halon", "A"), 0, "Unknown agent has no effectiveness");
+
+  console.log("\nExtinguishing Agents: ALL TESTS PASSED ✓\n");
+};
+
+const testGuardExpression = () => {
+  console.log("\n=== Guard Expression Tests ===\n");
+  loadScript("core/guard-expression.js");
+  const g = window.GUARD_EXPRESSION;
+  const ctx = { extinguisherType: "co2", attempts: 2, event: { agent: "water" } };
+
+  // Test 1: Comparisons against context and payload
+  assert.true(g.evaluate("extinguisherType === 'co2'", ctx), "String equality on context");
+  assert.true(g.evaluate('event.agent !== "co2"', ctx), "Dot paths read the payload");
+  assert.true(g.evaluate("attempts >= 2 && attempts < 3", ctx), "Relational and logical and");
+
+  // Test 2: Precedence, unary operators and grouping
+  assert.equal(g.evaluate("1 + 2 * 3", {}), 7, "Multiplication binds tighter");
+  assert.equal(g.evaluate("(1 + 2) * 3", {}), 9, "Parentheses group");
+  assert.equal(g.evaluate("-attempts + 1", ctx), -1, "Unary minus");
+  assert.true(g.evaluate("!missing || false", ctx), "Unknown variables are undefined");
+
+  // Test 3: Only own properties are visible
+  assert.equal(g.evaluate("event.constructor", ctx), undefined, "Prototype members are hidden");
+
+  // Test 4: Syntax errors throw
+  let threw = false;
+  try {
+    g.compile("attempts ===");
+  } catch (e) {
+    threw = true;
+  }
+  assert.true(threw, "Incomplete expression throws");
+
+  console.log("\nGuard Expression: ALL TESTS PASSED ✓\n");
+};
+
+const testTrainingMachine = () => {
+  console.log("\n=== Training Machine Tests ===\n");
+  loadScript("core/guard-expression.js");
+  loadScript("core/training-machine.js");
+  const create = (config) => {
+    const events = [];
+    const actions = [];
+    const machine = window.TRAINING_MACHINE.create(config, {
+      emit: (name, detail) => events.push({ name, detail }),
+      action: (action) => actions.push(action),
+    });
+    machine.start();
+    return { machine, events, actions, named: (name) => events.filter((e) => e.name === name) };
+  };
+
+  // Test 1: Guards pick the first passing transition
+  const guarded = create({
+    context: { extinguisherType: null },
+    contextEvents: { "extinguisher-grabbed": { extinguisherType: "event.agent" } },
+    states: {
+      suppress: {
+        on: {
+          fire_out: [
+            { target: "overhaul", cond: "extinguisherType === 'co2'" },
+            { target: "fail", cond: "event.reason === 'wrong'" },
+          ],
+        },
+      },
+      overhaul: {},
+      fail: {},
+    },
+  });
+  assert.equal(guarded.machine.get(), "suppress", "Starts in the first state");
+  assert.equal(guarded.machine.next("fire_out", {}), false, "Every guard failing blocks the event");
+  assert.equal(guarded.machine.get(), "suppress", "Blocked event leaves the state");
+  assert.equal(guarded.machine.next("unknown"), false, "Unhandled event is ignored");
+  guarded.machine.next("fire_out", { reason: "wrong" });
+  assert.equal(guarded.machine.get(), "fail", "Guard reads the event payload");
+
+  // Test 2: contextEvents write the context that guards read
+  const ctx = create(guarded.machine.config);
+  ctx.machine.contextEvent("extinguisher-grabbed", { agent: "co2" });
+  assert.equal(ctx.machine.getContext().extinguisherType, "co2", "Scene event written into the context");
+  assert.equal(ctx.named("training-context")[0].detail.key, "extinguisherType", "training-context emitted");
+  ctx.machine.contextEvent("fire-ignited", { agent: "water" });
+  assert.equal(ctx.machine.getContext().extinguisherType, "co2", "Events not in contextEvents ignored");
+  ctx.machine.next("fire_out", {});
+  assert.equal(ctx.machine.get(), "overhaul", "Context-based guard passes");
+
+  // Test 3: Exit, transition and entry actions run in order; assign evaluates expressions
+  const acted = create({
+    context: { attempts: 0 },
+    states: {
+      a: {
+        on: { go: { target: "b", actions: [{ emit: "taking" }, { hud: "Vamos" }] } },
+        exit: [{ emit: "a-exit" }],
+      },
+      b: {
+        entry: [{ assign: { attempts: "attempts + 1", label: 5 } }, { panel: "briefing" }],
+        on: { again: { actions: [{ assign: { attempts: "attempts + 10" } }] } },
+      },
+    },
+  });
+  const seen = acted.events.length;
+  acted.machine.next("go");
+  const order = acted.events.slice(seen, seen + 3).map((e) => e.name);
+  assert.equal(order.join(","), "a-exit,taking,training-state-enter", "Exit, transition, enter order");
+  assert.equal(acted.machine.getContext().attempts, 1, "Assign evaluates an expression");
+  assert.equal(acted.machine.getContext().label, 5, "Assign keeps non-string values");
+  assert.equal(acted.actions.map((a) => a.hud || a.panel).join(","), "Vamos,briefing", "HUD / panel actions go to the hook");
+  acted.machine.next("again");
+  assert.equal(acted.machine.get(), "b", "Targetless transition keeps the state");
+  assert.equal(acted.machine.getContext().attempts, 11, "Targetless transition runs its actions");
+
+  // Test 4: `after` timeouts on accumulated time, cancelled by leaving the state
+  const timed = create({
+    states: {
+      suppress: { on: { fire_out: "overhaul" }, after: { 30000: "fail" } },
+      overhaul: { on: { reflash: "suppress" } },
+      fail: {},
+    },
+  });
+  timed.machine.tick(20000);
+  assert.equal(timed.machine.get(), "suppress", "Timeout not due yet");
+  timed.machine.next("fire_out");
+  timed.machine.tick(20000);
+  assert.equal(timed.machine.get(), "overhaul", "Leaving the state cancels its timeout");
+  timed.machine.next("reflash");
+  timed.machine.tick(20000);
+  assert.equal(timed.machine.get(), "suppress", "Timeout restarts on re-entry");
+  timed.machine.tick(10000);
+  assert.equal(timed.machine.get(), "fail", "Timeout fires after the delay");
+  assert.equal(timed.named("training-timeout")[0].detail.after, 30000, "training-timeout emitted");
+
+  // Test 5: Sequence helpers and reset
+  timed.machine.back();
+  assert.equal(timed.machine.get(), "overhaul", "back() steps by index");
+  assert.equal(timed.machine.goTo("missing"), false, "goTo rejects unknown states");
+  timed.machine.reset();
+  assert.equal(timed.machine.get(), "suppress", "reset() returns to the initial state");
+  assert.equal(timed.named("training-state-enter").pop().detail.prev, "suppress", "Reset enters as a fresh start");
+
+  // Test 6: Compound state — default child, events bubble to the parent, sub-step progress
+  const nested = create({
+    states: {
+      approach: {
+        on: { abort: "fail" },
+        states: {
+          walk: { desc: "Caminhar", on: { arrived: "aim" } },
+          aim: { desc: "Mirar", on: { aimed: "ready" } },
+          ready: { type: "final" },
+        },
+        onDone: "suppress",
+      },
+      suppress: {},
+      fail: {},
+    },
+  });
+  assert.equal(nested.machine.getActive().join(","), "approach.walk", "Compound enters its first child");
+  let goals = nested.machine.getSubgoals();
+  assert.equal(goals.map((g) => g.label).join(","), "Caminhar,Mirar", "Sub-steps listed without the final state");
+  assert.equal(goals[0].active, true, "Current sub-step is active");
+  nested.machine.next("arrived");
+  goals = nested.machine.getSubgoals();
+  assert.true(goals[0].done && goals[1].active, "Earlier sub-step done, next one active");
+  assert.true(nested.machine.matches("approach.aim") && nested.machine.matches("approach"), "matches() on path and ancestor");
+  assert.equal(nested.named("training-substate-enter").pop().detail.state, "aim", "training-substate-enter emitted");
+  nested.machine.goTo("approach.walk");
+  nested.machine.next("abort");
+  assert.equal(nested.machine.get(), "fail", "Child event bubbles to the parent's transition");
+  nested.machine.goTo("approach.aim");
+  nested.machine.next("aimed");
+  assert.equal(nested.named("training-substate-done").pop().detail.path, "approach", "Final child completes the parent");
+  assert.equal(nested.machine.get(), "suppress", "onDone taken");
+
+  // Test 7: Parallel regions complete independently; onDone when all are final
+  const parallel = create({
+    states: {
+      suppress: {
+        type: "parallel",
+        onDone: "overhaul",
+        states: {
+          alarm: {
+            desc: "Alarme acionado",
+            states: { pending: { on: { alarm_raised: "raised" } }, raised: { type: "final" } },
+          },
+          partner: {
+            desc: "Parceiro avisado",
+            states: { pending: { on: { partner_called: "called" } }, called: { type: "final" } },
+          },
+        },
+      },
+      overhaul: {},
+    },
+  });
+  assert.equal(parallel.machine.getActive().join(","), "suppress.alarm.pending,suppress.partner.pending", "Every region active");
+  goals = parallel.machine.getSubgoals();
+  assert.equal(goals.map((g) => g.label).join(","), "Alarme acionado,Parceiro avisado", "Regions are the sub-goals");
+  assert.true(goals.every((g) => g.active && !g.done), "Regions start open");
+  parallel.machine.next("alarm_raised");
+  goals = parallel.machine.getSubgoals();
+  assert.true(goals[0].done && !goals[1].done, "One region completed");
+  assert.equal(parallel.machine.get(), "suppress", "Parallel state waits for every region");
+  assert.equal(parallel.named("training-substate-done").pop().detail.path, "suppress.alarm", "Region completion emitted");
+  parallel.machine.next("partner_called");
+  assert.equal(parallel.machine.get(), "overhaul", "All regions final → onDone");
+  assert.equal(parallel.machine.getSubgoals().length, 0, "Flat state has no sub-goals");
+
+  // Test 8: An empty procedure starts without entering anything
+  const empty = create({ states: {} });
+  assert.equal(empty.machine.get(), null, "No state entered");
+  assert.equal(empty.named("training-state-enter").length, 0, "No enter event");
+  assert.equal(empty.machine.next("start"), false, "Events are ignored");
+  assert.equal(create({}).machine.getAll().length, 0, "Missing states tolerated");
+
+  console.log("\nTraining Machine: ALL TESTS PASSED ✓\n");
+};
+
+const testScoringRubric = () => {
+  console.log("\n=== Scoring Rubric Tests ===\n");
+  loadScript("config/scoring-rubric.js");
+  const rubric = window.SCORING_RUBRIC;
+  const perfect = {
+    correctAgent: true,
+    sealBeforeSpray: true,
+    knockdownTime: 40,
+    wasteFraction: 0.1,
+    passQuality: 0.9,
+    distanceKept: 0.95,
+    heatDoseFraction: 0.05,
+    reignitions: 0,
+    quizScore: 1,
+  };
+
+  // Test 1: A textbook run scores 100 and passes
+  const best = rubric.evaluate(perfect);
+  assert.equal(best.score, 100, "Perfect metrics score 100");
+  assert.true(best.passed, "Perfect run passes");
+  assert.equal(best.criteria.length, rubric.ids.length, "One result per criterion");
+
+  // Test 2: Linear ramp between target and zero
+  const slow = rubric.evaluate(Object.assign({}, perfect, { knockdownTime: 150 }));
+  const knockdown = slow.criteria.find((c) => c.id === "knockdownTime");
+  assert.equal(knockdown.score, 0.5, "Knockdown halfway between target and zero scores 0.5");
+  assert.true(knockdown.passed, "Half score meets passAt 0.5");
+
+  // Test 3: A critical failure fails the run and says why
+  const wrong = rubric.evaluate(Object.assign({}, perfect, { correctAgent: false }));
+  assert.true(wrong.score >= wrong.passScore, "Wrong agent alone keeps the total above the mark");
+  assert.true(!wrong.passed, "Critical criterion fails the run");
+  assert.true(wrong.reason.indexOf("Escolha do extintor") !== -1, "Reason names the failed criterion");
+
+  // Test 4: Missing metrics score 0; scenario overrides apply
+  const none = rubric.evaluate({});
+  assert.true(!none.passed, "A run without metrics fails");
+  const custom = rubric.evaluate(Object.assign({}, perfect, { knockdownTime: 150 }), {
+    passScore: 90,
+    criteria: { knockdownTime: { target: 200 }, reignitions: false },
+  });
+  assert.equal(custom.passScore, 90, "Scenario pass mark overrides the default");
+  assert.equal(custom.criteria.length, rubric.ids.length - 1, "Scenario can disable a criterion");
+  assert.equal(custom.score, 100, "Scenario target overrides the default");
+
+  // Test 5: Optional criteria are left out without their metric
+  const noQuiz = Object.assign({}, perfect, { quizScore: null });
+  const practical = rubric.evaluate(noQuiz);
+  assert.true(!practical.criteria.some((c) => c.id === "knowledge"), "No quiz, no knowledge criterion");
+  assert.equal(practical.score, 100, "Missing optional metric does not cost points");
+  const quiz = rubric.evaluate(Object.assign({}, perfect, { quizScore: 0.6 }));
+  const knowledge = quiz.criteria.find((c) => c.id === "knowledge");
+  assert.equal(Math.round(knowledge.score * 100), 50, "Quiz score ramps between zero and target");
+  assert.equal(knowledge.display, "60%", "Quiz score shown as a percentage");
+
+  console.log("\nScoring Rubric: ALL TESTS PASSED ✓\n");
+};
+
+const testScenarios = () => {
+  console.log("\n=== Scenario Files Tests ===\n");
+  const fs = require("fs");
+  const dir = path.join(__dirname, "../../../../scenarios");
+  const read = (name) => JSON.parse(fs.readFileSync(path.join(dir, `${name}.json`), "utf8"));
+  loadScript("config/fire-classes.js");
+  loadScript("config/scoring-rubric.js");
+  loadScript("core/guard-expression.js");
+
+  // Test 1: Catalogue entries point at scenario files
+  const catalogue = read("index");
+  assert.true(catalogue.scenarios.length > 1, "Catalogue lists several scenarios");
+  assert.true(
+    catalogue.scenarios.some((s) => s.id === catalogue.default),
+    "Default scenario is in the catalogue",
+  );
+
+  catalogue.scenarios.forEach((entry) => {
+    const scenario = read(entry.id);
+
+    // Test 2: Fires, extinguishers and a walkable area
+    assert.true(scenario.fires.some((f) => f.ignited !== false), `${entry.id}: starts with a fire`);
+    assert.true(
+      scenario.fires.every((f) => window.FIRE_CLASSES.ids.indexOf(f.fireClass) !== -1),
+      `${entry.id}: fire classes are known`,
+    );
+    assert.true(
+      scenario.extinguishers.every((e) => ["powder", "co2"].indexOf(e.type) !== -1),
+      `${entry.id}: extinguisher types are known`,
+    );
+    assert.true(
+      scenario.environment.props.some((p) => p.class === "navmesh"),
+      `${entry.id}: has a navmesh`,
+    );
+
+    // Test 3: Scoring overrides name rubric criteria
+    const criteria = Object.keys((scenario.scoring && scenario.scoring.criteria) || {});
+    assert.true(
+      criteria.every((id) => window.SCORING_RUBRIC.ids.indexOf(id) !== -1),
+      `${entry.id}: scoring criteria are known`,
+    );
+
+    // Test 4: Every guard parses
+    const conds = [];
+    const collect = (states) =>
+      Object.keys(states || {}).forEach((key) => {
+        const on = states[key].on || {};
+        Object.keys(on).forEach((evt) =>
+          [].concat(on[evt]).forEach((t) => t.cond && conds.push(t.cond)),
+        );
+        collect(states[key].states);
+      });
+    collect(scenario.training && scenario.training.states);
+    conds.forEach((c) => window.GUARD_EXPRESSION.compile(c));
+    assert.true(true, `${entry.id}: ${conds.length} conditions compile`);
+
+    // Test 5: `panel` actions name panels the scenario ships
+    const shown = [];
+    const collectPanels = (states) =>
+      Object.keys(states || {}).forEach((key) => {
+        [].concat(states[key].entry || [], states[key].exit || []).forEach((a) => a.panel && shown.push(a.panel));
+        collectPanels(states[key].states);
+      });
+    collectPanels(scenario.training && scenario.training.states);
+    assert.true(
+      shown.every((id) => scenario.panels && scenario.panels[id]),
+      `${entry.id}: ${shown.length} panel actions resolve`,
+    );
+
+    // Test 6: Every quiz question has exactly one right answer
+    const questions = [];
+    Object.keys(scenario.panels || {}).forEach((id) => {
+      const quiz = scenario.panels[id].quiz;
+      if (quiz) questions.push(...quiz.questions);
+    });
+    assert.true(
+      questions.every((q) => q.options.filter((o) => o.correct).length === 1),
+      `${entry.id}: ${questions.length} quiz questions have one right answer`,
+    );
+  });
+
+  console.log("\nScenario Files: ALL TESTS PASSED ✓\n");
+};
+
+const testSessionLog = () => {
+  console.log("\n=== Session Log Tests ===\n");
+  loadScript("core/session-log.js");
+  const sl = window.SESSION_LOG;
+  const pose = (x, yaw, qz, qw) => ({
+    rig: [x, 0, 0, yaw],
+    head: [x, 1.6, 0, 0, 0, qz, qw],
+    left: [x - 0.2, 1.2, -0.3, 0, 0, 0, 1],
+    right: [x + 0.2, 1.2, -0.3, 0, 0, 0, 1],
+  });
+  const log = sl.create({ scenario: "warehouse", rate: 20, fires: ["pallet"] });
+  log.frames.push(sl.packFrame(0, pose(0, 3.1, 0, 1), [[1, 1]]));
+  log.frames.push(sl.packFrame(100, pose(1.23456, -3.1, 0.7071068, 0.7071068), [[0.5, 1.2]]));
+  log.events.push([50, "extinguisher-grabbed", { name: "extinguisher-world" }]);
+
+  // Test 1: Compact frames
+  assert.equal(log.frames[0].length, sl.frameSize(1), "Frame holds t, four poses and one fire");
+  assert.equal(log.frames[1][1], 1.235, "Positions are rounded to mm");
+
+  // Test 2: Interpolation between samples
+  const mid = sl.sample(log, 50);
+  assert.true(Math.abs(mid.rig[0] - 0.6175) < 1e-9, "Positions are blended linearly");
+  assert.true(Math.abs(Math.abs(mid.rig[3]) - Math.PI) < 0.01, "Yaw takes the short way across ±π");
+  const q = mid.head.slice(3);
+  const len = Math.sqrt(q.reduce((sum, v) => sum + v * v, 0));
+  assert.true(Math.abs(len - 1) < 1e-9, "Blended quaternion is normalised");
+  assert.equal(mid.fires.pallet[0], 0.75, "Fire intensity is blended");
+  assert.equal(sl.sample(log, 500).t, 500, "Sampling past the end holds the last frame");
+
+  // Test 3: Events by time window
+  assert.equal(sl.eventsBetween(log, 0, 50).length, 1, "Event at the window end is included");
+  assert.equal(sl.eventsBetween(log, 50, 100).length, 0, "Event at the window start is excluded");
+  assert.equal(sl.duration(log), 100, "Duration is the last frame time");
+
+  // Test 4: JSON and binary round trips
+  const fromJson = sl.parse(sl.toJSON(log));
+  assert.equal(fromJson.frames[1][1], 1.235, "JSON round trip keeps the frames");
+  const fromBin = sl.parse(sl.encodeBinary(log));
+  assert.equal(fromBin.scenario, "warehouse", "Binary header keeps the scenario");
+  assert.equal(fromBin.events.length, 1, "Binary header keeps the events");
+  assert.equal(fromBin.frames[1][0], 100, "Binary frames keep the time");
+  assert.equal(fromBin.frames[1][1], 1.235, "Binary frames keep mm precision");
+
+  let threw = false;
+  try {
+    sl.parse("{}");
+  } catch (e) {
+    threw = true;
+  }
+  assert.true(threw, "Data that is not a session log throws");
+
+  console.log("\nSession Log: ALL TESTS PASSED ✓\n");
+};
+
+const testXapiStatements = () => {
+  console.log("\n=== xAPI Statements Tests ===\n");
+  loadScript("core/xapi-statements.js");
+  const x = window.XAPI_STATEMENTS;
+  const session = {
+    actor: { objectType: "Agent", name: "Trainee", mbox: "mailto:trainee@example.com" },
+    activityBase: "urn:firefighting-vr",
+    registration: x.uuid(),
+    scenario: { id: "warehouse", title: "Galpão" },
+  };
+
+  // Test 1: Durations and ids
+  assert.equal(x.duration(65250), "PT1M5.25S", "Duration in ISO 8601");
+  assert.equal(x.duration(3600000), "PT1H0S", "Hours are included");
+  assert.true(/^[0-9a-f-]{36}$/.test(x.uuid()), "UUID format");
+  assert.true(x.uuid() !== x.uuid(), "UUIDs are unique");
+
+  // Test 2: Scored statement carries a scaled score and success
+  const scored = x.build("scored", { score: 82, passed: true }, session);
+  assert.equal(scored.verb.id, "http://adlnet.gov/expapi/verbs/scored", "ADL scored verb");
+  assert.equal(scored.object.id, "urn:firefighting-vr/scenarios/warehouse", "Object is the scenario");
+  assert.equal(scored.result.score.scaled, 0.82, "Score scaled to 0–1");
+  assert.true(scored.result.success, "Success from the report");
+  assert.equal(scored.context.registration, session.registration, "Registration in context");
+
+  // Test 3: Sub-activities point at the scenario as parent
+  const state = x.build("state", { state: "suppress" }, session);
+  assert.equal(state.object.id, "urn:firefighting-vr/scenarios/warehouse/states/suppress", "State activity id");
+  assert.equal(
+    state.context.contextActivities.parent[0].id,
+    "urn:firefighting-vr/scenarios/warehouse",
+    "State statement has the scenario as parent",
+  );
+  const selected = x.build("selected", { name: "co2", agent: "co2" }, session);
+  assert.equal(selected.result.response, "co2", "Selected agent is the response");
+  const answered = x.build("answered", { quiz: "agents", question: "electrical", option: "water", correct: false }, session);
+  assert.equal(
+    answered.object.id,
+    "urn:firefighting-vr/scenarios/warehouse/quiz/agents/electrical",
+    "Answer object is the question",
+  );
+  assert.equal(answered.object.definition.interactionType, "choice", "Question is a choice interaction");
+  assert.true(answered.result.response === "water" && answered.result.success === false, "Answer result");
+
+  // Test 4: Completion and unknown kinds
+  const done = x.build("completed", { elapsed: 90000 }, session);
+  assert.true(done.result.completion && done.result.success === undefined, "Completion without a score");
+  let threw = false;
+  try {
+    x.build("teleported", {}, session);
+  } catch (e) {
+    threw = true;
+  }
+  assert.true(threw, "Unknown statement kind throws");
+
+  console.log("\nxAPI Statements: ALL TESTS PASSED ✓\n");
+};
+
+const testScormRuntime = () => {
+  console.log("\n=== SCORM Runtime Tests ===\n");
+  loadScript("core/scorm-runtime.js");
+  const scorm = window.SCORM_RUNTIME;
+
+  // Mock LMS APIs recording every value set
+  const mockApi12 = (status) => {
+    const values = { "cmi.core.lesson_status": status };
+    return {
+      values,
+      LMSInitialize: () => "true",
+      LMSFinish: () => "true",
+      LMSGetValue: (k) => values[k] || "",
+      LMSSetValue: (k, v) => ((values[k] = v), "true"),
+      LMSCommit: () => "true",
+      LMSGetLastError: () => "0",
+    };
+  };
+  const mockApi2004 = () => {
+    const values = { "cmi.completion_status": "not attempted" };
+    return {
+      values,
+      Initialize: () => "true",
+      Terminate: () => "true",
+      GetValue: (k) => values[k] || "",
+      SetValue: (k, v) => ((values[k] = v), "true"),
+      Commit: () => "true",
+      GetLastError: () => "0",
+    };
+  };
+  const frames = (top) => {
+    const lms = Object.assign({}, top);
+    lms.parent = lms;
+    const mid = { parent: lms };
+    return { parent: mid };
+  };
+
+  // Test 1: Time formats
+  assert.equal(scorm.formatTime12(3725500), "0001:02:05.50", "SCORM 1.2 CMITimespan");
+  assert.equal(scorm.formatTime2004(3725500), "PT1H2M5.5S", "SCORM 2004 duration");
+
+  // Test 2: Standalone falls back silently
+  const standalone = { parent: null };
+  assert.equal(scorm.connect(standalone), null, "No API in any frame: standalone");
+
+  // Test 3: SCORM 1.2 in a grandparent frame
+  const api12 = mockApi12("not attempted");
+  const lms12 = scorm.connect(frames({ API: api12 }));
+  assert.equal(lms12.version, "1.2", "Finds API two frames up");
+  assert.true(lms12.start(), "Session starts");
+  assert.equal(api12.values["cmi.core.lesson_status"], "incomplete", "First attempt marked incomplete");
+  lms12.setScore(82, 0, 100);
+  lms12.setStatus({ completed: true, passed: true });
+  lms12.setSessionTime(95000);
+  assert.equal(api12.values["cmi.core.score.raw"], "82", "Raw score reported");
+  assert.equal(api12.values["cmi.core.lesson_status"], "passed", "Passed status");
+  assert.equal(api12.values["cmi.core.session_time"], "0000:01:35.00", "Session time reported");
+  lms12.finish(false);
+  assert.true(!lms12.isActive(), "Finish closes the session");
+
+  // Test 4: SCORM 2004 is preferred and splits completion / success
+  const api2004 = mockApi2004();
+  const lms2004 = scorm.connect(frames({ API: mockApi12("not attempted"), API_1484_11: api2004 }));
+  assert.equal(lms2004.version, "2004", "SCORM 2004 preferred when both exist");
+  lms2004.start();
+  lms2004.setScore(60, 0, 100);
+  lms2004.setStatus({ completed: true, passed: false });
+  assert.equal(api2004.values["cmi.score.scaled"], "0.6", "Scaled score reported");
+  assert.equal(api2004.values["cmi.completion_status"], "completed", "Completion status");
+  assert.equal(api2004.values["cmi.success_status"], "failed", "Success status");
+  lms2004.finish(true);
+  assert.equal(api2004.values["cmi.exit"], "suspend", "Unfinished run suspends");
+
+  console.log("\nSCORM Runtime: ALL TESTS PASSED ✓\n");
+};
+
+const testInstructorProtocol = () => {
+  console.log("\n=== Instructor Protocol Tests ===\n");
+  loadScript("core/instructor-protocol.js");
+  const protocol = window.INSTRUCTOR_PROTOCOL;
+
+  // Test 1: Command messages
+  const all = protocol.command("skip");
+  assert.equal(all.type, "command", "Command message type");
+  assert.true(!("to" in all), "No target means every trainee");
+  assert.equal(protocol.command("hud", { text: "Oi" }, "t1").to, "t1", "Targeted command");
+
+  // Test 2: Validation
+  assert.equal(protocol.validateCommand(protocol.command("pause")), null, "Pause is valid");
+  assert.equal(protocol.validateCommand(protocol.command("ignite", { target: "pallet" })), null, "Ignite with target is valid");
+  assert.true(!!protocol.validateCommand(protocol.command("ignite")), "Ignite needs a target");
+  assert.true(!!protocol.validateCommand(protocol.command("hud", { text: "  " })), "Blank HUD text rejected");
+  assert.true(!!protocol.validateCommand(protocol.command("hud", { text: "x".repeat(201) })), "Long HUD text rejected");
+  assert.true(!!protocol.validateCommand(protocol.command("explode")), "Unknown command rejected");
+  assert.true(!!protocol.validateCommand({ type: "status" }), "Non-command rejected");
+
+  // Test 3: Relay URL follows the page scheme
+  assert.equal(protocol.relayUrl({ protocol: "https:", host: "10.0.0.2:5173" }), "wss://10.0.0.2:5173/relay", "HTTPS page uses wss");
+  assert.equal(protocol.relayUrl({ protocol: "http:", host: "localhost" }, "/ws"), "ws://localhost/ws", "HTTP page uses ws");
+  assert.equal(
+    protocol.relayUrl({ protocol: "https:", host: "vr.local", search: "?trainee=Ana&token=a b" }),
+    "wss://vr.local/relay?token=a%20b",
+    "Page token passed on to the relay",
+  );
+
+  // Test 4: Map projection keeps the aspect ratio and centres the floor
+  const map = protocol.mapTransform({ minX: -5, minZ: -2, maxX: 5, maxZ: 2 }, 200, 200, 0);
+  assert.equal(map.scale, 20, "Wider side fits the canvas");
+  assert.equal(map.toMap(-5, -2).join(","), "0,60", "Corner is centred vertically");
+  assert.equal(map.toMap(0, 0).join(","), "100,100", "Origin at the centre");
+
+  console.log("\nInstructor Protocol: ALL TESTS PASSED ✓\n");
+};
+
+const testNetSync = () => {
+  console.log("\n=== Net Sync Tests ===\n");
+  loadScript("core/net-sync.js");
+  const net = window.NET_SYNC;
+
+  // Test 1: First peer in join order hosts
+  assert.equal(net.electHost(["p2", "p5"]), "p2", "First peer hosts");
+  assert.equal(net.electHost([]), null, "Empty room has no host");
+
+  // Test 2: Pose rounding
+  const pose = net.roundPose([1.23456, 0, -0.0004, 0.123456, 0, 0, 0.99999]);
+  assert.equal(pose.join(","), "1.235,0,0,0.1235,0,0,1", "Millimetres and 4-digit quaternions");
+
+  // Test 3: Extinguisher ownership
+  const owners = net.createOwnership();
+  assert.equal(owners.claim("co2-1", "p1"), "p1", "Free unit goes to the claimant");
+  assert.equal(owners.claim("co2-1", "p2"), "p1", "Second claim loses");
+  assert.equal(owners.release("co2-1", "p2"), false, "Only the holder releases");
+  assert.equal(owners.heldBy("p1"), "co2-1", "Unit held by peer");
+  owners.claim("water-1", "p1");
+  assert.equal(owners.releaseAll("p1").join(","), "co2-1,water-1", "Leaving frees every unit");
+  assert.equal(owners.ownerOf("co2-1"), null, "Unit is free again");
+  assert.equal(owners.claim("co2-1", "p2"), "p2", "Freed unit can be taken");
+
+  // Test 4: Knockdown shares
+  const shares = net.shares({ p1: 0.75, p2: 0.25 });
+  assert.equal(shares.p1, 0.75, "Share of the suppression");
+  assert.equal(Object.keys(net.shares({})).length, 0, "No suppression, no shares");
+
+  // Test 5: Transports
+  assert.true(
+    (() => {
+      try {
+        net.createTransport("nope", {});
+        return false;
+      } catch (e) {
+        return true;
+      }
+    })(),
+    "Unknown transport throws",
+  );
+  net.registerTransport("loop", (options) => ({ send: (msg) => options.onMessage(msg), close() {} }));
+  let received = null;
+  net.createTransport("loop", { onMessage: (msg) => (received = msg) }).send({ type: "hello" });
+  assert.equal(received.type, "hello", "Custom transport registered");
+
+  console.log("\nNet Sync: ALL TESTS PASSED ✓\n");
+};
+
+const testI18n = () => {
+  console.log("\n=== I18n Tests ===\n");
+  loadScript("core/i18n.js");
+  const i18n = window.I18N;
+  const bundles = {};
+  i18n.LOCALES.forEach((locale) => {
+    bundles[locale] = require(path.join(__dirname, "../../../../locales", `${locale}.json`));
+    i18n.addBundle(locale, bundles[locale]);
+  });
+
+  // Test 1: Locale resolution
+  assert.equal(i18n.resolveLocale("en-GB"), "en", "Region falls back to the language");
+  assert.equal(i18n.resolveLocale("pt"), "pt-BR", "Language picks its regional bundle");
+  assert.equal(i18n.resolveLocale(null, "ES"), "es", "First available candidate, any case");
+  assert.equal(i18n.resolveLocale(["fr-FR", "es-MX"]), "es", "Browser language list");
+  assert.equal(i18n.resolveLocale("fr"), "pt-BR", "Unsupported locale uses the default");
+
+  // Test 2: Every bundle has the keys of the default one
+  const keys = (node, prefix) =>
+    Object.keys(node).reduce((all, k) => {
+      const key = prefix ? `${prefix}.${k}` : k;
+      return typeof node[k] === "object" ? all.concat(keys(node[k], key)) : all.concat(key);
+    }, []);
+  const defaultKeys = keys(bundles["pt-BR"]);
+  i18n.LOCALES.forEach((locale) => {
+    const missing = defaultKeys.filter((k) => typeof i18n.lookup(bundles[locale], k) !== "string");
+    assert.equal(missing.join(", "), "", `${locale} bundle is complete`);
+  });
+
+  // Test 3: Lookup, placeholders and fallbacks
+  let notified = null;
+  const off = i18n.onChange((locale) => (notified = locale));
+  i18n.setLocale("en");
+  assert.equal(notified, "en", "Listeners told about the switch");
+  assert.equal(i18n.t("panels.intro.start"), "START", "Key in the current locale");
+  assert.equal(i18n.t("hud.unitTaken", { name: "Ana" }), "Ana already has this extinguisher", "Placeholder filled");
+  assert.equal(i18n.format("{a} {b}", { a: 1 }), "1 {b}", "Unknown placeholder kept");
+  assert.equal(i18n.t("nope.missing"), "nope.missing", "Missing key shows the key");
+  assert.equal(i18n.t("nope.missing", null, "Reserva"), "Reserva", "Explicit fallback");
+  assert.equal(i18n.speechLang(), "en-US", "Speech language of the locale");
+
+  // Test 4: Inline scenario text
+  const text = { "pt-BR": "Remova o lacre", en: "Remove the seal" };
+  assert.equal(i18n.text(text), "Remove the seal", "Localized object picks the locale");
+  i18n.setLocale("es");
+  assert.equal(i18n.text(text), "Remova o lacre", "Missing translation uses pt-BR");
+  assert.equal(i18n.text("Texto"), "Texto", "Plain strings pass through");
+  assert.equal(i18n.text(undefined), "", "No text");
+  off();
+  i18n.setLocale("pt-BR");
+  assert.equal(notified, "es", "Unsubscribed listener not called");
+
+  console.log("\nI18n: ALL TESTS PASSED ✓\n");
+};
+
+const testPanelDefinition = () => {
+  console.log("\n=== Panel Definition Tests ===\n");
+  loadScript("ui/panel-definition.js");
+  const defs = window.PANEL_DEFINITION;
+
+  // Test 1: A plain definition is a single page
+  const plain = defs.normalize({
+    title: "EPI",
+    description: "Confira",
+    buttons: [{ text: "OK", action: "ok" }, { text: "FIM", event: "done" }],
+  });
+  assert.equal(plain.pages.length, 1, "Single page without `pages`");
+  assert.equal(plain.pages[0].description, "Confira", "Page keeps the description");
+  assert.equal(plain.countdown, null, "No countdown by default");
+  assert.equal(plain.buttons[0].close, false, "Action buttons leave closing to the callback");
+  assert.equal(plain.buttons[1].close, true, "Event-only buttons close the panel");
+  assert.equal(plain.buttons[1].color, "#A855F7", "Default button color");
+
+  // Test 2: Pages inherit title/subtitle only
+  const paged = defs.normalize({
+    title: "BRIEFING",
+    description: "only on the single-page form",
+    image: "#img",
+    pages: [{ description: "1" }, { title: "PASSO 2", image: { src: "/b.png", width: 1 } }],
+  });
+  assert.equal(paged.pages.length, 2, "Two pages");
+  assert.equal(paged.pages[0].title, "BRIEFING", "Page inherits the title");
+  assert.equal(paged.pages[0].image, null, "Image is not inherited");
+  assert.equal(paged.pages[1].title, "PASSO 2", "Page overrides the title");
+  assert.equal(paged.pages[1].description, undefined, "Description is not inherited");
+  assert.equal(paged.pages[1].image.height, 0.45, "Image size defaults");
+  assert.equal(paged.pages[1].image.width, 1, "Image size override");
+
+  // Test 3: Checklist items and ids
+  const checked = defs.normalize({
+    pages: [
+      { checklist: ["Capacete", { id: "gloves", text: "Luvas" }] },
+      { checklist: { items: [{ "pt-BR": "Gás", en: "Gas" }], required: false } },
+    ],
+  });
+  const first = checked.pages[0].checklist;
+  const second = checked.pages[1].checklist;
+  assert.equal(first.items[0].id, "item_0", "Default item id");
+  assert.equal(first.items[1].id, "gloves", "Explicit item id");
+  assert.equal(first.required, true, "Checklists are required by default");
+  assert.equal(second.items[0].id, "item_2", "Default ids count across pages");
+  assert.equal(second.items[0].text.en, "Gas", "Localized item text kept as is");
+  assert.equal(defs.canAdvance(checked.pages[0], ["item_0"]), false, "Open required checklist blocks");
+  assert.equal(defs.canAdvance(checked.pages[0], new Set(["item_0", "gloves"])), true, "Complete checklist advances");
+  assert.equal(defs.canAdvance(checked.pages[1], []), true, "Optional checklist never blocks");
+  assert.equal(defs.canAdvance(plain.pages[0], []), true, "Page without checklist advances");
+
+  // Test 4: Countdown
+  const timed = defs.normalize({ countdown: { seconds: 10, event: "briefing-timeout" } });
+  assert.equal(timed.countdown.seconds, 10, "Countdown seconds");
+  assert.equal(timed.countdown.close, true, "Countdown without action closes");
+  assert.equal(defs.normalize({ countdown: 5 }).countdown.seconds, 5, "Numeric countdown shorthand");
+  assert.equal(defs.normalize({ countdown: 0 }).countdown, null, "Zero countdown ignored");
+  assert.equal(defs.formatCountdown(9.2), "0:10", "Countdown rounds up");
+  assert.equal(defs.formatCountdown(75), "1:15", "Countdown minutes");
+  assert.equal(defs.formatCountdown(-1), "0:00", "Countdown never negative");
+
+  // Test 5: Quiz questions become pages after the panel's own
+  const quizDef = {
+    title: "BRIEFING",
+    checklist: ["Capacete"],
+    quiz: {
+      id: "agents",
+      title: "QUIZ",
+      questions: [
+        {
+          id: "electrical",
+          text: "Fogo em painel elétrico?",
+          options: [{ id: "water", text: "Água" }, { id: "co2", text: "CO2", correct: true }, "Espuma"],
+        },
+        { text: "Gordura?", options: [{ id: "powder", text: "Pó", correct: true }, { id: "water", text: "Água" }] },
+      ],
+    },
+  };
+  const quizPanel = defs.normalize(quizDef);
+  assert.equal(quizPanel.pages.length, 3, "Own page plus one page per question");
+  assert.equal(quizPanel.pages[1].title, "QUIZ", "Question pages take the quiz title");
+  assert.equal(quizPanel.pages[1].description, "Fogo em painel elétrico?", "Question text is the description");
+  assert.equal(quizPanel.pages[1].question.options[2].id, "option_2", "Default option id");
+  assert.equal(quizPanel.pages[2].question.id, "question_1", "Default question id");
+  assert.equal(quizPanel.quiz.id, "agents", "Quiz id");
+  const quizOnly = defs.normalize({ title: "QUIZ", quiz: quizDef.quiz });
+  assert.equal(quizOnly.pages.length, 2, "Quiz-only panel has question pages only");
+
+  // Test 6: Shuffling only with a random source, never with shuffle: false
+  let seed = 0;
+  const random = () => ((seed = (seed * 9301 + 49297) % 233280) / 233280);
+  const shuffled = defs.normalize(quizDef, random);
+  const ids = (panel) => panel.pages[1].question.options.map((o) => o.id).join(",");
+  assert.equal(ids(quizPanel), "water,co2,option_2", "Authored order without a random source");
+  assert.equal(ids(shuffled).split(",").sort().join(","), "co2,option_2,water", "Shuffle keeps every option");
+  assert.true(ids(defs.normalize(quizDef, () => 0)) !== "water,co2,option_2", "Random source reorders");
+  const fixed = Object.assign({}, quizDef, { quiz: Object.assign({}, quizDef.quiz, { shuffle: false }) });
+  assert.equal(ids(defs.normalize(fixed, () => 0)), "water,co2,option_2", "shuffle: false keeps the order");
+
+  // Test 7: Answers gate the page and add up
+  assert.equal(defs.canAdvance(quizPanel.pages[1], [], {}), false, "Unanswered question blocks");
+  assert.equal(defs.canAdvance(quizPanel.pages[1], [], { electrical: "water" }), true, "Any answer advances");
+  assert.equal(defs.isCorrect(quizPanel.pages[1].question, "co2"), true, "Correct option");
+  const result = defs.quizResult(quizPanel, { electrical: "water", question_1: "powder" });
+  assert.equal(result.correct, 1, "One right answer");
+  assert.equal(result.total, 2, "Two questions");
+  assert.equal(result.score, 0.5, "Quiz score");
+  assert.equal(result.answers[0].correct, false, "Per-question outcome");
+
+  // Test 8: Layout
+  assert.equal(plain.layout.position, null, "Default placement");
+  const placed = defs.normalize({ description: "x", position: "0.95 0 -2", scale: 0.7 });
+  assert.equal(placed.layout.position, "0.95 0 -2", "Position kept");
+  assert.equal(placed.layout.scale, "0.7 0.7 0.7", "Numeric scale is uniform");
+
+  console.log("\nPanel Definition: ALL TESTS PASSED ✓\n");
+};
+
+const testCompletionSummary = () => {
+  console.log("\n=== Completion Summary Tests ===\n");
+  loadScript("ui/completion-summary.js");
+  const summary = window.COMPLETION_SUMMARY;
+
+  // Test 1: Each step lasts until the next one starts
+  const steps = summary.stepTimings(
+    [
+      { state: "sizeup", t: 0 },
+      { state: "suppress", t: 12000 },
+      { state: "overhaul", t: 40000 },
+      { state: "suppress", t: 50000 },
+      { state: "overhaul", t: 58000 },
+    ],
+    70000,
+  );
+  assert.equal(steps.length, 3, "One entry per state");
+  assert.equal(steps[0].duration, 12000, "First step duration");
+  assert.equal(steps[1].duration, 36000, "Re-entered step adds up");
+  assert.equal(steps[1].visits, 2, "Visits counted");
+  assert.equal(steps[2].duration, 22000, "Last step lasts until the end");
+  assert.equal(summary.stepTimings([], 1000).length, 0, "No steps before training-start");
+
+  // Test 2: Duration format
+  assert.equal(summary.formatDuration(222000), "3:42", "Minutes and seconds");
+  assert.equal(summary.formatDuration(5999), "0:05", "Seconds round down");
+  assert.equal(summary.formatDuration(3723000), "1:02:03", "Hours");
+  assert.equal(summary.formatDuration(-5), "0:00", "Never negative");
+
+  console.log("\nCompletion Summary: ALL TESTS PASSED ✓\n");
+};
+
 // Run all tests
 try {
   testInteractivePanels();
   testTutorialHUD();
   testTrainingManager();
+  testFireClasses();
+  testExtinguishingAgents();
+  testGuardExpression();
+  testTrainingMachine();
+  testScoringRubric();
+  testScenarios();
+  testSessionLog();
+  testXapiStatements();
+  testScormRuntime();
+  testInstructorProtocol();
+  testNetSync();
+  testI18n();
+  testPanelDefinition();
+  testCompletionSummary();
   console.log("═══════════════════════════════════");
   console.log("✓ ALL TESTS PASSED!");
   console.log("═══════════════════════════════════\n");
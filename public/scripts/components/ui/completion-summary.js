@@ -0,0 +1,58 @@
+/**
+ * Completion Summary — per-step timings for the completion panel.
+ *
+ * training-manager notes each `training-state-enter` of a run (scene time
+ * since training-start); this turns those entries into time spent per step.
+ * A step entered more than once (overhaul → suppress on a re-flash) adds
+ * up, listed where it was first entered.
+ *
+ * Loaded via <script> before training-manager.js. Exposes
+ * window.COMPLETION_SUMMARY.
+ *
+ * Usage:
+ *   const steps = window.COMPLETION_SUMMARY.stepTimings(
+ *     [{ state: "sizeup", t: 0 }, { state: "suppress", t: 12000 }], 40000);
+ *   // [{ state: "sizeup", duration: 12000, visits: 1 }, { state: "suppress", duration: 28000, visits: 1 }]
+ *   window.COMPLETION_SUMMARY.formatDuration(222000);   // "3:42"
+ */
+
+(function () {
+  "use strict";
+
+  /**
+   * @param {{ state: string, t: number }[]} entries - in order, t in ms
+   * @param {number} end - ms when the run ended
+   * @returns {{ state: string, duration: number, visits: number }[]}
+   */
+  function stepTimings(entries, end) {
+    const steps = [];
+    const byState = {};
+    (entries || []).forEach((entry, i) => {
+      const next = entries[i + 1];
+      const duration = Math.max(0, (next ? next.t : end) - entry.t);
+      let step = byState[entry.state];
+      if (!step) {
+        step = { state: entry.state, duration: 0, visits: 0 };
+        byState[entry.state] = step;
+        steps.push(step);
+      }
+      step.duration += duration;
+      step.visits++;
+    });
+    return steps;
+  }
+
+  /** ms → "m:ss" ("h:mm:ss" from an hour on). */
+  function formatDuration(ms) {
+    const total = Math.max(0, Math.floor(ms / 1000));
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = String(total % 60).padStart(2, "0");
+    return h ? `${h}:${String(m).padStart(2, "0")}:${s}` : `${m}:${s}`;
+  }
+
+  window.COMPLETION_SUMMARY = {
+    stepTimings: stepTimings,
+    formatDuration: formatDuration,
+  };
+})();
@@ -4,11 +4,30 @@
  * Creates modal VR panels with raycaster-driven buttons.
  * Locks player movement while a panel is visible.
  *
- * Depends on: ui-helpers.js (window.UI_HELPERS)
+ * Besides the built-in intro / movement panels, definitions can be
+ * registered at runtime, loaded from a JSON file (`src`, { id: def }) or
+ * shipped in a scenario's `panels`. A definition may carry an image,
+ * several pages, a checklist, a multiple-choice quiz and a countdown, and
+ * its buttons may emit scene events instead of calling a callback — see
+ * panel-definition.js.
+ *
+ * Events (emitted on the scene):
+ *   panel-shown     { panel }
+ *   panel-hidden    { panel }
+ *   panel-checklist { panel, item, checked }
+ *   quiz-answered   { panel, quiz, question, option, correct }
+ *   quiz-completed  { panel, quiz, correct, total, score, answers } — every
+ *                   question answered; picked up by training-score
+ *   <button event>  { panel, checked: [ids], …button detail }
+ *
+ * Depends on: ui-helpers.js (window.UI_HELPERS), i18n.js (window.I18N),
+ * panel-definition.js (window.PANEL_DEFINITION)
  *
  * Usage:
  *   const panels = document.querySelector("[interactive-panels]")
  *                          .components["interactive-panels"];
+ *   panels.registerPanel("ppe", { title: "EPI", checklist: ["Capacete", "Luvas"],
+ *                                 buttons: [{ text: "OK", event: "ppe-checked" }] });
  *   panels.showPanel("intro", { toMovement: () => { … } });
  */
 
@@ -22,49 +41,120 @@ const PANEL_STYLE = {
     { w: 2.4, h: 1.2, c: "#FFFFFF", o: 0.08, z: -0.02 },
   ],
   contentWidth: 2.0,
+  listRow: { width: 1.5, height: 0.07, spacing: 0.08 },
+  colors: {
+    nav: "#4B5563",
+    next: "#3B82F6",
+    checked: "#10B981",
+    wrong: "#EF4444",
+    unchecked: "#E5E7EB",
+    countdown: "#F59E0B",
+    muted: "#9CA3AF",
+  },
 };
 
 AFRAME.registerComponent("interactive-panels", {
-  schema: { enabled: { type: "boolean", default: true } },
+  schema: {
+    enabled: { type: "boolean", default: true },
+    // Optional JSON file of extra panel definitions ({ id: def })
+    src: { type: "string", default: "" },
+  },
 
   init: function () {
     window.debugLog("InteractivePanels", "Initializing");
     this.scene = this.el.sceneEl;
     this.currentPanel = null;
+    this.active = null; // { id, panel, page, checked, answers, remaining } while shown
     this.panels = {};
     this.callbacks = {};
+    this._handlers = [];
     this.isLocked = false;
     this._setupPanels();
     this._setupControllerListeners();
+    this._onLocaleChanged = () => {
+      this._setupPanels();
+      if (this.active) this._render();
+    };
+    this.scene.addEventListener("locale-changed", this._onLocaleChanged);
+    if (this.data.src) this.loadPanels(this.data.src);
   },
 
   /**
    * Defines panel content for intro and movement selection screens.
    * Each panel has title, subtitle, description, and action buttons.
+   * Text comes from the locale bundles (window.I18N); rebuilt on
+   * `locale-changed`, panels added with registerPanel are kept.
    */
   _setupPanels: function () {
-    this.panels = {
+    const t = window.I18N.t;
+    const introButtons = [{ text: t("panels.intro.start"), action: "toMovement", color: "#A855F7" }];
+    if (this.scene.hasAttribute("language-picker")) {
+      introButtons.push({ text: t("panels.intro.language"), action: "language", color: "#3B82F6" });
+    }
+    Object.assign(this.panels, {
       intro: {
-        title: "TREINAMENTO DE COMBATE A INCÊNDIO",
-        subtitle: "Bem-vindo ao Simulador VR",
-        description:
-          "Este treinamento irá guiá-lo através dos passos essenciais para combater um incêndio com segurança.",
-        buttons: [{ text: "COMEÇAR", action: "toMovement", color: "#A855F7" }],
+        title: t("panels.intro.title"),
+        subtitle: t("panels.intro.subtitle"),
+        description: t("panels.intro.description"),
+        buttons: introButtons,
       },
       movement_select: {
-        title: "SELECIONE O MODO DE MOVIMENTO",
-        subtitle: "Como você prefere se mover?",
+        title: t("panels.movement.title"),
+        subtitle: t("panels.movement.subtitle"),
         description: "",
         buttons: [
-          { text: "🎮  ANALÓGICO", action: "analogMovement", color: "#3B82F6" },
+          { text: t("panels.movement.analog"), action: "analogMovement", color: "#3B82F6" },
           {
-            text: "📍  TELEPORTE",
+            text: t("panels.movement.teleport"),
             action: "teleportMovement",
             color: "#10B981",
           },
         ],
       },
-    };
+    });
+  },
+
+  /**
+   * Adds or replaces a panel definition (see panel-definition.js). Text
+   * fields may be strings or { "pt-BR": …, "en": … } objects.
+   *
+   * @param {string} panelId
+   * @param {Object} panel - { title, subtitle, description, image, pages,
+   *   checklist, countdown, buttons: [{ text, action, event, detail, color, close }] }
+   */
+  registerPanel: function (panelId, panel) {
+    this.panels[panelId] = panel;
+  },
+
+  /** Registers every entry of a { id: def } map. */
+  registerPanels: function (panels) {
+    Object.keys(panels || {}).forEach((id) => this.registerPanel(id, panels[id]));
+  },
+
+  unregisterPanel: function (panelId) {
+    if (this.active && this.active.id === panelId) this.close();
+    delete this.panels[panelId];
+  },
+
+  /**
+   * Fetches a { id: def } JSON file and registers its panels.
+   * @param {string} url
+   * @returns {Promise<string[]>} registered ids (empty on failure)
+   */
+  loadPanels: function (url) {
+    return fetch(url)
+      .then((res) => {
+        if (!res.ok) throw new Error(`HTTP ${res.status} for '${url}'`);
+        return res.json();
+      })
+      .then((panels) => {
+        this.registerPanels(panels);
+        return Object.keys(panels);
+      })
+      .catch((err) => {
+        window.debugWarn("InteractivePanels", "Panels unavailable:", err.message);
+        return [];
+      });
   },
 
   /**
@@ -83,48 +173,145 @@ AFRAME.registerComponent("interactive-panels", {
   },
 
   /**
-   * Processes button clicks by reading data-panel-action attribute.
-   * Executes corresponding callback function if registered.
+   * Processes clicks by reading the data-panel-action attribute, an index
+   * into the handlers of the panel currently rendered.
    */
   _handleClick: function (element) {
     if (!element) return;
-    const action = element.getAttribute("data-panel-action");
-    if (action && this.callbacks[action]) {
-      window.debugLog("InteractivePanels", "Action:", action);
-      this.callbacks[action]();
-    }
+    const handler = this._handlers[element.getAttribute("data-panel-action")];
+    if (handler) handler();
   },
 
   /**
    * Displays a modal panel and registers button action callbacks.
    * Clears any existing panel, locks movement, and builds visual structure.
    *
-   * @param {string} panelId - Panel identifier (intro, movement_select)
-   * @param {Object} callbacks - Map of action names to callback functions
+   * @param {string} panelId - Panel identifier (intro, movement_select, …)
+   * @param {Object} callbacks - Map of action names to callback functions,
+   *   called with the button's event detail
    */
   showPanel: function (panelId, callbacks) {
-    const panel = this.panels[panelId];
-    if (!panel) {
+    const def = this.panels[panelId];
+    if (!def) {
       console.warn("[InteractivePanels] Panel not found:", panelId);
       return;
     }
     window.debugLog("InteractivePanels", "Showing:", panelId);
-    this.callbacks = callbacks || {};
     this.clearPanel();
+    this.callbacks = callbacks || {};
     this.lockMovement();
+    const panel = window.PANEL_DEFINITION.normalize(def, Math.random);
+    this.active = {
+      id: panelId,
+      panel,
+      page: 0,
+      checked: new Set(),
+      answers: {}, // question id → option id
+      remaining: panel.countdown ? panel.countdown.seconds : null,
+    };
+    this._render();
+    this.scene.emit("panel-shown", { panel: panelId });
+  },
+
+  /** Hides the current panel and gives movement back. */
+  close: function () {
+    this.clearPanel();
+    this.unlockMovement();
+  },
+
+  /** Countdown runs on scene time, so it pauses with the scene. */
+  tick: function (time, timeDelta) {
+    const active = this.active;
+    if (!active || active.remaining === null) return;
+    active.remaining -= timeDelta / 1000;
+    if (active.remaining <= 0) {
+      active.remaining = null;
+      this._activate(active.panel.countdown);
+      return;
+    }
+    const label = window.PANEL_DEFINITION.formatCountdown(active.remaining);
+    if (this._countdownEl && label !== this._countdownLabel) {
+      this._countdownLabel = label;
+      this._countdownEl.setAttribute("text", "value", label);
+    }
+  },
+
+  /** (Re)builds the current page of the active panel. */
+  _render: function () {
+    this._removeContainer();
+    this._handlers = [];
+    this._countdownEl = null;
+    this._countdownLabel = null;
     const camera = document.querySelector("#camera");
     const container = document.createElement("a-entity");
     container.id = "interactive-panel";
+    const layout = this.active.panel.layout;
     container.setAttribute(
       "position",
-      `${PANEL_STYLE.position.x} ${PANEL_STYLE.position.y} ${PANEL_STYLE.position.z}`,
+      layout.position || `${PANEL_STYLE.position.x} ${PANEL_STYLE.position.y} ${PANEL_STYLE.position.z}`,
     );
+    if (layout.rotation) container.setAttribute("rotation", layout.rotation);
+    if (layout.scale) container.setAttribute("scale", layout.scale);
     this._buildVisuals(container);
-    this._buildContent(container, panel);
+    this._buildContent(container);
     camera.appendChild(container);
     this.currentPanel = container;
   },
 
+  /**
+   * Runs a button (or an expired countdown): closes the panel if asked,
+   * emits its scene event, then calls its callback.
+   */
+  _activate: function (cfg) {
+    const active = this.active;
+    if (!active || !cfg) return;
+    const detail = Object.assign({ panel: active.id, checked: Array.from(active.checked) }, cfg.detail);
+    const callback = cfg.action && this.callbacks[cfg.action];
+    window.debugLog("InteractivePanels", "Action:", cfg.action || cfg.event || "close");
+    // Closed first: the callback or event may open the next panel
+    if (cfg.close) this.close();
+    if (cfg.event) this.scene.emit(cfg.event, detail);
+    if (callback) callback(detail);
+  },
+
+  _goToPage: function (page) {
+    this.active.page = page;
+    this._render();
+  },
+
+  _toggleItem: function (item) {
+    const checked = this.active.checked;
+    const on = !checked.has(item.id);
+    if (on) checked.add(item.id);
+    else checked.delete(item.id);
+    this.scene.emit("panel-checklist", { panel: this.active.id, item: item.id, checked: on });
+    this._render();
+  },
+
+  /**
+   * Records the first answer to a question, then reports the quiz once
+   * every question has one. Answers cannot be changed.
+   */
+  _answer: function (question, option) {
+    const { id, panel, answers } = this.active;
+    if (answers[question.id]) return;
+    answers[question.id] = option.id;
+    const quiz = panel.quiz.id || id;
+    this.scene.emit("quiz-answered", {
+      panel: id,
+      quiz,
+      question: question.id,
+      option: option.id,
+      correct: option.correct,
+    });
+    if (panel.quiz.questions.every((q) => answers[q.id])) {
+      const result = window.PANEL_DEFINITION.quizResult(panel, answers);
+      window.debugLog("InteractivePanels", `Quiz ${quiz}: ${result.correct}/${result.total}`);
+      this.scene.emit("quiz-completed", Object.assign({ panel: id, quiz }, result));
+    }
+    this._render();
+  },
+
   /**
    * Constructs panel background and multi-layered borders.
    * Creates glassmorphism effect with 3 border layers and accent lines.
@@ -146,29 +333,107 @@ AFRAME.registerComponent("interactive-panels", {
   },
 
   /**
-   * Adds title, subtitle, description, and buttons to panel.
-   * Text is constrained to 85% of panel width with proper wrapping.
+   * Adds title, subtitle, body (description, image, checklist) and buttons
+   * for the current page. Text is constrained to 85% of panel width; with
+   * an image the description moves to the right half.
    */
-  _buildContent: function (container, panel) {
-    this._text(container, panel.title, 0.38, 32, "#FFFFFF");
-    if (panel.subtitle)
-      this._text(container, panel.subtitle, 0.2, 22, "#A855F7");
-    if (panel.description)
-      this._text(container, panel.description, 0, 18, "#E5E7EB");
-    const btnCount = panel.buttons.length;
-    const spacing = btnCount > 1 ? 0.7 : 0;
-    const startX = ((btnCount - 1) * spacing) / 2;
-    panel.buttons.forEach((btn, i) =>
-      this._button(container, btn, startX - i * spacing, -0.38),
-    );
+  _buildContent: function (container) {
+    const { panel, page: index, checked, answers } = this.active;
+    const page = panel.pages[index];
+    const text = window.I18N.text;
+    const s = PANEL_STYLE;
+
+    this._text(container, text(page.title), 0.38, 32, "#FFFFFF");
+    const answer = page.question && answers[page.question.id];
+    if (answer) {
+      // Feedback takes the subtitle row once the question is answered
+      const feedback = this._feedback(page.question, answer);
+      this._text(container, feedback.text, 0.2, 22, feedback.color);
+    } else if (page.subtitle) {
+      this._text(container, text(page.subtitle), 0.2, 22, "#A855F7");
+    }
+
+    const bodyX = page.image && page.description ? 0.4 : 0;
+    const bodyTop = page.checklist || page.question ? 0.08 : 0;
+    if (page.image) this._image(container, page.image, page.description ? -0.6 : 0, bodyTop - 0.02);
+    if (page.description) {
+      const width = page.image ? s.contentWidth - 0.8 : s.contentWidth;
+      this._text(container, text(page.description), bodyTop, 18, "#E5E7EB", { x: bodyX, width });
+    }
+    const top = page.description || page.image ? -0.01 : 0.08;
+    const rowY = (i) => top - i * s.listRow.spacing;
+    if (page.checklist) {
+      page.checklist.items.forEach((item, i) => {
+        const on = checked.has(item.id);
+        const label = `${on ? "[x]" : "[ ]"} ${text(item.text)}`;
+        const color = on ? s.colors.checked : s.colors.unchecked;
+        this._row(container, label, color, bodyX, rowY(i), () => this._toggleItem(item));
+      });
+    }
+    if (page.question) {
+      page.question.options.forEach((option, i) => {
+        const label = `${String.fromCharCode(65 + i)}) ${text(option.text)}`;
+        const run = answer ? null : () => this._answer(page.question, option);
+        this._row(container, label, this._optionColor(option, answer), bodyX, rowY(i), run);
+      });
+    }
+
+    const buttons = this._pageButtons(page);
+    const spacing = buttons.length > 1 ? 0.7 : 0;
+    const startX = ((buttons.length - 1) * spacing) / 2;
+    buttons.forEach((btn, i) => this._button(container, btn, startX - i * spacing, -0.38));
+
+    if (panel.pages.length > 1) {
+      this._text(container, `${index + 1} / ${panel.pages.length}`, -0.49, 16, s.colors.muted);
+    }
+    if (panel.countdown) {
+      const label = window.PANEL_DEFINITION.formatCountdown(this.active.remaining || 0);
+      this._countdownEl = this._text(container, label, 0.47, 20, s.colors.countdown, { x: 0.95, width: 0.6 });
+      this._countdownLabel = label;
+    }
+  },
+
+  /**
+   * Buttons of the current page: back / next between pages, the panel's own
+   * buttons on the last one. A required checklist left open disables next
+   * and the panel buttons.
+   */
+  _pageButtons: function (page) {
+    const { panel, page: index, checked } = this.active;
+    const t = window.I18N.t;
+    const c = PANEL_STYLE.colors;
+    const blocked = !window.PANEL_DEFINITION.canAdvance(page, checked, this.active.answers);
+    const buttons = [];
+    if (index > 0) {
+      buttons.push({ text: t("panels.common.back"), color: c.nav, run: () => this._goToPage(index - 1) });
+    }
+    if (index < panel.pages.length - 1) {
+      buttons.push({
+        text: t("panels.common.next"),
+        color: c.next,
+        disabled: blocked,
+        run: () => this._goToPage(index + 1),
+      });
+    } else {
+      panel.buttons.forEach((btn) =>
+        buttons.push({
+          text: window.I18N.text(btn.text),
+          color: btn.color,
+          disabled: blocked,
+          run: () => this._activate(btn),
+        }),
+      );
+    }
+    return buttons;
   },
 
   /**
    * Creates an interactive button with hover effects.
-   * Adds .interactable class for raycaster detection.
+   * Adds .interactable class for raycaster detection; disabled buttons are
+   * dimmed and left out of it.
    *
    * @param {Element} parent - Parent container element
-   * @param {Object} cfg - Button config (text, action, color)
+   * @param {Object} cfg - Button config (text, color, run, disabled)
    * @param {number} x - X position offset
    * @param {number} y - Y position offset
    */
@@ -180,49 +445,105 @@ AFRAME.registerComponent("interactive-panels", {
     btn.setAttribute("position", `${x} ${y} 0.02`);
     btn.setAttribute(
       "material",
-      "transparent: true; opacity: 0.8; side: double",
+      `transparent: true; opacity: ${cfg.disabled ? 0.3 : 0.8}; side: double`,
     );
-    btn.classList.add("interactable");
-    btn.setAttribute("data-panel-action", cfg.action);
     btn.appendChild(window.UI_HELPERS.createPlane(0.63, 0.18, "#FFFFFF", { o: 0.15, z: -0.01 }));
-    const txt = document.createElement("a-entity");
-    txt.setAttribute(
-      "text",
-      `value: ${cfg.text}; align: center; fontSize: 16; color: #FFFFFF; width: 1.5; anchor: center; ${window.UI_HELPERS.MSDF_FONT}`,
-    );
-    txt.setAttribute("position", "0 0 0.02");
-    txt.setAttribute("pointer-events", "none");
-    btn.appendChild(txt);
-    btn.addEventListener("mouseenter", () => {
-      btn.setAttribute("material", "opacity: 1");
-      btn.setAttribute("scale", "1.05 1.05 1");
+    this._text(btn, cfg.text, 0, 16, "#FFFFFF", { width: 1.5, wrapCount: 40, z: 0.02 }).setAttribute("pointer-events", "none");
+    if (!cfg.disabled) this._interactable(btn, cfg.run, 0.8);
+    parent.appendChild(btn);
+  },
+
+  /** "Correto!" / "Incorreto" plus the option's feedback or the explanation. */
+  _feedback: function (question, optionId) {
+    const option = question.options.find((o) => o.id === optionId);
+    const correct = window.PANEL_DEFINITION.isCorrect(question, optionId);
+    const extra = window.I18N.text((option && option.feedback) || question.explanation);
+    return {
+      text: `${window.I18N.t(correct ? "quiz.correct" : "quiz.wrong")} ${extra}`.trim(),
+      color: correct ? PANEL_STYLE.colors.checked : PANEL_STYLE.colors.wrong,
+    };
+  },
+
+  /** Before answering every option is neutral; after, right / chosen wrong / rest. */
+  _optionColor: function (option, answer) {
+    const c = PANEL_STYLE.colors;
+    if (!answer) return c.unchecked;
+    if (option.correct) return c.checked;
+    return option.id === answer ? c.wrong : c.muted;
+  },
+
+  /**
+   * Full-width clickable row (checklist item, quiz option); `run` null
+   * leaves it inert.
+   */
+  _row: function (parent, label, color, x, y, run) {
+    const row = PANEL_STYLE.listRow;
+    const el = document.createElement("a-plane");
+    el.setAttribute("width", String(row.width));
+    el.setAttribute("height", String(row.height));
+    el.setAttribute("color", "#1F2937");
+    el.setAttribute("position", `${x} ${y} 0.02`);
+    el.setAttribute("material", "transparent: true; opacity: 0.5; side: double");
+    this._text(el, label, 0, 16, color, {
+      x: -row.width / 2 + 0.05,
+      width: row.width - 0.1,
+      align: "left",
+      z: 0.01,
+    }).setAttribute("pointer-events", "none");
+    if (run) this._interactable(el, run, 0.5);
+    parent.appendChild(el);
+  },
+
+  /** Image plane ("#asset" or URL). */
+  _image: function (parent, image, x, y) {
+    const el = document.createElement("a-image");
+    el.setAttribute("src", image.src);
+    el.setAttribute("width", String(image.width));
+    el.setAttribute("height", String(image.height));
+    el.setAttribute("position", `${x} ${y} 0.02`);
+    parent.appendChild(el);
+  },
+
+  /** Registers a click handler and the hover effect on a plane. */
+  _interactable: function (el, run, opacity) {
+    el.classList.add("interactable");
+    el.setAttribute("data-panel-action", String(this._handlers.length));
+    this._handlers.push(run);
+    el.addEventListener("mouseenter", () => {
+      el.setAttribute("material", "opacity: 1");
+      el.setAttribute("scale", "1.05 1.05 1");
     });
-    btn.addEventListener("mouseleave", () => {
-      btn.setAttribute("material", "opacity: 0.8");
-      btn.setAttribute("scale", "1 1 1");
+    el.addEventListener("mouseleave", () => {
+      el.setAttribute("material", `opacity: ${opacity}`);
+      el.setAttribute("scale", "1 1 1");
     });
-    parent.appendChild(btn);
   },
 
   /**
    * Creates a text entity with specified styling and position.
-   * Text automatically wraps to stay within 85% of panel width.
+   * Text automatically wraps to stay within 85% of panel width. The value
+   * is set separately so authored text may contain ':' or ';'.
    *
    * @param {Element} container - Parent element
    * @param {string} text - Text content
    * @param {number} y - Vertical position
    * @param {number} size - Font size in pixels
    * @param {string} color - Hex color code
+   * @param {Object} [opts] - { x, z, width, wrapCount, align }
+   * @returns {Element}
    */
-  _text: function (container, text, y, size, color) {
+  _text: function (container, text, y, size, color, opts) {
+    const o = opts || {};
+    const align = o.align || "center";
     const entity = document.createElement("a-entity");
-    // Width 0.85 ensures text stays within 85% of panel (0.85 units)
     entity.setAttribute(
       "text",
-      `value: ${text}; align: center; width: ${PANEL_STYLE.contentWidth}; fontSize: ${size}; color: ${color}; wrapCount: 45; anchor: center; ${window.UI_HELPERS.MSDF_FONT}`,
+      `value: ; align: ${align}; width: ${o.width || PANEL_STYLE.contentWidth}; fontSize: ${size}; color: ${color}; wrapCount: ${o.wrapCount || 45}; anchor: ${align}; ${window.UI_HELPERS.MSDF_FONT}`,
     );
-    entity.setAttribute("position", `0 ${y} 0.02`);
+    entity.setAttribute("text", "value", text);
+    entity.setAttribute("position", `${o.x || 0} ${y} ${o.z || 0.02}`);
     container.appendChild(entity);
+    return entity;
   },
 
   /**
@@ -256,6 +577,16 @@ AFRAME.registerComponent("interactive-panels", {
    * Removes current panel element from DOM and clears reference.
    */
   clearPanel: function () {
+    this._removeContainer();
+    this._handlers = [];
+    if (this.active) {
+      const id = this.active.id;
+      this.active = null;
+      this.scene.emit("panel-hidden", { panel: id });
+    }
+  },
+
+  _removeContainer: function () {
     if (this.currentPanel) {
       this.currentPanel.parentNode.removeChild(this.currentPanel);
       this.currentPanel = null;
@@ -263,6 +594,7 @@ AFRAME.registerComponent("interactive-panels", {
   },
 
   remove: function () {
+    this.scene.removeEventListener("locale-changed", this._onLocaleChanged);
     this.clearPanel();
     this.unlockMovement();
   },
@@ -0,0 +1,95 @@
+/**
+ * Language Picker Component
+ *
+ * Chooses and loads the UI locale (window.I18N), then keeps the scene told:
+ * `locale-changed` { locale } is emitted on the scene whenever the bundles
+ * switch, and components re-render their text on it.
+ *
+ * Locale order: ?lang=… → the last choice made in the picker (localStorage)
+ * → browser languages → pt-BR.
+ *
+ * The picker itself is an interactive-panels panel with one button per
+ * locale, opened from the intro panel.
+ *
+ * Depends on: i18n.js (window.I18N), interactive-panels
+ *
+ * Usage (on the scene):
+ *   <a-scene language-picker>   then open …/default.html?lang=en
+ *
+ * API:
+ *   component.choose(locale)    — loads and remembers a locale (Promise)
+ *   component.showPanel(onDone) — picker panel; onDone after a choice
+ */
+
+/** Each language in its own words — not translated on purpose. */
+const LANGUAGE_NAMES = { "pt-BR": "PORTUGUÊS", en: "ENGLISH", es: "ESPAÑOL" };
+const LANGUAGE_BUTTON_COLORS = ["#A855F7", "#3B82F6", "#10B981"];
+
+AFRAME.registerComponent("language-picker", {
+  schema: {
+    basePath: { type: "string", default: "/locales/" },
+    param: { type: "string", default: "lang" },
+    storageKey: { type: "string", default: "firefighting-vr.lang" },
+  },
+
+  init: function () {
+    this.scene = this.el.sceneEl;
+    this._offChange = window.I18N.onChange((locale) => {
+      document.documentElement.lang = locale;
+      this.scene.emit("locale-changed", { locale });
+    });
+
+    const requested = new URLSearchParams(window.location.search).get(this.data.param);
+    const locale = window.I18N.resolveLocale(
+      requested,
+      this._stored(),
+      navigator.languages || navigator.language,
+    );
+    window.I18N.load(locale, this.data.basePath).then((active) =>
+      window.debugLog("I18n", "Locale:", active),
+    );
+  },
+
+  remove: function () {
+    this._offChange();
+  },
+
+  choose: function (locale) {
+    try {
+      window.localStorage.setItem(this.data.storageKey, locale);
+    } catch (e) {
+      // Private mode: the choice lasts for this session only
+    }
+    return window.I18N.load(locale, this.data.basePath);
+  },
+
+  showPanel: function (onDone) {
+    const panelEl = document.querySelector("[interactive-panels]");
+    if (!panelEl) return;
+    const panels = panelEl.components["interactive-panels"];
+    const t = window.I18N.t;
+    const callbacks = {};
+    panels.registerPanel("language_select", {
+      title: t("panels.language.title"),
+      subtitle: t("panels.language.subtitle"),
+      description: t("panels.language.description"),
+      buttons: window.I18N.LOCALES.map((locale, i) => {
+        const action = `language_${i}`;
+        callbacks[action] = () => {
+          panels.clearPanel();
+          this.choose(locale).then(() => onDone && onDone(locale));
+        };
+        return { text: LANGUAGE_NAMES[locale], action, color: LANGUAGE_BUTTON_COLORS[i] };
+      }),
+    });
+    panels.showPanel("language_select", callbacks);
+  },
+
+  _stored: function () {
+    try {
+      return window.localStorage.getItem(this.data.storageKey);
+    } catch (e) {
+      return null;
+    }
+  },
+});
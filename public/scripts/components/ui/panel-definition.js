@@ -0,0 +1,229 @@
+/**
+ * Panel Definition — normalizes interactive-panels definitions.
+ *
+ * Panels are plain JSON so scenarios can ship briefing / checklist panels
+ * without code. The shorthand forms authors write are expanded here into a
+ * single shape the component renders; text stays as written (strings or
+ * { "pt-BR": …, "en": … } objects) and is resolved by the component.
+ *
+ * Definition:
+ *   {
+ *     "title": "…", "subtitle": "…", "description": "…",
+ *     "image": "#asset" | "/img.png" | { "src", "width", "height" },
+ *     "checklist": ["Capacete", { "id": "gloves", "text": "Luvas" }]
+ *                  | { "items": [ … ], "required": true },
+ *     "pages": [{ "title": …, "description": …, "image": …, "checklist": … }],
+ *     "countdown": 10 | { "seconds": 10, "event": "…", "action": "…" },
+ *     "quiz": { "id": "agents", "title": "…", "shuffle": true, "questions": [{
+ *       "id": "electrical", "text": "…", "explanation": "…",
+ *       "options": [{ "id": "co2", "text": "CO2", "correct": true },
+ *                   { "id": "water", "text": "Água", "feedback": "…" }] }] },
+ *     "buttons": [{ "text": "…", "action": "cb", "event": "scene-event",
+ *                   "detail": {}, "color": "#A855F7", "close": true }],
+ *     "position": "0.95 0 -2", "rotation": "0 -15 0", "scale": 0.7
+ *   }
+ *
+ *   pages     — each page has its own description / image / checklist and
+ *               inherits title and subtitle; the buttons only show on the
+ *               last page, earlier pages get back / next
+ *   checklist — `required` (default) holds next / the buttons until every
+ *               item is checked; ids default to item_<n>, counted
+ *               across pages
+ *   quiz      — one page per question after the other pages (title from
+ *               quiz.title); each question takes one answer, and the page
+ *               holds next / the buttons until it is answered. Options are
+ *               shuffled when normalize() gets a random source, unless
+ *               `shuffle: false`. quiz.id defaults to the panel id.
+ *   countdown — activates like a button when it reaches zero
+ *   position / rotation / scale — placement in front of the camera
+ *               (default centred at 2 m), e.g. beside the results panel
+ *   buttons   — `action` calls a showPanel callback, `event` is emitted on
+ *               the scene; `close` defaults to true when there is no action
+ *
+ * Usage:
+ *   const panel = window.PANEL_DEFINITION.normalize(def, Math.random);
+ *   panel.pages[0].checklist.items[0].id   // "item_0"
+ *   window.PANEL_DEFINITION.quizResult(panel, { electrical: "co2" }).score;  // 0 → 1
+ */
+
+(function () {
+  "use strict";
+
+  const DEFAULT_BUTTON_COLOR = "#A855F7";
+  const DEFAULT_IMAGE = { width: 0.8, height: 0.45 };
+  const PAGE_FIELDS = ["title", "subtitle", "description", "image", "checklist"];
+  const SHARED_FIELDS = ["title", "subtitle"];
+
+  function normalizeImage(image) {
+    if (!image) return null;
+    const src = typeof image === "string" ? image : image.src;
+    if (!src) return null;
+    return Object.assign({}, DEFAULT_IMAGE, typeof image === "object" ? image : {}, { src });
+  }
+
+  /** `counter` numbers default ids across pages so they stay unique. */
+  function normalizeChecklist(checklist, counter) {
+    if (!checklist) return null;
+    const list = Array.isArray(checklist) ? { items: checklist } : checklist;
+    const items = (list.items || []).map((item) => {
+      const id = `item_${counter.next++}`;
+      return isItem(item) ? { id: item.id || id, text: item.text } : { id, text: item };
+    });
+    if (!items.length) return null;
+    return { items, required: list.required !== false };
+  }
+
+  /** { id, text } — as opposed to a bare string or { "pt-BR": … } text. */
+  function isItem(value) {
+    return !!value && typeof value === "object" && ("id" in value || "text" in value);
+  }
+
+  function normalizeButton(button) {
+    const btn = Object.assign({ color: DEFAULT_BUTTON_COLOR, detail: {} }, button);
+    if (btn.close === undefined) btn.close = !btn.action;
+    return btn;
+  }
+
+  function normalizeCountdown(countdown) {
+    if (countdown === undefined || countdown === null) return null;
+    const cd = typeof countdown === "number" ? { seconds: countdown } : countdown;
+    if (!(cd.seconds > 0)) return null;
+    return normalizeButton(cd);
+  }
+
+  /** Without pages the definition is its own single page. */
+  function normalizePage(base, page, counter) {
+    const merged = {};
+    PAGE_FIELDS.forEach((key) => {
+      if (!page) merged[key] = base[key];
+      else if (page[key] !== undefined) merged[key] = page[key];
+      else if (SHARED_FIELDS.indexOf(key) !== -1) merged[key] = base[key];
+    });
+    merged.image = normalizeImage(merged.image);
+    merged.checklist = normalizeChecklist(merged.checklist, counter);
+    return merged;
+  }
+
+  /** Fisher–Yates on a copy; `random` returns [0, 1). */
+  function shuffle(list, random) {
+    const out = list.slice();
+    for (let i = out.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      const tmp = out[i];
+      out[i] = out[j];
+      out[j] = tmp;
+    }
+    return out;
+  }
+
+  function normalizeQuestion(question, index, quiz, random) {
+    const options = (question.options || []).map((option, i) =>
+      isItem(option)
+        ? { id: option.id || `option_${i}`, text: option.text, correct: !!option.correct, feedback: option.feedback }
+        : { id: `option_${i}`, text: option, correct: false },
+    );
+    return {
+      id: question.id || `question_${index}`,
+      options: random && quiz.shuffle !== false ? shuffle(options, random) : options,
+      explanation: question.explanation,
+    };
+  }
+
+  /** Question pages, titled by the quiz (or the panel). */
+  function quizPages(def, random) {
+    const quiz = def.quiz;
+    if (!quiz || !Array.isArray(quiz.questions)) return [];
+    return quiz.questions.map((question, i) => ({
+      title: quiz.title !== undefined ? quiz.title : def.title,
+      subtitle: quiz.subtitle !== undefined ? quiz.subtitle : def.subtitle,
+      description: question.text,
+      image: normalizeImage(question.image),
+      checklist: null,
+      question: normalizeQuestion(question, i, quiz, random),
+    }));
+  }
+
+  /**
+   * Expands a definition into { pages, buttons, countdown, quiz, layout }.
+   * @param {Object} def
+   * @param {Function} [random] - random source; shuffles quiz options
+   * @returns {{ pages: Object[], buttons: Object[], countdown: Object|null, quiz: Object|null, layout: Object }}
+   */
+  function normalize(def, random) {
+    def = def || {};
+    const questions = quizPages(def, random);
+    // A quiz-only panel has no page of its own
+    const ownPage = PAGE_FIELDS.some((key) => key !== "title" && key !== "subtitle" && def[key]);
+    let pages = [];
+    if (Array.isArray(def.pages) && def.pages.length) pages = def.pages;
+    else if (ownPage || !questions.length) pages = [null];
+    const counter = { next: 0 };
+    return {
+      pages: pages.map((page) => normalizePage(def, page, counter)).concat(questions),
+      buttons: (def.buttons || []).map(normalizeButton),
+      countdown: normalizeCountdown(def.countdown),
+      quiz: questions.length ? { id: def.quiz.id || null, questions: questions.map((p) => p.question) } : null,
+      layout: {
+        position: def.position || null,
+        rotation: def.rotation || null,
+        scale: typeof def.scale === "number" ? `${def.scale} ${def.scale} ${def.scale}` : def.scale || null,
+      },
+    };
+  }
+
+  /**
+   * Whether a page lets the trainee move on: no required checklist left
+   * open and no unanswered question.
+   * @param {Object} page - normalized page
+   * @param {Set<string>|string[]} checked - checked item ids
+   * @param {Object} [answers] - question id → option id
+   */
+  function canAdvance(page, checked, answers) {
+    if (page && page.question && !(answers && answers[page.question.id])) return false;
+    const list = page && page.checklist;
+    if (!list || !list.required) return true;
+    const done = checked instanceof Set ? checked : new Set(checked || []);
+    return list.items.every((item) => done.has(item.id));
+  }
+
+  function isCorrect(question, optionId) {
+    return question.options.some((option) => option.id === optionId && option.correct);
+  }
+
+  /**
+   * Tally of a normalized panel's quiz.
+   * @param {Object} panel - normalize() output
+   * @param {Object} answers - question id → option id
+   * @returns {{ correct: number, total: number, score: number, answers: Object[] }}
+   */
+  function quizResult(panel, answers) {
+    const questions = (panel.quiz && panel.quiz.questions) || [];
+    const list = questions.map((q) => ({
+      question: q.id,
+      option: answers[q.id] || null,
+      correct: isCorrect(q, answers[q.id]),
+    }));
+    const correct = list.filter((a) => a.correct).length;
+    return {
+      correct: correct,
+      total: questions.length,
+      score: questions.length ? correct / questions.length : 0,
+      answers: list,
+    };
+  }
+
+  /** Remaining seconds as m:ss (rounded up, never negative). */
+  function formatCountdown(seconds) {
+    const s = Math.max(0, Math.ceil(seconds));
+    return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
+  }
+
+  window.PANEL_DEFINITION = {
+    normalize: normalize,
+    canAdvance: canAdvance,
+    isCorrect: isCorrect,
+    quizResult: quizResult,
+    shuffle: shuffle,
+    formatCountdown: formatCountdown,
+  };
+})();
@@ -0,0 +1,149 @@
+/**
+ * Results Panel Component
+ *
+ * Debrief panel shown when training-score emits `training-scored` (the
+ * procedure reached its final state): total score against the pass mark,
+ * the reason for the outcome and one pass/fail row per rubric criterion.
+ * Hidden again when a new run or module starts.
+ *
+ * Text in the current locale (window.I18N); the panel is rebuilt when the
+ * language changes while it is open.
+ *
+ * Depends on: ui-helpers.js (window.UI_HELPERS), i18n.js, training-score
+ *
+ * Usage:
+ *   <a-entity results-panel></a-entity>
+ *   <a-scene results-panel="position: -0.9 0.1 -2.1; rotation: 0 15 0">
+ *     (left of the completion panel)
+ */
+
+const RESULTS_STYLE = {
+  width: 1.6,
+  rowHeight: 0.075,
+  colors: {
+    bg: "#070615",
+    border: "#A855F7",
+    pass: "#10B981",
+    fail: "#EF4444",
+    text: "#E5E7EB",
+  },
+};
+
+AFRAME.registerComponent("results-panel", {
+  schema: {
+    enabled: { type: "boolean", default: true },
+    camera: { type: "selector", default: "#camera" },
+    // Relative to the camera; default.html moves it left of the completion panel
+    position: { type: "vec3", default: { x: 0, y: 0.1, z: -2.1 } },
+    rotation: { type: "vec3", default: { x: 0, y: 0, z: 0 } },
+  },
+
+  init: function () {
+    this.scene = this.el.sceneEl;
+    this.panel = null;
+    this._onScored = (e) => this.show(e.detail.report);
+    this._onHide = () => this.hide();
+    this._onLocaleChanged = () => this.panel && this.show(this.report);
+    this.scene.addEventListener("training-scored", this._onScored);
+    this.scene.addEventListener("locale-changed", this._onLocaleChanged);
+    ["training-start", "module-change-start"].forEach((evt) =>
+      this.scene.addEventListener(evt, this._onHide),
+    );
+  },
+
+  remove: function () {
+    this.scene.removeEventListener("training-scored", this._onScored);
+    this.scene.removeEventListener("locale-changed", this._onLocaleChanged);
+    ["training-start", "module-change-start"].forEach((evt) =>
+      this.scene.removeEventListener(evt, this._onHide),
+    );
+    this.hide();
+  },
+
+  /**
+   * Builds the panel for a scoring report (SCORING_RUBRIC.evaluate).
+   * @param {Object} report
+   */
+  show: function (report) {
+    if (!this.data.enabled || !report || !this.data.camera) return;
+    this.hide();
+    this.report = report;
+    window.debugLog("ResultsPanel", "Showing score", report.score);
+
+    const s = RESULTS_STYLE;
+    const rows = report.criteria.length;
+    const height = 0.5 + rows * s.rowHeight;
+    const top = height / 2;
+    const _p = window.UI_HELPERS.createPlane;
+
+    const panel = document.createElement("a-entity");
+    panel.id = "results-panel";
+    panel.setAttribute("position", AFRAME.utils.coordinates.stringify(this.data.position));
+    panel.setAttribute("rotation", AFRAME.utils.coordinates.stringify(this.data.rotation));
+    panel.appendChild(_p(s.width, height, s.colors.bg, { o: 0.85 }));
+    panel.appendChild(_p(s.width + 0.04, height + 0.04, s.colors.border, { o: 0.35, z: -0.01 }));
+
+    const t = window.I18N.t;
+    const outcome = t(report.passed ? "results.passed" : "results.failed");
+    const outcomeColor = report.passed ? s.colors.pass : s.colors.fail;
+    this._text(panel, t("results.title"), 0, top - 0.07, 0.9, "#FFFFFF", "center");
+    this._text(
+      panel,
+      t("results.score", { score: report.score, passScore: report.passScore, outcome }),
+      0,
+      top - 0.16,
+      0.9,
+      outcomeColor,
+      "center",
+    );
+    this._text(panel, this._reason(report), 0, top - 0.24, 1.1, s.colors.text, "center");
+
+    report.criteria.forEach((c, i) => {
+      const y = top - 0.36 - i * s.rowHeight;
+      const color = c.passed ? s.colors.pass : s.colors.fail;
+      const mark = c.passed ? "[x]" : "[ ]";
+      const edge = s.width / 2 - 0.08;
+      this._text(panel, `${mark} ${this._label(c)}${c.critical ? " *" : ""}`, -edge, y, 1.1, color, "left");
+      const display = typeof c.value === "boolean" ? t(c.value ? "results.yes" : "results.no") : c.display;
+      this._text(panel, display, edge, y, 0.4, s.colors.text, "right");
+    });
+
+    this.data.camera.appendChild(panel);
+    this.panel = panel;
+  },
+
+  /** Criterion label in the current locale; scenario-only criteria keep theirs. */
+  _label: function (criterion) {
+    return window.I18N.t(`results.criteria.${criterion.id}`, null, criterion.label);
+  },
+
+  /** report.reason rebuilt in the current locale. */
+  _reason: function (report) {
+    if (!report.verdict) return report.reason;
+    const failed = report.criteria.filter((c) => !c.passed && (report.verdict !== "critical" || c.critical));
+    return window.I18N.t(`results.verdict.${report.verdict}`, {
+      criteria: failed.map((c) => this._label(c)).join(", "),
+      score: report.score,
+      passScore: report.passScore,
+    });
+  },
+
+  hide: function () {
+    if (this.panel && this.panel.parentNode) {
+      this.panel.parentNode.removeChild(this.panel);
+    }
+    this.panel = null;
+  },
+
+  /** Text row; value set separately so labels may contain ':' or ';'. */
+  _text: function (parent, value, x, y, width, color, align) {
+    const el = document.createElement("a-entity");
+    el.setAttribute(
+      "text",
+      `value: ; align: ${align}; width: ${width}; color: ${color}; wrapCount: 40; anchor: ${align}; ${window.UI_HELPERS.MSDF_FONT}`,
+    );
+    el.setAttribute("text", "value", value);
+    el.setAttribute("position", `${x} ${y} 0.02`);
+    parent.appendChild(el);
+  },
+});
@@ -1,18 +1,53 @@
 /**
  * Training Manager — orchestrates the entire training flow.
- * Controls: Interactive Panels → Movement Unlock → Tutorial HUD
+ * Controls: Scenario → Interactive Panels → Movement Unlock → Tutorial HUD
+ *
+ * With a scenario-loader on the scene, the intro waits for the scenario;
+ * when none was chosen by URL (?scenario=) a selection panel is shown first.
+ * After a module change (scene-manager `module-loaded`) the new intro is shown.
+ * While a session replay is active (?replay= or a dropped log) no panels are
+ * shown — session-replay drives the run.
  *
  * In dev mode (DEBUG_CONFIG.DEV_MODE = true):
  *   - Skips intro panel, unlocks movement immediately
- *   - State machine is available but does not auto-advance
+ *   - Emits `training-start` once the scenario is ready (and after each
+ *     module change), so scene event bindings drive the procedure as usual
  *   - Use console helpers: window.trainingDev.forward() / .back() / .goTo('suppress')
  *
- * Depends on: interactive-panels, tutorial-hud, training-state
+ * Emits `training-start` on the scene when the main phase begins — picked
+ * up by training-bindings (intro → sizeup) and scene-manager.
+ *
+ * The intro panel offers the language picker (language-picker on the scene);
+ * a choice re-opens the intro in the new language.
+ *
+ * Completion: from training-start on, each `training-state-enter` is timed
+ * (scene time). Entering `doneState` emits `training-complete` and, after
+ * `completionDelay` (training-score reports first), shows the completion
+ * panel — outcome, total time and time per step — with Restart
+ * (scene-manager restart: fires, extinguishers, seals, burn marks and rig
+ * back to the start), Next scenario (when the catalogue has another one) and
+ * Exit VR (in VR only). With a score report the panel sits right of the
+ * results panel.
+ *
+ * Events (emitted on the scene):
+ *   training-complete { elapsed, steps } — ms since training-start, and
+ *                     [{ state, duration, visits }] (COMPLETION_SUMMARY)
+ *
+ * Depends on: i18n.js, completion-summary.js, interactive-panels,
+ * tutorial-hud, training-state, scenario-loader (optional), scene-manager
+ * (optional), training-score (optional), language-picker (optional)
  */
 
+const SCENARIO_BUTTON_COLORS = ["#A855F7", "#3B82F6", "#10B981"];
+const COMPLETION_BUTTON_COLORS = { restart: "#A855F7", next: "#3B82F6", exit: "#4B5563" };
+// Beside the results panel (which default.html places on the left)
+const COMPLETION_SIDE_LAYOUT = { position: "0.95 0 -2", rotation: "0 -15 0", scale: 0.7 };
+
 AFRAME.registerComponent("training-manager", {
   schema: {
     enabled: { type: "boolean", default: true },
+    doneState: { type: "string", default: "done" },
+    completionDelay: { type: "number", default: 1500 }, // ms after doneState
   },
 
   init: function () {
@@ -20,13 +55,33 @@ AFRAME.registerComponent("training-manager", {
 
     this.scene = this.el.sceneEl;
     this.isDevMode = window.DEBUG_CONFIG && window.DEBUG_CONFIG.DEV_MODE;
+    this._run = null; // { elapsed, entries: [{ state, t }], done } since training-start
+    this._completionTimer = null;
 
     if (!this.data.enabled) return;
 
     this._exposeDevHelpers();
 
+    this.scene.addEventListener("training-start", () => {
+      this._run = { elapsed: 0, entries: [], done: false };
+    });
+
+    this.scene.addEventListener("training-state-enter", (e) => this._onStateEnter(e.detail.state));
+
+    this.scene.addEventListener("module-change-start", () => {
+      clearTimeout(this._completionTimer);
+      this._run = null;
+    });
+
+    this.scene.addEventListener("module-loaded", () => {
+      if (this._replaying()) return;
+      if (this.isDevMode) this.scene.emit("training-start", {});
+      else this.showIntroPanel();
+    });
+
     this.scene.addEventListener("loaded", () => {
       setTimeout(() => {
+        if (this._replaying()) return;
         if (this.isDevMode) {
           this._startDevMode();
         } else {
@@ -38,7 +93,50 @@ AFRAME.registerComponent("training-manager", {
 
   startTraining: function () {
     window.debugLog("TrainingManager", "Starting training flow");
-    this.showIntroPanel();
+    const loader = this._loader();
+    // Panels are built from the locale bundles: wait for them too
+    Promise.all([window.I18N.ready(), loader ? loader.whenReady() : null]).then(([, scenario]) => {
+      if (scenario || !loader) this.showIntroPanel();
+      else this.showScenarioPanel();
+    });
+  },
+
+  /**
+   * Scenario selection panel — one button per catalogue entry (max 3).
+   * The chosen scenario is built in place, then the intro panel follows.
+   */
+  showScenarioPanel: function () {
+    const loader = this._loader();
+    const panelComponent = document.querySelector("[interactive-panels]");
+    if (!loader || !panelComponent) return;
+    const panels = panelComponent.components["interactive-panels"];
+
+    loader.getCatalogue().then((catalogue) => {
+      const entries = (catalogue.scenarios || []).slice(0, SCENARIO_BUTTON_COLORS.length);
+      if (!entries.length) {
+        window.debugWarn("TrainingManager", "No scenarios available");
+        return;
+      }
+      const callbacks = {};
+      const text = window.I18N.text;
+      panels.registerPanel("scenario_select", {
+        title: window.I18N.t("panels.scenario.title"),
+        subtitle: window.I18N.t("panels.scenario.subtitle"),
+        description: entries.map((s) => text(s.description || s.title)).join("\n"),
+        buttons: entries.map((entry, i) => {
+          const action = `scenario_${i}`;
+          callbacks[action] = () => {
+            panels.clearPanel();
+            loader
+              .load(entry.id)
+              .then(() => this.showIntroPanel())
+              .catch(() => this.showScenarioPanel());
+          };
+          return { text: text(entry.title), action, color: SCENARIO_BUTTON_COLORS[i] };
+        }),
+      });
+      panels.showPanel("scenario_select", callbacks);
+    });
   },
 
   showIntroPanel: function () {
@@ -47,8 +145,23 @@ AFRAME.registerComponent("training-manager", {
       window.debugWarn("TrainingManager", "Interactive panels component not found");
       return;
     }
-    panelComponent.components["interactive-panels"].showPanel("intro", {
+    const panels = panelComponent.components["interactive-panels"];
+    const loader = this._loader();
+    const scenario = loader && loader.getScenario();
+    let panelId = "intro";
+    if (scenario && scenario.intro) {
+      // Scenario text over the default intro layout
+      const intro = {};
+      ["title", "subtitle", "description"].forEach((key) => {
+        if (scenario.intro[key]) intro[key] = window.I18N.text(scenario.intro[key]);
+      });
+      panels.registerPanel("scenario_intro", Object.assign({}, panels.panels.intro, intro));
+      panelId = "scenario_intro";
+    }
+    const picker = this.scene.components["language-picker"];
+    panels.showPanel(panelId, {
       toMovement: () => this.startMainTraining(),
+      language: () => picker && picker.showPanel(() => this.showIntroPanel()),
     });
   },
 
@@ -58,20 +171,117 @@ AFRAME.registerComponent("training-manager", {
     const panelComponent = document.querySelector("[interactive-panels]");
     panelComponent.components["interactive-panels"].clearPanel();
     panelComponent.components["interactive-panels"].unlockMovement();
+    this.scene.emit("training-start", {});
 
     const hudComponent = document.querySelector("[tutorial-hud]");
     if (hudComponent && hudComponent.components["tutorial-hud"]) {
       setTimeout(() => {
+        const loader = this._loader();
         hudComponent.components["tutorial-hud"].show(
-          "Pegue o extintor para começar o treinamento",
+          (loader && loader.getHudMessage("start")) || window.I18N.t("hud.start"),
           5000,
         );
       }, 500);
     }
   },
 
+  tick: function (time, delta) {
+    if (this._run && !this._run.done) this._run.elapsed += delta || 0;
+  },
+
+  _onStateEnter: function (state) {
+    const run = this._run;
+    if (!run || run.done) return;
+    if (state !== this.data.doneState) {
+      run.entries.push({ state, t: run.elapsed });
+      return;
+    }
+    run.done = true;
+    const steps = window.COMPLETION_SUMMARY.stepTimings(run.entries, run.elapsed);
+    window.debugLog("TrainingManager", `Training complete in ${Math.round(run.elapsed / 1000)}s`);
+    this.scene.emit("training-complete", { elapsed: run.elapsed, steps });
+    if (this._replaying()) return;
+    clearTimeout(this._completionTimer);
+    this._completionTimer = setTimeout(() => this.showCompletionPanel(), this.data.completionDelay);
+  },
+
+  /**
+   * Completion panel for the finished run: outcome and total time, one line
+   * per step, and Restart / Next scenario / Exit VR.
+   */
+  showCompletionPanel: function () {
+    const panelComponent = document.querySelector("[interactive-panels]");
+    const run = this._run;
+    if (!panelComponent || !run || !run.done) return;
+    const panels = panelComponent.components["interactive-panels"];
+    const sm = this.scene.components["scene-manager"];
+    const t = window.I18N.t;
+    const C = window.COMPLETION_SUMMARY;
+
+    const stateEl = document.querySelector("[training-state]");
+    const ts = stateEl && stateEl.trainingState;
+    const steps = C.stepTimings(run.entries, run.elapsed).map(
+      (step) => `${(ts && ts.getDesc(step.state)) || step.state}   ${C.formatDuration(step.duration)}`,
+    );
+
+    const scorer = this.scene.components["training-score"];
+    const report = scorer && scorer.getReport();
+    const time = C.formatDuration(run.elapsed);
+    const subtitle = report
+      ? t("completion.outcome", {
+          outcome: t(report.passed ? "results.passed" : "results.failed"),
+          score: report.score,
+          time,
+        })
+      : t("completion.elapsed", { time });
+
+    Promise.resolve(sm ? sm.getNextModule() : null).then((next) => {
+      if (this._run !== run) return; // module changed meanwhile
+      const buttons = [];
+      if (sm) buttons.push({ text: t("completion.restart"), action: "restart", color: COMPLETION_BUTTON_COLORS.restart });
+      if (sm && next && next !== sm.getCurrentModule()) {
+        buttons.push({ text: t("completion.next"), action: "next", color: COMPLETION_BUTTON_COLORS.next });
+      }
+      if (this.scene.is("vr-mode")) {
+        buttons.push({ text: t("completion.exit"), action: "exit", color: COMPLETION_BUTTON_COLORS.exit });
+      }
+      panels.registerPanel(
+        "completion",
+        Object.assign(
+          { title: t("completion.title"), subtitle, description: steps.join("\n"), buttons },
+          report ? COMPLETION_SIDE_LAYOUT : {},
+        ),
+      );
+      panels.showPanel("completion", {
+        restart: () => {
+          panels.clearPanel();
+          sm.restart().catch((err) => this._completionFailed(run, err));
+        },
+        next: () => {
+          panels.clearPanel();
+          sm.goToModule(next).catch((err) => this._completionFailed(run, err));
+        },
+        // Back on the desktop the panel returns without this button
+        exit: () => {
+          panels.clearPanel();
+          Promise.resolve(this.scene.exitVR())
+            .catch(() => {})
+            .then(() => this.showCompletionPanel());
+        },
+      });
+    });
+  },
+
+  /** Restart / next scenario failed to load: offer the completion panel again. */
+  _completionFailed: function (run, err) {
+    window.debugWarn("TrainingManager", "Module change from the completion panel failed:", err.message);
+    this._run = run; // cleared by module-change-start
+    this.showCompletionPanel();
+  },
+
   /**
-   * Dev mode: skip intro, unlock movement, log available commands.
+   * Dev mode: skip intro, unlock movement, log available commands and
+   * emit training-start once the scenario is ready.
    */
   _startDevMode: function () {
     console.log(
@@ -86,6 +296,7 @@ AFRAME.registerComponent("training-manager", {
         "  trainingDev.get()            - Current state\n" +
         "  trainingDev.list()           - All states\n" +
         "  trainingDev.reset()          - Reset to intro\n" +
+        "  trainingDev.module('id')     - Switch training module\n" +
         "  trainingDev.showPanel()      - Show intro panel\n" +
         "  trainingDev.hidePanel()      - Hide current panel",
       "color: #A855F7",
@@ -95,6 +306,30 @@ AFRAME.registerComponent("training-manager", {
     if (panelComponent) {
       panelComponent.components["interactive-panels"].unlockMovement();
     }
+
+    // No selection panel in dev mode — fall back to the catalogue default
+    const loader = this._loader();
+    if (!loader) {
+      this.scene.emit("training-start", {});
+      return;
+    }
+    Promise.all([loader.whenReady(), loader.getCatalogue()])
+      .then(([scenario, catalogue]) => {
+        const entries = catalogue.scenarios || [];
+        const id = catalogue.default || (entries[0] && entries[0].id);
+        if (!scenario && id) return loader.load(id);
+      })
+      .then(() => this.scene.emit("training-start", {}))
+      .catch((err) => window.debugWarn("TrainingManager", "Dev mode scenario failed:", err.message));
+  },
+
+  _loader: function () {
+    return this.scene.components["scenario-loader"] || null;
+  },
+
+  _replaying: function () {
+    const replay = this.scene.components["session-replay"];
+    return !!replay && replay.isActive();
   },
 
   /**
@@ -144,6 +379,16 @@ AFRAME.registerComponent("training-manager", {
         const ts = _ts();
         if (ts) { ts.reset(); console.log("[DEV] Reset to:", ts.get()); }
       },
+      module: function (id) {
+        const sm = self.scene.components["scene-manager"];
+        if (!sm) {
+          console.warn("[DEV] scene-manager not found");
+          return;
+        }
+        sm.goToModule(id)
+          .then(() => console.log("[DEV] Module:", id))
+          .catch((err) => window.debugWarn("TrainingManager", `Module '${id}' failed:`, err.message));
+      },
       showPanel: function () {
         self.showIntroPanel();
       },
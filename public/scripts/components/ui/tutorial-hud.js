@@ -5,6 +5,11 @@
  * Messages are queued and displayed sequentially with configurable duration.
  * HUD is attached to player camera and follows view movement.
  *
+ * A sub-goal checklist (right of the message box) lists the parallel regions
+ * or sub-steps of the current training state (trainingState.getSubgoals()),
+ * refreshed on training-state / training-substate events (and when the
+ * language changes); hidden when empty.
+ *
  * Depends on: ui-helpers.js (window.UI_HELPERS)
  *
  * Usage:
@@ -23,8 +28,23 @@ const HUD_CONFIG = {
   },
   // Text constrained to 85% of HUD width
   contentWidth: 0.85,
+  checklist: {
+    pos: { x: 0.85, y: -0.3 },
+    w: 0.6,
+    lineHeight: 0.07,
+    done: "#10B981",
+    pending: "#FFFFFF",
+  },
 };
 
+/** Scene events that refresh the sub-goal checklist. */
+const CHECKLIST_EVENTS = [
+  "training-state-enter",
+  "training-substate-enter",
+  "training-substate-done",
+  "locale-changed",
+];
+
 AFRAME.registerComponent("tutorial-hud", {
   schema: { enabled: { type: "boolean", default: true } },
 
@@ -36,7 +56,12 @@ AFRAME.registerComponent("tutorial-hud", {
     this.messages = [];
     this.currentMessage = null;
     this.messageTimeout = null;
+    this.checklistEntity = null;
     this._buildHUD();
+    this._buildChecklist();
+
+    this._onTrainingChange = () => this._refreshChecklist();
+    CHECKLIST_EVENTS.forEach((evt) => this.scene.addEventListener(evt, this._onTrainingChange));
   },
 
   /**
@@ -137,6 +162,69 @@ AFRAME.registerComponent("tutorial-hud", {
     }, duration);
   },
 
+  /**
+   * Constructs the sub-goal checklist container (rows are built on refresh).
+   */
+  _buildChecklist: function () {
+    const camera = document.querySelector("#camera");
+    if (!camera) return;
+    const cfg = HUD_CONFIG.checklist;
+
+    const container = document.createElement("a-entity");
+    container.id = "tutorial-checklist";
+    container.setAttribute(
+      "position",
+      `${cfg.pos.x} ${cfg.pos.y} ${HUD_CONFIG.pos.z}`,
+    );
+    container.setAttribute("visible", false);
+    camera.appendChild(container);
+    this.checklistEntity = container;
+  },
+
+  /**
+   * Rebuilds checklist rows from training-state sub-goals:
+   * "[x]" green when done, "[ ]" otherwise.
+   */
+  _refreshChecklist: function () {
+    if (!this.checklistEntity) return;
+    const tsEl = document.querySelector("[training-state]");
+    const goals = tsEl && tsEl.trainingState ? tsEl.trainingState.getSubgoals() : [];
+
+    const container = this.checklistEntity;
+    while (container.firstChild) container.removeChild(container.firstChild);
+    container.setAttribute("visible", goals.length > 0);
+    if (!goals.length) return;
+
+    const cfg = HUD_CONFIG.checklist;
+    const h = goals.length * cfg.lineHeight + 0.06;
+    container.appendChild(
+      window.UI_HELPERS.createPlane(cfg.w, h, HUD_CONFIG.colors.bg, { o: 0.7 }),
+    );
+    container.appendChild(
+      window.UI_HELPERS.createPlane(cfg.w + 0.02, h + 0.02, HUD_CONFIG.colors.borderOuter, {
+        o: 0.3,
+        z: -0.01,
+      }),
+    );
+
+    goals.forEach((goal, i) => {
+      const row = document.createElement("a-entity");
+      const color = goal.done ? cfg.done : cfg.pending;
+      row.setAttribute(
+        "text",
+        `value: ; align: left; width: ${cfg.w - 0.06}; color: ${color}; wrapCount: 28; anchor: center; ${window.UI_HELPERS.MSDF_FONT}`,
+      );
+      // Set separately: labels may contain ':' or ';'
+      row.setAttribute("text", "value", `${goal.done ? "[x]" : "[ ]"} ${goal.label}`);
+      row.setAttribute(
+        "position",
+        `0 ${h / 2 - 0.03 - (i + 0.5) * cfg.lineHeight} 0.02`,
+      );
+      container.appendChild(row);
+    });
+    window.debugLog("TutorialHUD", "Sub-goals:", goals.map((g) => `${g.id}=${g.done}`).join(", "));
+  },
+
   /**
    * Makes HUD visible by setting visible attribute to true.
    */
@@ -153,8 +241,9 @@ AFRAME.registerComponent("tutorial-hud", {
 
   remove: function () {
     if (this.messageTimeout) clearTimeout(this.messageTimeout);
-    if (this.hudEntity && this.hudEntity.parentNode) {
-      this.hudEntity.parentNode.removeChild(this.hudEntity);
-    }
+    CHECKLIST_EVENTS.forEach((evt) => this.scene.removeEventListener(evt, this._onTrainingChange));
+    [this.hudEntity, this.checklistEntity].forEach((el) => {
+      if (el && el.parentNode) el.parentNode.removeChild(el);
+    });
   },
 });
@@ -18,6 +18,10 @@
 
    The component builds its panel UI as children of the host
    entity, so you control placement via the entity's transform.
+
+   Panel text, the default prompt and the speech recognition /
+   TTS language follow the UI locale (i18n.js) unless `lang` or
+   `defaultPrompt` are set.
    ============================================================ */
 
 AFRAME.registerComponent("vision-assistant", {
@@ -25,11 +29,8 @@ AFRAME.registerComponent("vision-assistant", {
     backendUrl: { type: "string", default: "/api/vision" },
     screenshotMaxWidth: { type: "int", default: 384 },
     recordTimeout: { type: "int", default: 20000 },
-    lang: { type: "string", default: "en-US" },
-    defaultPrompt: {
-      type: "string",
-      default: "Analyze this scene. What type of fire is this? Which extinguisher should I use?",
-    },
+    lang: { type: "string", default: "" }, // "" = locale's speech language
+    defaultPrompt: { type: "string", default: "" }, // "" = assistant.defaultPrompt
     buttonIndices: { type: "array", default: [0, 1, 4, 5] },
     keyboardKey: { type: "string", default: "Space" },
     tts: { type: "boolean", default: true },
@@ -54,6 +55,19 @@ AFRAME.registerComponent("vision-assistant", {
 
     this._buildPanel();
 
+    // Relabel the idle panel in the new language
+    this._onLocaleChanged = () => {
+      this._titleText.setAttribute("value", this._t("assistant.title"));
+      if (this.busy || this.recording) return;
+      this.setStatus(this._t("assistant.ready"));
+      this.setResponse(
+        this._speechUnsupported
+          ? this._t("assistant.unsupported")
+          : this._t("assistant.hint", { key: this.data.keyboardKey }),
+      );
+    };
+    this.el.sceneEl.addEventListener("locale-changed", this._onLocaleChanged);
+
     this.el.sceneEl.addEventListener("loaded", () => {
       console.log("[vision-assistant] Component initialized");
       this._initSpeechRecognition();
@@ -62,6 +76,7 @@ AFRAME.registerComponent("vision-assistant", {
   },
 
   remove() {
+    this.el.sceneEl.removeEventListener("locale-changed", this._onLocaleChanged);
     clearInterval(this._pollInterval);
     clearTimeout(this._recordTimer);
     if (this._recognition) {
@@ -91,20 +106,20 @@ AFRAME.registerComponent("vision-assistant", {
 
     // Title
     this._titleText = document.createElement("a-text");
-    this._titleText.setAttribute("value", "AI Assistant");
+    this._titleText.setAttribute("value", this._t("assistant.title"));
     this._titleText.setAttribute("align", "left");
     this._titleText.setAttribute("color", "#00e5ff");
     this._titleText.setAttribute("width", "2.5");
 
     // Status
     this.statusEl = document.createElement("a-text");
-    this.statusEl.setAttribute("value", "Ready");
+    this.statusEl.setAttribute("value", this._t("assistant.ready"));
     this.statusEl.setAttribute("align", "right");
     this.statusEl.setAttribute("color", "#888888");
     this.statusEl.setAttribute("width", "1.8");
 
     // Response text
-    const initialText = `Press [${d.keyboardKey}] or controller button to speak.`;
+    const initialText = this._t("assistant.hint", { key: d.keyboardKey });
     this.responseEl = document.createElement("a-text");
     this.responseEl.setAttribute("value", initialText);
     this.responseEl.setAttribute("align", "left");
@@ -231,14 +246,14 @@ AFRAME.registerComponent("vision-assistant", {
     const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
     if (!SpeechRecognition) {
       console.warn("[vision-assistant] Web Speech API not supported");
-      this.setResponse("Speech recognition not supported in this browser.");
+      this._speechUnsupported = true;
+      this.setResponse(this._t("assistant.unsupported"));
       return;
     }
 
     const recognition = new SpeechRecognition();
     recognition.continuous = true;
     recognition.interimResults = true;
-    recognition.lang = this.data.lang;
 
     recognition.onresult = (event) => {
       let interim = "";
@@ -253,13 +268,13 @@ AFRAME.registerComponent("vision-assistant", {
       }
       this._transcript = (final + interim).trim();
       console.log("[vision-assistant] Transcript:", this._transcript);
-      this.setResponse(`Recording: "${this._transcript}"`);
+      this.setResponse(this._t("assistant.recording", { transcript: this._transcript }));
     };
 
     recognition.onerror = (event) => {
       console.error("[vision-assistant] Speech error:", event.error);
       if (event.error !== "no-speech") {
-        this.setStatus("Mic error");
+        this.setStatus(this._t("assistant.micError"));
       }
     };
 
@@ -290,14 +305,15 @@ AFRAME.registerComponent("vision-assistant", {
 
   _startRecording() {
     if (!this._recognition) {
-      this.captureAndAsk(this.data.defaultPrompt);
+      this.captureAndAsk(this._defaultPrompt());
       return;
     }
 
     this.recording = true;
     this._transcript = "";
-    this.setStatus("Listening...");
-    this.setResponse("Speak now. Press again to stop.");
+    this._recognition.lang = this._lang();
+    this.setStatus(this._t("assistant.listening"));
+    this.setResponse(this._t("assistant.speakNow"));
 
     try {
       this._recognition.start();
@@ -324,7 +340,7 @@ AFRAME.registerComponent("vision-assistant", {
 
   _finishRecording() {
     if (this.busy) return;
-    const prompt = this._transcript.trim() || this.data.defaultPrompt;
+    const prompt = this._transcript.trim() || this._defaultPrompt();
     console.log("[vision-assistant] Final prompt:", prompt);
     this.captureAndAsk(prompt);
   },
@@ -337,8 +353,8 @@ AFRAME.registerComponent("vision-assistant", {
       return;
     }
     this.busy = true;
-    this.setStatus("Capturing...");
-    this.setResponse("Analyzing image...");
+    this.setStatus(this._t("assistant.capturing"));
+    this.setResponse(this._t("assistant.analyzing"));
     console.log("\n===== [vision-assistant] captureAndAsk =====");
     console.log("[vision-assistant] prompt:", userPrompt);
 
@@ -348,7 +364,7 @@ AFRAME.registerComponent("vision-assistant", {
       console.timeEnd("[vision-assistant] screenshot");
       console.log("[vision-assistant] screenshot base64 length:", base64.length);
 
-      this.setStatus("Thinking...");
+      this.setStatus(this._t("assistant.thinking"));
       console.time("[vision-assistant] backend-roundtrip");
       const data = await this.sendToBackend(base64, userPrompt);
       console.timeEnd("[vision-assistant] backend-roundtrip");
@@ -356,14 +372,14 @@ AFRAME.registerComponent("vision-assistant", {
       console.log("[vision-assistant] Response received, length:", data.response?.length ?? 0);
       console.log("[vision-assistant] Response:", data.response);
 
-      const text = data.response || "Model returned an empty response.";
-      this.setStatus("Ready");
+      const text = data.response || this._t("assistant.empty");
+      this.setStatus(this._t("assistant.ready"));
       this.setResponse(text);
       if (this.data.tts) this.speak(text);
     } catch (err) {
       console.error("[vision-assistant] ERROR:", err);
-      this.setStatus("Error");
-      this.setResponse("Error: " + err.message);
+      this.setStatus(this._t("assistant.error"));
+      this.setResponse(this._t("assistant.errorDetail", { message: err.message }));
     } finally {
       this.busy = false;
     }
@@ -438,6 +454,20 @@ AFRAME.registerComponent("vision-assistant", {
     if (this.statusEl) this.statusEl.setAttribute("value", text);
   },
 
+  /* ────────────────── Locale ────────────────── */
+
+  _t(key, params) {
+    return window.I18N.t(key, params);
+  },
+
+  _lang() {
+    return this.data.lang || window.I18N.speechLang();
+  },
+
+  _defaultPrompt() {
+    return this.data.defaultPrompt || this._t("assistant.defaultPrompt");
+  },
+
   /* ────────────────── Text-to-Speech ────────────────── */
 
   speak(text) {
@@ -448,21 +478,21 @@ AFRAME.registerComponent("vision-assistant", {
     window.speechSynthesis.cancel();
 
     const utterance = new SpeechSynthesisUtterance(text);
-    utterance.lang = this.data.lang;
+    utterance.lang = this._lang();
     utterance.rate = 1.0;
     utterance.pitch = 1.0;
 
     utterance.onstart = () => {
       console.log("[vision-assistant] TTS started");
-      this.setStatus("Speaking...");
+      this.setStatus(this._t("assistant.speaking"));
     };
     utterance.onend = () => {
       console.log("[vision-assistant] TTS finished");
-      this.setStatus("Ready");
+      this.setStatus(this._t("assistant.ready"));
     };
     utterance.onerror = (e) => {
       console.error("[vision-assistant] TTS error:", e.error);
-      this.setStatus("Ready");
+      this.setStatus(this._t("assistant.ready"));
     };
 
     window.speechSynthesis.speak(utterance);
@@ -0,0 +1,316 @@
+/**
+ * Instructor Relay — WebSocket hub for instructor dashboards and crew sessions
+ *
+ * Trainee scenes (instructor-link component), instructor dashboards
+ * (public/instructor/) and crew members (network-session component) connect
+ * to the same socket and say who they are:
+ *   ws://host:8091/?role=trainee&token=…
+ *   ws://host:8091/?role=instructor&token=…
+ *   ws://host:8091/?role=peer&room=crew-1&token=…
+ *
+ * Every connection must carry the shared secret INSTRUCTOR_RELAY_TOKEN as
+ * `token` — instructors see every trainee's view and can command them.
+ * Without the variable a random token is generated and printed at start.
+ *
+ * Routing:
+ *   trainee → every instructor, tagged with `from` (the trainee id)
+ *   instructor `command` → the trainee in `to`, or every trainee
+ *   relay → instructors: `trainees` { list } whenever someone joins or leaves
+ *   peer → the other peers of its room (or the one in `to`), tagged with `from`
+ *   relay → peers: `peers` { you, list } whenever the room changes; `list`
+ *           is in join order (the first one hosts the fire simulation)
+ *
+ * The last hello / layout / status / frame of each trainee is kept so a
+ * dashboard opened mid-session shows everything at once. Message format:
+ * public/scripts/components/core/instructor-protocol.js.
+ *
+ * The WebSocket handshake and framing (RFC 6455, text frames only) are done
+ * here on node:http so the relay runs with plain `node`, no install needed.
+ *
+ * Usage:
+ *   INSTRUCTOR_RELAY_TOKEN=secret npm run relay   # port 8091, proxied by Vite at /relay
+ *   INSTRUCTOR_RELAY_PORT=9000 npm run relay
+ */
+
+import http from "node:http";
+import crypto from "node:crypto";
+
+const PORT = Number(process.env.INSTRUCTOR_RELAY_PORT || 8091);
+const TOKEN = process.env.INSTRUCTOR_RELAY_TOKEN || crypto.randomBytes(12).toString("hex");
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const MAX_MESSAGE = 2 * 1024 * 1024; // frames are JPEG data URLs (~20–60 kB)
+const PING_INTERVAL = 30000;
+const CACHED_TYPES = ["hello", "layout", "status", "frame"];
+
+const OP = { continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xa };
+
+const trainees = new Map(); // id → client
+const instructors = new Set();
+const rooms = new Map(); // room name → Set of peer clients, in join order
+let nextId = 1;
+
+// ─── WebSocket framing ──────────────────────────────────────────────
+
+function encodeFrame(opcode, payload) {
+  const length = payload.length;
+  let header;
+  if (length < 126) {
+    header = Buffer.alloc(2);
+    header[1] = length;
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  header[0] = 0x80 | opcode; // FIN + opcode, server frames are not masked
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Splits complete frames off the front of `buffer`.
+ * @returns {{ frames: Array<{ fin, opcode, payload }>, rest: Buffer, error?: number }}
+ */
+function decodeFrames(buffer) {
+  const frames = [];
+  let offset = 0;
+  while (buffer.length - offset >= 2) {
+    const b0 = buffer[offset];
+    const b1 = buffer[offset + 1];
+    let length = b1 & 0x7f;
+    let pos = offset + 2;
+    if (length === 126) {
+      if (buffer.length < pos + 2) break;
+      length = buffer.readUInt16BE(pos);
+      pos += 2;
+    } else if (length === 127) {
+      if (buffer.length < pos + 8) break;
+      length = Number(buffer.readBigUInt64BE(pos));
+      pos += 8;
+    }
+    if (length > MAX_MESSAGE) return { frames, rest: Buffer.alloc(0), error: 1009 };
+    if (!(b1 & 0x80)) return { frames, rest: Buffer.alloc(0), error: 1002 }; // clients must mask
+    if (buffer.length < pos + 4 + length) break;
+
+    const mask = buffer.subarray(pos, pos + 4);
+    const payload = Buffer.from(buffer.subarray(pos + 4, pos + 4 + length));
+    for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3];
+    frames.push({ fin: !!(b0 & 0x80), opcode: b0 & 0x0f, payload });
+    offset = pos + 4 + length;
+  }
+  return { frames, rest: buffer.subarray(offset) };
+}
+
+function send(client, message) {
+  if (client.closed) return;
+  client.socket.write(encodeFrame(OP.text, Buffer.from(JSON.stringify(message))));
+}
+
+function close(client, code) {
+  if (client.closed) return;
+  const payload = Buffer.alloc(2);
+  payload.writeUInt16BE(code || 1000, 0);
+  client.socket.write(encodeFrame(OP.close, payload));
+  client.socket.end();
+  onClosed(client);
+}
+
+// ─── Routing ────────────────────────────────────────────────────────
+
+function traineeList() {
+  return Array.from(trainees.values()).map((t) => ({
+    id: t.id,
+    name: t.cache.hello ? t.cache.hello.name : t.id,
+    scenario: t.cache.hello ? t.cache.hello.scenario : null,
+  }));
+}
+
+function broadcastTrainees() {
+  const message = { type: "trainees", list: traineeList() };
+  instructors.forEach((client) => send(client, message));
+}
+
+function broadcastPeers(room) {
+  const members = rooms.get(room);
+  if (!members) return;
+  const list = Array.from(members, (peer) => peer.id);
+  members.forEach((peer) => send(peer, { type: "peers", you: peer.id, list }));
+}
+
+function onMessage(client, text) {
+  let msg;
+  try {
+    msg = JSON.parse(text);
+  } catch (e) {
+    return;
+  }
+  if (!msg || typeof msg.type !== "string") return;
+
+  if (client.role === "peer") {
+    msg.from = client.id;
+    rooms.get(client.room).forEach((peer) => {
+      if (peer !== client && (!msg.to || msg.to === peer.id)) send(peer, msg);
+    });
+    return;
+  }
+
+  if (client.role === "trainee") {
+    msg.from = client.id;
+    if (CACHED_TYPES.includes(msg.type)) client.cache[msg.type] = msg;
+    instructors.forEach((instructor) => send(instructor, msg));
+    if (msg.type === "hello") {
+      console.log(`[relay] ${client.id} is "${msg.name}" (${msg.scenario || "no scenario"})`);
+      broadcastTrainees();
+    }
+    return;
+  }
+
+  if (msg.type !== "command") return;
+  const targets = msg.to ? [trainees.get(msg.to)].filter(Boolean) : Array.from(trainees.values());
+  targets.forEach((trainee) => send(trainee, msg));
+  console.log(`[relay] ${msg.command} → ${msg.to || "all"} (${targets.length})`);
+}
+
+function onOpen(client) {
+  if (client.role === "peer") {
+    if (!rooms.has(client.room)) rooms.set(client.room, new Set());
+    rooms.get(client.room).add(client);
+    broadcastPeers(client.room);
+  } else if (client.role === "trainee") {
+    trainees.set(client.id, client);
+    broadcastTrainees();
+  } else {
+    instructors.add(client);
+    send(client, { type: "trainees", list: traineeList() });
+    trainees.forEach((trainee) =>
+      CACHED_TYPES.forEach((type) => trainee.cache[type] && send(client, trainee.cache[type])),
+    );
+  }
+  console.log(`[relay] ${client.role} ${client.id} connected${client.room ? ` to ${client.room}` : ""}`);
+}
+
+function onClosed(client) {
+  if (client.closed) return;
+  client.closed = true;
+  if (client.role === "peer") {
+    const members = rooms.get(client.room);
+    members.delete(client);
+    if (members.size) broadcastPeers(client.room);
+    else rooms.delete(client.room);
+  } else if (client.role === "trainee") {
+    trainees.delete(client.id);
+    broadcastTrainees();
+  } else {
+    instructors.delete(client);
+  }
+  console.log(`[relay] ${client.role} ${client.id} disconnected`);
+}
+
+// ─── Connections ────────────────────────────────────────────────────
+
+/** Constant-time comparison with TOKEN (hashed, so lengths match). */
+function validToken(token) {
+  const digest = (value) => crypto.createHash("sha256").update(String(value)).digest();
+  return !!token && crypto.timingSafeEqual(digest(token), digest(TOKEN));
+}
+
+function accept(req, socket, head) {
+  const params = new URL(req.url, "http://localhost").searchParams;
+  const role = params.get("role");
+  const key = req.headers["sec-websocket-key"];
+  if (!key || !["trainee", "instructor", "peer"].includes(role)) {
+    socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+    return;
+  }
+  if (!validToken(params.get("token"))) {
+    console.log(`[relay] rejected ${role} from ${req.socket.remoteAddress}: bad token`);
+    socket.end("HTTP/1.1 401 Unauthorized\r\n\r\n");
+    return;
+  }
+  const acceptKey = crypto.createHash("sha1").update(key + WS_GUID).digest("base64");
+  socket.write(
+    "HTTP/1.1 101 Switching Protocols\r\n" +
+      "Upgrade: websocket\r\n" +
+      "Connection: Upgrade\r\n" +
+      `Sec-WebSocket-Accept: ${acceptKey}\r\n\r\n`,
+  );
+  socket.setNoDelay(true);
+
+  const client = {
+    id: `${role[0]}${nextId++}`,
+    role,
+    room: role === "peer" ? params.get("room") || "default" : null,
+    socket,
+    cache: {},
+    alive: true,
+    closed: false,
+  };
+  let pending = Buffer.from(head || []); // bytes that arrived with the upgrade request
+  let fragments = [];
+
+  socket.on("data", (chunk) => {
+    const decoded = decodeFrames(Buffer.concat([pending, chunk]));
+    pending = decoded.rest;
+    for (const frame of decoded.frames) {
+      if (frame.opcode === OP.close) return close(client, 1000);
+      if (frame.opcode === OP.ping) {
+        socket.write(encodeFrame(OP.pong, frame.payload));
+        continue;
+      }
+      if (frame.opcode === OP.pong) {
+        client.alive = true;
+        continue;
+      }
+      if (frame.opcode === OP.binary) return close(client, 1003);
+      fragments.push(frame.payload);
+      if (!frame.fin) continue;
+      const text = Buffer.concat(fragments).toString("utf8");
+      fragments = [];
+      onMessage(client, text);
+    }
+    if (decoded.error) close(client, decoded.error);
+  });
+  socket.on("close", () => onClosed(client));
+  socket.on("error", () => onClosed(client));
+
+  onOpen(client);
+}
+
+const server = http.createServer((req, res) => {
+  const params = new URL(req.url, "http://localhost").searchParams;
+  if (!validToken(params.get("token"))) {
+    res.writeHead(401);
+    res.end();
+    return;
+  }
+  res.writeHead(200, { "Content-Type": "application/json" });
+  const crews = {};
+  rooms.forEach((members, room) => (crews[room] = Array.from(members, (peer) => peer.id)));
+  res.end(JSON.stringify({ trainees: traineeList(), instructors: instructors.size, rooms: crews }));
+});
+
+server.on("upgrade", accept);
+
+// Drop connections that stopped answering pings (headset put to sleep)
+setInterval(() => {
+  const peers = Array.from(rooms.values()).flatMap((members) => Array.from(members));
+  [...trainees.values(), ...instructors, ...peers].forEach((client) => {
+    if (!client.alive) {
+      client.socket.destroy();
+      onClosed(client);
+      return;
+    }
+    client.alive = false;
+    client.socket.write(encodeFrame(OP.ping, Buffer.alloc(0)));
+  });
+}, PING_INTERVAL).unref();
+
+server.listen(PORT, () => {
+  console.log(`[relay] listening on ws://localhost:${PORT}/?role=trainee|instructor|peer`);
+  if (!process.env.INSTRUCTOR_RELAY_TOKEN) {
+    console.log(`[relay] no INSTRUCTOR_RELAY_TOKEN set — token for this run: ${TOKEN}`);
+  }
+});
@@ -0,0 +1,94 @@
+/**
+ * Stub LRS — minimal xAPI statement store for local testing
+ *
+ * Accepts what xapi-adapter sends and lets you read it back:
+ *   POST /xapi/statements   — one statement or an array; returns the ids
+ *   GET  /xapi/statements   — every stored statement, newest first
+ *   GET  /xapi/about        — { version }
+ *   DELETE /xapi/statements — clears the store
+ *
+ * Statements live in memory only. Requests without the
+ * X-Experience-API-Version header are rejected like a real LRS would.
+ *
+ * Usage:
+ *   npm run lrs:stub                          # port 8090, proxied by Vite at /xapi/
+ *   STUB_LRS_FAIL=0.5 npm run lrs:stub        # fail half the POSTs with 503 (retry test)
+ */
+
+import http from "node:http";
+
+const PORT = Number(process.env.STUB_LRS_PORT || 8090);
+const FAIL_RATE = Number(process.env.STUB_LRS_FAIL || 0);
+
+const statements = new Map(); // id → statement
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type, Authorization, X-Experience-API-Version",
+    "Access-Control-Allow-Methods": "GET, POST, DELETE, OPTIONS",
+    "X-Experience-API-Version": "1.0.3",
+  });
+  res.end(body === undefined ? "" : JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = "";
+    req.on("data", (chunk) => (data += chunk));
+    req.on("end", () => resolve(data));
+    req.on("error", reject);
+  });
+}
+
+async function handle(req, res) {
+  const path = new URL(req.url, "http://localhost").pathname.replace(/^\/xapi/, "");
+  if (req.method === "OPTIONS") return send(res, 204);
+  if (path === "/about") return send(res, 200, { version: ["1.0.3"] });
+  if (path !== "/statements") return send(res, 404, { error: "Not found" });
+
+  if (req.method === "GET") {
+    const all = Array.from(statements.values()).reverse();
+    return send(res, 200, { statements: all, more: "" });
+  }
+  if (req.method === "DELETE") {
+    statements.clear();
+    return send(res, 204);
+  }
+  if (req.method !== "POST") return send(res, 405, { error: "Method not allowed" });
+
+  if (!req.headers["x-experience-api-version"]) {
+    return send(res, 400, { error: "Missing X-Experience-API-Version header" });
+  }
+  if (Math.random() < FAIL_RATE) {
+    console.log("[stub-lrs] simulated failure (503)");
+    return send(res, 503, { error: "Simulated outage" });
+  }
+
+  let batch;
+  try {
+    batch = [].concat(JSON.parse(await readBody(req)));
+  } catch (e) {
+    return send(res, 400, { error: "Invalid JSON" });
+  }
+  const invalid = batch.find((s) => !s || !s.actor || !s.verb || !s.verb.id || !s.object);
+  if (invalid) return send(res, 400, { error: "Statement needs actor, verb and object" });
+
+  const ids = batch.map((s) => {
+    const stored = Object.assign({ stored: new Date().toISOString() }, s);
+    stored.id = s.id || crypto.randomUUID();
+    statements.set(stored.id, stored);
+    console.log(`[stub-lrs] ${stored.verb.id.split("/").pop()} ${stored.object.id}`);
+    return stored.id;
+  });
+  return send(res, 200, ids);
+}
+
+http
+  .createServer((req, res) => {
+    handle(req, res).catch((err) => send(res, 500, { error: err.message }));
+  })
+  .listen(PORT, () => {
+    console.log(`[stub-lrs] listening on http://localhost:${PORT}/xapi/`);
+  });
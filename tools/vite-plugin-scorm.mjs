@@ -0,0 +1,223 @@
+/**
+ * Vite plugin — SCORM package
+ *
+ * After `vite build --mode scorm12` (or `scorm2004`) it turns the build
+ * output into a SCORM package:
+ *   1. root-absolute URLs ("/scripts/…", "/assets/…") become relative — an
+ *      LMS serves the package from its own sub-path
+ *   2. imsmanifest.xml (one SCO, launching the VR scene) is written
+ *   3. the folder is zipped to dist/firefighting-vr-scorm-<version>.zip
+ *
+ * The zip writer is self-contained (deflate from node:zlib, stored entries
+ * for already-compressed media) so the build needs no extra dependency.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import zlib from "node:zlib";
+
+const VERSIONS = { scorm12: "1.2", scorm2004: "2004" };
+
+// Top-level folders referenced with root-absolute URLs
+const ROOT_DIRS = ["assets", "locales", "scripts", "scenarios", "scenes"];
+const REWRITE_EXT = [".html", ".css", ".js", ".json"];
+const STORED_EXT = [".png", ".jpg", ".jpeg", ".webp", ".mp3", ".ogg", ".zip", ".woff", ".woff2"];
+
+const xml = (s) =>
+  String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+function listFiles(dir, base = dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) return listFiles(full, base);
+    return [path.relative(base, full).split(path.sep).join("/")];
+  });
+}
+
+/**
+ * Rewrites "/assets/…"-style URLs to paths relative to the document that
+ * resolves them: HTML and CSS to their own folder, scripts and JSON to the
+ * launch page (runtime URLs resolve against the page, not the script).
+ */
+function relativizeUrls(outDir, files, launch) {
+  const pattern = new RegExp(`(["'(])/(${ROOT_DIRS.join("|")})/`, "g");
+  const launchDir = path.posix.dirname(launch);
+  files
+    .filter((file) => REWRITE_EXT.includes(path.extname(file)))
+    .forEach((file) => {
+      const full = path.join(outDir, file);
+      const text = fs.readFileSync(full, "utf8");
+      const ext = path.extname(file);
+      const fromDir = ext === ".html" || ext === ".css" ? path.posix.dirname(file) : launchDir;
+      const up = path.posix.relative(fromDir, ".") || ".";
+      const rewritten = text.replace(pattern, (m, quote, dir) => `${quote}${up}/${dir}/`);
+      if (rewritten !== text) fs.writeFileSync(full, rewritten);
+    });
+}
+
+function manifest12(opts, files) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<manifest identifier="${xml(opts.identifier)}" version="1.0"
+  xmlns="http://www.imsproject.org/xsd/imscp_rootv1p1p2"
+  xmlns:adlcp="http://www.adlnet.org/xsd/adlcp_rootv1p2"
+  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="http://www.imsproject.org/xsd/imscp_rootv1p1p2 imscp_rootv1p1p2.xsd http://www.imsglobal.org/xsd/imsmd_rootv1p2p1 imsmd_rootv1p2p1.xsd http://www.adlnet.org/xsd/adlcp_rootv1p2 adlcp_rootv1p2.xsd">
+  <metadata>
+    <schema>ADL SCORM</schema>
+    <schemaversion>1.2</schemaversion>
+  </metadata>
+  <organizations default="org-1">
+    <organization identifier="org-1">
+      <title>${xml(opts.title)}</title>
+      <item identifier="item-1" identifierref="sco-1">
+        <title>${xml(opts.title)}</title>
+      </item>
+    </organization>
+  </organizations>
+  <resources>
+    <resource identifier="sco-1" type="webcontent" adlcp:scormtype="sco" href="${xml(opts.launch)}">
+${files.map((f) => `      <file href="${xml(f)}"/>`).join("\n")}
+    </resource>
+  </resources>
+</manifest>
+`;
+}
+
+function manifest2004(opts, files) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<manifest identifier="${xml(opts.identifier)}" version="1"
+  xmlns="http://www.imsglobal.org/xsd/imscp_v1p1"
+  xmlns:adlcp="http://www.adlnet.org/xsd/adlcp_v1p3"
+  xmlns:adlseq="http://www.adlnet.org/xsd/adlseq_v1p3"
+  xmlns:adlnav="http://www.adlnet.org/xsd/adlnav_v1p3"
+  xmlns:imsss="http://www.imsglobal.org/xsd/imsss"
+  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="http://www.imsglobal.org/xsd/imscp_v1p1 imscp_v1p1.xsd http://www.adlnet.org/xsd/adlcp_v1p3 adlcp_v1p3.xsd http://www.adlnet.org/xsd/adlseq_v1p3 adlseq_v1p3.xsd http://www.adlnet.org/xsd/adlnav_v1p3 adlnav_v1p3.xsd http://www.imsglobal.org/xsd/imsss imsss_v1p0.xsd">
+  <metadata>
+    <schema>ADL SCORM</schema>
+    <schemaversion>2004 4th Edition</schemaversion>
+  </metadata>
+  <organizations default="org-1">
+    <organization identifier="org-1">
+      <title>${xml(opts.title)}</title>
+      <item identifier="item-1" identifierref="sco-1">
+        <title>${xml(opts.title)}</title>
+      </item>
+    </organization>
+  </organizations>
+  <resources>
+    <resource identifier="sco-1" type="webcontent" adlcp:scormType="sco" href="${xml(opts.launch)}">
+${files.map((f) => `      <file href="${xml(f)}"/>`).join("\n")}
+    </resource>
+  </resources>
+</manifest>
+`;
+}
+
+// ─── Zip (PKWARE APPNOTE, no zip64 — packages stay well under 4 GB) ───
+
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function writeZip(outFile, baseDir, files) {
+  const chunks = [];
+  const central = [];
+  let offset = 0;
+
+  files.forEach((name) => {
+    const data = fs.readFileSync(path.join(baseDir, name));
+    const stored = STORED_EXT.includes(path.extname(name).toLowerCase());
+    const body = stored ? data : zlib.deflateRawSync(data, { level: 9 });
+    const nameBuf = Buffer.from(name, "utf8");
+    const crc = crc32(data);
+    const method = stored ? 0 : 8;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4); // version needed
+    local.writeUInt16LE(0x0800, 6); // UTF-8 names
+    local.writeUInt16LE(method, 8);
+    local.writeUInt32LE(0, 10); // time/date
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuf.length, 26);
+    local.writeUInt16LE(0, 28);
+    chunks.push(local, nameBuf, body);
+
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);
+    entry.writeUInt16LE(20, 4); // version made by
+    entry.writeUInt16LE(20, 6);
+    entry.writeUInt16LE(0x0800, 8);
+    entry.writeUInt16LE(method, 10);
+    entry.writeUInt32LE(0, 12);
+    entry.writeUInt32LE(crc, 16);
+    entry.writeUInt32LE(body.length, 20);
+    entry.writeUInt32LE(data.length, 24);
+    entry.writeUInt16LE(nameBuf.length, 28);
+    entry.writeUInt32LE(offset, 42);
+    central.push(entry, nameBuf);
+
+    offset += local.length + nameBuf.length + body.length;
+  });
+
+  const centralSize = central.reduce((sum, b) => sum + b.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+
+  fs.writeFileSync(outFile, Buffer.concat([...chunks, ...central, end]));
+}
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.launch="scenes/default.html"] - SCO launch page
+ * @param {string} [options.title="Treinamento de Combate a Incêndio VR"]
+ * @param {string} [options.identifier="firefighting-vr"]
+ */
+export default function scormPlugin(options = {}) {
+  const opts = Object.assign(
+    {
+      launch: "scenes/default.html",
+      title: "Treinamento de Combate a Incêndio VR",
+      identifier: "firefighting-vr",
+    },
+    options,
+  );
+  let version = null;
+  let outDir = null;
+
+  return {
+    name: "scorm-package",
+    apply: "build",
+    configResolved(config) {
+      version = VERSIONS[config.mode] || null;
+      outDir = path.resolve(config.root, config.build.outDir);
+    },
+    closeBundle() {
+      if (!version) return;
+      const files = listFiles(outDir);
+      relativizeUrls(outDir, files, opts.launch);
+
+      const manifest = version === "1.2" ? manifest12(opts, files) : manifest2004(opts, files);
+      fs.writeFileSync(path.join(outDir, "imsmanifest.xml"), manifest);
+
+      const zipFile = path.join(path.dirname(outDir), `firefighting-vr-scorm-${version}.zip`);
+      writeZip(zipFile, outDir, ["imsmanifest.xml", ...files]);
+      this.info(`SCORM ${version} package: ${path.relative(process.cwd(), zipFile)} (${files.length} files)`);
+    },
+  };
+}
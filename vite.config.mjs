@@ -1,8 +1,13 @@
 import { defineConfig } from "vite";
 import basicSsl from "@vitejs/plugin-basic-ssl";
+import scormPlugin from "./tools/vite-plugin-scorm.mjs";
 
-export default defineConfig({
-  plugins: [basicSsl()],
+// `vite build --mode scorm12 | scorm2004` also packages the build for an LMS
+const SCORM_MODES = ["scorm12", "scorm2004"];
+
+export default defineConfig(({ mode }) => ({
+  plugins: [basicSsl(), scormPlugin()],
+  build: SCORM_MODES.includes(mode) ? { outDir: `dist/${mode}` } : {},
   server: {
     https: true,
     host: true,
@@ -12,6 +17,16 @@ export default defineConfig({
         changeOrigin: true,
         secure: false,
       },
+      // Local stub LRS (npm run lrs:stub) for xapi-adapter
+      "/xapi": {
+        target: "http://localhost:8090",
+        changeOrigin: true,
+      },
+      // Instructor relay (npm run relay) for instructor-link and the dashboard
+      "/relay": {
+        target: "ws://localhost:8091",
+        ws: true,
+      },
     },
   },
-});
+}));